@@ -0,0 +1,14 @@
+// scripts/backfill-ledger.js - Record opening ledger entries for balances created before the ledger
+require('dotenv').config();
+const prisma = require('../src/utils/prisma');
+const ledgerService = require('../src/services/ledgerService');
+
+ledgerService.backfillOpeningBalances()
+    .then((count) => {
+        console.log(`✅ Created ${count} opening balance entries`);
+    })
+    .catch((error) => {
+        console.error(`❌ Backfill failed: ${error.message}`);
+        process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
@@ -0,0 +1,17 @@
+// scripts/issue-device-secrets.js - Issue secrets to devices created before request signing was required
+require('dotenv').config();
+const prisma = require('../src/utils/prisma');
+const deviceAuthService = require('../src/services/deviceAuthService');
+
+// The secrets are printed once as CSV to load onto the meters, keep the output safe
+deviceAuthService.issueMissingSecrets()
+    .then((issued) => {
+        console.log('deviceKey,secret');
+        issued.forEach(({ deviceKey, secret }) => console.log(`${deviceKey},${secret}`));
+        console.error(`✅ Issued secrets to ${issued.length} devices`);
+    })
+    .catch((error) => {
+        console.error(`❌ Issuing secrets failed: ${error.message}`);
+        process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
@@ -21,8 +21,13 @@ const routes = require('./routes/index');
 // Initialize Express app
 const app = express();
 
-// Parse JSON bodies
-app.use(express.json({ limit: '10kb' }));
+// Parse JSON bodies, keeping the raw body for device request signatures
+app.use(express.json({
+    limit: '10kb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf.toString('utf8');
+    }
+}));
 
 // Parse URL-encoded bodies
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
@@ -1,5 +1,16 @@
 // src/config/constants.js
 
+/**
+ * Read a number from the environment, keeping 0 as a valid setting
+ * @param {String} value - Environment value
+ * @param {Number} fallback - Default when the value is unset or not a number
+ * @returns {Number} - Configured number
+ */
+const numberFromEnv = (value, fallback) => {
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? fallback : number;
+};
+
 // User roles
 const ROLES = {
     ADMIN: 'ADMIN',
@@ -25,7 +36,231 @@ const ROLE_PERMISSIONS = {
 // Token statuses
 const TOKEN_STATUS = {
     USED: 'used',
-    UNUSED: 'unused'
+    UNUSED: 'unused',
+    EXPIRED: 'expired',
+    REVOKED: 'revoked',
+    CANCELLED: 'cancelled',
+    VOIDED: 'voided',
+    REVERSED: 'reversed'
+};
+
+// Undoing a mistakenly issued or disputed token
+const TOKEN_REVERSAL_TYPE = {
+    VOID: 'void',
+    REVERSAL: 'reversal'
+};
+
+// Token expiry sweep
+const TOKEN_EXPIRY = {
+    SWEEP_INTERVAL_MS: parseInt(process.env.TOKEN_EXPIRY_SWEEP_INTERVAL_MS, 10) || 60 * 60 * 1000 // 1 hour
+};
+
+// Token format (length includes the check digit)
+const TOKEN_FORMAT = {
+    LENGTH: parseInt(process.env.TOKEN_LENGTH, 10) || 20,
+    CHECK_DIGIT: process.env.TOKEN_CHECK_DIGIT || 'luhn', // luhn, verhoeff
+    GROUP_SIZE: parseInt(process.env.TOKEN_GROUP_SIZE, 10) || 4,
+    GROUP_SEPARATOR: '-'
+};
+
+// Token batch limits
+const TOKEN_BATCH = {
+    MAX_TOKENS: 1000,
+    EXPORT_FORMATS: ['csv', 'pdf']
+};
+
+// Balance ledger entry types
+const LEDGER_ENTRY_TYPE = {
+    CREDIT: 'credit',
+    DEBIT: 'debit',
+    ADJUSTMENT: 'adjustment',
+    REFUND: 'refund',
+    REVERSAL: 'reversal',
+    DEBT_RECOVERY: 'debt_recovery',
+    TRANSFER: 'transfer'
+};
+
+// Balance ledger reference (source row) types
+const LEDGER_REFERENCE_TYPE = {
+    TOKEN: 'token',
+    USAGE_LOG: 'usage_log',
+    TRANSACTION: 'balance_transaction',
+    ADJUSTMENT: 'balance_adjustment',
+    OPENING_BALANCE: 'opening_balance',
+    DEBT: 'debt',
+    TOKEN_REVERSAL: 'token_reversal',
+    METER_REPLACEMENT: 'meter_replacement',
+    USAGE_BATCH: 'usage_batch'
+};
+
+// Manual balance adjustment workflow
+const ADJUSTMENT_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+};
+
+const ADJUSTMENT_REASON = {
+    METER_FAULT: 'meter_fault',
+    BILLING_ERROR: 'billing_error',
+    GOODWILL: 'goodwill',
+    TOKEN_ISSUE: 'token_issue',
+    MIGRATION: 'migration',
+    OTHER: 'other'
+};
+
+// Tariff customer classes
+const CUSTOMER_CLASS = {
+    RESIDENTIAL: 'residential',
+    COMMERCIAL: 'commercial',
+    SOCIAL: 'social',
+    INDUSTRIAL: 'industrial'
+};
+
+// Tariff calculation
+const TARIFF = {
+    VOLUME_UNIT: 'm3',
+    MONEY_DECIMALS: 2,
+    VOLUME_DECIMALS: 3 // Litre precision
+};
+
+// Credit policy applied when the balance cannot cover usage
+const CREDIT_POLICY = {
+    TIMEZONE: process.env.FRIENDLY_HOURS_TIMEZONE || 'Asia/Jakarta' // Zone of friendly hours and holidays
+};
+
+// Why usage was allowed to continue
+const SUPPLY_MODE = {
+    BALANCE: 'balance',
+    FRIENDLY_HOURS: 'friendly_hours',
+    HOLIDAY: 'holiday',
+    EMERGENCY_CREDIT: 'emergency_credit'
+};
+
+// Debt recovered from redeemed tokens
+const DEBT = {
+    DEFAULT_RECOVERY_RATE: numberFromEnv(process.env.DEBT_RECOVERY_RATE, 25) // Percent of each token's net amount, 0 recovers nothing
+};
+
+// Cumulative register (totalizer) readings
+const TOTALIZER = {
+    DEFAULT_REGISTER_MAX: parseFloat(process.env.TOTALIZER_REGISTER_MAX) || 100000, // m3 at which the register rolls over to zero
+    ROLLOVER_WINDOW: parseFloat(process.env.TOTALIZER_ROLLOVER_WINDOW) || 0.1 // Fraction of the register near the ends where a drop counts as rollover
+};
+
+// Buffered usage uploaded in one go
+const USAGE_BATCH = {
+    MAX_ENTRIES: parseInt(process.env.USAGE_BATCH_MAX_ENTRIES, 10) || 500
+};
+
+// Device clock checks on timestamped usage reports
+const DEVICE_CLOCK = {
+    SKEW_THRESHOLD: parseInt(process.env.DEVICE_CLOCK_SKEW_THRESHOLD, 10) || 300, // Seconds of skew before a report is flagged
+    SYNC_THRESHOLD: parseInt(process.env.DEVICE_CLOCK_SYNC_THRESHOLD, 10) || 3600, // Seconds behind after which the clock is considered wrong
+    SYNC_INTERVAL: parseInt(process.env.DEVICE_CLOCK_SYNC_INTERVAL, 10) || 600 // Minimum seconds between time-sync commands to one device
+};
+
+// Outcome of each entry of a usage batch
+const USAGE_ENTRY_STATUS = {
+    ACCEPTED: 'accepted',
+    DUPLICATE: 'duplicate',
+    REJECTED: 'rejected',
+    INVALID: 'invalid'
+};
+
+// How a register reading was interpreted
+const READING_KIND = {
+    BASELINE: 'baseline',
+    NORMAL: 'normal',
+    ROLLOVER: 'rollover',
+    RESET: 'reset',
+    REJECTED: 'rejected'
+};
+
+// Periods usage is rolled up into for reporting
+const ROLLUP_GRANULARITY = {
+    HOUR: 'hour',
+    DAY: 'day',
+    WEEK: 'week',
+    MONTH: 'month'
+};
+
+// Organisation-wide reporting settings
+const REPORTING = {
+    TIMEZONE: process.env.REPORTING_TIMEZONE || 'Asia/Jakarta' // Zone of rollup periods and the default for users without their own
+};
+
+const DEBT_STATUS = {
+    OUTSTANDING: 'outstanding',
+    PAID: 'paid',
+    WRITTEN_OFF: 'written_off'
+};
+
+const DEBT_SOURCE = {
+    POSTPAID_BILL: 'postpaid_bill',
+    EMERGENCY_CREDIT: 'emergency_credit',
+    UNPAID_USAGE: 'unpaid_usage',
+    PENALTY: 'penalty',
+    OTHER: 'other'
+};
+
+// Leak and anomaly alerts
+const ALERT_TYPE = {
+    CONTINUOUS_FLOW: 'continuous_flow',
+    NIGHT_FLOW: 'night_flow',
+    USAGE_SPIKE: 'usage_spike'
+};
+
+const ALERT_SEVERITY = {
+    LOW: 'low',
+    MEDIUM: 'medium',
+    HIGH: 'high',
+    CRITICAL: 'critical'
+};
+
+const ALERT_STATUS = {
+    OPEN: 'open',
+    ACKNOWLEDGED: 'acknowledged',
+    RESOLVED: 'resolved'
+};
+
+// Leak detection run on usage ingestion, evaluated on the hourly usage rollups
+const LEAK_DETECTION = {
+    ENABLED: process.env.LEAK_DETECTION_ENABLED !== 'false',
+    CONTINUOUS_FLOW_HOURS: parseInt(process.env.LEAK_CONTINUOUS_FLOW_HOURS, 10) || 24, // Hours of uninterrupted flow that count as a leak
+    NIGHT_START: process.env.LEAK_NIGHT_START || '01:00', // Night window in the organisation time zone
+    NIGHT_END: process.env.LEAK_NIGHT_END || '05:00',
+    NIGHT_FLOW_THRESHOLD: parseFloat(process.env.LEAK_NIGHT_FLOW_THRESHOLD) || 0.01, // m3 per hour never undercut at night
+    SPIKE_FACTOR: parseFloat(process.env.LEAK_SPIKE_FACTOR) || 3, // Daily usage above this multiple of the baseline
+    SPIKE_MIN_VOLUME: parseFloat(process.env.LEAK_SPIKE_MIN_VOLUME) || 0.5, // m3 in the day, ignores jumps on tiny volumes
+    BASELINE_DAYS: parseInt(process.env.LEAK_BASELINE_DAYS, 10) || 14, // Days of history the rolling baseline covers
+    VALVE_CLOSE_SEVERITY: process.env.LEAK_VALVE_CLOSE_SEVERITY || null // Close the valve from this severity up, never when empty
+};
+
+// Daily consumption scored against the device's day-of-week baseline
+const ANOMALY_KIND = {
+    NEAR_ZERO: 'near_zero', // Almost nothing used where the device normally uses water: tampering or a stuck meter
+    SPIKE: 'spike',
+    DROP: 'drop',
+    NORMAL: 'normal'
+};
+
+const ANOMALY_SCORING = {
+    BASELINE_WEEKS: parseInt(process.env.ANOMALY_BASELINE_WEEKS, 10) || 8, // Recent weeks the baseline covers, so it follows the season
+    MIN_SAMPLES: parseInt(process.env.ANOMALY_MIN_SAMPLES, 10) || 3, // Days of the same weekday needed before a day is scored
+    Z_THRESHOLD: parseFloat(process.env.ANOMALY_Z_THRESHOLD) || 3, // Standard deviations from the mean that count as anomalous
+    MIN_STD_DEV: parseFloat(process.env.ANOMALY_MIN_STD_DEV) || 0.05, // m3, keeps very regular devices from scoring huge on small changes
+    NEAR_ZERO_VOLUME: parseFloat(process.env.ANOMALY_NEAR_ZERO_VOLUME) || 0.01, // m3 in a day treated as no use
+    NEAR_ZERO_MIN_MEAN: parseFloat(process.env.ANOMALY_NEAR_ZERO_MIN_MEAN) || 0.1, // m3 a day the device must normally use for near-zero to count
+    INTERVAL_MS: parseInt(process.env.ANOMALY_SCORING_INTERVAL_MS, 10) || 60 * 60 * 1000 // Check every hour whether yesterday was scored
+};
+
+// Itemised charges deducted from a token
+const CHARGE_TYPE = {
+    ADMIN_FEE: 'admin_fee',
+    TAX: 'tax',
+    FIXED_MONTHLY: 'fixed_monthly',
+    METER_RENTAL: 'meter_rental'
 };
 
 // API response status codes
@@ -37,7 +272,63 @@ const STATUS_CODES = {
     FORBIDDEN: 403,
     NOT_FOUND: 404,
     CONFLICT: 409,
-    INTERNAL_ERROR: 500
+    UNPROCESSABLE_ENTITY: 422,
+    INTERNAL_ERROR: 500,
+    SERVICE_UNAVAILABLE: 503
+};
+
+// Spreadsheet exports of the list endpoints
+const EXPORT_FORMAT = {
+    CSV: 'csv',
+    XLSX: 'xlsx'
+};
+
+const EXPORT = {
+    BATCH_SIZE: parseInt(process.env.EXPORT_BATCH_SIZE, 10) || 1000, // Rows read per query while streaming
+    LOCALES: ['en', 'id'], // Languages of the column headers
+    DEFAULT_LOCALE: process.env.EXPORT_LOCALE || 'en'
+};
+
+// Signed device requests
+const DEVICE_AUTH = {
+    REQUIRE_SIGNATURE: process.env.DEVICE_REQUIRE_SIGNATURE !== 'false', // Set to false only while migrating, to let devices without a secret send unsigned requests
+    SECRET_KEY: process.env.DEVICE_SECRET_KEY || '', // Server-side key device signing keys are encrypted with, secrets cannot be issued without it
+    SIGNATURE_WINDOW: parseInt(process.env.DEVICE_SIGNATURE_WINDOW, 10) || 300, // Seconds a signed request stays valid, nonces are kept as long
+    SECRET_BYTES: 32,
+    NONCE_PURGE_INTERVAL_MS: parseInt(process.env.DEVICE_NONCE_PURGE_INTERVAL_MS, 10) || 10 * 60 * 1000
+};
+
+// Self-registration of factory-flashed meters
+const DEVICE_PROVISIONING = {
+    FACTORY_KEY: process.env.DEVICE_FACTORY_KEY || '', // Factory codes are HMAC-SHA256(key, serial), provisioning is off without it
+    CLAIM_CODE_LENGTH: 8,
+    CLAIM_CODE_ALPHABET: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789', // No 0/O or 1/I, the code is read off the meter
+    CLAIM_CODE_TTL_HOURS: parseInt(process.env.DEVICE_CLAIM_CODE_TTL_HOURS, 10) || 72,
+    CLAIM_MAX_ATTEMPTS: parseInt(process.env.DEVICE_CLAIM_MAX_ATTEMPTS, 10) || 5 // Claims with a wrong code before the code stops working
+};
+
+// Device shadow: configuration the backend wants next to what the meter last reported
+const DEVICE_SHADOW = {
+    FIELDS: ['reportingInterval', 'valveState', 'tariffDisplay', 'thresholds'],
+    VALVE_STATES: ['open', 'closed'],
+    MIN_REPORTING_INTERVAL: 10, // Seconds
+    OFFLINE_AFTER: parseInt(process.env.DEVICE_OFFLINE_AFTER, 10) || 300 // Seconds without a heartbeat after which the next one counts as a reconnect
+};
+
+// Lifecycle of a command queued for a device
+const COMMAND_STATUS = {
+    PENDING: 'pending', // Not delivered yet, the device is offline or MQTT is down
+    SENT: 'sent', // Published, waiting for the device to acknowledge it
+    ACKNOWLEDGED: 'acknowledged',
+    FAILED: 'failed', // The device reported an error or never acknowledged it
+    EXPIRED: 'expired' // Not acknowledged before it expired
+};
+
+const DEVICE_COMMAND = {
+    TTL: parseInt(process.env.DEVICE_COMMAND_TTL, 10) || 24 * 60 * 60, // Seconds a command stays deliverable
+    ACK_TIMEOUT: parseInt(process.env.DEVICE_COMMAND_ACK_TIMEOUT, 10) || 60, // Seconds after which an unacknowledged command is sent again
+    MAX_ATTEMPTS: parseInt(process.env.DEVICE_COMMAND_MAX_ATTEMPTS, 10) || 5, // Deliveries before an unacknowledged command fails
+    SWEEP_INTERVAL_MS: parseInt(process.env.DEVICE_COMMAND_SWEEP_INTERVAL_MS, 10) || 5 * 60 * 1000
 };
 
 // Pagination defaults
@@ -50,6 +341,42 @@ module.exports = {
     ROLES,
     ROLE_PERMISSIONS,
     TOKEN_STATUS,
+    TOKEN_REVERSAL_TYPE,
+    TOKEN_FORMAT,
+    TOKEN_EXPIRY,
+    TOKEN_BATCH,
+    LEDGER_ENTRY_TYPE,
+    LEDGER_REFERENCE_TYPE,
+    ADJUSTMENT_STATUS,
+    ADJUSTMENT_REASON,
+    CUSTOMER_CLASS,
+    TARIFF,
+    CHARGE_TYPE,
+    CREDIT_POLICY,
+    SUPPLY_MODE,
+    DEBT,
+    TOTALIZER,
+    READING_KIND,
+    ROLLUP_GRANULARITY,
+    REPORTING,
+    USAGE_BATCH,
+    DEVICE_CLOCK,
+    USAGE_ENTRY_STATUS,
+    DEBT_STATUS,
+    DEBT_SOURCE,
+    ALERT_TYPE,
+    ALERT_SEVERITY,
+    ALERT_STATUS,
+    LEAK_DETECTION,
+    ANOMALY_KIND,
+    ANOMALY_SCORING,
     STATUS_CODES,
-    PAGINATION
+    PAGINATION,
+    EXPORT_FORMAT,
+    EXPORT,
+    DEVICE_AUTH,
+    DEVICE_PROVISIONING,
+    DEVICE_SHADOW,
+    COMMAND_STATUS,
+    DEVICE_COMMAND
 };
\ No newline at end of file
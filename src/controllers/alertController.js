@@ -0,0 +1,220 @@
+// src/controllers/alertController.js
+const alertService = require('../services/alertService');
+const {
+    success,
+    paginate
+} = require('../utils/response');
+const {
+    STATUS_CODES
+} = require('../config/constants');
+const {
+    getPaginationParams
+} = require('../utils/helpers');
+const {
+    logger
+} = require('../utils/logger');
+
+/**
+ * @swagger
+ * /alerts:
+ *   get:
+ *     summary: Get leak and anomaly alerts
+ *     description: Alerts are raised while usage is ingested. Non-admin users only see alerts of their own devices.
+ *     tags: [Alerts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *         description: Filter by device ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, acknowledged, resolved]
+ *         description: Filter by status
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, critical]
+ *         description: Filter by severity
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [continuous_flow, night_flow, usage_spike]
+ *         description: Filter by type
+ *     responses:
+ *       200:
+ *         description: List of alerts
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getAllAlerts = async (req, res, next) => {
+    try {
+        const result = await alertService.getAllAlerts({
+            ...getPaginationParams(req),
+            deviceId: req.query.deviceId,
+            status: req.query.status,
+            severity: req.query.severity,
+            type: req.query.type
+        }, req.user.id, req.user.role);
+
+        return paginate(
+            res,
+            result.alerts,
+            result.meta.total,
+            result.meta.page,
+            result.meta.limit,
+            'Alerts retrieved successfully'
+        );
+    } catch (err) {
+        logger.error(`Error getting alerts: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /alerts/{id}:
+ *   get:
+ *     summary: Get an alert and the measurements that raised it
+ *     tags: [Alerts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert ID
+ *     responses:
+ *       200:
+ *         description: Alert details
+ *       404:
+ *         description: Alert not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getAlertById = async (req, res, next) => {
+    try {
+        const alert = await alertService.getAlertById(req.params.id, req.user.id, req.user.role);
+        return success(res, STATUS_CODES.SUCCESS, 'Alert retrieved successfully', alert);
+    } catch (err) {
+        logger.error(`Error getting alert: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /alerts/{id}/acknowledge:
+ *   post:
+ *     summary: Acknowledge an open alert
+ *     tags: [Alerts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert ID
+ *     responses:
+ *       200:
+ *         description: Alert acknowledged successfully
+ *       404:
+ *         description: Alert not found
+ *       409:
+ *         description: Alert is already acknowledged or resolved
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const acknowledgeAlert = async (req, res, next) => {
+    try {
+        const alert = await alertService.acknowledgeAlert(req.params.id, req.user.id, req.user.role);
+        return success(res, STATUS_CODES.SUCCESS, 'Alert acknowledged successfully', alert);
+    } catch (err) {
+        logger.error(`Error acknowledging alert: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /alerts/{id}/resolve:
+ *   post:
+ *     summary: Resolve an alert
+ *     description: Usage logged before the resolution does not raise an alert of the same type again.
+ *     tags: [Alerts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resolution:
+ *                 type: string
+ *                 description: What was done about the alert
+ *     responses:
+ *       200:
+ *         description: Alert resolved successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Alert not found
+ *       409:
+ *         description: Alert is already resolved
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const resolveAlert = async (req, res, next) => {
+    try {
+        const alert = await alertService.resolveAlert(req.params.id, req.body.resolution, req.user.id, req.user.role);
+        return success(res, STATUS_CODES.SUCCESS, 'Alert resolved successfully', alert);
+    } catch (err) {
+        logger.error(`Error resolving alert: ${err.message}`);
+        return next(err);
+    }
+};
+
+module.exports = {
+    getAllAlerts,
+    getAlertById,
+    acknowledgeAlert,
+    resolveAlert
+};
@@ -1,5 +1,7 @@
 // src/controllers/balanceController.js
 const balanceService = require('../services/balanceService');
+const ledgerService = require('../services/ledgerService');
+const balanceAdjustmentService = require('../services/balanceAdjustmentService');
 const {
     success,
     error,
@@ -9,8 +11,13 @@ const {
     STATUS_CODES
 } = require('../config/constants');
 const {
-    getPaginationParams
+    getPaginationParams,
+    getTimeZone,
+    getLocale
 } = require('../utils/helpers');
+const {
+    streamExport
+} = require('../utils/dataExport');
 const {
     logger
 } = require('../utils/logger');
@@ -48,9 +55,28 @@ const {
  *           type: number
  *           format: float
  *         description: Maximum balance filter
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *         description: Download every matching balance as a spreadsheet instead of a page of JSON
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, id]
+ *         description: Language of the export column headers (default from Accept-Language, else EXPORT_LOCALE)
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *         description: IANA time zone of the export date columns (default the user's zone, else REPORTING_TIMEZONE)
  *     responses:
  *       200:
- *         description: List of balances
+ *         description: List of balances, or a CSV/XLSX download when format is given
+ *       400:
+ *         description: Invalid format or time zone
  *       401:
  *         description: Unauthorized
  *       500:
@@ -64,6 +90,19 @@ const getAllBalances = async (req, res, next) => {
             maxBalance: req.query.maxBalance
         };
 
+        // Spreadsheet download of every match instead of a page
+        if (req.query.format) {
+            const where = balanceService.buildBalanceFilter(options, req.user.id, req.user.role);
+
+            return await streamExport(res, {
+                format: req.query.format,
+                name: 'balances',
+                locale: getLocale(req),
+                timeZone: getTimeZone(req),
+                fetchBatch: (cursor, take) => balanceService.getBalanceExportBatch(where, cursor, take)
+            });
+        }
+
         const result = await balanceService.getAllBalances(
             options,
             req.user.id,
@@ -180,7 +219,8 @@ const checkDeviceBalance = async (req, res, next) => {
  * @swagger
  * /balances/update:
  *   post:
- *     summary: Update balance for a device
+ *     summary: Submit a manual balance adjustment for approval
+ *     description: Kept for backwards compatibility, same as POST /balances/adjustments. The balance is only changed once an administrator approves the adjustment.
  *     tags: [Balances]
  *     security:
  *       - BearerAuth: []
@@ -189,20 +229,65 @@ const checkDeviceBalance = async (req, res, next) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - deviceId
- *               - amount
- *             properties:
- *               deviceId:
- *                 type: string
- *               amount:
- *                 type: number
- *                 format: float
- *                 description: Positive or negative amount to update
+ *             $ref: '#/components/schemas/BalanceAdjustmentRequest'
  *     responses:
- *       200:
- *         description: Balance updated successfully
+ *       201:
+ *         description: Balance adjustment submitted for approval
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Device not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BalanceAdjustmentRequest:
+ *       type: object
+ *       required:
+ *         - deviceId
+ *         - amount
+ *         - reasonCode
+ *         - note
+ *       properties:
+ *         deviceId:
+ *           type: string
+ *         amount:
+ *           type: number
+ *           format: float
+ *           description: Positive or negative amount to apply once approved
+ *         reasonCode:
+ *           type: string
+ *           enum: [meter_fault, billing_error, goodwill, token_issue, migration, other]
+ *         note:
+ *           type: string
+ *           description: Justification for the adjustment
+ */
+
+/**
+ * @swagger
+ * /balances/adjustments:
+ *   post:
+ *     summary: Submit a manual balance adjustment for approval
+ *     tags: [Balances]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BalanceAdjustmentRequest'
+ *     responses:
+ *       201:
+ *         description: Balance adjustment submitted for approval
  *       400:
  *         description: Validation error
  *       404:
@@ -214,110 +299,269 @@ const checkDeviceBalance = async (req, res, next) => {
  *       500:
  *         description: Server error
  */
-const updateBalance = async (req, res, next) => {
+const submitAdjustment = async (req, res, next) => {
     try {
-        const {
-            deviceId,
-            amount
-        } = req.body;
+        const adjustment = await balanceAdjustmentService.submitAdjustment(
+            req.body,
+            req.user.id,
+            req.user.role
+        );
 
-        if (!deviceId || amount === undefined) {
-            return error(res, STATUS_CODES.BAD_REQUEST, 'Device ID and amount are required');
-        }
+        return success(res, STATUS_CODES.CREATED, 'Balance adjustment submitted for approval', adjustment);
+    } catch (err) {
+        logger.error(`Error submitting balance adjustment: ${err.message}`);
+        return next(err);
+    }
+};
 
-        if (isNaN(parseFloat(amount))) {
-            return error(res, STATUS_CODES.BAD_REQUEST, 'Amount must be a number');
-        }
+/**
+ * @swagger
+ * /balances/adjustments:
+ *   get:
+ *     summary: Get pending and historical balance adjustments
+ *     tags: [Balances]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         description: Filter by status
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *         description: Filter by device ID
+ *       - in: query
+ *         name: reasonCode
+ *         schema:
+ *           type: string
+ *           enum: [meter_fault, billing_error, goodwill, token_issue, migration, other]
+ *         description: Filter by reason code
+ *       - in: query
+ *         name: requestedById
+ *         schema:
+ *           type: string
+ *         description: Filter by requesting user ID
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Filter by start date (ISO 8601 format)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Filter by end date (ISO 8601 format)
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *         description: IANA time zone for plain dates and periods, e.g. Asia/Jakarta (default the user's zone, else REPORTING_TIMEZONE)
+ *     responses:
+ *       200:
+ *         description: List of balance adjustments
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getAllAdjustments = async (req, res, next) => {
+    try {
+        const options = {
+            ...getPaginationParams(req),
+            status: req.query.status,
+            deviceId: req.query.deviceId,
+            reasonCode: req.query.reasonCode,
+            requestedById: req.query.requestedById,
+            startDate: req.query.startDate,
+            endDate: req.query.endDate,
+            timeZone: getTimeZone(req)
+        };
 
-        const balance = await balanceService.updateBalance(
-            deviceId,
-            parseFloat(amount),
+        const result = await balanceAdjustmentService.getAllAdjustments(
+            options,
             req.user.id,
             req.user.role
         );
 
-        return success(res, STATUS_CODES.SUCCESS, 'Balance updated successfully', balance);
+        return paginate(
+            res,
+            result.adjustments,
+            result.meta.total,
+            result.meta.page,
+            result.meta.limit,
+            'Balance adjustments retrieved successfully'
+        );
     } catch (err) {
-        logger.error(`Error updating balance: ${err.message}`);
+        logger.error(`Error getting balance adjustments: ${err.message}`);
         return next(err);
     }
 };
 
 /**
  * @swagger
- * /balances/{deviceId}:
- *   patch:
- *     summary: Partially update device balance
+ * /balances/adjustments/{id}:
+ *   get:
+ *     summary: Get balance adjustment by ID
  *     tags: [Balances]
  *     security:
  *       - BearerAuth: []
  *     parameters:
  *       - in: path
- *         name: deviceId
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Device ID
+ *         description: Adjustment ID
+ *     responses:
+ *       200:
+ *         description: Balance adjustment details
+ *       404:
+ *         description: Balance adjustment not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getAdjustmentById = async (req, res, next) => {
+    try {
+        const adjustment = await balanceAdjustmentService.getAdjustmentById(
+            req.params.id,
+            req.user.id,
+            req.user.role
+        );
+        return success(res, STATUS_CODES.SUCCESS, 'Balance adjustment retrieved successfully', adjustment);
+    } catch (err) {
+        logger.error(`Error getting balance adjustment: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /balances/adjustments/{id}/approve:
+ *   post:
+ *     summary: Approve a pending balance adjustment and apply it (admin only)
+ *     description: The reviewer must be a different user from the one who submitted the adjustment.
+ *     tags: [Balances]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Adjustment ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Optional review note
+ *     responses:
+ *       200:
+ *         description: Balance adjustment approved and applied
+ *       404:
+ *         description: Balance adjustment not found
+ *       409:
+ *         description: Balance adjustment already reviewed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role and a different user than the requester
+ *       500:
+ *         description: Server error
+ */
+const approveAdjustment = async (req, res, next) => {
+    try {
+        const adjustment = await balanceAdjustmentService.approveAdjustment(
+            req.params.id,
+            req.body.note,
+            req.user.id,
+            req.user.role
+        );
+        return success(res, STATUS_CODES.SUCCESS, 'Balance adjustment approved successfully', adjustment);
+    } catch (err) {
+        logger.error(`Error approving balance adjustment: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /balances/adjustments/{id}/reject:
+ *   post:
+ *     summary: Reject a pending balance adjustment (admin only)
+ *     tags: [Balances]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Adjustment ID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - note
  *             properties:
- *               amount:
- *                 type: number
- *                 format: float
- *                 description: Amount to add (positive) or subtract (negative)
- *               lastToken:
+ *               note:
  *                 type: string
- *                 description: Last token used (optional)
+ *                 description: Reason for rejection
  *     responses:
  *       200:
- *         description: Balance partially updated successfully
+ *         description: Balance adjustment rejected
  *       400:
- *         description: Validation error or no fields to update
+ *         description: Validation error
+ *       404:
+ *         description: Balance adjustment not found
+ *       409:
+ *         description: Balance adjustment already reviewed
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - no permission to update this balance
- *       404:
- *         description: Device or balance not found
+ *         description: Forbidden - requires admin role and a different user than the requester
  *       500:
  *         description: Server error
  */
-const updateBalancePartial = async (req, res, next) => {
+const rejectAdjustment = async (req, res, next) => {
     try {
-        const deviceId = req.params.deviceId;
-        const updateData = {};
-
-        // Only process fields that are explicitly sent
-        if (req.body.amount !== undefined) {
-            if (isNaN(parseFloat(req.body.amount))) {
-                return error(res, STATUS_CODES.BAD_REQUEST, 'Amount must be a number');
-            }
-            updateData.amount = parseFloat(req.body.amount);
-        }
-
-        if (req.body.lastToken !== undefined) {
-            updateData.lastToken = req.body.lastToken;
-        }
-
-        // Don't proceed if no fields to update
-        if (Object.keys(updateData).length === 0) {
-            return error(res, STATUS_CODES.BAD_REQUEST, 'No valid fields to update provided');
-        }
-
-        const balance = await balanceService.updateBalancePartial(
-            deviceId,
-            updateData,
+        const adjustment = await balanceAdjustmentService.rejectAdjustment(
+            req.params.id,
+            req.body.note,
             req.user.id,
             req.user.role
         );
-
-        return success(res, STATUS_CODES.SUCCESS, 'Balance partially updated successfully', balance);
+        return success(res, STATUS_CODES.SUCCESS, 'Balance adjustment rejected successfully', adjustment);
     } catch (err) {
-        logger.error(`Error partially updating balance: ${err.message}`);
+        logger.error(`Error rejecting balance adjustment: ${err.message}`);
         return next(err);
     }
 };
@@ -330,9 +574,17 @@ const updateBalancePartial = async (req, res, next) => {
  *     tags: [Balances]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *         description: IANA time zone whose days the average daily usage is counted in (default the user's zone, else REPORTING_TIMEZONE)
  *     responses:
  *       200:
  *         description: Balance statistics
+ *       400:
+ *         description: Unknown time zone
  *       401:
  *         description: Unauthorized
  *       500:
@@ -342,7 +594,9 @@ const getBalanceStats = async (req, res, next) => {
     try {
         const stats = await balanceService.getBalanceStats(
             req.user.id,
-            req.user.role
+            req.user.role, {
+                timeZone: getTimeZone(req)
+            }
         );
         return success(res, STATUS_CODES.SUCCESS, 'Balance stats retrieved successfully', stats);
     } catch (err) {
@@ -351,11 +605,142 @@ const getBalanceStats = async (req, res, next) => {
     }
 };
 
+/**
+ * @swagger
+ * /balances/device/{deviceId}/transactions:
+ *   get:
+ *     summary: Get the balance ledger of a device
+ *     tags: [Balances]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Device ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [credit, debit, adjustment, refund, reversal]
+ *         description: Filter by entry type
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Filter by start date (ISO 8601 format)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Filter by end date (ISO 8601 format)
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *         description: IANA time zone for plain dates and periods, e.g. Asia/Jakarta (default the user's zone, else REPORTING_TIMEZONE)
+ *     responses:
+ *       200:
+ *         description: Ledger entries with balance before and after each entry
+ *       404:
+ *         description: Device not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getDeviceLedger = async (req, res, next) => {
+    try {
+        const options = {
+            ...getPaginationParams(req),
+            type: req.query.type,
+            startDate: req.query.startDate,
+            endDate: req.query.endDate,
+            timeZone: getTimeZone(req)
+        };
+
+        const result = await ledgerService.getDeviceLedger(
+            req.params.deviceId,
+            options,
+            req.user.id,
+            req.user.role
+        );
+
+        return paginate(
+            res,
+            result.transactions,
+            result.meta.total,
+            result.meta.page,
+            result.meta.limit,
+            'Balance transactions retrieved successfully'
+        );
+    } catch (err) {
+        logger.error(`Error getting balance transactions: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /balances/device/{deviceId}/rebuild:
+ *   post:
+ *     summary: Rebuild the cached balance of a device from its ledger (admin only)
+ *     tags: [Balances]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Device ID
+ *     responses:
+ *       200:
+ *         description: Balance rebuilt successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       500:
+ *         description: Server error
+ */
+const rebuildBalance = async (req, res, next) => {
+    try {
+        const result = await ledgerService.rebuildBalance(req.params.deviceId);
+        return success(res, STATUS_CODES.SUCCESS, 'Balance rebuilt successfully', result);
+    } catch (err) {
+        logger.error(`Error rebuilding balance: ${err.message}`);
+        return next(err);
+    }
+};
+
 module.exports = {
     getAllBalances,
     getBalanceByDevice,
     checkDeviceBalance,
-    updateBalance,
-    updateBalancePartial,
-    getBalanceStats
+    submitAdjustment,
+    getAllAdjustments,
+    getAdjustmentById,
+    approveAdjustment,
+    rejectAdjustment,
+    getBalanceStats,
+    getDeviceLedger,
+    rebuildBalance
 };
\ No newline at end of file
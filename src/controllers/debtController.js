@@ -0,0 +1,233 @@
+// src/controllers/debtController.js
+const debtService = require('../services/debtService');
+const {
+    success,
+    paginate
+} = require('../utils/response');
+const {
+    STATUS_CODES
+} = require('../config/constants');
+const {
+    getPaginationParams
+} = require('../utils/helpers');
+const {
+    logger
+} = require('../utils/logger');
+
+/**
+ * @swagger
+ * /debts:
+ *   get:
+ *     summary: Get debts
+ *     description: Non-admin users only see debts of their own devices.
+ *     tags: [Debts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *         description: Filter by device ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [outstanding, paid, written_off]
+ *         description: Filter by status
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [postpaid_bill, emergency_credit, unpaid_usage, penalty, other]
+ *         description: Filter by source
+ *     responses:
+ *       200:
+ *         description: List of debts
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getAllDebts = async (req, res, next) => {
+    try {
+        const result = await debtService.getAllDebts({
+            ...getPaginationParams(req),
+            deviceId: req.query.deviceId,
+            status: req.query.status,
+            source: req.query.source
+        }, req.user.id, req.user.role);
+
+        return paginate(
+            res,
+            result.debts,
+            result.meta.total,
+            result.meta.page,
+            result.meta.limit,
+            'Debts retrieved successfully'
+        );
+    } catch (err) {
+        logger.error(`Error getting debts: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /debts/{id}:
+ *   get:
+ *     summary: Get a debt and its repayments
+ *     tags: [Debts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Debt ID
+ *     responses:
+ *       200:
+ *         description: Debt details
+ *       404:
+ *         description: Debt not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getDebtById = async (req, res, next) => {
+    try {
+        const debt = await debtService.getDebtById(req.params.id, req.user.id, req.user.role);
+        return success(res, STATUS_CODES.SUCCESS, 'Debt retrieved successfully', debt);
+    } catch (err) {
+        logger.error(`Error getting debt: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /debts:
+ *   post:
+ *     summary: Record a debt against a device (admin only)
+ *     description: Outstanding debt is recovered automatically from a percentage of every token redeemed on the device, oldest debt first.
+ *     tags: [Debts]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - deviceId
+ *               - amount
+ *             properties:
+ *               deviceId:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *                 format: float
+ *               source:
+ *                 type: string
+ *                 enum: [postpaid_bill, emergency_credit, unpaid_usage, penalty, other]
+ *                 default: other
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Debt recorded successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Device not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+const createDebt = async (req, res, next) => {
+    try {
+        const debt = await debtService.createDebt(req.body, req.user.id);
+        return success(res, STATUS_CODES.CREATED, 'Debt recorded successfully', debt);
+    } catch (err) {
+        logger.error(`Error recording debt: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /debts/{id}/write-off:
+ *   post:
+ *     summary: Write off the outstanding part of a debt (admin only)
+ *     tags: [Debts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Debt ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Debt written off successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Debt not found
+ *       409:
+ *         description: Debt is already paid or written off
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+const writeOffDebt = async (req, res, next) => {
+    try {
+        const debt = await debtService.writeOffDebt(req.params.id, req.body.reason, req.user.id, req.user.role);
+        return success(res, STATUS_CODES.SUCCESS, 'Debt written off successfully', debt);
+    } catch (err) {
+        logger.error(`Error writing off debt: ${err.message}`);
+        return next(err);
+    }
+};
+
+module.exports = {
+    getAllDebts,
+    getDebtById,
+    createDebt,
+    writeOffDebt
+};
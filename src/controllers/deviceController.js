@@ -1,5 +1,10 @@
 // src/controllers/deviceController.js
 const deviceService = require('../services/deviceService');
+const meterReplacementService = require('../services/meterReplacementService');
+const deviceAuthService = require('../services/deviceAuthService');
+const provisioningService = require('../services/provisioningService');
+const shadowService = require('../services/shadowService');
+const mqttService = require('../services/mqttService');
 const {
     success,
     error,
@@ -9,11 +14,20 @@ const {
     STATUS_CODES
 } = require('../config/constants');
 const {
-    getPaginationParams
+    getPaginationParams,
+    getTimeZone,
+    getLocale
 } = require('../utils/helpers');
+const {
+    streamExport
+} = require('../utils/dataExport');
 const {
     logger
 } = require('../utils/logger');
+const {
+    SECURITY_EVENT,
+    logSecurityEvent
+} = require('../utils/securityAudit');
 
 /**
  * @swagger
@@ -46,9 +60,28 @@ const {
  *         schema:
  *           type: boolean
  *         description: Filter by status (true/false)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *         description: Download every matching device as a spreadsheet instead of a page of JSON
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, id]
+ *         description: Language of the export column headers (default from Accept-Language, else EXPORT_LOCALE)
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *         description: IANA time zone of the export date columns (default the user's zone, else REPORTING_TIMEZONE)
  *     responses:
  *       200:
- *         description: List of devices
+ *         description: List of devices, or a CSV/XLSX download when format is given
+ *       400:
+ *         description: Invalid format or time zone
  *       401:
  *         description: Unauthorized
  *       500:
@@ -62,6 +95,19 @@ const getAllDevices = async (req, res, next) => {
             status: req.query.status
         };
 
+        // Spreadsheet download of every match instead of a page
+        if (req.query.format) {
+            const where = deviceService.buildDeviceFilter(options, req.user.id, req.user.role);
+
+            return await streamExport(res, {
+                format: req.query.format,
+                name: 'devices',
+                locale: getLocale(req),
+                timeZone: getTimeZone(req),
+                fetchBatch: (cursor, take) => deviceService.getDeviceExportBatch(where, cursor, take)
+            });
+        }
+
         const result = await deviceService.getAllDevices(
             options,
             req.user.id,
@@ -145,9 +191,12 @@ const getDeviceById = async (req, res, next) => {
  *               userId:
  *                 type: string
  *                 description: Required for admins creating device for other users
+ *               tariffId:
+ *                 type: string
+ *                 description: Tariff used to price usage and tokens (admin only)
  *     responses:
  *       201:
- *         description: Device created successfully
+ *         description: Device created successfully. The response carries the device secret, which is not shown again.
  *       400:
  *         description: Validation error
  *       409:
@@ -199,6 +248,36 @@ const createDevice = async (req, res, next) => {
  *                 type: string
  *               status:
  *                 type: boolean
+ *               tariffId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Tariff used to price usage and tokens, null to remove (admin only)
+ *               emergencyCreditLimit:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Override of the tariff emergency credit limit, null to inherit (admin only)
+ *               friendlyHoursStart:
+ *                 type: string
+ *                 nullable: true
+ *                 example: '18:00'
+ *                 description: Override of the tariff friendly hours start, null to inherit (admin only)
+ *               friendlyHoursEnd:
+ *                 type: string
+ *                 nullable: true
+ *                 example: '07:00'
+ *                 description: Override of the tariff friendly hours end, null to inherit (admin only)
+ *               friendlyOnHolidays:
+ *                 type: boolean
+ *                 nullable: true
+ *                 description: Override of the tariff holiday setting, null to inherit (admin only)
+ *               debtRecoveryRate:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Override of the tariff debt recovery percentage, null to inherit (admin only)
+ *               registerMax:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Capacity (m3) of a cumulative register before it rolls over, null for the default
  *     responses:
  *       200:
  *         description: Device updated successfully
@@ -258,6 +337,36 @@ const updateDevice = async (req, res, next) => {
  *               status:
  *                 type: boolean
  *                 description: Device status (active/inactive)
+ *               tariffId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Tariff used to price usage and tokens, null to remove (admin only)
+ *               emergencyCreditLimit:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Override of the tariff emergency credit limit, null to inherit (admin only)
+ *               friendlyHoursStart:
+ *                 type: string
+ *                 nullable: true
+ *                 example: '18:00'
+ *                 description: Override of the tariff friendly hours start, null to inherit (admin only)
+ *               friendlyHoursEnd:
+ *                 type: string
+ *                 nullable: true
+ *                 example: '07:00'
+ *                 description: Override of the tariff friendly hours end, null to inherit (admin only)
+ *               friendlyOnHolidays:
+ *                 type: boolean
+ *                 nullable: true
+ *                 description: Override of the tariff holiday setting, null to inherit (admin only)
+ *               debtRecoveryRate:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Override of the tariff debt recovery percentage, null to inherit (admin only)
+ *               registerMax:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Capacity (m3) of a cumulative register before it rolls over, null for the default
  *     responses:
  *       200:
  *         description: Device partially updated successfully
@@ -278,7 +387,17 @@ const updateDevicePartial = async (req, res, next) => {
     try {
         // Only update fields that are explicitly sent in the request
         const updateData = {};
-        const allowedFields = ['deviceKey', 'status'];
+        const allowedFields = [
+            'deviceKey',
+            'status',
+            'tariffId',
+            'emergencyCreditLimit',
+            'friendlyHoursStart',
+            'friendlyHoursEnd',
+            'friendlyOnHolidays',
+            'debtRecoveryRate',
+            'registerMax'
+        ];
 
         allowedFields.forEach(field => {
             if (req.body[field] !== undefined) {
@@ -346,6 +465,413 @@ const deleteDevice = async (req, res, next) => {
     }
 };
 
+/**
+ * @swagger
+ * /devices/{id}/replace:
+ *   post:
+ *     summary: Replace a meter
+ *     description: |
+ *       Creates the replacement device and carries the owner, tariff, credit policy overrides, balance,
+ *       unused tokens and outstanding debt over to it. The old device is decommissioned and linked to the
+ *       new one, so usage reports and monthly tariff tiers continue across the swap.
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the device being replaced
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - deviceKey
+ *             properties:
+ *               deviceKey:
+ *                 type: string
+ *                 description: Device key of the new meter
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Meter replaced successfully. The response carries the new meter's secret, which is not shown again.
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Device not found
+ *       409:
+ *         description: Device already decommissioned or device key already exists
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+const replaceDevice = async (req, res, next) => {
+    try {
+        const replacement = await meterReplacementService.replaceMeter(
+            req.params.id,
+            req.body,
+            req.user.id,
+            req.user.role
+        );
+        return success(res, STATUS_CODES.CREATED, 'Meter replaced successfully', replacement);
+    } catch (err) {
+        logger.error(`Error replacing meter: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /devices/{id}/replacements:
+ *   get:
+ *     summary: Get the replacement history of a device
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Device ID
+ *     responses:
+ *       200:
+ *         description: Meters the device replaced and the meter that replaced it
+ *       404:
+ *         description: Device not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getDeviceReplacements = async (req, res, next) => {
+    try {
+        const history = await meterReplacementService.getReplacementHistory(
+            req.params.id,
+            req.user.id,
+            req.user.role
+        );
+        return success(res, STATUS_CODES.SUCCESS, 'Replacement history retrieved successfully', history);
+    } catch (err) {
+        logger.error(`Error getting replacement history: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /devices/{id}/secret:
+ *   post:
+ *     summary: Issue a new device secret
+ *     description: |
+ *       Replaces the secret the device signs its requests with. The new secret is only returned in this
+ *       response; requests signed with the old one are rejected from now on.
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Device ID
+ *     responses:
+ *       200:
+ *         description: Secret rotated successfully
+ *       404:
+ *         description: Device not found
+ *       409:
+ *         description: Device has been decommissioned
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       500:
+ *         description: Server error
+ */
+const rotateDeviceSecret = async (req, res, next) => {
+    try {
+        const result = await deviceAuthService.rotateDeviceSecret(
+            req.params.id,
+            req.user.id,
+            req.user.role
+        );
+
+        await logSecurityEvent({
+            type: SECURITY_EVENT.ADMIN_ACTION,
+            userId: req.user.id,
+            resourceType: 'device',
+            resourceId: result.deviceId,
+            action: 'rotate_secret',
+            ipAddress: req.ip,
+            metadata: {
+                userAgent: req.headers['user-agent']
+            }
+        });
+
+        return success(res, STATUS_CODES.SUCCESS, 'Device secret rotated successfully', result);
+    } catch (err) {
+        logger.error(`Error rotating device secret: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /devices/{id}/shadow:
+ *   get:
+ *     summary: Get the shadow of a device
+ *     description: The configuration the backend wants the meter to apply (desired), the configuration it last reported (reported) and what it still has to apply (delta).
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Device ID
+ *     responses:
+ *       200:
+ *         description: Device shadow
+ *       404:
+ *         description: Device not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getDeviceShadow = async (req, res, next) => {
+    try {
+        const shadow = await shadowService.getDeviceShadow(req.params.id, req.user.id, req.user.role);
+        return success(res, STATUS_CODES.SUCCESS, 'Device shadow retrieved successfully', shadow);
+    } catch (err) {
+        logger.error(`Error getting device shadow: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /devices/{id}/shadow:
+ *   patch:
+ *     summary: Change the desired configuration of a device
+ *     description: |
+ *       The changes are merged into the desired state; null removes a setting. The delta is published on
+ *       water-meter/{deviceKey}/shadow/delta right away and again when the device reconnects.
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Device ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - desired
+ *             properties:
+ *               desired:
+ *                 type: object
+ *                 properties:
+ *                   reportingInterval:
+ *                     type: integer
+ *                     nullable: true
+ *                     description: Seconds between usage reports
+ *                   valveState:
+ *                     type: string
+ *                     nullable: true
+ *                     enum: [open, closed]
+ *                   tariffDisplay:
+ *                     type: boolean
+ *                     nullable: true
+ *                     description: Show the tariff on the meter display
+ *                   thresholds:
+ *                     type: object
+ *                     nullable: true
+ *                     additionalProperties:
+ *                       type: number
+ *                       nullable: true
+ *                     description: Named thresholds the meter acts on, e.g. lowBalance
+ *               version:
+ *                 type: integer
+ *                 description: Shadow version the changes are based on; rejected with 409 when the shadow has changed since
+ *     responses:
+ *       200:
+ *         description: Desired state changed successfully, with whether the delta was published
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Device not found
+ *       409:
+ *         description: Shadow has changed since the given version, or the device is decommissioned
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       500:
+ *         description: Server error
+ */
+const updateDeviceShadow = async (req, res, next) => {
+    try {
+        const shadow = await shadowService.updateDesiredState(req.params.id, req.body, req.user.id, req.user.role);
+
+        // An offline device gets the delta when it reconnects
+        const published = mqttService.publishShadowDelta(shadow);
+
+        return success(res, STATUS_CODES.SUCCESS, 'Device shadow updated successfully', {
+            ...shadow,
+            published
+        });
+    } catch (err) {
+        logger.error(`Error updating device shadow: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /devices/unclaimed:
+ *   get:
+ *     summary: Get self-registered meters waiting to be claimed
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for device key
+ *     responses:
+ *       200:
+ *         description: Unclaimed devices, with when their claim code expires
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires staff or admin role
+ *       500:
+ *         description: Server error
+ */
+const getUnclaimedDevices = async (req, res, next) => {
+    try {
+        const result = await provisioningService.getUnclaimedDevices({
+            ...getPaginationParams(req),
+            search: req.query.search
+        });
+
+        return paginate(
+            res,
+            result.devices,
+            result.meta.total,
+            result.meta.page,
+            result.meta.limit,
+            'Unclaimed devices retrieved successfully'
+        );
+    } catch (err) {
+        logger.error(`Error getting unclaimed devices: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /devices/claim:
+ *   post:
+ *     summary: Claim a self-registered meter into a customer account
+ *     description: The claim code is shown by the meter after it provisions and can be used once. The meter is activated.
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - deviceKey
+ *               - claimCode
+ *               - userId
+ *             properties:
+ *               deviceKey:
+ *                 type: string
+ *               claimCode:
+ *                 type: string
+ *               userId:
+ *                 type: string
+ *                 description: Customer account the meter is claimed into
+ *     responses:
+ *       200:
+ *         description: Device claimed successfully
+ *       400:
+ *         description: Validation error or invalid claim code
+ *       404:
+ *         description: Unclaimed device or user not found
+ *       409:
+ *         description: Claim code has expired or the device was claimed by another request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires staff or admin role
+ *       500:
+ *         description: Server error
+ */
+const claimDevice = async (req, res, next) => {
+    try {
+        const device = await provisioningService.claimDevice(req.body, req.user.id);
+
+        await logSecurityEvent({
+            type: SECURITY_EVENT.RESOURCE_MODIFICATION,
+            userId: req.user.id,
+            resourceType: 'device',
+            resourceId: device.id,
+            action: 'claim',
+            ipAddress: req.ip,
+            metadata: {
+                userAgent: req.headers['user-agent'],
+                customerId: device.userId
+            }
+        });
+
+        return success(res, STATUS_CODES.SUCCESS, 'Device claimed successfully', device);
+    } catch (err) {
+        logger.error(`Error claiming device: ${err.message}`);
+        return next(err);
+    }
+};
+
 /**
  * @swagger
  * /devices/dropdown:
@@ -490,6 +1016,13 @@ module.exports = {
     updateDevice,
     updateDevicePartial,
     deleteDevice,
+    replaceDevice,
+    getDeviceReplacements,
+    rotateDeviceSecret,
+    getDeviceShadow,
+    updateDeviceShadow,
+    getUnclaimedDevices,
+    claimDevice,
     getDevicesForDropdown,
     getDeviceStats,
     authenticateDevice
@@ -10,6 +10,11 @@ const {
 const {
     logger
 } = require('../utils/logger');
+const balanceService = require('../services/balanceService');
+const tokenService = require('../services/tokenService');
+const provisioningService = require('../services/provisioningService');
+const usageService = require('../services/usageService');
+const mqttService = require('../services/mqttService');
 
 /**
  * Authenticate a device by device key
@@ -66,37 +71,10 @@ const checkDeviceBalance = async (req, res, next) => {
             return error(res, STATUS_CODES.BAD_REQUEST, 'Device key is required');
         }
 
-        // Get device and balance
-        const device = await prisma.device.findFirst({
-            where: {
-                deviceKey
-            },
-            include: {
-                Balance: true
-            }
-        });
-
-        if (!device) {
-            return error(res, STATUS_CODES.NOT_FOUND, 'Device not found');
-        }
-
-        if (!device.status) {
-            return error(res, STATUS_CODES.FORBIDDEN, 'Device is inactive');
-        }
-
-        if (!device.Balance) {
-            return success(res, STATUS_CODES.SUCCESS, 'Balance retrieved successfully', {
-                valid: true,
-                balance: 0,
-                lastToken: ''
-            });
-        }
+        // Shared with the MQTT balance check
+        const result = await balanceService.checkDeviceBalance(deviceKey);
 
-        return success(res, STATUS_CODES.SUCCESS, 'Balance retrieved successfully', {
-            valid: true,
-            balance: device.Balance.balance,
-            lastToken: device.Balance.lastToken
-        });
+        return success(res, STATUS_CODES.SUCCESS, 'Balance retrieved successfully', result);
     } catch (err) {
         logger.error(`Check device balance error: ${err.message}`);
         return next(err);
@@ -113,72 +91,79 @@ const logDeviceUsage = async (req, res, next) => {
     try {
         const {
             deviceKey,
-            usageAmount
+            usageAmount,
+            registerValue,
+            registerReset,
+            sequence,
+            bootId,
+            messageId,
+            timestamp
         } = req.body;
 
         if (!deviceKey) {
             return error(res, STATUS_CODES.BAD_REQUEST, 'Device key is required');
         }
 
-        // Get device
-        const device = await prisma.device.findFirst({
-            where: {
-                deviceKey
-            },
-            include: {
-                Balance: true
-            }
+        // Shared with MQTT ingestion; retries with a known sequence or message ID are replayed
+        const result = await usageService.ingestDeviceUsage(deviceKey, {
+            usageAmount,
+            registerValue,
+            registerReset,
+            sequence,
+            bootId,
+            messageId,
+            timestamp
         });
 
-        if (!device) {
-            return error(res, STATUS_CODES.NOT_FOUND, 'Device not found');
+        // The device clock is clearly wrong, resync it over MQTT
+        if (result.clock && result.clock.syncRequired) {
+            mqttService.sendTimeSync(deviceKey);
         }
 
-        if (!device.status) {
-            return error(res, STATUS_CODES.FORBIDDEN, 'Device is inactive');
-        }
+        // Leak alerts at the valve-close severity shut off the supply
+        mqttService.sendValveClose(deviceKey, result.alerts);
 
-        // Validate usage amount
-        if (typeof usageAmount !== 'number' || usageAmount <= 0) {
-            return error(res, STATUS_CODES.BAD_REQUEST, 'Invalid usage amount');
-        }
+        return success(
+            res,
+            STATUS_CODES.SUCCESS,
+            result.duplicate ? 'Usage already logged' : 'Usage logged successfully',
+            result
+        );
+    } catch (err) {
+        logger.error(`Log device usage error: ${err.message}`);
+        return next(err);
+    }
+};
 
-        // Log the usage
-        await prisma.usageLog.create({
-            data: {
-                deviceId: device.id,
-                usageAmount,
-                timeStamp: new Date()
-            }
-        });
+/**
+ * Log usage readings a device buffered while offline
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const logDeviceUsageBatch = async (req, res, next) => {
+    try {
+        const {
+            deviceKey,
+            readings
+        } = req.body;
 
-        // Update balance if exists
-        if (device.Balance) {
-            const newBalance = Math.max(0, device.Balance.balance - usageAmount);
+        if (!deviceKey) {
+            return error(res, STATUS_CODES.BAD_REQUEST, 'Device key is required');
+        }
 
-            await prisma.balance.update({
-                where: {
-                    deviceId: device.id
-                },
-                data: {
-                    balance: newBalance
-                }
-            });
+        // Entries are applied in timestamp order and debited as one ledger entry
+        const result = await usageService.ingestUsageBatch(deviceKey, readings);
 
-            return success(res, STATUS_CODES.SUCCESS, 'Usage logged successfully', {
-                valid: true,
-                remainingBalance: newBalance,
-                canUse: newBalance > 0
-            });
+        if (result.clock.syncRequired) {
+            mqttService.sendTimeSync(deviceKey);
         }
 
-        return success(res, STATUS_CODES.SUCCESS, 'Usage logged successfully', {
-            valid: true,
-            remainingBalance: 0,
-            canUse: false
-        });
+        mqttService.sendValveClose(deviceKey, result.alerts);
+
+        return success(res, STATUS_CODES.SUCCESS, 'Usage batch processed successfully', result);
     } catch (err) {
-        logger.error(`Log device usage error: ${err.message}`);
+        logger.error(`Log device usage batch error: ${err.message}`);
         return next(err);
     }
 };
@@ -200,90 +185,43 @@ const validateDeviceToken = async (req, res, next) => {
             return error(res, STATUS_CODES.BAD_REQUEST, 'Device key and token are required');
         }
 
-        // Get device
-        const device = await prisma.device.findFirst({
-            where: {
-                deviceKey
-            },
-            include: {
-                Balance: true
-            }
-        });
-
-        if (!device) {
-            return error(res, STATUS_CODES.NOT_FOUND, 'Device not found');
-        }
-
-        if (!device.status) {
-            return error(res, STATUS_CODES.FORBIDDEN, 'Device is inactive');
-        }
-
-        // Check if token exists and is unused
-        const tokenRecord = await prisma.token.findFirst({
-            where: {
-                token,
-                status: 'unused'
-            }
-        });
+        // Shares the redemption rules (checksum, lifecycle state, device match) with /tokens/validate
+        const result = await tokenService.validateToken(token, deviceKey);
 
-        if (!tokenRecord) {
-            return error(res, STATUS_CODES.BAD_REQUEST, 'Invalid or already used token');
-        }
-
-        // Check if token is for this device
-        if (tokenRecord.deviceId !== device.id) {
-            return error(res, STATUS_CODES.BAD_REQUEST, 'Token does not belong to this device');
-        }
-
-        // Mark token as used
-        await prisma.token.update({
-            where: {
-                id: tokenRecord.id
-            },
-            data: {
-                status: 'used',
-                used_at: new Date()
-            }
-        });
+        return success(res, STATUS_CODES.SUCCESS, 'Token validated successfully', result);
+    } catch (err) {
+        logger.error(`Token validation error: ${err.message}`);
+        return next(err);
+    }
+};
 
-        // Update balance
-        const currentBalance = device.Balance ?.balance || 0;
-        const newBalance = currentBalance + tokenRecord.amount;
+/**
+ * Register a factory-flashed meter on first boot
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const provisionDevice = async (req, res, next) => {
+    try {
+        const {
+            serial,
+            factoryCode
+        } = req.body;
 
-        if (device.Balance) {
-            await prisma.balance.update({
-                where: {
-                    deviceId: device.id
-                },
-                data: {
-                    balance: newBalance,
-                    lastToken: token
-                }
-            });
-        } else {
-            await prisma.balance.create({
-                data: {
-                    deviceId: device.id,
-                    balance: tokenRecord.amount,
-                    lastToken: token
-                }
-            });
-        }
+        const result = await provisioningService.provisionDevice(serial, factoryCode);
 
-        return success(res, STATUS_CODES.SUCCESS, 'Token validated successfully', {
-            valid: true,
-            balance: newBalance,
-            amount: tokenRecord.amount
-        });
+        return success(res, STATUS_CODES.CREATED, 'Device provisioned successfully', result);
     } catch (err) {
-        logger.error(`Token validation error: ${err.message}`);
+        logger.error(`Device provisioning error: ${err.message}`);
         return next(err);
     }
 };
 
 module.exports = {
+    provisionDevice,
     authenticateDevice,
     checkDeviceBalance,
     logDeviceUsage,
+    logDeviceUsageBatch,
     validateDeviceToken
 };
\ No newline at end of file
@@ -0,0 +1,161 @@
+// src/controllers/holidayController.js
+const holidayService = require('../services/holidayService');
+const {
+    success,
+    paginate
+} = require('../utils/response');
+const {
+    STATUS_CODES
+} = require('../config/constants');
+const {
+    getPaginationParams
+} = require('../utils/helpers');
+const {
+    logger
+} = require('../utils/logger');
+
+/**
+ * @swagger
+ * /holidays:
+ *   get:
+ *     summary: Get the holiday calendar
+ *     tags: [Holidays]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Only return holidays in this year
+ *     responses:
+ *       200:
+ *         description: List of holidays
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getAllHolidays = async (req, res, next) => {
+    try {
+        const result = await holidayService.getAllHolidays({
+            ...getPaginationParams(req),
+            year: req.query.year
+        });
+
+        return paginate(
+            res,
+            result.holidays,
+            result.meta.total,
+            result.meta.page,
+            result.meta.limit,
+            'Holidays retrieved successfully'
+        );
+    } catch (err) {
+        logger.error(`Error getting holidays: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /holidays:
+ *   post:
+ *     summary: Add a holiday to the calendar (admin only)
+ *     description: Supply is not cut off on holidays for devices whose tariff or override has friendlyOnHolidays enabled.
+ *     tags: [Holidays]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *               - name
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Holiday created successfully
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Date is already a holiday
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+const createHoliday = async (req, res, next) => {
+    try {
+        const holiday = await holidayService.createHoliday(req.body, req.user.id);
+        return success(res, STATUS_CODES.CREATED, 'Holiday created successfully', holiday);
+    } catch (err) {
+        logger.error(`Error creating holiday: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /holidays/{id}:
+ *   delete:
+ *     summary: Remove a holiday from the calendar (admin only)
+ *     tags: [Holidays]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Holiday ID
+ *     responses:
+ *       200:
+ *         description: Holiday deleted successfully
+ *       404:
+ *         description: Holiday not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+const deleteHoliday = async (req, res, next) => {
+    try {
+        await holidayService.deleteHoliday(req.params.id);
+        return success(res, STATUS_CODES.SUCCESS, 'Holiday deleted successfully');
+    } catch (err) {
+        logger.error(`Error deleting holiday: ${err.message}`);
+        return next(err);
+    }
+};
+
+module.exports = {
+    getAllHolidays,
+    createHoliday,
+    deleteHoliday
+};
@@ -1,9 +1,11 @@
 // src/controllers/mqttController.js
 const mqttService = require('../services/mqttService');
-const { success, error } = require('../utils/response');
-const { STATUS_CODES } = require('../config/constants');
+const { success, error, paginate } = require('../utils/response');
+const { STATUS_CODES, COMMAND_STATUS } = require('../config/constants');
 const { logger } = require('../utils/logger');
 const prisma = require('../utils/prisma');
+const commandService = require('../services/commandService');
+const { getPaginationParams } = require('../utils/helpers');
 
 /**
  * @swagger
@@ -53,13 +55,18 @@ const getMQTTStatus = async (req, res, next) => {
  *                 type: string
  *               command:
  *                 type: string
- *                 enum: [reboot, update_config, check_status, reset_balance]
+ *                 enum: [reboot, update_config, check_status, reset_balance, close_valve, open_valve]
  *               data:
  *                 type: object
  *                 description: Additional command data
+ *               ttl:
+ *                 type: integer
+ *                 description: Seconds the command stays deliverable (default DEVICE_COMMAND_TTL)
  *     responses:
  *       200:
- *         description: Command sent successfully
+ *         description: |
+ *           Command queued with a correlation ID. It is sent right away when MQTT is connected (status sent),
+ *           otherwise it stays pending and is delivered on the device's next heartbeat.
  *       400:
  *         description: Validation error
  *       404:
@@ -89,20 +96,20 @@ const sendCommandToDevice = async (req, res, next) => {
             return error(res, STATUS_CODES.NOT_FOUND, 'Device not found or you do not have permission');
         }
 
-        // Send command via MQTT
-        const sent = mqttService.sendCommandToDevice(deviceKey, command, data);
-
-        if (!sent) {
-            return error(res, STATUS_CODES.INTERNAL_ERROR, 'Failed to send command - MQTT not connected');
-        }
+        // Queue the command and send it via MQTT if connected
+        const queued = await mqttService.dispatchCommand(device, command, data, req.user.id, req.body.ttl);
+        const sent = queued.status !== COMMAND_STATUS.PENDING;
 
         // Log the command for audit purposes
-        logger.info(`Command '${command}' sent to device ${deviceKey} by user ${req.user.id}`);
+        logger.info(`Command '${command}' (${queued.correlationId}) ${sent ? 'sent' : 'queued'} for device ${deviceKey} by user ${req.user.id}`);
 
-        return success(res, STATUS_CODES.SUCCESS, 'Command sent successfully', {
+        return success(res, STATUS_CODES.SUCCESS, sent ? 'Command sent successfully' : 'Command queued, it will be delivered when the device is back online', {
             deviceKey,
             command,
             data,
+            correlationId: queued.correlationId,
+            status: queued.status,
+            expiresAt: queued.expiresAt,
             timestamp: new Date().toISOString()
         });
     } catch (err) {
@@ -367,11 +374,89 @@ const getMQTTLogs = async (req, res, next) => {
     }
 };
 
+/**
+ * @swagger
+ * /mqtt/commands:
+ *   get:
+ *     summary: Get the command history of devices
+ *     description: Commands sent to devices with their correlation ID, delivery attempts and acknowledgement. Non-admin users only see commands of their own devices.
+ *     tags: [MQTT]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *         description: Filter by device ID
+ *       - in: query
+ *         name: deviceKey
+ *         schema:
+ *           type: string
+ *         description: Filter by device key
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sent, acknowledged, failed, expired]
+ *         description: Filter by status
+ *       - in: query
+ *         name: command
+ *         schema:
+ *           type: string
+ *         description: Filter by command
+ *     responses:
+ *       200:
+ *         description: Command history
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getDeviceCommands = async (req, res, next) => {
+    try {
+        const result = await commandService.getAllCommands({
+            ...getPaginationParams(req),
+            deviceId: req.query.deviceId,
+            deviceKey: req.query.deviceKey,
+            status: req.query.status,
+            command: req.query.command
+        }, req.user.id, req.user.role);
+
+        return paginate(
+            res,
+            result.commands,
+            result.meta.total,
+            result.meta.page,
+            result.meta.limit,
+            'Device commands retrieved successfully'
+        );
+    } catch (err) {
+        logger.error(`Error getting device commands: ${err.message}`);
+        return next(err);
+    }
+};
+
 module.exports = {
     getMQTTStatus,
     sendCommandToDevice,
     broadcastCommand,
     getDeviceStatus,
     reconnectMQTT,
-    getMQTTLogs
+    getMQTTLogs,
+    getDeviceCommands
 };
\ No newline at end of file
@@ -0,0 +1,382 @@
+// src/controllers/tariffController.js
+const tariffService = require('../services/tariffService');
+const {
+    success,
+    paginate
+} = require('../utils/response');
+const {
+    STATUS_CODES
+} = require('../config/constants');
+const {
+    getPaginationParams
+} = require('../utils/helpers');
+const {
+    logger
+} = require('../utils/logger');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TariffTier:
+ *       type: object
+ *       required:
+ *         - minVolume
+ *         - pricePerUnit
+ *       properties:
+ *         minVolume:
+ *           type: number
+ *           format: float
+ *           description: Monthly consumption (m3) at which the tier starts
+ *         maxVolume:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           description: Monthly consumption (m3) at which the tier ends, omit for the last tier
+ *         pricePerUnit:
+ *           type: number
+ *           format: float
+ *           description: Price per m3
+ *     TariffCharges:
+ *       type: object
+ *       properties:
+ *         fixedMonthlyCharge:
+ *           type: number
+ *           format: float
+ *           description: Monthly service charge (abonemen) deducted from the first tokens redeemed each month
+ *         meterRentalCharge:
+ *           type: number
+ *           format: float
+ *           description: Monthly meter rental, collected like the service charge
+ *         adminFee:
+ *           type: number
+ *           format: float
+ *           description: Fee deducted from every token
+ *         taxRate:
+ *           type: number
+ *           format: float
+ *           description: PPN percentage included in token amounts
+ *     TariffCreditPolicy:
+ *       type: object
+ *       properties:
+ *         emergencyCreditLimit:
+ *           type: number
+ *           format: float
+ *           description: How far the balance may go negative when credit runs out, repaid from the next token
+ *         friendlyHoursStart:
+ *           type: string
+ *           nullable: true
+ *           example: '18:00'
+ *           description: Start of the daily window (local time) in which supply is never cut off
+ *         friendlyHoursEnd:
+ *           type: string
+ *           nullable: true
+ *           example: '07:00'
+ *           description: End of the friendly hours window, may be before the start to span midnight
+ *         friendlyOnHolidays:
+ *           type: boolean
+ *           description: Never cut off supply on days in the holiday calendar
+ *         debtRecoveryRate:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           description: Percentage of each redeemed token used to pay down outstanding debt
+ */
+
+/**
+ * @swagger
+ * /tariffs:
+ *   get:
+ *     summary: Get all tariffs
+ *     tags: [Tariffs]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: customerClass
+ *         schema:
+ *           type: string
+ *           enum: [residential, commercial, social, industrial]
+ *         description: Filter by customer class
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by code or name
+ *     responses:
+ *       200:
+ *         description: List of tariffs with their versions and tiers
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getAllTariffs = async (req, res, next) => {
+    try {
+        const options = {
+            ...getPaginationParams(req),
+            customerClass: req.query.customerClass,
+            isActive: req.query.isActive,
+            search: req.query.search
+        };
+
+        const result = await tariffService.getAllTariffs(options);
+
+        return paginate(
+            res,
+            result.tariffs,
+            result.meta.total,
+            result.meta.page,
+            result.meta.limit,
+            'Tariffs retrieved successfully'
+        );
+    } catch (err) {
+        logger.error(`Error getting tariffs: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /tariffs/{id}:
+ *   get:
+ *     summary: Get tariff by ID
+ *     tags: [Tariffs]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tariff ID
+ *     responses:
+ *       200:
+ *         description: Tariff with all versions and tiers
+ *       404:
+ *         description: Tariff not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getTariffById = async (req, res, next) => {
+    try {
+        const tariff = await tariffService.getTariffById(req.params.id);
+        return success(res, STATUS_CODES.SUCCESS, 'Tariff retrieved successfully', tariff);
+    } catch (err) {
+        logger.error(`Error getting tariff: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /tariffs:
+ *   post:
+ *     summary: Create a tariff with its first price table (admin only)
+ *     tags: [Tariffs]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/TariffCharges'
+ *               - $ref: '#/components/schemas/TariffCreditPolicy'
+ *               - type: object
+ *                 required:
+ *                   - code
+ *                   - name
+ *                   - customerClass
+ *                   - tiers
+ *                 properties:
+ *                   code:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   customerClass:
+ *                     type: string
+ *                     enum: [residential, commercial, social, industrial]
+ *                   description:
+ *                     type: string
+ *                   effectiveFrom:
+ *                     type: string
+ *                     format: date-time
+ *                     description: Defaults to now
+ *                   tiers:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/TariffTier'
+ *     responses:
+ *       201:
+ *         description: Tariff created successfully
+ *       400:
+ *         description: Validation error or tiers are not contiguous
+ *       409:
+ *         description: Tariff code already exists
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+const createTariff = async (req, res, next) => {
+    try {
+        const tariff = await tariffService.createTariff(req.body, req.user.id);
+        return success(res, STATUS_CODES.CREATED, 'Tariff created successfully', tariff);
+    } catch (err) {
+        logger.error(`Error creating tariff: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /tariffs/{id}:
+ *   put:
+ *     summary: Update tariff details and credit policy (admin only)
+ *     description: Prices cannot be edited in place. Add a new version to change them.
+ *     tags: [Tariffs]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tariff ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/TariffCreditPolicy'
+ *               - type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   customerClass:
+ *                     type: string
+ *                     enum: [residential, commercial, social, industrial]
+ *                   description:
+ *                     type: string
+ *                   isActive:
+ *                     type: boolean
+ *     responses:
+ *       200:
+ *         description: Tariff updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Tariff not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+const updateTariff = async (req, res, next) => {
+    try {
+        const tariff = await tariffService.updateTariff(req.params.id, req.body);
+        return success(res, STATUS_CODES.SUCCESS, 'Tariff updated successfully', tariff);
+    } catch (err) {
+        logger.error(`Error updating tariff: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /tariffs/{id}/versions:
+ *   post:
+ *     summary: Add a new price table version to a tariff (admin only)
+ *     description: The version applies from effectiveFrom until a later version takes effect.
+ *     tags: [Tariffs]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tariff ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/TariffCharges'
+ *               - type: object
+ *                 required:
+ *                   - effectiveFrom
+ *                   - tiers
+ *                 properties:
+ *                   effectiveFrom:
+ *                     type: string
+ *                     format: date-time
+ *                   note:
+ *                     type: string
+ *                   tiers:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/TariffTier'
+ *     responses:
+ *       201:
+ *         description: Tariff version created successfully
+ *       400:
+ *         description: Validation error or tiers are not contiguous
+ *       404:
+ *         description: Tariff not found
+ *       409:
+ *         description: Another version takes effect at the same date
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+const createTariffVersion = async (req, res, next) => {
+    try {
+        const version = await tariffService.createTariffVersion(req.params.id, req.body, req.user.id);
+        return success(res, STATUS_CODES.CREATED, 'Tariff version created successfully', version);
+    } catch (err) {
+        logger.error(`Error creating tariff version: ${err.message}`);
+        return next(err);
+    }
+};
+
+module.exports = {
+    getAllTariffs,
+    getTariffById,
+    createTariff,
+    updateTariff,
+    createTariffVersion
+};
@@ -6,14 +6,28 @@ const {
     paginate
 } = require('../utils/response');
 const {
-    STATUS_CODES
+    STATUS_CODES,
+    TOKEN_BATCH
 } = require('../config/constants');
 const {
-    getPaginationParams
+    getPaginationParams,
+    getTimeZone,
+    getLocale
 } = require('../utils/helpers');
+const {
+    buildBatchCsv,
+    writeBatchPdf
+} = require('../utils/voucherExport');
+const {
+    streamExport
+} = require('../utils/dataExport');
 const {
     logger
 } = require('../utils/logger');
+const {
+    SECURITY_EVENT,
+    logSecurityEvent
+} = require('../utils/securityAudit');
 
 /**
  * @swagger
@@ -45,11 +59,30 @@ const {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [used, unused]
+ *           enum: [used, unused, expired, revoked, cancelled]
  *         description: Filter by token status
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *         description: Download every matching token as a spreadsheet instead of a page of JSON
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, id]
+ *         description: Language of the export column headers (default from Accept-Language, else EXPORT_LOCALE)
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *         description: IANA time zone of the export date columns (default the user's zone, else REPORTING_TIMEZONE)
  *     responses:
  *       200:
- *         description: List of tokens
+ *         description: List of tokens, or a CSV/XLSX download when format is given
+ *       400:
+ *         description: Invalid format or time zone
  *       401:
  *         description: Unauthorized
  *       500:
@@ -57,9 +90,6 @@ const {
  */
 const getAllTokens = async (req, res, next) => {
     try {
-        // Log the raw query parameter to see what's coming in
-        console.log('Raw deviceId query param:', req.query.deviceId);
-        
         // Properly handle the deviceId parameter
         let deviceId = undefined;
         if (req.query.deviceId) {
@@ -76,8 +106,19 @@ const getAllTokens = async (req, res, next) => {
             deviceId: deviceId,
             status: req.query.status
         };
-        
-        console.log('Processed deviceId:', deviceId);
+
+        // Spreadsheet download of every match instead of a page
+        if (req.query.format) {
+            const where = tokenService.buildTokenFilter(options, req.user.id, req.user.role);
+
+            return await streamExport(res, {
+                format: req.query.format,
+                name: 'tokens',
+                locale: getLocale(req),
+                timeZone: getTimeZone(req),
+                fetchBatch: (cursor, take) => tokenService.getTokenExportBatch(where, cursor, take)
+            });
+        }
 
         const result = await tokenService.getAllTokens(
             options,
@@ -171,7 +212,7 @@ const getTokenById = async (req, res, next) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [used, unused]
+ *           enum: [used, unused, expired, revoked, cancelled]
  *         description: Filter by token status
  *     responses:
  *       200:
@@ -237,6 +278,10 @@ const getTokensByDevice = async (req, res, next) => {
  *                 type: number
  *                 format: float
  *                 minimum: 0.01
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional date after which the token can no longer be redeemed
  *     responses:
  *       201:
  *         description: Token created successfully
@@ -293,7 +338,7 @@ const createToken = async (req, res, next) => {
  *       200:
  *         description: Token validated successfully
  *       400:
- *         description: Invalid token or device key
+ *         description: Invalid token or device key, checksum failed, or token used, expired, revoked or cancelled
  *       403:
  *         description: Device is inactive
  *       401:
@@ -349,11 +394,552 @@ const getTokenStats = async (req, res, next) => {
     }
 };
 
+/**
+ * @swagger
+ * /tokens/batches:
+ *   post:
+ *     summary: Generate a batch of tokens
+ *     tags: [Tokens]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Optional label for the batch
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional expiry date applied to every token in the batch
+ *               items:
+ *                 type: array
+ *                 description: Devices and denominations to generate tokens for
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - deviceId
+ *                     - amount
+ *                     - quantity
+ *                   properties:
+ *                     deviceId:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *                       format: float
+ *                       minimum: 0.01
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *     responses:
+ *       201:
+ *         description: Token batch created successfully
+ *       400:
+ *         description: Validation error or batch too large
+ *       404:
+ *         description: Device not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const createTokenBatch = async (req, res, next) => {
+    try {
+        const batch = await tokenService.createTokenBatch(
+            req.body,
+            req.user.id,
+            req.user.role
+        );
+        return success(res, STATUS_CODES.CREATED, 'Token batch created successfully', {
+            batch
+        });
+    } catch (err) {
+        logger.error(`Error creating token batch: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /tokens/batches:
+ *   get:
+ *     summary: Get all token batches
+ *     tags: [Tokens]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: List of token batches
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getAllTokenBatches = async (req, res, next) => {
+    try {
+        const result = await tokenService.getAllTokenBatches(
+            getPaginationParams(req),
+            req.user.id,
+            req.user.role
+        );
+
+        return paginate(
+            res,
+            result.batches,
+            result.meta.total,
+            result.meta.page,
+            result.meta.limit,
+            'Token batches retrieved successfully'
+        );
+    } catch (err) {
+        logger.error(`Error getting token batches: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /tokens/batches/{id}:
+ *   get:
+ *     summary: Get token batch by ID including its tokens
+ *     tags: [Tokens]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Batch ID
+ *     responses:
+ *       200:
+ *         description: Token batch details
+ *       404:
+ *         description: Token batch not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getTokenBatchById = async (req, res, next) => {
+    try {
+        const batch = await tokenService.getTokenBatchById(
+            req.params.id,
+            req.user.id,
+            req.user.role
+        );
+        return success(res, STATUS_CODES.SUCCESS, 'Token batch retrieved successfully', batch);
+    } catch (err) {
+        logger.error(`Error getting token batch: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /tokens/batches/{id}/stats:
+ *   get:
+ *     summary: Get issued/used/remaining statistics for a token batch
+ *     tags: [Tokens]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Batch ID
+ *     responses:
+ *       200:
+ *         description: Token batch statistics
+ *       404:
+ *         description: Token batch not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getTokenBatchStats = async (req, res, next) => {
+    try {
+        const stats = await tokenService.getTokenBatchStats(
+            req.params.id,
+            req.user.id,
+            req.user.role
+        );
+        return success(res, STATUS_CODES.SUCCESS, 'Token batch stats retrieved successfully', stats);
+    } catch (err) {
+        logger.error(`Error getting token batch stats: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /tokens/batches/{id}/export:
+ *   get:
+ *     summary: Download a token batch as CSV or printable PDF vouchers
+ *     tags: [Tokens]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Batch ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, pdf]
+ *           default: csv
+ *         description: Export format
+ *     responses:
+ *       200:
+ *         description: Exported batch file
+ *         content:
+ *           text/csv: {}
+ *           application/pdf: {}
+ *       400:
+ *         description: Unsupported export format
+ *       404:
+ *         description: Token batch not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const exportTokenBatch = async (req, res, next) => {
+    try {
+        const format = (req.query.format || 'csv').toLowerCase();
+
+        if (!TOKEN_BATCH.EXPORT_FORMATS.includes(format)) {
+            return error(res, STATUS_CODES.BAD_REQUEST, `Format must be one of: ${TOKEN_BATCH.EXPORT_FORMATS.join(', ')}`);
+        }
+
+        const batch = await tokenService.getTokenBatchById(
+            req.params.id,
+            req.user.id,
+            req.user.role
+        );
+        const filename = `token-batch-${batch.id}.${format}`;
+
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'pdf') {
+            res.setHeader('Content-Type', 'application/pdf');
+            return writeBatchPdf(batch, res);
+        }
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        return res.status(STATUS_CODES.SUCCESS).send(buildBatchCsv(batch));
+    } catch (err) {
+        logger.error(`Error exporting token batch: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /tokens/{id}/revoke:
+ *   post:
+ *     summary: Revoke an unused token (admin only)
+ *     tags: [Tokens]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token revoked successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Token not found
+ *       409:
+ *         description: Token is not unused
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       500:
+ *         description: Server error
+ */
+const revokeToken = async (req, res, next) => {
+    try {
+        const token = await tokenService.revokeToken(
+            req.params.id,
+            req.body.reason,
+            req.user.id
+        );
+        return success(res, STATUS_CODES.SUCCESS, 'Token revoked successfully', token);
+    } catch (err) {
+        logger.error(`Error revoking token: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /tokens/{id}/void:
+ *   post:
+ *     summary: Void an unused token issued by mistake (admin only)
+ *     description: The token can no longer be redeemed and is linked to a reversal record. The action is written to the security audit log.
+ *     tags: [Tokens]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token voided successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Token not found
+ *       409:
+ *         description: Token is not unused
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       500:
+ *         description: Server error
+ */
+const voidToken = async (req, res, next) => {
+    try {
+        const token = await tokenService.voidToken(
+            req.params.id,
+            req.body.reason,
+            req.user.id
+        );
+
+        await logSecurityEvent({
+            type: SECURITY_EVENT.ADMIN_ACTION,
+            userId: req.user.id,
+            resourceType: 'token',
+            resourceId: token.id,
+            action: 'void',
+            ipAddress: req.ip,
+            metadata: {
+                userAgent: req.headers['user-agent'],
+                reason: req.body.reason,
+                reversalId: token.reversal.id,
+                deviceId: token.deviceId,
+                amount: token.amount
+            }
+        });
+
+        return success(res, STATUS_CODES.SUCCESS, 'Token voided successfully', token);
+    } catch (err) {
+        logger.error(`Error voiding token: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /tokens/{id}/reverse:
+ *   post:
+ *     summary: Reverse the credit of a redeemed token (admin only)
+ *     description: |
+ *       Takes the credit the token added back from the device balance. Debt that was recovered from the token is owed again.
+ *       The balance may only go negative as far as the device emergency credit limit allows.
+ *       The token is linked to a reversal record and the action is written to the security audit log.
+ *     tags: [Tokens]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token reversed successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Token not found
+ *       409:
+ *         description: Token is not redeemed or the balance would go below what the credit policy allows
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       500:
+ *         description: Server error
+ */
+const reverseToken = async (req, res, next) => {
+    try {
+        const result = await tokenService.reverseToken(
+            req.params.id,
+            req.body.reason,
+            req.user.id
+        );
+
+        await logSecurityEvent({
+            type: SECURITY_EVENT.ADMIN_ACTION,
+            userId: req.user.id,
+            resourceType: 'token',
+            resourceId: result.token.id,
+            action: 'reverse',
+            ipAddress: req.ip,
+            metadata: {
+                userAgent: req.headers['user-agent'],
+                reason: req.body.reason,
+                reversalId: result.token.reversal.id,
+                deviceId: result.token.deviceId,
+                reversedAmount: result.reversedAmount,
+                debtReinstated: result.debtReinstated,
+                balance: result.balance
+            }
+        });
+
+        return success(res, STATUS_CODES.SUCCESS, 'Token reversed successfully', result);
+    } catch (err) {
+        logger.error(`Error reversing token: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /tokens/batches/{id}/cancel:
+ *   post:
+ *     summary: Cancel a token batch and all of its unused tokens (admin only)
+ *     tags: [Tokens]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Batch ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token batch cancelled successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Token batch not found
+ *       409:
+ *         description: Token batch already cancelled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires admin role
+ *       500:
+ *         description: Server error
+ */
+const cancelTokenBatch = async (req, res, next) => {
+    try {
+        const result = await tokenService.cancelTokenBatch(
+            req.params.id,
+            req.body.reason,
+            req.user.id
+        );
+        return success(res, STATUS_CODES.SUCCESS, 'Token batch cancelled successfully', result);
+    } catch (err) {
+        logger.error(`Error cancelling token batch: ${err.message}`);
+        return next(err);
+    }
+};
+
 module.exports = {
     getAllTokens,
     getTokenById,
     getTokensByDevice,
     createToken,
     validateToken,
-    getTokenStats
+    getTokenStats,
+    createTokenBatch,
+    getAllTokenBatches,
+    getTokenBatchById,
+    getTokenBatchStats,
+    exportTokenBatch,
+    revokeToken,
+    voidToken,
+    reverseToken,
+    cancelTokenBatch
 };
\ No newline at end of file
@@ -1,5 +1,7 @@
 // src/controllers/usageController.js
 const usageService = require('../services/usageService');
+const usageRollupService = require('../services/usageRollupService');
+const anomalyScoringService = require('../services/anomalyScoringService');
 const {
     success,
     error,
@@ -9,8 +11,13 @@ const {
     STATUS_CODES
 } = require('../config/constants');
 const {
-    getPaginationParams
+    getPaginationParams,
+    getTimeZone,
+    getLocale
 } = require('../utils/helpers');
+const {
+    streamExport
+} = require('../utils/dataExport');
 const {
     logger
 } = require('../utils/logger');
@@ -53,9 +60,43 @@ const {
  *           type: string
  *           format: date-time
  *         description: Filter by end date (ISO 8601 format)
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *         description: IANA time zone for plain dates and periods, e.g. Asia/Jakarta (default the user's zone, else REPORTING_TIMEZONE)
+ *       - in: query
+ *         name: sequenceGap
+ *         schema:
+ *           type: boolean
+ *         description: Only return reports that followed a gap in the device sequence (possible data loss)
+ *       - in: query
+ *         name: sequenceReset
+ *         schema:
+ *           type: boolean
+ *         description: Only return reports logged after the device's sequence counter restarted without a boot ID (for review)
+ *       - in: query
+ *         name: clockSkewed
+ *         schema:
+ *           type: boolean
+ *         description: Only return reports whose device clock was off by more than DEVICE_CLOCK_SKEW_THRESHOLD seconds
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *         description: Download every matching usage log as a spreadsheet instead of a page of JSON
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, id]
+ *         description: Language of the export column headers (default from Accept-Language, else EXPORT_LOCALE)
  *     responses:
  *       200:
- *         description: List of usage logs
+ *         description: List of usage logs, or a CSV/XLSX download when format is given
+ *       400:
+ *         description: Invalid format or time zone
  *       401:
  *         description: Unauthorized
  *       500:
@@ -67,9 +108,26 @@ const getAllUsageLogs = async (req, res, next) => {
             ...getPaginationParams(req),
             deviceId: req.query.deviceId,
             startDate: req.query.startDate,
-            endDate: req.query.endDate
+            endDate: req.query.endDate,
+            timeZone: getTimeZone(req),
+            sequenceGap: req.query.sequenceGap,
+            sequenceReset: req.query.sequenceReset,
+            clockSkewed: req.query.clockSkewed
         };
 
+        // Spreadsheet download of every match instead of a page
+        if (req.query.format) {
+            const where = await usageService.buildUsageLogFilter(options, req.user.id, req.user.role);
+
+            return await streamExport(res, {
+                format: req.query.format,
+                name: 'usageLogs',
+                locale: getLocale(req),
+                timeZone: options.timeZone,
+                fetchBatch: (cursor, take) => usageService.getUsageLogExportBatch(where, cursor, take)
+            });
+        }
+
         const result = await usageService.getAllUsageLogs(
             options,
             req.user.id,
@@ -129,6 +187,11 @@ const getAllUsageLogs = async (req, res, next) => {
  *           type: string
  *           format: date-time
  *         description: Filter by end date (ISO 8601 format)
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *         description: IANA time zone for plain dates and periods, e.g. Asia/Jakarta (default the user's zone, else REPORTING_TIMEZONE)
  *     responses:
  *       200:
  *         description: List of usage logs for the device
@@ -146,7 +209,8 @@ const getUsageLogsByDevice = async (req, res, next) => {
         const options = {
             ...getPaginationParams(req),
             startDate: req.query.startDate,
-            endDate: req.query.endDate
+            endDate: req.query.endDate,
+            timeZone: getTimeZone(req)
         };
 
         const result = await usageService.getUsageLogsByDevice(
@@ -170,6 +234,69 @@ const getUsageLogsByDevice = async (req, res, next) => {
     }
 };
 
+/**
+ * @swagger
+ * /usage/readings:
+ *   get:
+ *     summary: Get cumulative register readings of totalizer meters
+ *     description: Each reading keeps the raw register value and the consumption derived from it. Rejected readings (register went backwards) are kept as anomalies.
+ *     tags: [Usage]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *         description: Filter by device ID
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [baseline, normal, rollover, reset, rejected]
+ *         description: Filter by how the reading was interpreted
+ *     responses:
+ *       200:
+ *         description: List of meter readings
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getMeterReadings = async (req, res, next) => {
+    try {
+        const result = await usageService.getMeterReadings({
+            ...getPaginationParams(req),
+            deviceId: req.query.deviceId,
+            kind: req.query.kind
+        }, req.user.id, req.user.role);
+
+        return paginate(
+            res,
+            result.readings,
+            result.meta.total,
+            result.meta.page,
+            result.meta.limit,
+            'Meter readings retrieved successfully'
+        );
+    } catch (err) {
+        logger.error(`Error getting meter readings: ${err.message}`);
+        return next(err);
+    }
+};
+
 /**
  * @swagger
  * /usage/log:
@@ -260,9 +387,23 @@ const logDeviceUsage = async (req, res, next) => {
  *           type: integer
  *           default: 30
  *         description: Time range in days (default 30)
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [hour, day, week, month]
+ *           default: day
+ *         description: Period of the chart series; dailyUsage is included for day
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *         description: IANA time zone for plain dates and periods, e.g. Asia/Jakarta (default the user's zone, else REPORTING_TIMEZONE)
  *     responses:
  *       200:
- *         description: Usage statistics
+ *         description: Usage statistics read from the usage rollups
+ *       400:
+ *         description: Invalid granularity
  *       401:
  *         description: Unauthorized
  *       500:
@@ -275,7 +416,9 @@ const getUsageStats = async (req, res, next) => {
         const stats = await usageService.getUsageStats(
             req.user.id,
             req.user.role, {
-                timeRange
+                timeRange,
+                granularity: req.query.granularity,
+                timeZone: getTimeZone(req)
             }
         );
 
@@ -286,9 +429,277 @@ const getUsageStats = async (req, res, next) => {
     }
 };
 
+/**
+ * @swagger
+ * /usage/rollups:
+ *   get:
+ *     summary: Get usage over time from the hourly, daily or monthly rollups
+ *     tags: [Usage]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [hour, day, week, month]
+ *           default: day
+ *         description: Period of the series
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *         description: Only this device and the meters it replaced
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (default 30 days before endDate)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range (default now)
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *         description: IANA time zone for plain dates and periods, e.g. Asia/Jakarta (default the user's zone, else REPORTING_TIMEZONE)
+ *     responses:
+ *       200:
+ *         description: Usage, cost and number of reports per period, empty periods included
+ *       400:
+ *         description: Invalid granularity or date range
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getUsageRollups = async (req, res, next) => {
+    try {
+        const result = await usageRollupService.getUsageRollups({
+            granularity: req.query.granularity,
+            deviceId: req.query.deviceId,
+            startDate: req.query.startDate,
+            endDate: req.query.endDate,
+            timeZone: getTimeZone(req)
+        }, req.user.id, req.user.role);
+
+        return success(res, STATUS_CODES.SUCCESS, 'Usage rollups retrieved successfully', result);
+    } catch (err) {
+        logger.error(`Error getting usage rollups: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /usage/rollups/rebuild:
+ *   post:
+ *     summary: Rebuild the usage rollups from the usage logs (admin only)
+ *     tags: [Usage]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deviceId:
+ *                 type: string
+ *                 description: Only rebuild this device (default all devices)
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of the range, widened to the start of its month (default oldest usage)
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: End of the range, widened to the end of its month (default now)
+ *     responses:
+ *       200:
+ *         description: Rollups rebuilt
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+const rebuildUsageRollups = async (req, res, next) => {
+    try {
+        const result = await usageRollupService.rebuildRollups({
+            deviceId: req.body.deviceId,
+            startDate: req.body.startDate,
+            endDate: req.body.endDate
+        }, req.user.id);
+
+        return success(res, STATUS_CODES.SUCCESS, 'Usage rollups rebuilt successfully', result);
+    } catch (err) {
+        logger.error(`Error rebuilding usage rollups: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /usage/anomalies:
+ *   get:
+ *     summary: Get the most anomalous devices of a day (admin only)
+ *     description: Each device's daily consumption is scored against the mean and standard deviation of the same weekday over the last ANOMALY_BASELINE_WEEKS weeks. near_zero flags devices that stopped using water, which suggests tampering or a stuck meter.
+ *     tags: [Usage]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Scored day in the organisation time zone (default the latest scored day)
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [near_zero, spike, drop, normal]
+ *         description: Only this kind (default every kind but normal)
+ *     responses:
+ *       200:
+ *         description: Scores with the device, highest first
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+const getUsageAnomalies = async (req, res, next) => {
+    try {
+        const result = await anomalyScoringService.getAnomalousDevices({
+            ...getPaginationParams(req),
+            date: req.query.date,
+            kind: req.query.kind
+        });
+
+        return paginate(
+            res,
+            result.scores,
+            result.meta.total,
+            result.meta.page,
+            result.meta.limit,
+            'Usage anomalies retrieved successfully'
+        );
+    } catch (err) {
+        logger.error(`Error getting usage anomalies: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /usage/anomalies/score:
+ *   post:
+ *     summary: Rebuild the baselines and score a day (admin only)
+ *     description: Yesterday is scored automatically. Scoring a day again replaces its scores.
+ *     tags: [Usage]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Day in the organisation time zone (default yesterday)
+ *     responses:
+ *       200:
+ *         description: Day scored, with the number of devices and anomalies by kind
+ *       400:
+ *         description: The day is not over yet
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+const scoreUsageAnomalies = async (req, res, next) => {
+    try {
+        const result = await anomalyScoringService.scoreDay({
+            date: req.body.date
+        });
+
+        return success(res, STATUS_CODES.SUCCESS, 'Usage anomalies scored successfully', result);
+    } catch (err) {
+        logger.error(`Error scoring usage anomalies: ${err.message}`);
+        return next(err);
+    }
+};
+
+/**
+ * @swagger
+ * /usage/baselines/{deviceId}:
+ *   get:
+ *     summary: Get the day-of-week consumption baseline of a device (admin only)
+ *     tags: [Usage]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Device ID
+ *     responses:
+ *       200:
+ *         description: Mean and standard deviation of daily usage per weekday, Sunday first
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+const getUsageBaselines = async (req, res, next) => {
+    try {
+        const baselines = await anomalyScoringService.getDeviceBaselines(req.params.deviceId);
+        return success(res, STATUS_CODES.SUCCESS, 'Usage baselines retrieved successfully', baselines);
+    } catch (err) {
+        logger.error(`Error getting usage baselines: ${err.message}`);
+        return next(err);
+    }
+};
+
 module.exports = {
     getAllUsageLogs,
     getUsageLogsByDevice,
+    getMeterReadings,
     logDeviceUsage,
-    getUsageStats
+    getUsageStats,
+    getUsageRollups,
+    rebuildUsageRollups,
+    getUsageAnomalies,
+    scoreUsageAnomalies,
+    getUsageBaselines
 };
\ No newline at end of file
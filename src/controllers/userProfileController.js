@@ -5,12 +5,16 @@ const {
     error
 } = require('../utils/response');
 const {
-    STATUS_CODES
+    STATUS_CODES,
+    REPORTING
 } = require('../config/constants');
 const prisma = require('../utils/prisma');
 const {
     logger
 } = require('../utils/logger');
+const {
+    isValidTimeZone
+} = require('../utils/dateTime');
 
 /**
  * Get current user profile information
@@ -25,14 +29,17 @@ const getCurrentUser = async (req, res, next) => {
             id,
             name,
             email,
-            role
+            role,
+            timezone
         } = req.user;
 
         return success(res, STATUS_CODES.SUCCESS, 'User profile retrieved successfully', {
             id,
             name,
             email,
-            role
+            role,
+            timezone,
+            reportingTimezone: timezone || REPORTING.TIMEZONE
         });
     } catch (err) {
         logger.error(`Get user profile error: ${err.message}`);
@@ -271,10 +278,16 @@ const updateUserSettings = async (req, res, next) => {
         const {
             name,
             email,
+            timezone,
             currentPassword,
             newPassword
         } = req.body;
 
+        // Time zone must be a known IANA zone; null or empty falls back to the organisation zone
+        if (timezone && !isValidTimeZone(timezone)) {
+            return error(res, STATUS_CODES.BAD_REQUEST, 'Invalid time zone');
+        }
+
         // Email format validation
         if (email) {
             const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -301,6 +314,7 @@ const updateUserSettings = async (req, res, next) => {
         let updateData = {};
         if (name) updateData.name = name;
         if (email) updateData.email = email;
+        if (timezone !== undefined) updateData.timezone = timezone || null;
 
         // If changing password
         if (currentPassword && newPassword) {
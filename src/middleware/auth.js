@@ -53,7 +53,8 @@ const protect = async (req, res, next) => {
                 email: true,
                 role: true,
                 name: true,
-                isActive: true
+                isActive: true,
+                timezone: true
             }
         });
 
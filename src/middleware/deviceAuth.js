@@ -0,0 +1,36 @@
+// src/middleware/deviceAuth.js
+const deviceAuthService = require('../services/deviceAuthService');
+
+/**
+ * Verify the HMAC signature of a device request. The signature is sent in
+ * X-Device-Signature over "timestamp.nonce.body", with the timestamp and
+ * nonce in X-Device-Timestamp and X-Device-Nonce.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const verifyDeviceSignature = async (req, res, next) => {
+    try {
+        const deviceKey = req.body && req.body.deviceKey;
+
+        // Requests without a device key are rejected by validation
+        if (!deviceKey) {
+            return next();
+        }
+
+        req.deviceSigned = await deviceAuthService.verifyDeviceRequest(deviceKey, {
+            timestamp: req.headers['x-device-timestamp'],
+            nonce: req.headers['x-device-nonce'],
+            signature: req.headers['x-device-signature'],
+            body: req.rawBody
+        });
+
+        return next();
+    } catch (err) {
+        return next(err);
+    }
+};
+
+module.exports = {
+    verifyDeviceSignature
+};
@@ -9,8 +9,25 @@ const {
     ApiError
 } = require('./error');
 const {
-    STATUS_CODES
+    STATUS_CODES,
+    ADJUSTMENT_REASON,
+    CUSTOMER_CLASS,
+    DEBT_SOURCE,
+    USAGE_BATCH,
+    ROLLUP_GRANULARITY,
+    ALERT_TYPE,
+    ALERT_SEVERITY,
+    ALERT_STATUS,
+    ANOMALY_KIND,
+    EXPORT_FORMAT,
+    EXPORT,
+    DEVICE_SHADOW,
+    COMMAND_STATUS
 } = require('../config/constants');
+const {
+    parseDeviceTimestamp,
+    isValidTimeZone
+} = require('../utils/dateTime');
 
 /**
  * Validate request with express-validator
@@ -156,6 +173,76 @@ const rules = {
         .withMessage('User ID must be a string')
     ],
 
+    claimDevice: [
+        body('deviceKey')
+        .notEmpty()
+        .withMessage('Device key is required'),
+        body('claimCode')
+        .notEmpty()
+        .withMessage('Claim code is required'),
+        body('userId')
+        .notEmpty()
+        .withMessage('Customer user ID is required')
+    ],
+
+    replaceDevice: [
+        body('deviceKey')
+        .notEmpty()
+        .withMessage('Device key of the new meter is required')
+        .isLength({
+            min: 3
+        })
+        .withMessage('Device key must be at least 3 characters long'),
+        body('reason')
+        .optional()
+        .isString()
+        .withMessage('Reason must be a string')
+    ],
+
+    updateDeviceShadow: [
+        body('desired')
+        .isObject()
+        .withMessage('Desired state must be an object')
+        .custom(value => Object.keys(value).every(key => DEVICE_SHADOW.FIELDS.includes(key)))
+        .withMessage(`Desired state may only contain ${DEVICE_SHADOW.FIELDS.join(', ')}`),
+        body('desired.reportingInterval')
+        .optional({
+            nullable: true
+        })
+        .isInt({
+            min: DEVICE_SHADOW.MIN_REPORTING_INTERVAL
+        })
+        .withMessage(`Reporting interval must be at least ${DEVICE_SHADOW.MIN_REPORTING_INTERVAL} seconds`)
+        .toInt(),
+        body('desired.valveState')
+        .optional({
+            nullable: true
+        })
+        .isIn(DEVICE_SHADOW.VALVE_STATES)
+        .withMessage(`Valve state must be one of: ${DEVICE_SHADOW.VALVE_STATES.join(', ')}`),
+        body('desired.tariffDisplay')
+        .optional({
+            nullable: true
+        })
+        .isBoolean()
+        .withMessage('Tariff display must be a boolean')
+        .toBoolean(true),
+        body('desired.thresholds')
+        .optional({
+            nullable: true
+        })
+        .isObject()
+        .withMessage('Thresholds must be an object')
+        .custom(value => Object.values(value).every(item => item === null || typeof item === 'number'))
+        .withMessage('Thresholds must be numbers'),
+        body('version')
+        .optional()
+        .isInt({
+            min: 0
+        })
+        .withMessage('Version must be a non-negative integer')
+    ],
+
     updateDevice: [
         body('status')
         .optional()
@@ -166,7 +253,56 @@ const rules = {
         .isLength({
             min: 3
         })
-        .withMessage('Device key must be at least 3 characters long')
+        .withMessage('Device key must be at least 3 characters long'),
+        body('tariffId')
+        .optional({
+            nullable: true
+        })
+        .isString()
+        .withMessage('Tariff ID must be a string'),
+        body('emergencyCreditLimit')
+        .optional({
+            nullable: true
+        })
+        .isFloat({
+            min: 0
+        })
+        .withMessage('Emergency credit limit must be a non-negative number'),
+        body('friendlyHoursStart')
+        .optional({
+            nullable: true
+        })
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('Friendly hours start must be a time in HH:mm format'),
+        body('friendlyHoursEnd')
+        .optional({
+            nullable: true
+        })
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('Friendly hours end must be a time in HH:mm format'),
+        body('friendlyOnHolidays')
+        .optional({
+            nullable: true
+        })
+        .isBoolean()
+        .withMessage('friendlyOnHolidays must be a boolean'),
+        body('debtRecoveryRate')
+        .optional({
+            nullable: true
+        })
+        .isFloat({
+            min: 0,
+            max: 100
+        })
+        .withMessage('Debt recovery rate must be a percentage between 0 and 100'),
+        body('registerMax')
+        .optional({
+            nullable: true
+        })
+        .isFloat({
+            gt: 0
+        })
+        .withMessage('Register capacity must be a positive number')
     ],
 
     // Token
@@ -178,7 +314,61 @@ const rules = {
         .isFloat({
             min: 0.01
         })
-        .withMessage('Amount must be a positive number')
+        .withMessage('Amount must be a positive number'),
+        body('expiresAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Expiration date must be a valid ISO 8601 date')
+        .custom(value => new Date(value) > new Date())
+        .withMessage('Expiration date must be in the future')
+    ],
+
+    tokenStatusReason: [
+        body('reason')
+        .notEmpty()
+        .withMessage('Reason is required')
+        .isString()
+        .withMessage('Reason must be a string')
+    ],
+
+    validateToken: [
+        body('token')
+        .notEmpty()
+        .withMessage('Token is required'),
+        body('deviceKey')
+        .notEmpty()
+        .withMessage('Device key is required')
+    ],
+
+    createTokenBatch: [
+        body('name')
+        .optional()
+        .isString()
+        .withMessage('Name must be a string'),
+        body('expiresAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Expiration date must be a valid ISO 8601 date')
+        .custom(value => new Date(value) > new Date())
+        .withMessage('Expiration date must be in the future'),
+        body('items')
+        .isArray({
+            min: 1
+        })
+        .withMessage('Items must be a non-empty array'),
+        body('items.*.deviceId')
+        .notEmpty()
+        .withMessage('Device ID is required'),
+        body('items.*.amount')
+        .isFloat({
+            min: 0.01
+        })
+        .withMessage('Amount must be a positive number'),
+        body('items.*.quantity')
+        .isInt({
+            min: 1
+        })
+        .withMessage('Quantity must be a positive integer')
     ],
 
     // API Key
@@ -248,6 +438,19 @@ const rules = {
         .withMessage('Device key is required')
     ],
 
+    provisionDevice: [
+        body('serial')
+        .notEmpty()
+        .withMessage('Serial is required')
+        .isLength({
+            min: 3
+        })
+        .withMessage('Serial must be at least 3 characters long'),
+        body('factoryCode')
+        .notEmpty()
+        .withMessage('Factory code is required')
+    ],
+
     checkDeviceBalance: [
         body('deviceKey')
         .notEmpty()
@@ -259,10 +462,57 @@ const rules = {
         .notEmpty()
         .withMessage('Device key is required'),
         body('usageAmount')
+        .if(body('registerValue').not().exists())
         .notEmpty()
-        .withMessage('Usage amount is required')
+        .withMessage('Usage amount or register value is required')
         .isFloat()
-        .withMessage('Usage amount must be a positive number')
+        .withMessage('Usage amount must be a positive number'),
+        body('registerValue')
+        .optional()
+        .isFloat({
+            min: 0
+        })
+        .withMessage('Register value must be a non-negative number'),
+        body('registerReset')
+        .optional()
+        .isBoolean()
+        .withMessage('registerReset must be a boolean'),
+        body('sequence')
+        .optional()
+        .isInt({
+            min: 0
+        })
+        .withMessage('Sequence must be a non-negative integer'),
+        body('bootId')
+        .optional()
+        .isLength({
+            min: 1,
+            max: 64
+        })
+        .withMessage('Boot ID must be 1 to 64 characters'),
+        body('messageId')
+        .optional()
+        .isString()
+        .isLength({
+            max: 100
+        })
+        .withMessage('Message ID must be a string of at most 100 characters'),
+        body('timestamp')
+        .optional()
+        .custom(value => parseDeviceTimestamp(value) !== null)
+        .withMessage('Timestamp must be ISO 8601 or epoch seconds/milliseconds')
+    ],
+
+    logDeviceUsageBatch: [
+        body('deviceKey')
+        .notEmpty()
+        .withMessage('Device key is required'),
+        body('readings')
+        .isArray({
+            min: 1,
+            max: USAGE_BATCH.MAX_ENTRIES
+        })
+        .withMessage(`Readings must be an array of 1 to ${USAGE_BATCH.MAX_ENTRIES} entries`)
     ],
 
     validateDeviceToken: [
@@ -360,7 +610,56 @@ const rules = {
         .isLength({
             min: 3
         })
-        .withMessage('Device key must be at least 3 characters long')
+        .withMessage('Device key must be at least 3 characters long'),
+        body('tariffId')
+        .optional({
+            nullable: true
+        })
+        .isString()
+        .withMessage('Tariff ID must be a string'),
+        body('emergencyCreditLimit')
+        .optional({
+            nullable: true
+        })
+        .isFloat({
+            min: 0
+        })
+        .withMessage('Emergency credit limit must be a non-negative number'),
+        body('friendlyHoursStart')
+        .optional({
+            nullable: true
+        })
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('Friendly hours start must be a time in HH:mm format'),
+        body('friendlyHoursEnd')
+        .optional({
+            nullable: true
+        })
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('Friendly hours end must be a time in HH:mm format'),
+        body('friendlyOnHolidays')
+        .optional({
+            nullable: true
+        })
+        .isBoolean()
+        .withMessage('friendlyOnHolidays must be a boolean'),
+        body('debtRecoveryRate')
+        .optional({
+            nullable: true
+        })
+        .isFloat({
+            min: 0,
+            max: 100
+        })
+        .withMessage('Debt recovery rate must be a percentage between 0 and 100'),
+        body('registerMax')
+        .optional({
+            nullable: true
+        })
+        .isFloat({
+            gt: 0
+        })
+        .withMessage('Register capacity must be a positive number')
     ],
 
     // API Key partial update
@@ -409,16 +708,378 @@ const rules = {
         .withMessage('Address must be a string')
     ],
 
-    // Balance partial update
-    updateBalancePartial: [
+    // Manual balance adjustment
+    submitBalanceAdjustment: [
+        body('deviceId')
+        .notEmpty()
+        .withMessage('Device ID is required'),
         body('amount')
-        .optional()
         .isFloat()
-        .withMessage('Amount must be a valid number'),
-        body('lastToken')
+        .withMessage('Amount must be a valid number')
+        .custom(value => parseFloat(value) !== 0)
+        .withMessage('Amount must not be zero'),
+        body('reasonCode')
+        .isIn(Object.values(ADJUSTMENT_REASON))
+        .withMessage(`Reason code must be one of: ${Object.values(ADJUSTMENT_REASON).join(', ')}`),
+        body('note')
+        .isString()
+        .withMessage('Note must be a string')
+        .trim()
+        .isLength({
+            min: 5
+        })
+        .withMessage('Note must be at least 5 characters long')
+    ],
+
+    rejectBalanceAdjustment: [
+        body('note')
+        .notEmpty()
+        .withMessage('A note explaining the rejection is required')
+    ],
+
+    // Tariff
+    createTariff: [
+        body('code')
+        .notEmpty()
+        .withMessage('Tariff code is required')
+        .isLength({
+            max: 20
+        })
+        .withMessage('Tariff code must be at most 20 characters long'),
+        body('name')
+        .notEmpty()
+        .withMessage('Tariff name is required'),
+        body('customerClass')
+        .isIn(Object.values(CUSTOMER_CLASS))
+        .withMessage(`Customer class must be one of: ${Object.values(CUSTOMER_CLASS).join(', ')}`),
+        body('description')
         .optional()
         .isString()
-        .withMessage('Last token must be a string')
+        .withMessage('Description must be a string'),
+        body('effectiveFrom')
+        .optional()
+        .isISO8601()
+        .withMessage('Effective date must be a valid ISO 8601 date'),
+        body('fixedMonthlyCharge')
+        .optional()
+        .isFloat({
+            min: 0
+        })
+        .withMessage('Fixed monthly charge must be a non-negative number'),
+        body('meterRentalCharge')
+        .optional()
+        .isFloat({
+            min: 0
+        })
+        .withMessage('Meter rental charge must be a non-negative number'),
+        body('adminFee')
+        .optional()
+        .isFloat({
+            min: 0
+        })
+        .withMessage('Admin fee must be a non-negative number'),
+        body('taxRate')
+        .optional()
+        .isFloat({
+            min: 0,
+            max: 100
+        })
+        .withMessage('Tax rate must be a percentage between 0 and 100'),
+        body('emergencyCreditLimit')
+        .optional()
+        .isFloat({
+            min: 0
+        })
+        .withMessage('Emergency credit limit must be a non-negative number'),
+        body('friendlyHoursStart')
+        .optional({
+            nullable: true
+        })
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('Friendly hours start must be a time in HH:mm format'),
+        body('friendlyHoursEnd')
+        .optional({
+            nullable: true
+        })
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('Friendly hours end must be a time in HH:mm format'),
+        body('friendlyOnHolidays')
+        .optional()
+        .isBoolean()
+        .withMessage('friendlyOnHolidays must be a boolean'),
+        body('debtRecoveryRate')
+        .optional({
+            nullable: true
+        })
+        .isFloat({
+            min: 0,
+            max: 100
+        })
+        .withMessage('Debt recovery rate must be a percentage between 0 and 100'),
+        body('tiers')
+        .isArray({
+            min: 1
+        })
+        .withMessage('Tiers must be a non-empty array'),
+        body('tiers.*.minVolume')
+        .isFloat({
+            min: 0
+        })
+        .withMessage('Tier minimum volume must be a non-negative number'),
+        body('tiers.*.maxVolume')
+        .optional({
+            nullable: true
+        })
+        .isFloat({
+            min: 0
+        })
+        .withMessage('Tier maximum volume must be a non-negative number'),
+        body('tiers.*.pricePerUnit')
+        .isFloat({
+            min: 0
+        })
+        .withMessage('Tier price must be a non-negative number')
+    ],
+
+    updateTariff: [
+        body('name')
+        .optional()
+        .notEmpty()
+        .withMessage('Tariff name cannot be empty'),
+        body('customerClass')
+        .optional()
+        .isIn(Object.values(CUSTOMER_CLASS))
+        .withMessage(`Customer class must be one of: ${Object.values(CUSTOMER_CLASS).join(', ')}`),
+        body('description')
+        .optional()
+        .isString()
+        .withMessage('Description must be a string'),
+        body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean'),
+        body('emergencyCreditLimit')
+        .optional()
+        .isFloat({
+            min: 0
+        })
+        .withMessage('Emergency credit limit must be a non-negative number'),
+        body('friendlyHoursStart')
+        .optional({
+            nullable: true
+        })
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('Friendly hours start must be a time in HH:mm format'),
+        body('friendlyHoursEnd')
+        .optional({
+            nullable: true
+        })
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('Friendly hours end must be a time in HH:mm format'),
+        body('friendlyOnHolidays')
+        .optional()
+        .isBoolean()
+        .withMessage('friendlyOnHolidays must be a boolean'),
+        body('debtRecoveryRate')
+        .optional({
+            nullable: true
+        })
+        .isFloat({
+            min: 0,
+            max: 100
+        })
+        .withMessage('Debt recovery rate must be a percentage between 0 and 100')
+    ],
+
+    createTariffVersion: [
+        body('effectiveFrom')
+        .isISO8601()
+        .withMessage('Effective date must be a valid ISO 8601 date'),
+        body('note')
+        .optional()
+        .isString()
+        .withMessage('Note must be a string'),
+        body('fixedMonthlyCharge')
+        .optional()
+        .isFloat({
+            min: 0
+        })
+        .withMessage('Fixed monthly charge must be a non-negative number'),
+        body('meterRentalCharge')
+        .optional()
+        .isFloat({
+            min: 0
+        })
+        .withMessage('Meter rental charge must be a non-negative number'),
+        body('adminFee')
+        .optional()
+        .isFloat({
+            min: 0
+        })
+        .withMessage('Admin fee must be a non-negative number'),
+        body('taxRate')
+        .optional()
+        .isFloat({
+            min: 0,
+            max: 100
+        })
+        .withMessage('Tax rate must be a percentage between 0 and 100'),
+        body('tiers')
+        .isArray({
+            min: 1
+        })
+        .withMessage('Tiers must be a non-empty array'),
+        body('tiers.*.minVolume')
+        .isFloat({
+            min: 0
+        })
+        .withMessage('Tier minimum volume must be a non-negative number'),
+        body('tiers.*.maxVolume')
+        .optional({
+            nullable: true
+        })
+        .isFloat({
+            min: 0
+        })
+        .withMessage('Tier maximum volume must be a non-negative number'),
+        body('tiers.*.pricePerUnit')
+        .isFloat({
+            min: 0
+        })
+        .withMessage('Tier price must be a non-negative number')
+    ],
+
+    // Holiday
+    createHoliday: [
+        body('date')
+        .isISO8601()
+        .withMessage('Date must be a valid ISO 8601 date'),
+        body('name')
+        .notEmpty()
+        .withMessage('Holiday name is required')
+    ],
+
+    // Debt
+    createDebt: [
+        body('deviceId')
+        .notEmpty()
+        .withMessage('Device ID is required'),
+        body('amount')
+        .isFloat({
+            min: 0.01
+        })
+        .withMessage('Amount must be a positive number'),
+        body('source')
+        .optional()
+        .isIn(Object.values(DEBT_SOURCE))
+        .withMessage(`Source must be one of: ${Object.values(DEBT_SOURCE).join(', ')}`),
+        body('description')
+        .optional()
+        .isString()
+        .withMessage('Description must be a string')
+    ],
+
+    writeOffDebt: [
+        body('reason')
+        .notEmpty()
+        .withMessage('Write-off reason is required')
+    ],
+
+    // Usage rollups
+    usageGranularity: [
+        query('granularity')
+        .optional()
+        .isIn(Object.values(ROLLUP_GRANULARITY))
+        .withMessage(`Granularity must be one of ${Object.values(ROLLUP_GRANULARITY).join(', ')}`),
+        query('startDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Start date must be a valid ISO 8601 date'),
+        query('endDate')
+        .optional()
+        .isISO8601()
+        .withMessage('End date must be a valid ISO 8601 date'),
+        query('tz')
+        .optional()
+        .custom(isValidTimeZone)
+        .withMessage('tz must be an IANA time zone, e.g. Asia/Jakarta')
+    ],
+
+    rebuildUsageRollups: [
+        body('deviceId')
+        .optional()
+        .isString()
+        .withMessage('Device ID must be a string'),
+        body('startDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Start date must be a valid ISO 8601 date'),
+        body('endDate')
+        .optional()
+        .isISO8601()
+        .withMessage('End date must be a valid ISO 8601 date')
+    ],
+
+    // Spreadsheet exports of the list endpoints
+    exportFormat: [
+        query('format')
+        .optional()
+        .isIn(Object.values(EXPORT_FORMAT))
+        .withMessage(`Format must be one of: ${Object.values(EXPORT_FORMAT).join(', ')}`),
+        query('lang')
+        .optional()
+        .isIn(EXPORT.LOCALES)
+        .withMessage(`Language must be one of: ${EXPORT.LOCALES.join(', ')}`),
+        query('tz')
+        .optional()
+        .custom(isValidTimeZone)
+        .withMessage('tz must be an IANA time zone, e.g. Asia/Jakarta')
+    ],
+
+    // Usage anomalies
+    getUsageAnomalies: [
+        query('date')
+        .optional()
+        .isISO8601()
+        .withMessage('Date must be a valid ISO 8601 date'),
+        query('kind')
+        .optional()
+        .isIn(Object.values(ANOMALY_KIND))
+        .withMessage(`Kind must be one of: ${Object.values(ANOMALY_KIND).join(', ')}`)
+    ],
+
+    scoreUsageAnomalies: [
+        body('date')
+        .optional()
+        .isISO8601()
+        .withMessage('Date must be a valid ISO 8601 date')
+    ],
+
+    // Alerts
+    getAlerts: [
+        query('status')
+        .optional()
+        .isIn(Object.values(ALERT_STATUS))
+        .withMessage(`Status must be one of: ${Object.values(ALERT_STATUS).join(', ')}`),
+        query('severity')
+        .optional()
+        .isIn(Object.values(ALERT_SEVERITY))
+        .withMessage(`Severity must be one of: ${Object.values(ALERT_SEVERITY).join(', ')}`),
+        query('type')
+        .optional()
+        .isIn(Object.values(ALERT_TYPE))
+        .withMessage(`Type must be one of: ${Object.values(ALERT_TYPE).join(', ')}`)
+    ],
+
+    resolveAlert: [
+        body('resolution')
+        .optional()
+        .isString()
+        .withMessage('Resolution must be a string')
+        .isLength({
+            max: 1000
+        })
+        .withMessage('Resolution must be at most 1000 characters')
     ],
 
     // Common ID parameter
@@ -458,12 +1119,17 @@ const mqttRules = {
         body('command')
             .notEmpty()
             .withMessage('Command is required')
-            .isIn(['reboot', 'update_config', 'check_status', 'reset_balance', 'emergency_stop', 'sync_time'])
+            .isIn(['reboot', 'update_config', 'check_status', 'reset_balance', 'emergency_stop', 'sync_time', 'close_valve', 'open_valve'])
             .withMessage('Invalid command type'),
         body('data')
             .optional()
             .isObject()
-            .withMessage('Data must be an object')
+            .withMessage('Data must be an object'),
+        body('ttl')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('TTL must be a positive number of seconds')
+            .toInt()
     ],
 
     broadcastMQTTCommand: [
@@ -478,6 +1144,21 @@ const mqttRules = {
             .withMessage('Data must be an object')
     ],
 
+    getDeviceCommands: [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+        query('status')
+            .optional()
+            .isIn(Object.values(COMMAND_STATUS))
+            .withMessage(`Status must be one of: ${Object.values(COMMAND_STATUS).join(', ')}`)
+    ],
+
     getMQTTLogs: [
         query('page')
             .optional()
@@ -512,5 +1193,6 @@ const mqttRules = {
 module.exports = {
     validate,
     rules,
+    mqttRules,
     ...mqttRules
 };
\ No newline at end of file
@@ -0,0 +1,41 @@
+// src/routes/v1/alerts.js
+const express = require('express');
+const {
+    getAllAlerts,
+    getAlertById,
+    acknowledgeAlert,
+    resolveAlert
+} = require('../../controllers/alertController');
+const {
+    validate,
+    rules
+} = require('../../middleware/validator');
+const {
+    protect
+} = require('../../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Alerts
+ *   description: Leak and anomaly alerts raised from device usage
+ */
+
+// All routes are protected
+router.use(protect);
+
+// Get alerts
+router.get('/', validate(rules.getAlerts), getAllAlerts);
+
+// Get alert by ID
+router.get('/:id', getAlertById);
+
+// Acknowledge an alert
+router.post('/:id/acknowledge', acknowledgeAlert);
+
+// Resolve an alert
+router.post('/:id/resolve', validate(rules.resolveAlert), resolveAlert);
+
+module.exports = router;
@@ -4,9 +4,14 @@ const {
     getAllBalances,
     getBalanceByDevice,
     checkDeviceBalance,
-    updateBalance,
-    updateBalancePartial,
-    getBalanceStats
+    submitAdjustment,
+    getAllAdjustments,
+    getAdjustmentById,
+    approveAdjustment,
+    rejectAdjustment,
+    getBalanceStats,
+    getDeviceLedger,
+    rebuildBalance
 } = require('../../controllers/balanceController');
 const {
     validate,
@@ -14,8 +19,12 @@ const {
 } = require('../../middleware/validator');
 const {
     protect,
+    restrictTo,
     validateApiKey
 } = require('../../middleware/auth');
+const {
+    ROLES
+} = require('../../config/constants');
 
 const router = express.Router();
 
@@ -32,8 +41,8 @@ router.post('/check', validateApiKey, validate(rules.checkBalance), checkDeviceB
 // Protected routes
 router.use(protect);
 
-// Get all balances
-router.get('/', getAllBalances);
+// Get all balances, or export them as CSV/XLSX
+router.get('/', validate(rules.exportFormat), getAllBalances);
 
 // Get balance statistics
 router.get('/stats', getBalanceStats);
@@ -41,9 +50,20 @@ router.get('/stats', getBalanceStats);
 // Get balance for a device
 router.get('/device/:deviceId', getBalanceByDevice);
 
-// Update balance
-router.post('/update', validate(rules.updateBalance), updateBalance);
+// Get the balance ledger for a device
+router.get('/device/:deviceId/transactions', getDeviceLedger);
+
+// Rebuild the cached balance from the ledger (admin only)
+router.post('/device/:deviceId/rebuild', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), rebuildBalance);
+
+// Submit a manual adjustment (legacy path, same as POST /adjustments)
+router.post('/update', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.STAFF), validate(rules.submitBalanceAdjustment), submitAdjustment);
 
-router.patch('/update', validate(rules.updateBalancePartial), updateBalancePartial);
+// Manual balance adjustments (request/approve workflow)
+router.get('/adjustments', getAllAdjustments);
+router.post('/adjustments', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.STAFF), validate(rules.submitBalanceAdjustment), submitAdjustment);
+router.get('/adjustments/:id', getAdjustmentById);
+router.post('/adjustments/:id/approve', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), approveAdjustment);
+router.post('/adjustments/:id/reject', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), validate(rules.rejectBalanceAdjustment), rejectAdjustment);
 
 module.exports = router;
\ No newline at end of file
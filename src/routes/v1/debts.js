@@ -0,0 +1,45 @@
+// src/routes/v1/debts.js
+const express = require('express');
+const {
+    getAllDebts,
+    getDebtById,
+    createDebt,
+    writeOffDebt
+} = require('../../controllers/debtController');
+const {
+    validate,
+    rules
+} = require('../../middleware/validator');
+const {
+    protect,
+    restrictTo
+} = require('../../middleware/auth');
+const {
+    ROLES
+} = require('../../config/constants');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Debts
+ *   description: Arrears recovered from redeemed tokens
+ */
+
+// All routes are protected
+router.use(protect);
+
+// Get debts
+router.get('/', getAllDebts);
+
+// Get debt by ID
+router.get('/:id', getDebtById);
+
+// Record a debt (admin only)
+router.post('/', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), validate(rules.createDebt), createDebt);
+
+// Write off a debt (admin only)
+router.post('/:id/write-off', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), validate(rules.writeOffDebt), writeOffDebt);
+
+module.exports = router;
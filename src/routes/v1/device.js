@@ -1,15 +1,20 @@
 // src/routes/v1/device.js
 const express = require('express');
 const {
+    provisionDevice,
     authenticateDevice,
     checkDeviceBalance,
     logDeviceUsage,
+    logDeviceUsageBatch,
     validateDeviceToken
 } = require('../../controllers/deviceIoTController');
 const {
     validate,
     rules
 } = require('../../middleware/validator');
+const {
+    verifyDeviceSignature
+} = require('../../middleware/deviceAuth');
 
 const router = express.Router();
 
@@ -20,6 +25,51 @@ const router = express.Router();
  *   description: IoT Device API
  */
 
+/**
+ * @swagger
+ * /device/provision:
+ *   post:
+ *     summary: Register a factory-flashed meter on first boot
+ *     description: |
+ *       The meter is created without an owner and waits in the unclaimed pool until a staff user claims it
+ *       with the returned claim code. A meter that is still unclaimed may provision again and gets new
+ *       credentials.
+ *     tags: [Device]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - serial
+ *               - factoryCode
+ *             properties:
+ *               serial:
+ *                 type: string
+ *                 description: Meter serial, used as the device key
+ *               factoryCode:
+ *                 type: string
+ *                 description: Hex HMAC-SHA256 of the serial under the factory key, flashed at the factory
+ *     responses:
+ *       201:
+ *         description: Device provisioned, with its device key, secret and one-time claim code
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid factory code
+ *       403:
+ *         description: Provisioning is not enabled
+ *       409:
+ *         description: Device is already registered
+ *       500:
+ *         description: Server error
+ */
+router.post('/provision', validate(rules.provisionDevice), provisionDevice);
+
+// Devices with a secret must sign every request
+router.use(verifyDeviceSignature);
+
 /**
  * @swagger
  * /device/auth:
@@ -43,7 +93,7 @@ const router = express.Router();
  *       200:
  *         description: Device authentication successful
  *       401:
- *         description: Invalid API key
+ *         description: Invalid API key, or the device signature is missing, invalid, expired or replayed
  *       404:
  *         description: Device not found or inactive
  *       500:
@@ -74,7 +124,7 @@ router.post('/auth', validate(rules.authenticateDevice), authenticateDevice);
  *       200:
  *         description: Device balance retrieved successfully
  *       401:
- *         description: Invalid API key
+ *         description: Invalid API key, or the device signature is missing, invalid, expired or replayed
  *       404:
  *         description: Device not found
  *       403:
@@ -100,29 +150,109 @@ router.post('/balance', validate(rules.checkDeviceBalance), checkDeviceBalance);
  *             type: object
  *             required:
  *               - deviceKey
- *               - usageAmount
  *             properties:
  *               deviceKey:
  *                 type: string
  *               usageAmount:
  *                 type: number
- *                 description: Amount of usage to log
+ *                 description: Volume consumed in m3, priced under the device tariff. Required unless registerValue is sent
+ *               registerValue:
+ *                 type: number
+ *                 description: Cumulative register value in m3 (totalizer meters); consumption is derived from the last accepted reading
+ *               registerReset:
+ *                 type: boolean
+ *                 description: The register was reset to zero since the last reading
+ *               sequence:
+ *                 type: integer
+ *                 description: Monotonically increasing report number; a report with a sequence already seen in the same boot is not applied again
+ *               bootId:
+ *                 type: string
+ *                 description: Changes whenever the sequence counter restarts (boot counter or boot time); sequences are deduplicated per boot ID
+ *               messageId:
+ *                 type: string
+ *                 description: Unique report ID, deduplicated like the sequence
+ *               timestamp:
+ *                 type: string
+ *                 description: Device time of the reading, as ISO 8601 or epoch seconds/milliseconds. Used as the usage time unless the device clock is clearly wrong
  *     responses:
  *       200:
- *         description: Usage logged successfully
+ *         description: Usage logged successfully, with the money debited and the remaining balance in money and m3. Retries return the original result with duplicate set to true, and sequenceGap reports how many earlier reports were missing. sequenceReset is set when the report reused a sequence of a different report and was logged for review. When a timestamp is sent, clock reports the skew and whether a time-sync command was sent over MQTT.
  *       400:
- *         description: Invalid usage amount
+ *         description: Invalid usage amount or register value
  *       401:
- *         description: Invalid API key
+ *         description: Invalid API key, or the device signature is missing, invalid, expired or replayed
  *       404:
  *         description: Device not found
  *       403:
  *         description: Device is inactive
+ *       422:
+ *         description: Register reading went backwards and was recorded as an anomaly
  *       500:
  *         description: Server error
  */
 router.post('/usage', validate(rules.logDeviceUsage), logDeviceUsage);
 
+/**
+ * @swagger
+ * /device/usage/batch:
+ *   post:
+ *     summary: Upload usage readings buffered while the device was offline
+ *     tags: [Device]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - deviceKey
+ *               - readings
+ *             properties:
+ *               deviceKey:
+ *                 type: string
+ *               readings:
+ *                 type: array
+ *                 description: Readings in any order; they are applied oldest first
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - timestamp
+ *                   properties:
+ *                     timestamp:
+ *                       type: string
+ *                       description: Time of the reading, as ISO 8601 or epoch seconds/milliseconds
+ *                     usageAmount:
+ *                       type: number
+ *                     registerValue:
+ *                       type: number
+ *                     registerReset:
+ *                       type: boolean
+ *                     sequence:
+ *                       type: integer
+ *                     bootId:
+ *                       type: string
+ *                     messageId:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Batch processed in one transaction with a single debit. Each entry in results is accepted, duplicate, rejected or invalid, in the order it was sent.
+ *       400:
+ *         description: Readings missing or the batch is too large
+ *       401:
+ *         description: Invalid API key, or the device signature is missing, invalid, expired or replayed
+ *       404:
+ *         description: Device not found
+ *       403:
+ *         description: Device is inactive
+ *       409:
+ *         description: The same readings are being processed by another upload
+ *       500:
+ *         description: Server error
+ */
+router.post('/usage/batch', validate(rules.logDeviceUsageBatch), logDeviceUsageBatch);
+
 /**
  * @swagger
  * /device/token/validate:
@@ -148,8 +278,10 @@ router.post('/usage', validate(rules.logDeviceUsage), logDeviceUsage);
  *     responses:
  *       200:
  *         description: Token validated successfully
+ *       400:
+ *         description: Checksum failed, or token is used, expired, revoked, cancelled or belongs to another device
  *       401:
- *         description: Invalid API key
+ *         description: Invalid API key, or the device signature is missing, invalid, expired or replayed
  *       404:
  *         description: Device not found
  *       403:
@@ -7,6 +7,13 @@ const {
     updateDevice,
     updateDevicePartial,
     deleteDevice,
+    replaceDevice,
+    getDeviceReplacements,
+    rotateDeviceSecret,
+    getDeviceShadow,
+    updateDeviceShadow,
+    getUnclaimedDevices,
+    claimDevice,
     getDevicesForDropdown,
     getDeviceStats,
     authenticateDevice
@@ -17,8 +24,12 @@ const {
 } = require('../../middleware/validator');
 const {
     protect,
+    restrictTo,
     validateApiKey
 } = require('../../middleware/auth');
+const {
+    ROLES
+} = require('../../config/constants');
 
 const router = express.Router();
 
@@ -35,8 +46,8 @@ router.post('/auth', validateApiKey, validate(rules.authenticateDevice), authent
 // Protected routes
 router.use(protect);
 
-// Get all devices
-router.get('/', getAllDevices);
+// Get all devices, or export them as CSV/XLSX
+router.get('/', validate(rules.exportFormat), getAllDevices);
 
 // Get device statistics
 router.get('/stats', getDeviceStats);
@@ -44,6 +55,12 @@ router.get('/stats', getDeviceStats);
 // Get devices for dropdown
 router.get('/dropdown', getDevicesForDropdown);
 
+// Get self-registered meters waiting to be claimed (staff and admin)
+router.get('/unclaimed', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.STAFF), getUnclaimedDevices);
+
+// Claim a self-registered meter into a customer account (staff and admin)
+router.post('/claim', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.STAFF), validate(rules.claimDevice), claimDevice);
+
 // Get device by ID
 router.get('/:id', getDeviceById);
 
@@ -58,4 +75,19 @@ router.patch('/:id', validate(rules.updateDevicePartial), updateDevicePartial);
 // Delete a device
 router.delete('/:id', deleteDevice);
 
+// Replace a meter, carrying its balance and tokens over
+router.post('/:id/replace', validate(rules.replaceDevice), replaceDevice);
+
+// Get the replacement history of a device
+router.get('/:id/replacements', getDeviceReplacements);
+
+// Issue a new device secret (admin only)
+router.post('/:id/secret', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), rotateDeviceSecret);
+
+// Get the desired and reported configuration of a device
+router.get('/:id/shadow', getDeviceShadow);
+
+// Change the desired configuration of a device (admin only)
+router.patch('/:id/shadow', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), validate(rules.updateDeviceShadow), updateDeviceShadow);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,41 @@
+// src/routes/v1/holidays.js
+const express = require('express');
+const {
+    getAllHolidays,
+    createHoliday,
+    deleteHoliday
+} = require('../../controllers/holidayController');
+const {
+    validate,
+    rules
+} = require('../../middleware/validator');
+const {
+    protect,
+    restrictTo
+} = require('../../middleware/auth');
+const {
+    ROLES
+} = require('../../config/constants');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Holidays
+ *   description: Holiday calendar used for friendly credit
+ */
+
+// All routes are protected
+router.use(protect);
+
+// Get holidays
+router.get('/', getAllHolidays);
+
+// Add a holiday (admin only)
+router.post('/', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), validate(rules.createHoliday), createHoliday);
+
+// Remove a holiday (admin only)
+router.delete('/:id', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), deleteHoliday);
+
+module.exports = router;
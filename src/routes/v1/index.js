@@ -11,6 +11,10 @@ const profileRoutes = require('./profiles');
 const deviceIoTRoutes = require('./device');
 const userProfileRoutes = require('./userProfile');
 const mqttRoutes = require('./mqtt');
+const tariffRoutes = require('./tariffs');
+const holidayRoutes = require('./holidays');
+const debtRoutes = require('./debts');
+const alertRoutes = require('./alerts');
 
 const router = express.Router();
 
@@ -26,5 +30,9 @@ router.use('/profiles', profileRoutes);
 router.use('/device', deviceIoTRoutes); 
 router.use('/user-profile', userProfileRoutes);
 router.use('/mqtt', mqttRoutes);
+router.use('/tariffs', tariffRoutes);
+router.use('/holidays', holidayRoutes);
+router.use('/debts', debtRoutes);
+router.use('/alerts', alertRoutes);
 
 module.exports = router;
\ No newline at end of file
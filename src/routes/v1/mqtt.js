@@ -6,9 +6,10 @@ const {
     broadcastCommand,
     getDeviceStatus,
     reconnectMQTT,
-    getMQTTLogs
+    getMQTTLogs,
+    getDeviceCommands
 } = require('../../controllers/mqttController');
-const { validate, rules } = require('../../middleware/validator');
+const { validate, mqttRules } = require('../../middleware/validator');
 const { protect } = require('../../middleware/auth');
 
 const router = express.Router();
@@ -32,11 +33,14 @@ router.get('/device-status', getDeviceStatus);
 // Get MQTT logs
 router.get('/logs', getMQTTLogs);
 
+// Get the command history of devices
+router.get('/commands', validate(mqttRules.getDeviceCommands), getDeviceCommands);
+
 // Send command to specific device
-router.post('/send-command', validate(rules.sendMQTTCommand), sendCommandToDevice);
+router.post('/send-command', validate(mqttRules.sendMQTTCommand), sendCommandToDevice);
 
 // Broadcast command to all devices (admin only)
-router.post('/broadcast', validate(rules.broadcastMQTTCommand), broadcastCommand);
+router.post('/broadcast', validate(mqttRules.broadcastMQTTCommand), broadcastCommand);
 
 // Reconnect MQTT service (admin only)
 router.post('/reconnect', reconnectMQTT);
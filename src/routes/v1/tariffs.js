@@ -0,0 +1,49 @@
+// src/routes/v1/tariffs.js
+const express = require('express');
+const {
+    getAllTariffs,
+    getTariffById,
+    createTariff,
+    updateTariff,
+    createTariffVersion
+} = require('../../controllers/tariffController');
+const {
+    validate,
+    rules
+} = require('../../middleware/validator');
+const {
+    protect,
+    restrictTo
+} = require('../../middleware/auth');
+const {
+    ROLES
+} = require('../../config/constants');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tariffs
+ *   description: Tiered water tariffs
+ */
+
+// All routes are protected
+router.use(protect);
+
+// Get all tariffs
+router.get('/', getAllTariffs);
+
+// Get tariff by ID
+router.get('/:id', getTariffById);
+
+// Create a new tariff (admin only)
+router.post('/', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), validate(rules.createTariff), createTariff);
+
+// Update tariff details (admin only)
+router.put('/:id', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), validate(rules.updateTariff), updateTariff);
+
+// Add a new price table version (admin only)
+router.post('/:id/versions', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), validate(rules.createTariffVersion), createTariffVersion);
+
+module.exports = router;
@@ -6,7 +6,16 @@ const {
     getTokensByDevice,
     createToken,
     validateToken,
-    getTokenStats
+    getTokenStats,
+    createTokenBatch,
+    getAllTokenBatches,
+    getTokenBatchById,
+    getTokenBatchStats,
+    exportTokenBatch,
+    revokeToken,
+    voidToken,
+    reverseToken,
+    cancelTokenBatch
 } = require('../../controllers/tokenController');
 const {
     validate,
@@ -14,8 +23,12 @@ const {
 } = require('../../middleware/validator');
 const {
     protect,
+    restrictTo,
     validateApiKey
 } = require('../../middleware/auth');
+const {
+    ROLES
+} = require('../../config/constants');
 
 const router = express.Router();
 
@@ -32,12 +45,22 @@ router.post('/validate', validateApiKey, validate(rules.validateToken), validate
 // Protected routes
 router.use(protect);
 
-// Get all tokens
-router.get('/', getAllTokens);
+// Get all tokens, or export them as CSV/XLSX
+router.get('/', validate(rules.exportFormat), getAllTokens);
 
 // Get token statistics
 router.get('/stats', getTokenStats);
 
+// Token batches
+router.get('/batches', getAllTokenBatches);
+router.post('/batches', validate(rules.createTokenBatch), createTokenBatch);
+router.get('/batches/:id', getTokenBatchById);
+router.get('/batches/:id/stats', getTokenBatchStats);
+router.get('/batches/:id/export', exportTokenBatch);
+
+// Cancel a token batch (admin only)
+router.post('/batches/:id/cancel', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), validate(rules.tokenStatusReason), cancelTokenBatch);
+
 // Get tokens for a device
 router.get('/device/:deviceId', getTokensByDevice);
 
@@ -47,4 +70,13 @@ router.get('/:id', getTokenById);
 // Create a new token
 router.post('/', validate(rules.createToken), createToken);
 
+// Revoke a token (admin only)
+router.post('/:id/revoke', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), validate(rules.tokenStatusReason), revokeToken);
+
+// Void an unused token issued by mistake (admin only)
+router.post('/:id/void', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), validate(rules.tokenStatusReason), voidToken);
+
+// Reverse the credit of a redeemed token (admin only)
+router.post('/:id/reverse', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), validate(rules.tokenStatusReason), reverseToken);
+
 module.exports = router;
\ No newline at end of file
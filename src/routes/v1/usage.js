@@ -3,8 +3,14 @@ const express = require('express');
 const {
     getAllUsageLogs,
     getUsageLogsByDevice,
+    getMeterReadings,
     logDeviceUsage,
-    getUsageStats
+    getUsageStats,
+    getUsageRollups,
+    rebuildUsageRollups,
+    getUsageAnomalies,
+    scoreUsageAnomalies,
+    getUsageBaselines
 } = require('../../controllers/usageController');
 const {
     validate,
@@ -12,8 +18,12 @@ const {
 } = require('../../middleware/validator');
 const {
     protect,
+    restrictTo,
     validateApiKey
 } = require('../../middleware/auth');
+const {
+    ROLES
+} = require('../../config/constants');
 
 const router = express.Router();
 
@@ -30,11 +40,29 @@ router.post('/log', validateApiKey, validate(rules.logUsage), logDeviceUsage);
 // Protected routes
 router.use(protect);
 
-// Get all usage logs
-router.get('/', getAllUsageLogs);
+// Get all usage logs, or export them as CSV/XLSX
+router.get('/', validate(rules.exportFormat), getAllUsageLogs);
 
 // Get usage statistics
-router.get('/stats', getUsageStats);
+router.get('/stats', validate(rules.usageGranularity), getUsageStats);
+
+// Get usage over time from the rollups
+router.get('/rollups', validate(rules.usageGranularity), getUsageRollups);
+
+// Rebuild the rollups (admin only)
+router.post('/rollups/rebuild', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), validate(rules.rebuildUsageRollups), rebuildUsageRollups);
+
+// Get the most anomalous devices of a day (admin only)
+router.get('/anomalies', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), validate(rules.getUsageAnomalies), getUsageAnomalies);
+
+// Score a day against the baselines (admin only)
+router.post('/anomalies/score', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), validate(rules.scoreUsageAnomalies), scoreUsageAnomalies);
+
+// Get the baseline of a device (admin only)
+router.get('/baselines/:deviceId', restrictTo(ROLES.SUPER_ADMIN, ROLES.ADMIN), getUsageBaselines);
+
+// Get cumulative register readings
+router.get('/readings', getMeterReadings);
 
 // Get usage logs for a device
 router.get('/device/:deviceId', getUsageLogsByDevice);
@@ -153,6 +153,10 @@ router.post('/change-password', validate(rules.changePassword), changePassword);
  *               email:
  *                 type: string
  *                 format: email
+ *               timezone:
+ *                 type: string
+ *                 nullable: true
+ *                 description: IANA time zone for your reports, e.g. Asia/Jakarta; null uses the organisation zone
  *               currentPassword:
  *                 type: string
  *               newPassword:
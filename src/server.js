@@ -4,9 +4,19 @@ const app = require('./app');
 const { logger } = require('./utils/logger');
 const { generateSwaggerDocs } = require('./config/swagger');
 const mqttService = require('./services/mqttService');
+const tokenService = require('./services/tokenService');
+const anomalyScoringService = require('./services/anomalyScoringService');
+const deviceAuthService = require('./services/deviceAuthService');
+const commandService = require('./services/commandService');
+const { TOKEN_EXPIRY, ANOMALY_SCORING, DEVICE_AUTH, DEVICE_COMMAND } = require('./config/constants');
 
 const PORT = process.env.PORT || 3000;
 
+// Without it no device can be created, replaced or issued a secret, and signed requests fail
+if (!DEVICE_AUTH.SECRET_KEY) {
+    logger.error('DEVICE_SECRET_KEY is not set: device secrets cannot be issued or verified until it is');
+}
+
 // Generate Swagger documentation on server start only if not skipped
 if (!process.env.SKIP_SWAGGER) {
     generateSwaggerDocs();
@@ -29,6 +39,34 @@ async function initializeMQTT() {
     }
 }
 
+// Mark unused tokens past their expiry date as expired
+function sweepExpiredTokens() {
+    tokenService.expireStaleTokens().catch((error) => {
+        logger.error(`Token expiry sweep failed: ${error.message}`);
+    });
+}
+
+// Score yesterday's consumption against the device baselines once it is over
+function scoreUsageAnomalies() {
+    anomalyScoringService.scoreYesterday().catch((error) => {
+        logger.error(`Usage anomaly scoring failed: ${error.message}`);
+    });
+}
+
+// Forget nonces of device requests too old to be replayed
+function purgeDeviceNonces() {
+    deviceAuthService.purgeExpiredNonces().catch((error) => {
+        logger.error(`Device nonce purge failed: ${error.message}`);
+    });
+}
+
+// Expire device commands that can no longer be delivered
+function sweepDeviceCommands() {
+    commandService.sweepCommands().catch((error) => {
+        logger.error(`Device command sweep failed: ${error.message}`);
+    });
+}
+
 // Start server
 const server = app.listen(PORT, async () => {
     logger.info(`Server running on port ${PORT}`);
@@ -39,6 +77,12 @@ const server = app.listen(PORT, async () => {
     
     // Initialize MQTT after server starts
     await initializeMQTT();
+
+    // Expire stale tokens left over from while the server was down
+    sweepExpiredTokens();
+
+    // Catch up on a day that ended while the server was down
+    scoreUsageAnomalies();
 });
 
 // Graceful shutdown handlers
@@ -81,4 +125,16 @@ setInterval(() => {
     }
 }, 30000); // Check every 30 seconds
 
+// Periodically expire stale tokens
+setInterval(sweepExpiredTokens, TOKEN_EXPIRY.SWEEP_INTERVAL_MS);
+
+// Periodically score finished days for usage anomalies
+setInterval(scoreUsageAnomalies, ANOMALY_SCORING.INTERVAL_MS);
+
+// Periodically purge expired device request nonces
+setInterval(purgeDeviceNonces, DEVICE_AUTH.NONCE_PURGE_INTERVAL_MS);
+
+// Periodically expire undeliverable device commands
+setInterval(sweepDeviceCommands, DEVICE_COMMAND.SWEEP_INTERVAL_MS);
+
 module.exports = server;
\ No newline at end of file
@@ -0,0 +1,205 @@
+// src/services/alertService.js
+const prisma = require('../utils/prisma');
+const {
+    ApiError
+} = require('../middleware/error');
+const {
+    STATUS_CODES,
+    ALERT_TYPE,
+    ALERT_SEVERITY,
+    ALERT_STATUS
+} = require('../config/constants');
+const {
+    logger
+} = require('../utils/logger');
+const { buildOwnershipFilter } = require('../utils/authorization');
+
+/**
+ * Relations included when returning an alert
+ */
+const alertInclude = {
+    device: {
+        select: {
+            id: true,
+            deviceKey: true,
+            userId: true
+        }
+    },
+    acknowledgedBy: {
+        select: {
+            id: true,
+            name: true,
+            email: true
+        }
+    },
+    resolvedBy: {
+        select: {
+            id: true,
+            name: true,
+            email: true
+        }
+    }
+};
+
+/**
+ * Get alerts with pagination and filtering, newest first
+ * @param {Object} options - Query options (pagination, deviceId, status, severity, type)
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Alerts and pagination metadata
+ */
+const getAllAlerts = async (options, userId, userRole) => {
+    const {
+        page = 1, limit = 10, deviceId, status, severity, type
+    } = options;
+    const skip = (page - 1) * limit;
+
+    // Non-admin users only see alerts of their own devices
+    const where = buildOwnershipFilter(userId, userRole, {}, 'device.userId');
+
+    if (deviceId) {
+        where.deviceId = deviceId;
+    }
+
+    if (status && Object.values(ALERT_STATUS).includes(status)) {
+        where.status = status;
+    }
+
+    if (severity && Object.values(ALERT_SEVERITY).includes(severity)) {
+        where.severity = severity;
+    }
+
+    if (type && Object.values(ALERT_TYPE).includes(type)) {
+        where.type = type;
+    }
+
+    const total = await prisma.alert.count({
+        where
+    });
+
+    const alerts = await prisma.alert.findMany({
+        where,
+        include: alertInclude,
+        skip,
+        take: limit,
+        orderBy: {
+            createdAt: 'desc'
+        }
+    });
+
+    return {
+        alerts,
+        meta: {
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+/**
+ * Get alert by ID
+ * @param {String} alertId - Alert ID
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Alert
+ */
+const getAlertById = async (alertId, userId, userRole) => {
+    const alert = await prisma.alert.findFirst({
+        where: buildOwnershipFilter(userId, userRole, { id: alertId }, 'device.userId'),
+        include: alertInclude
+    });
+
+    if (!alert) {
+        throw new ApiError('Alert not found or you do not have permission', STATUS_CODES.NOT_FOUND);
+    }
+
+    return alert;
+};
+
+/**
+ * Acknowledge an open alert. Detection keeps updating it until it is resolved.
+ * @param {String} alertId - Alert ID
+ * @param {String} userId - ID of user acknowledging the alert
+ * @param {String} userRole - User role
+ * @returns {Object} Acknowledged alert
+ */
+const acknowledgeAlert = async (alertId, userId, userRole) => {
+    const alert = await getAlertById(alertId, userId, userRole);
+
+    if (alert.status !== ALERT_STATUS.OPEN) {
+        throw new ApiError(`Alert is already ${alert.status}`, STATUS_CODES.CONFLICT);
+    }
+
+    const updated = await prisma.alert.updateMany({
+        where: {
+            id: alertId,
+            status: ALERT_STATUS.OPEN
+        },
+        data: {
+            status: ALERT_STATUS.ACKNOWLEDGED,
+            acknowledgedAt: new Date(),
+            acknowledgedById: userId
+        }
+    });
+
+    if (updated.count === 0) {
+        throw new ApiError('Alert changed while acknowledging it, please try again', STATUS_CODES.CONFLICT);
+    }
+
+    logger.info(`Alert ${alertId} acknowledged by user ${userId}`);
+
+    return getAlertById(alertId, userId, userRole);
+};
+
+/**
+ * Resolve an alert. Usage before the resolution no longer raises an alert of
+ * the same type for the device.
+ * @param {String} alertId - Alert ID
+ * @param {String} resolution - What was done about it (optional)
+ * @param {String} userId - ID of user resolving the alert
+ * @param {String} userRole - User role
+ * @returns {Object} Resolved alert
+ */
+const resolveAlert = async (alertId, resolution, userId, userRole) => {
+    const alert = await getAlertById(alertId, userId, userRole);
+
+    if (alert.status === ALERT_STATUS.RESOLVED) {
+        throw new ApiError('Alert is already resolved', STATUS_CODES.CONFLICT);
+    }
+
+    const now = new Date();
+    const updated = await prisma.alert.updateMany({
+        where: {
+            id: alertId,
+            status: {
+                not: ALERT_STATUS.RESOLVED
+            }
+        },
+        data: {
+            status: ALERT_STATUS.RESOLVED,
+            resolvedAt: now,
+            resolvedById: userId,
+            resolution: resolution || null,
+            // Resolving straight away also acknowledges the alert
+            acknowledgedAt: alert.acknowledgedAt || now,
+            acknowledgedById: alert.acknowledgedById || userId
+        }
+    });
+
+    if (updated.count === 0) {
+        throw new ApiError('Alert changed while resolving it, please try again', STATUS_CODES.CONFLICT);
+    }
+
+    logger.info(`Alert ${alertId} resolved by user ${userId}${resolution ? `: ${resolution}` : ''}`);
+
+    return getAlertById(alertId, userId, userRole);
+};
+
+module.exports = {
+    getAllAlerts,
+    getAlertById,
+    acknowledgeAlert,
+    resolveAlert
+};
@@ -0,0 +1,401 @@
+// src/services/anomalyScoringService.js
+const prisma = require('../utils/prisma');
+const {
+    ApiError
+} = require('../middleware/error');
+const {
+    STATUS_CODES,
+    ROLLUP_GRANULARITY,
+    REPORTING,
+    ANOMALY_KIND,
+    ANOMALY_SCORING
+} = require('../config/constants');
+const {
+    logger
+} = require('../utils/logger');
+const {
+    getLocalTimeParts,
+    getPeriodStart,
+    addPeriods,
+    parseDateBoundary
+} = require('../utils/dateTime');
+const {
+    roundVolume
+} = require('../utils/tariffCalculator');
+
+const { DAY } = ROLLUP_GRANULARITY;
+
+// Rows written per query
+const WRITE_CHUNK_SIZE = 5000;
+
+/**
+ * Get the weekday of a day in the organisation time zone
+ * @param {Date} day - Start of the day
+ * @returns {Number} Weekday, 0 is Sunday
+ */
+const getWeekday = (day) => {
+    return new Date(`${getLocalTimeParts(day, REPORTING.TIMEZONE).date}T00:00:00Z`).getUTCDay();
+};
+
+/**
+ * Resolve the day to score: a given date, else yesterday. Only complete days
+ * can be scored.
+ * @param {String} date - Date (YYYY-MM-DD) in the organisation time zone (optional)
+ * @returns {Date} Start of the day
+ */
+const resolveScoringDay = (date) => {
+    const today = getPeriodStart(new Date(), DAY, REPORTING.TIMEZONE);
+    const day = date ?
+        getPeriodStart(parseDateBoundary(date, REPORTING.TIMEZONE), DAY, REPORTING.TIMEZONE) :
+        addPeriods(today, DAY, -1, REPORTING.TIMEZONE);
+
+    if (day >= today) {
+        throw new ApiError('Only completed days can be scored', STATUS_CODES.BAD_REQUEST);
+    }
+
+    return day;
+};
+
+/**
+ * Rebuild the day-of-week baselines of every active device from the daily rollups
+ * of the weeks before a day. Days without usage count as zero from the first
+ * day a device reported usage.
+ * @param {Date} day - Start of the first day after the baseline window
+ * @returns {Map} Baselines by device ID, each an array indexed by weekday
+ */
+const buildBaselines = async (day) => {
+    const windowStart = addPeriods(day, DAY, -ANOMALY_SCORING.BASELINE_WEEKS * 7, REPORTING.TIMEZONE);
+
+    const devices = await prisma.device.findMany({
+        where: {
+            status: true,
+            decommissionedAt: null
+        },
+        select: {
+            id: true
+        }
+    });
+    const deviceIds = devices.map(device => device.id);
+
+    const [rollups, firstUsage] = await Promise.all([
+        prisma.usageRollup.findMany({
+            where: {
+                deviceId: {
+                    in: deviceIds
+                },
+                granularity: DAY,
+                periodStart: {
+                    gte: windowStart,
+                    lt: day
+                }
+            },
+            select: {
+                deviceId: true,
+                periodStart: true,
+                volume: true
+            }
+        }),
+        prisma.usageRollup.groupBy({
+            by: ['deviceId'],
+            where: {
+                deviceId: {
+                    in: deviceIds
+                },
+                granularity: DAY,
+                periodStart: {
+                    lt: day
+                }
+            },
+            _min: {
+                periodStart: true
+            }
+        })
+    ]);
+
+    const volumes = new Map(rollups.map(rollup => [`${rollup.deviceId}|${rollup.periodStart.getTime()}`, rollup.volume]));
+
+    // Days of the window with their weekday, shared by every device
+    const days = [];
+    for (let period = windowStart; period < day; period = addPeriods(period, DAY, 1, REPORTING.TIMEZONE)) {
+        days.push({
+            period,
+            weekday: getWeekday(period)
+        });
+    }
+
+    const baselines = new Map();
+    const data = [];
+
+    firstUsage.forEach((item) => {
+        const sums = Array.from({ length: 7 }, () => ({
+            total: 0,
+            squares: 0,
+            samples: 0
+        }));
+
+        days.filter(({ period }) => period >= item._min.periodStart).forEach(({ period, weekday }) => {
+            const volume = volumes.get(`${item.deviceId}|${period.getTime()}`) || 0;
+            sums[weekday].total += volume;
+            sums[weekday].squares += volume * volume;
+            sums[weekday].samples++;
+        });
+
+        const deviceBaselines = sums.map((sum, weekday) => {
+            const mean = sum.samples > 0 ? sum.total / sum.samples : 0;
+            const variance = sum.samples > 0 ? Math.max(0, sum.squares / sum.samples - mean * mean) : 0;
+
+            return {
+                deviceId: item.deviceId,
+                weekday,
+                mean: roundVolume(mean),
+                stdDev: roundVolume(Math.sqrt(variance)),
+                samples: sum.samples,
+                windowStart,
+                windowEnd: day
+            };
+        });
+
+        baselines.set(item.deviceId, deviceBaselines);
+        data.push(...deviceBaselines);
+    });
+
+    const writes = [prisma.usageBaseline.deleteMany({})];
+    for (let i = 0; i < data.length; i += WRITE_CHUNK_SIZE) {
+        writes.push(prisma.usageBaseline.createMany({
+            data: data.slice(i, i + WRITE_CHUNK_SIZE)
+        }));
+    }
+
+    await prisma.$transaction(writes);
+
+    return baselines;
+};
+
+/**
+ * Score a day's consumption against a baseline
+ * @param {Number} volume - m3 used that day
+ * @param {Object} baseline - Baseline for the weekday (mean, stdDev)
+ * @returns {Object} z-score, score and kind of anomaly
+ */
+const scoreConsumption = (volume, baseline) => {
+    const spread = Math.max(baseline.stdDev, ANOMALY_SCORING.MIN_STD_DEV);
+    const zScore = Math.round((volume - baseline.mean) / spread * 100) / 100;
+
+    let kind = ANOMALY_KIND.NORMAL;
+    if (volume <= ANOMALY_SCORING.NEAR_ZERO_VOLUME && baseline.mean >= ANOMALY_SCORING.NEAR_ZERO_MIN_MEAN) {
+        kind = ANOMALY_KIND.NEAR_ZERO;
+    } else if (zScore >= ANOMALY_SCORING.Z_THRESHOLD) {
+        kind = ANOMALY_KIND.SPIKE;
+    } else if (zScore <= -ANOMALY_SCORING.Z_THRESHOLD) {
+        kind = ANOMALY_KIND.DROP;
+    }
+
+    return {
+        zScore,
+        // A device that stopped using water is listed at least at the threshold, however spread its baseline
+        score: kind === ANOMALY_KIND.NEAR_ZERO ? Math.max(Math.abs(zScore), ANOMALY_SCORING.Z_THRESHOLD) : Math.abs(zScore),
+        kind
+    };
+};
+
+/**
+ * Rebuild the baselines and score every device's consumption on a day.
+ * Devices with fewer than ANOMALY_MIN_SAMPLES days of history for the
+ * weekday are not scored. Scoring a day again replaces its scores.
+ * @param {Object} options - Scoring options (date, default yesterday)
+ * @returns {Object} Day, number of devices scored and anomalies by kind
+ */
+const scoreDay = async (options = {}) => {
+    const day = resolveScoringDay(options.date);
+    const weekday = getWeekday(day);
+    const baselines = await buildBaselines(day);
+
+    const rollups = await prisma.usageRollup.findMany({
+        where: {
+            granularity: DAY,
+            periodStart: day
+        },
+        select: {
+            deviceId: true,
+            volume: true
+        }
+    });
+    const volumes = new Map(rollups.map(rollup => [rollup.deviceId, rollup.volume]));
+
+    const data = [];
+    baselines.forEach((deviceBaselines, deviceId) => {
+        const baseline = deviceBaselines[weekday];
+        if (baseline.samples < ANOMALY_SCORING.MIN_SAMPLES) {
+            return;
+        }
+
+        const volume = roundVolume(volumes.get(deviceId) || 0);
+
+        data.push({
+            deviceId,
+            day,
+            volume,
+            expected: baseline.mean,
+            stdDev: baseline.stdDev,
+            ...scoreConsumption(volume, baseline)
+        });
+    });
+
+    const writes = [prisma.usageAnomalyScore.deleteMany({
+        where: {
+            day
+        }
+    })];
+    for (let i = 0; i < data.length; i += WRITE_CHUNK_SIZE) {
+        writes.push(prisma.usageAnomalyScore.createMany({
+            data: data.slice(i, i + WRITE_CHUNK_SIZE)
+        }));
+    }
+
+    await prisma.$transaction(writes);
+
+    const anomalies = Object.values(ANOMALY_KIND)
+        .filter(kind => kind !== ANOMALY_KIND.NORMAL)
+        .reduce((result, kind) => {
+            result[kind] = data.filter(item => item.kind === kind).length;
+            return result;
+        }, {});
+
+    logger.info(`Usage anomaly scores for ${day.toISOString()}: ${data.length} devices scored, ${Object.values(anomalies).reduce((sum, count) => sum + count, 0)} anomalous`);
+
+    return {
+        day,
+        timeZone: REPORTING.TIMEZONE,
+        devices: data.length,
+        anomalies
+    };
+};
+
+/**
+ * Score yesterday unless it was scored already. Run periodically.
+ * @returns {Object|null} Scoring result, null when there was nothing to do
+ */
+const scoreYesterday = async () => {
+    const day = resolveScoringDay();
+
+    const scored = await prisma.usageAnomalyScore.findFirst({
+        where: {
+            day
+        },
+        select: {
+            id: true
+        }
+    });
+
+    if (scored) {
+        return null;
+    }
+
+    return scoreDay();
+};
+
+/**
+ * Get the most anomalous devices of a day, highest score first
+ * @param {Object} options - Query options (pagination, date, kind; default the latest scored day and every kind but normal)
+ * @returns {Object} Scores and pagination metadata
+ */
+const getAnomalousDevices = async (options) => {
+    const {
+        page = 1, limit = 10, date, kind
+    } = options;
+    const skip = (page - 1) * limit;
+
+    let day = date ? getPeriodStart(parseDateBoundary(date, REPORTING.TIMEZONE), DAY, REPORTING.TIMEZONE) : null;
+    if (!day) {
+        const latest = await prisma.usageAnomalyScore.findFirst({
+            orderBy: {
+                day: 'desc'
+            },
+            select: {
+                day: true
+            }
+        });
+        day = latest ? latest.day : null;
+    }
+
+    if (!day) {
+        return {
+            scores: [],
+            meta: {
+                total: 0,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: 0
+            }
+        };
+    }
+
+    const where = {
+        day,
+        kind: kind && Object.values(ANOMALY_KIND).includes(kind) ? kind : {
+            not: ANOMALY_KIND.NORMAL
+        }
+    };
+
+    const total = await prisma.usageAnomalyScore.count({
+        where
+    });
+
+    const scores = await prisma.usageAnomalyScore.findMany({
+        where,
+        include: {
+            device: {
+                select: {
+                    id: true,
+                    deviceKey: true,
+                    status: true,
+                    user: {
+                        select: {
+                            id: true,
+                            name: true,
+                            email: true
+                        }
+                    }
+                }
+            }
+        },
+        skip,
+        take: limit,
+        orderBy: {
+            score: 'desc'
+        }
+    });
+
+    return {
+        scores,
+        meta: {
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+/**
+ * Get the day-of-week baselines of a device
+ * @param {String} deviceId - Device ID
+ * @returns {Array} Baselines, Sunday first
+ */
+const getDeviceBaselines = async (deviceId) => {
+    return prisma.usageBaseline.findMany({
+        where: {
+            deviceId
+        },
+        orderBy: {
+            weekday: 'asc'
+        }
+    });
+};
+
+module.exports = {
+    scoreDay,
+    scoreYesterday,
+    getAnomalousDevices,
+    getDeviceBaselines
+};
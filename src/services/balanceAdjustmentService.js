@@ -0,0 +1,310 @@
+// src/services/balanceAdjustmentService.js
+const prisma = require('../utils/prisma');
+const {
+    ApiError
+} = require('../middleware/error');
+const {
+    STATUS_CODES,
+    LEDGER_ENTRY_TYPE,
+    LEDGER_REFERENCE_TYPE,
+    ADJUSTMENT_STATUS,
+    ADJUSTMENT_REASON,
+    REPORTING
+} = require('../config/constants');
+const {
+    logger
+} = require('../utils/logger');
+const { buildOwnershipFilter, isAdmin } = require('../utils/authorization');
+const {
+    parseDateBoundary
+} = require('../utils/dateTime');
+const ledgerService = require('./ledgerService');
+
+/**
+ * Relations included when returning an adjustment
+ */
+const adjustmentInclude = {
+    device: {
+        select: {
+            id: true,
+            deviceKey: true,
+            userId: true
+        }
+    },
+    requestedBy: {
+        select: {
+            id: true,
+            name: true,
+            email: true
+        }
+    },
+    reviewedBy: {
+        select: {
+            id: true,
+            name: true,
+            email: true
+        }
+    }
+};
+
+/**
+ * Submit a manual balance adjustment for approval
+ * @param {Object} adjustmentData - Adjustment data (deviceId, amount, reasonCode, note)
+ * @param {String} userId - ID of user submitting the adjustment
+ * @param {String} userRole - User role
+ * @returns {Object} Pending adjustment
+ */
+const submitAdjustment = async (adjustmentData, userId, userRole) => {
+    const {
+        deviceId,
+        amount,
+        reasonCode,
+        note
+    } = adjustmentData;
+
+    // Check if device exists and user has access
+    const device = await prisma.device.findFirst({
+        where: buildOwnershipFilter(userId, userRole, { id: deviceId })
+    });
+
+    if (!device) {
+        throw new ApiError('Device not found or you do not have permission', STATUS_CODES.NOT_FOUND);
+    }
+
+    const adjustment = await prisma.balanceAdjustment.create({
+        data: {
+            deviceId,
+            amount: parseFloat(amount),
+            reasonCode,
+            note,
+            status: ADJUSTMENT_STATUS.PENDING,
+            requestedById: userId
+        },
+        include: adjustmentInclude
+    });
+
+    logger.info(`Balance adjustment ${adjustment.id} of ${adjustment.amount} for device ${deviceId} submitted by user ${userId}`);
+
+    return adjustment;
+};
+
+/**
+ * Get balance adjustments with pagination and filtering
+ * @param {Object} options - Query options (pagination, status, deviceId, reasonCode, requestedById, startDate, endDate, timeZone)
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Adjustments and pagination metadata
+ */
+const getAllAdjustments = async (options, userId, userRole) => {
+    const {
+        page = 1, limit = 10, status, deviceId, reasonCode, requestedById, startDate, endDate, timeZone = REPORTING.TIMEZONE
+    } = options;
+    const skip = (page - 1) * limit;
+
+    // Non-admin users only see adjustments for their own devices
+    const where = buildOwnershipFilter(userId, userRole, {}, 'device.userId');
+
+    if (status && Object.values(ADJUSTMENT_STATUS).includes(status)) {
+        where.status = status;
+    }
+
+    if (reasonCode && Object.values(ADJUSTMENT_REASON).includes(reasonCode)) {
+        where.reasonCode = reasonCode;
+    }
+
+    if (deviceId) {
+        where.deviceId = deviceId;
+    }
+
+    if (requestedById) {
+        where.requestedById = requestedById;
+    }
+
+    // Plain dates are whole days in the requested zone
+    if (startDate || endDate) {
+        where.createdAt = {};
+        if (startDate) {
+            where.createdAt.gte = parseDateBoundary(startDate, timeZone);
+        }
+        if (endDate) {
+            where.createdAt.lte = parseDateBoundary(endDate, timeZone, true);
+        }
+    }
+
+    const total = await prisma.balanceAdjustment.count({
+        where
+    });
+
+    const adjustments = await prisma.balanceAdjustment.findMany({
+        where,
+        include: adjustmentInclude,
+        skip,
+        take: limit,
+        orderBy: {
+            createdAt: 'desc'
+        }
+    });
+
+    return {
+        adjustments,
+        meta: {
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+/**
+ * Get balance adjustment by ID
+ * @param {String} adjustmentId - Adjustment ID
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Adjustment
+ */
+const getAdjustmentById = async (adjustmentId, userId, userRole) => {
+    const adjustment = await prisma.balanceAdjustment.findFirst({
+        where: buildOwnershipFilter(userId, userRole, { id: adjustmentId }, 'device.userId'),
+        include: adjustmentInclude
+    });
+
+    if (!adjustment) {
+        throw new ApiError('Balance adjustment not found or you do not have permission', STATUS_CODES.NOT_FOUND);
+    }
+
+    return adjustment;
+};
+
+/**
+ * Load a pending adjustment and check the reviewer is allowed to decide on it
+ * @param {Object} tx - Prisma transaction client
+ * @param {String} adjustmentId - Adjustment ID
+ * @param {String} reviewerId - Reviewer user ID
+ * @param {String} reviewerRole - Reviewer role
+ * @returns {Object} Pending adjustment
+ */
+const getReviewableAdjustment = async (tx, adjustmentId, reviewerId, reviewerRole) => {
+    if (!isAdmin(reviewerRole)) {
+        throw new ApiError('Only administrators can review balance adjustments', STATUS_CODES.FORBIDDEN);
+    }
+
+    const adjustment = await tx.balanceAdjustment.findUnique({
+        where: {
+            id: adjustmentId
+        }
+    });
+
+    if (!adjustment) {
+        throw new ApiError('Balance adjustment not found', STATUS_CODES.NOT_FOUND);
+    }
+
+    if (adjustment.status !== ADJUSTMENT_STATUS.PENDING) {
+        throw new ApiError(`Balance adjustment has already been ${adjustment.status}`, STATUS_CODES.CONFLICT);
+    }
+
+    // Two-person rule: the requester cannot review their own adjustment
+    if (adjustment.requestedById === reviewerId) {
+        throw new ApiError('You cannot review a balance adjustment you submitted', STATUS_CODES.FORBIDDEN);
+    }
+
+    return adjustment;
+};
+
+/**
+ * Mark a pending adjustment as reviewed, failing if another reviewer got there first
+ * @param {Object} tx - Prisma transaction client
+ * @param {String} adjustmentId - Adjustment ID
+ * @param {Object} data - Review data
+ */
+const markReviewed = async (tx, adjustmentId, data) => {
+    const updated = await tx.balanceAdjustment.updateMany({
+        where: {
+            id: adjustmentId,
+            status: ADJUSTMENT_STATUS.PENDING
+        },
+        data: {
+            ...data,
+            reviewedAt: new Date()
+        }
+    });
+
+    if (updated.count === 0) {
+        throw new ApiError('Balance adjustment has already been reviewed', STATUS_CODES.CONFLICT);
+    }
+};
+
+/**
+ * Approve a pending adjustment and apply it to the balance
+ * @param {String} adjustmentId - Adjustment ID
+ * @param {String} reviewNote - Optional review note
+ * @param {String} reviewerId - Reviewer user ID
+ * @param {String} reviewerRole - Reviewer role
+ * @returns {Object} Approved adjustment
+ */
+const approveAdjustment = async (adjustmentId, reviewNote, reviewerId, reviewerRole) => {
+    await prisma.$transaction(async (tx) => {
+        const adjustment = await getReviewableAdjustment(tx, adjustmentId, reviewerId, reviewerRole);
+
+        await markReviewed(tx, adjustmentId, {
+            status: ADJUSTMENT_STATUS.APPROVED,
+            reviewedById: reviewerId,
+            reviewNote
+        });
+
+        const { transaction } = await ledgerService.postTransaction(tx, {
+            deviceId: adjustment.deviceId,
+            type: LEDGER_ENTRY_TYPE.ADJUSTMENT,
+            amount: adjustment.amount,
+            referenceType: LEDGER_REFERENCE_TYPE.ADJUSTMENT,
+            referenceId: adjustment.id,
+            description: `Manual adjustment (${adjustment.reasonCode}): ${adjustment.note}`,
+            userId: reviewerId
+        });
+
+        await tx.balanceAdjustment.update({
+            where: {
+                id: adjustmentId
+            },
+            data: {
+                transactionId: transaction.id
+            }
+        });
+    });
+
+    logger.info(`Balance adjustment ${adjustmentId} approved by user ${reviewerId}`);
+
+    return getAdjustmentById(adjustmentId, reviewerId, reviewerRole);
+};
+
+/**
+ * Reject a pending adjustment without touching the balance
+ * @param {String} adjustmentId - Adjustment ID
+ * @param {String} reviewNote - Reason for rejection
+ * @param {String} reviewerId - Reviewer user ID
+ * @param {String} reviewerRole - Reviewer role
+ * @returns {Object} Rejected adjustment
+ */
+const rejectAdjustment = async (adjustmentId, reviewNote, reviewerId, reviewerRole) => {
+    await prisma.$transaction(async (tx) => {
+        await getReviewableAdjustment(tx, adjustmentId, reviewerId, reviewerRole);
+
+        await markReviewed(tx, adjustmentId, {
+            status: ADJUSTMENT_STATUS.REJECTED,
+            reviewedById: reviewerId,
+            reviewNote
+        });
+    });
+
+    logger.info(`Balance adjustment ${adjustmentId} rejected by user ${reviewerId}`);
+
+    return getAdjustmentById(adjustmentId, reviewerId, reviewerRole);
+};
+
+module.exports = {
+    submitAdjustment,
+    getAllAdjustments,
+    getAdjustmentById,
+    approveAdjustment,
+    rejectAdjustment
+};
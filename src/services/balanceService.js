@@ -7,24 +7,51 @@ const {
     STATUS_CODES
 } = require('../config/constants');
 const {
-    ROLES
+    ROLES,
+    ROLLUP_GRANULARITY,
+    REPORTING
 } = require('../config/constants');
+const {
+    getPeriodStart,
+    addPeriods
+} = require('../utils/dateTime');
 const {
     logger
 } = require('../utils/logger');
+const {
+    getRollupSource
+} = require('./usageRollupService');
 
 /**
- * Get all balances with pagination and filtering
- * @param {Object} options - Query options (pagination, filters)
+ * Relations included when listing or exporting balances
+ */
+const balanceListInclude = {
+    device: {
+        select: {
+            deviceKey: true,
+            status: true,
+            user: {
+                select: {
+                    id: true,
+                    name: true,
+                    email: true
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Build the balance filter shared by the list and the export
+ * @param {Object} options - Filters (minBalance, maxBalance)
  * @param {String} userId - User ID
  * @param {String} userRole - User role
- * @returns {Object} Balances and pagination metadata
+ * @returns {Object} Prisma where clause on Balance
  */
-const getAllBalances = async (options, userId, userRole) => {
+const buildBalanceFilter = (options, userId, userRole) => {
     const {
-        page = 1, limit = 10, minBalance, maxBalance
+        minBalance, maxBalance
     } = options;
-    const skip = (page - 1) * limit;
 
     // Build where clause
     const where = {};
@@ -47,6 +74,24 @@ const getAllBalances = async (options, userId, userRole) => {
         }
     }
 
+    return where;
+};
+
+/**
+ * Get all balances with pagination and filtering
+ * @param {Object} options - Query options (pagination, filters)
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Balances and pagination metadata
+ */
+const getAllBalances = async (options, userId, userRole) => {
+    const {
+        page = 1, limit = 10
+    } = options;
+    const skip = (page - 1) * limit;
+
+    const where = buildBalanceFilter(options, userId, userRole);
+
     // Count total balances
     const total = await prisma.balance.count({
         where
@@ -55,21 +100,7 @@ const getAllBalances = async (options, userId, userRole) => {
     // Get balances with pagination
     const balances = await prisma.balance.findMany({
         where,
-        include: {
-            device: {
-                select: {
-                    deviceKey: true,
-                    status: true,
-                    user: {
-                        select: {
-                            id: true,
-                            name: true,
-                            email: true
-                        }
-                    }
-                }
-            }
-        },
+        include: balanceListInclude,
         skip,
         take: limit,
         orderBy: {
@@ -88,6 +119,32 @@ const getAllBalances = async (options, userId, userRole) => {
     };
 };
 
+/**
+ * Get the next batch of balances for an export, most recently updated first
+ * @param {Object} where - Filter from buildBalanceFilter
+ * @param {String} cursor - ID of the last balance of the previous batch
+ * @param {Number} take - Batch size
+ * @returns {Array} Balances
+ */
+const getBalanceExportBatch = async (where, cursor, take) => {
+    return prisma.balance.findMany({
+        where,
+        include: balanceListInclude,
+        take,
+        ...(cursor ? {
+            cursor: {
+                id: cursor
+            },
+            skip: 1
+        } : {}),
+        orderBy: [{
+            updatedAt: 'desc'
+        }, {
+            id: 'desc'
+        }]
+    });
+};
+
 /**
  * Get balance by device ID
  * @param {String} deviceId - Device ID
@@ -177,72 +234,16 @@ const checkDeviceBalance = async (deviceKey) => {
     };
 };
 
-/**
- * Update balance for a device
- * @param {String} deviceId - Device ID
- * @param {Number} amount - Amount to update (positive or negative)
- * @param {String} userId - User ID
- * @param {String} userRole - User role
- * @returns {Object} Updated balance
- */
-const updateBalance = async (deviceId, amount, userId, userRole) => {
-    // Check if device exists and user has access
-    const device = await prisma.device.findFirst({
-        where: {
-            id: deviceId,
-            ...(userRole === ROLES.STAFF || userRole === ROLES.USER ? {
-                userId
-            } : {})
-        }
-    });
-
-    if (!device) {
-        throw new ApiError('Device not found or you do not have permission', STATUS_CODES.NOT_FOUND);
-    }
-
-    // Start transaction
-    const result = await prisma.$transaction(async (tx) => {
-        // Get current balance
-        let balance = await tx.balance.findUnique({
-            where: {
-                deviceId
-            }
-        });
-
-        if (!balance) {
-            // Create balance if not exists
-            balance = await tx.balance.create({
-                data: {
-                    deviceId,
-                    balance: amount,
-                    lastToken: ''
-                }
-            });
-        } else {
-            // Update existing balance
-            balance = await tx.balance.update({
-                where: {
-                    deviceId
-                },
-                data: {
-                    balance: balance.balance + amount
-                }
-            });
-        }
-
-        return balance;
-    });
-
-    return result;
-};
-
 /**
  * Get balance statistics
  * @param {String} userId - User ID
  * @param {String} userRole - User role
+ * @param {Object} options - Options (timeZone the days are counted in)
  * @returns {Object} Balance statistics
  */
-const getBalanceStats = async (userId, userRole) => {
+const getBalanceStats = async (userId, userRole, options = {}) => {
+    const timeZone = options.timeZone || REPORTING.TIMEZONE;
+
     // Build where clause
     const where = {};
 
@@ -280,14 +281,16 @@ const getBalanceStats = async (userId, userRole) => {
         }
     });
 
-    // Calculate average usage per day over the last 30 days
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    // Calculate average usage per day over the last 30 whole days in the zone
+    const today = getPeriodStart(new Date(), ROLLUP_GRANULARITY.DAY, timeZone);
+    const thirtyDaysAgo = addPeriods(today, ROLLUP_GRANULARITY.DAY, -30, timeZone);
 
-    const usageResult = await prisma.usageLog.aggregate({
+    const usageResult = await prisma.usageRollup.aggregate({
         where: {
-            timeStamp: {
-                gte: thirtyDaysAgo
+            granularity: getRollupSource(ROLLUP_GRANULARITY.DAY, timeZone),
+            periodStart: {
+                gte: thirtyDaysAgo,
+                lt: today
             },
             ...(userRole === ROLES.STAFF || userRole === ROLES.USER ? {
                 device: {
@@ -296,11 +299,11 @@ const getBalanceStats = async (userId, userRole) => {
             } : {})
         },
         _sum: {
-            usageAmount: true
+            volume: true
         }
     });
 
-    const totalUsage = usageResult._sum.usageAmount || 0;
+    const totalUsage = usageResult._sum.volume || 0;
     const avgUsagePerDay = totalUsage / 30;
 
     return {
@@ -312,9 +315,10 @@ const getBalanceStats = async (userId, userRole) => {
 };
 
 module.exports = {
+    buildBalanceFilter,
     getAllBalances,
+    getBalanceExportBatch,
     getBalanceByDevice,
     checkDeviceBalance,
-    updateBalance,
     getBalanceStats
 };
\ No newline at end of file
@@ -0,0 +1,285 @@
+// src/services/commandService.js
+const crypto = require('crypto');
+const prisma = require('../utils/prisma');
+const {
+    COMMAND_STATUS,
+    DEVICE_COMMAND
+} = require('../config/constants');
+const {
+    logger
+} = require('../utils/logger');
+const { buildOwnershipFilter } = require('../utils/authorization');
+
+/**
+ * Relations included when listing commands
+ */
+const commandInclude = {
+    device: {
+        select: {
+            id: true,
+            deviceKey: true,
+            userId: true
+        }
+    }
+};
+
+/**
+ * Queue a command for a device. It stays pending until it is published.
+ * @param {String} deviceId - Device ID
+ * @param {String} command - Command name
+ * @param {Object} data - Command data
+ * @param {String} userId - ID of user sending the command, null for commands the server sends itself
+ * @param {Number} ttl - Seconds the command stays deliverable (default DEVICE_COMMAND_TTL)
+ * @returns {Object} Queued command
+ */
+const queueCommand = async (deviceId, command, data = {}, userId = null, ttl = DEVICE_COMMAND.TTL) => {
+    return prisma.deviceCommand.create({
+        data: {
+            correlationId: crypto.randomUUID(),
+            deviceId,
+            command,
+            data,
+            status: COMMAND_STATUS.PENDING,
+            expiresAt: new Date(Date.now() + ttl * 1000),
+            createdById: userId
+        }
+    });
+};
+
+/**
+ * Record that a command was published. A fast device may have acknowledged
+ * it already, which is kept.
+ * @param {String} commandId - Command ID
+ * @returns {Object} Updated command
+ */
+const markCommandSent = async (commandId) => {
+    await prisma.deviceCommand.updateMany({
+        where: {
+            id: commandId,
+            status: {
+                in: [COMMAND_STATUS.PENDING, COMMAND_STATUS.SENT]
+            }
+        },
+        data: {
+            status: COMMAND_STATUS.SENT,
+            attempts: {
+                increment: 1
+            },
+            lastSentAt: new Date()
+        }
+    });
+
+    return prisma.deviceCommand.findUnique({
+        where: {
+            id: commandId
+        }
+    });
+};
+
+/**
+ * Get the commands to deliver to a device that is online: pending ones, and
+ * sent ones that were not acknowledged within DEVICE_COMMAND_ACK_TIMEOUT.
+ * Oldest first.
+ * @param {String} deviceKey - Device key
+ * @returns {Array} Commands to publish
+ */
+const getCommandsToDeliver = async (deviceKey) => {
+    const now = new Date();
+
+    return prisma.deviceCommand.findMany({
+        where: {
+            device: {
+                deviceKey
+            },
+            expiresAt: {
+                gt: now
+            },
+            attempts: {
+                lt: DEVICE_COMMAND.MAX_ATTEMPTS
+            },
+            OR: [{
+                    status: COMMAND_STATUS.PENDING
+                },
+                {
+                    status: COMMAND_STATUS.SENT,
+                    lastSentAt: {
+                        lt: new Date(now.getTime() - DEVICE_COMMAND.ACK_TIMEOUT * 1000)
+                    }
+                }
+            ]
+        },
+        orderBy: {
+            createdAt: 'asc'
+        }
+    });
+};
+
+/**
+ * Record a device's acknowledgement of a command. A command the device
+ * reports as not carried out fails. Acknowledgements of commands that are
+ * already settled are ignored.
+ * @param {String} deviceKey - Device key
+ * @param {Object} ack - Acknowledgement (correlationId, success, data, error)
+ * @returns {Object|null} Command, null if the device has no command with the correlation ID
+ */
+const acknowledgeCommand = async (deviceKey, ack) => {
+    const command = await prisma.deviceCommand.findFirst({
+        where: {
+            correlationId: String(ack.correlationId || ''),
+            device: {
+                deviceKey
+            }
+        }
+    });
+
+    if (!command) {
+        logger.warn(`Acknowledgement from device ${deviceKey} for unknown command ${ack.correlationId}`);
+        return null;
+    }
+
+    const failed = ack.success === false;
+    const updated = await prisma.deviceCommand.updateMany({
+        where: {
+            id: command.id,
+            status: {
+                in: [COMMAND_STATUS.PENDING, COMMAND_STATUS.SENT]
+            }
+        },
+        data: {
+            status: failed ? COMMAND_STATUS.FAILED : COMMAND_STATUS.ACKNOWLEDGED,
+            acknowledgedAt: new Date(),
+            response: ack.data === undefined ? undefined : ack.data,
+            error: failed ? String(ack.error || 'Command failed on the device') : null
+        }
+    });
+
+    if (updated.count === 0) {
+        return command;
+    }
+
+    logger.info(`Command ${command.command} (${command.correlationId}) ${failed ? 'failed on' : 'acknowledged by'} device ${deviceKey}`);
+
+    return prisma.deviceCommand.findUnique({
+        where: {
+            id: command.id
+        }
+    });
+};
+
+/**
+ * Settle commands that can no longer be delivered: expired ones become
+ * expired, ones sent DEVICE_COMMAND_MAX_ATTEMPTS times without an
+ * acknowledgement fail. Run periodically.
+ * @returns {Object} Number of commands expired and failed
+ */
+const sweepCommands = async () => {
+    const now = new Date();
+
+    const expired = await prisma.deviceCommand.updateMany({
+        where: {
+            status: {
+                in: [COMMAND_STATUS.PENDING, COMMAND_STATUS.SENT]
+            },
+            expiresAt: {
+                lte: now
+            }
+        },
+        data: {
+            status: COMMAND_STATUS.EXPIRED
+        }
+    });
+
+    const failed = await prisma.deviceCommand.updateMany({
+        where: {
+            status: COMMAND_STATUS.SENT,
+            attempts: {
+                gte: DEVICE_COMMAND.MAX_ATTEMPTS
+            },
+            lastSentAt: {
+                lt: new Date(now.getTime() - DEVICE_COMMAND.ACK_TIMEOUT * 1000)
+            }
+        },
+        data: {
+            status: COMMAND_STATUS.FAILED,
+            error: 'Not acknowledged by the device'
+        }
+    });
+
+    if (expired.count > 0 || failed.count > 0) {
+        logger.info(`Device commands swept: ${expired.count} expired, ${failed.count} failed`);
+    }
+
+    return {
+        expired: expired.count,
+        failed: failed.count
+    };
+};
+
+/**
+ * Get command history with pagination and filtering, newest first
+ * @param {Object} options - Query options (pagination, deviceId, deviceKey, status, command)
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Commands and pagination metadata
+ */
+const getAllCommands = async (options, userId, userRole) => {
+    const {
+        page = 1, limit = 10, deviceId, deviceKey, status, command
+    } = options;
+    const skip = (page - 1) * limit;
+
+    // Non-admin users only see commands of their own devices
+    const where = buildOwnershipFilter(userId, userRole, {}, 'device.userId');
+
+    if (deviceId) {
+        where.deviceId = deviceId;
+    }
+
+    if (deviceKey) {
+        where.device = {
+            ...where.device,
+            deviceKey
+        };
+    }
+
+    if (status && Object.values(COMMAND_STATUS).includes(status)) {
+        where.status = status;
+    }
+
+    if (command) {
+        where.command = command;
+    }
+
+    const total = await prisma.deviceCommand.count({
+        where
+    });
+
+    const commands = await prisma.deviceCommand.findMany({
+        where,
+        include: commandInclude,
+        skip,
+        take: limit,
+        orderBy: {
+            createdAt: 'desc'
+        }
+    });
+
+    return {
+        commands,
+        meta: {
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+module.exports = {
+    queueCommand,
+    markCommandSent,
+    getCommandsToDeliver,
+    acknowledgeCommand,
+    sweepCommands,
+    getAllCommands
+};
@@ -0,0 +1,219 @@
+// src/services/creditPolicyService.js
+const {
+    CREDIT_POLICY,
+    SUPPLY_MODE,
+    DEBT
+} = require('../config/constants');
+const {
+    logger
+} = require('../utils/logger');
+const {
+    getLocalTimeParts,
+    isWithinTimeWindow
+} = require('../utils/dateTime');
+const holidayService = require('./holidayService');
+
+/**
+ * Pick the credit policy settings present in a request body
+ * @param {Object} data - Request data
+ * @returns {Object} - Settings ready to be stored on a tariff or device
+ */
+const pickCreditPolicy = (data) => {
+    const settings = {};
+
+    ['emergencyCreditLimit', 'debtRecoveryRate'].forEach(field => {
+        if (data[field] !== undefined) {
+            settings[field] = data[field] === null ? null : parseFloat(data[field]);
+        }
+    });
+    ['friendlyHoursStart', 'friendlyHoursEnd', 'friendlyOnHolidays'].forEach(field => {
+        if (data[field] !== undefined) {
+            settings[field] = data[field];
+        }
+    });
+
+    return settings;
+};
+
+/**
+ * Resolve the credit policy of a device, falling back to its tariff for
+ * every setting the device does not override
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} device - Device
+ * @returns {Object} Policy (emergencyCreditLimit, friendlyHoursStart, friendlyHoursEnd, friendlyOnHolidays, debtRecoveryRate)
+ */
+const getCreditPolicy = async (client, device) => {
+    let tariff = device.tariff;
+    if (tariff === undefined && device.tariffId) {
+        tariff = await client.tariff.findUnique({
+            where: {
+                id: device.tariffId
+            }
+        });
+    }
+
+    const pick = (field, fallback) => {
+        if (device[field] !== null && device[field] !== undefined) return device[field];
+        if (tariff && tariff[field] !== null && tariff[field] !== undefined) return tariff[field];
+        return fallback;
+    };
+
+    return {
+        emergencyCreditLimit: pick('emergencyCreditLimit', 0),
+        friendlyHoursStart: pick('friendlyHoursStart', null),
+        friendlyHoursEnd: pick('friendlyHoursEnd', null),
+        friendlyOnHolidays: pick('friendlyOnHolidays', false),
+        debtRecoveryRate: pick('debtRecoveryRate', DEBT.DEFAULT_RECOVERY_RATE)
+    };
+};
+
+/**
+ * Check whether supply must be kept on regardless of balance
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} policy - Credit policy
+ * @param {Date} at - Point in time
+ * @returns {String|null} SUPPLY_MODE.FRIENDLY_HOURS, SUPPLY_MODE.HOLIDAY or null
+ */
+const getFriendlyMode = async (client, policy, at = new Date()) => {
+    const local = getLocalTimeParts(at, CREDIT_POLICY.TIMEZONE);
+
+    if (isWithinTimeWindow(local.minutesOfDay, policy.friendlyHoursStart, policy.friendlyHoursEnd)) {
+        return SUPPLY_MODE.FRIENDLY_HOURS;
+    }
+
+    if (policy.friendlyOnHolidays && await holidayService.isHoliday(client, local.date)) {
+        return SUPPLY_MODE.HOLIDAY;
+    }
+
+    return null;
+};
+
+/**
+ * Decide whether usage may be debited when it costs more than the balance
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} device - Device
+ * @param {Number} balance - Current balance
+ * @param {Number} cost - Cost of the usage
+ * @param {Date} at - Time of usage
+ * @returns {Object} Decision (allowed, mode, policy)
+ */
+const authoriseUsage = async (client, device, balance, cost, at = new Date()) => {
+    const policy = await getCreditPolicy(client, device);
+
+    if (balance >= cost) {
+        return {
+            allowed: true,
+            mode: SUPPLY_MODE.BALANCE,
+            policy
+        };
+    }
+
+    const friendlyMode = await getFriendlyMode(client, policy, at);
+    if (friendlyMode) {
+        return {
+            allowed: true,
+            mode: friendlyMode,
+            policy
+        };
+    }
+
+    if (policy.emergencyCreditLimit > 0 && balance - cost >= -policy.emergencyCreditLimit) {
+        return {
+            allowed: true,
+            mode: SUPPLY_MODE.EMERGENCY_CREDIT,
+            policy
+        };
+    }
+
+    return {
+        allowed: false,
+        mode: null,
+        policy
+    };
+};
+
+/**
+ * Decide whether the meter may keep supplying water after a balance change
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} policy - Credit policy
+ * @param {Number} balance - Balance after the change
+ * @param {Date} at - Point in time
+ * @returns {Boolean} True if the meter should stay open
+ */
+const canContinueSupply = async (client, policy, balance, at = new Date()) => {
+    if (balance > 0) return true;
+    if (policy.emergencyCreditLimit > 0 && balance > -policy.emergencyCreditLimit) return true;
+    return Boolean(await getFriendlyMode(client, policy, at));
+};
+
+/**
+ * Summarise the emergency credit still available to a device
+ * @param {Object} policy - Credit policy
+ * @param {Number} balance - Current balance
+ * @returns {Object} Limit, used and remaining emergency credit
+ */
+const describeEmergencyCredit = (policy, balance) => {
+    const used = Math.min(policy.emergencyCreditLimit, Math.max(0, -balance));
+    return {
+        limit: policy.emergencyCreditLimit,
+        used,
+        remaining: Math.max(0, policy.emergencyCreditLimit - used)
+    };
+};
+
+/**
+ * Record that a device started drawing on emergency credit
+ * @param {Object} tx - Prisma transaction client
+ * @param {String} deviceId - Device ID
+ */
+const markEmergencyCreditUsed = async (tx, deviceId) => {
+    const updated = await tx.balance.updateMany({
+        where: {
+            deviceId,
+            emergencyCreditUsedAt: null
+        },
+        data: {
+            emergencyCreditUsedAt: new Date()
+        }
+    });
+
+    if (updated.count > 0) {
+        logger.info(`Device ${deviceId} started using emergency credit`);
+    }
+};
+
+/**
+ * Clear the emergency credit flag once a credit has brought the balance back to zero or above
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} balance - Balance after the credit
+ * @returns {Boolean} True if emergency credit was repaid by this credit
+ */
+const settleEmergencyCredit = async (tx, balance) => {
+    if (!balance.emergencyCreditUsedAt || balance.balance < 0) {
+        return false;
+    }
+
+    await tx.balance.update({
+        where: {
+            deviceId: balance.deviceId
+        },
+        data: {
+            emergencyCreditUsedAt: null
+        }
+    });
+
+    logger.info(`Emergency credit of device ${balance.deviceId} repaid`);
+
+    return true;
+};
+
+module.exports = {
+    pickCreditPolicy,
+    getCreditPolicy,
+    getFriendlyMode,
+    authoriseUsage,
+    canContinueSupply,
+    describeEmergencyCredit,
+    markEmergencyCreditUsed,
+    settleEmergencyCredit
+};
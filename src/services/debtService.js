@@ -0,0 +1,429 @@
+// src/services/debtService.js
+const prisma = require('../utils/prisma');
+const {
+    ApiError
+} = require('../middleware/error');
+const {
+    STATUS_CODES,
+    DEBT_STATUS,
+    DEBT_SOURCE,
+    LEDGER_ENTRY_TYPE,
+    LEDGER_REFERENCE_TYPE
+} = require('../config/constants');
+const {
+    logger
+} = require('../utils/logger');
+const { buildOwnershipFilter } = require('../utils/authorization');
+const { roundMoney } = require('../utils/tariffCalculator');
+const ledgerService = require('./ledgerService');
+
+/**
+ * Relations included when returning a debt
+ */
+const debtInclude = {
+    device: {
+        select: {
+            id: true,
+            deviceKey: true,
+            userId: true
+        }
+    },
+    createdBy: {
+        select: {
+            id: true,
+            name: true,
+            email: true
+        }
+    },
+    writtenOffBy: {
+        select: {
+            id: true,
+            name: true,
+            email: true
+        }
+    }
+};
+
+/**
+ * Record a debt against a device
+ * @param {Object} debtData - Debt data (deviceId, amount, source, description)
+ * @param {String} userId - ID of user recording the debt
+ * @returns {Object} Created debt
+ */
+const createDebt = async (debtData, userId) => {
+    const {
+        deviceId,
+        amount,
+        source = DEBT_SOURCE.OTHER,
+        description
+    } = debtData;
+
+    const device = await prisma.device.findUnique({
+        where: {
+            id: deviceId
+        }
+    });
+
+    if (!device) {
+        throw new ApiError('Device not found', STATUS_CODES.NOT_FOUND);
+    }
+
+    const debt = await prisma.debt.create({
+        data: {
+            deviceId,
+            source,
+            description,
+            amount: roundMoney(parseFloat(amount)),
+            outstanding: roundMoney(parseFloat(amount)),
+            status: DEBT_STATUS.OUTSTANDING,
+            createdById: userId
+        },
+        include: debtInclude
+    });
+
+    logger.info(`Debt ${debt.id} of ${debt.amount} recorded against device ${deviceId} by user ${userId}`);
+
+    return debt;
+};
+
+/**
+ * Record usage the balance could not be debited for as a debt, so it is
+ * recovered from the device's next tokens
+ * @param {Object} tx - Prisma transaction client
+ * @param {String} deviceId - Device ID
+ * @param {Number} amount - Unbilled cost of the usage
+ * @param {String} description - What the usage was
+ * @returns {Object} Created debt
+ */
+const recordUnpaidUsage = async (tx, deviceId, amount, description) => {
+    const debt = await tx.debt.create({
+        data: {
+            deviceId,
+            source: DEBT_SOURCE.UNPAID_USAGE,
+            description,
+            amount: roundMoney(amount),
+            outstanding: roundMoney(amount),
+            status: DEBT_STATUS.OUTSTANDING
+        }
+    });
+
+    logger.info(`Debt ${debt.id} of ${debt.amount} recorded against device ${deviceId} for unpaid usage`);
+
+    return debt;
+};
+
+/**
+ * Get debts with pagination and filtering
+ * @param {Object} options - Query options (pagination, deviceId, status, source)
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Debts and pagination metadata
+ */
+const getAllDebts = async (options, userId, userRole) => {
+    const {
+        page = 1, limit = 10, deviceId, status, source
+    } = options;
+    const skip = (page - 1) * limit;
+
+    // Non-admin users only see debts of their own devices
+    const where = buildOwnershipFilter(userId, userRole, {}, 'device.userId');
+
+    if (deviceId) {
+        where.deviceId = deviceId;
+    }
+
+    if (status && Object.values(DEBT_STATUS).includes(status)) {
+        where.status = status;
+    }
+
+    if (source && Object.values(DEBT_SOURCE).includes(source)) {
+        where.source = source;
+    }
+
+    const total = await prisma.debt.count({
+        where
+    });
+
+    const debts = await prisma.debt.findMany({
+        where,
+        include: debtInclude,
+        skip,
+        take: limit,
+        orderBy: {
+            createdAt: 'desc'
+        }
+    });
+
+    return {
+        debts,
+        meta: {
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+/**
+ * Get debt by ID including its repayments
+ * @param {String} debtId - Debt ID
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Debt
+ */
+const getDebtById = async (debtId, userId, userRole) => {
+    const debt = await prisma.debt.findFirst({
+        where: buildOwnershipFilter(userId, userRole, { id: debtId }, 'device.userId'),
+        include: {
+            ...debtInclude,
+            repayments: {
+                include: {
+                    token: {
+                        select: {
+                            id: true,
+                            token: true,
+                            amount: true,
+                            used_at: true
+                        }
+                    }
+                },
+                orderBy: {
+                    createdAt: 'asc'
+                }
+            }
+        }
+    });
+
+    if (!debt) {
+        throw new ApiError('Debt not found or you do not have permission', STATUS_CODES.NOT_FOUND);
+    }
+
+    return debt;
+};
+
+/**
+ * Write off what is left of a debt
+ * @param {String} debtId - Debt ID
+ * @param {String} reason - Reason for the write-off
+ * @param {String} userId - ID of user writing off the debt
+ * @param {String} userRole - User role
+ * @returns {Object} Written off debt
+ */
+const writeOffDebt = async (debtId, reason, userId, userRole) => {
+    const debt = await prisma.debt.findUnique({
+        where: {
+            id: debtId
+        }
+    });
+
+    if (!debt) {
+        throw new ApiError('Debt not found', STATUS_CODES.NOT_FOUND);
+    }
+
+    if (debt.status !== DEBT_STATUS.OUTSTANDING) {
+        throw new ApiError(`Debt is already ${debt.status.replace('_', ' ')}`, STATUS_CODES.CONFLICT);
+    }
+
+    // Guard against a token repaying the debt at the same time
+    const updated = await prisma.debt.updateMany({
+        where: {
+            id: debtId,
+            status: DEBT_STATUS.OUTSTANDING,
+            outstanding: debt.outstanding
+        },
+        data: {
+            status: DEBT_STATUS.WRITTEN_OFF,
+            writtenOffAmount: debt.outstanding,
+            outstanding: 0,
+            writtenOffAt: new Date(),
+            writtenOffById: userId,
+            writeOffReason: reason
+        }
+    });
+
+    if (updated.count === 0) {
+        throw new ApiError('Debt changed while writing it off, please try again', STATUS_CODES.CONFLICT);
+    }
+
+    logger.info(`Debt ${debtId} written off (${debt.outstanding}) by user ${userId}: ${reason}`);
+
+    return getDebtById(debtId, userId, userRole);
+};
+
+/**
+ * Get the total debt still outstanding for a device
+ * @param {Object} client - Prisma client or transaction client
+ * @param {String} deviceId - Device ID
+ * @returns {Number} Outstanding amount
+ */
+const getOutstandingDebt = async (client, deviceId) => {
+    const result = await client.debt.aggregate({
+        where: {
+            deviceId,
+            status: DEBT_STATUS.OUTSTANDING
+        },
+        _sum: {
+            outstanding: true
+        }
+    });
+
+    return roundMoney(result._sum.outstanding || 0);
+};
+
+/**
+ * Pay down a device's debts, oldest first, from part of a credit that was
+ * just posted to its balance. Each repayment is recorded against the token
+ * and posted to the ledger as a debt recovery entry.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} options - Recovery options
+ * @param {String} options.deviceId - Device ID
+ * @param {String} options.tokenId - Token whose credit is used
+ * @param {Number} options.creditAmount - Credit available for recovery
+ * @param {Number} options.recoveryRate - Percentage of the credit to use
+ * @returns {Object} Recovered amount, repayments, outstanding debt and latest balance (null if nothing was recovered)
+ */
+const recoverFromCredit = async (tx, options) => {
+    const {
+        deviceId,
+        tokenId,
+        creditAmount,
+        recoveryRate
+    } = options;
+
+    const debts = await tx.debt.findMany({
+        where: {
+            deviceId,
+            status: DEBT_STATUS.OUTSTANDING
+        },
+        orderBy: {
+            createdAt: 'asc'
+        }
+    });
+
+    let available = roundMoney(Math.max(0, creditAmount) * Math.min(Math.max(recoveryRate, 0), 100) / 100);
+    const repayments = [];
+    let balance = null;
+
+    for (const debt of debts) {
+        if (available <= 0) break;
+
+        const amount = roundMoney(Math.min(debt.outstanding, available));
+        const outstanding = roundMoney(debt.outstanding - amount);
+
+        await tx.debt.update({
+            where: {
+                id: debt.id
+            },
+            data: {
+                outstanding,
+                status: outstanding <= 0 ? DEBT_STATUS.PAID : DEBT_STATUS.OUTSTANDING
+            }
+        });
+
+        await tx.debtRepayment.create({
+            data: {
+                debtId: debt.id,
+                tokenId,
+                amount
+            }
+        });
+
+        ({ balance } = await ledgerService.postTransaction(tx, {
+            deviceId,
+            type: LEDGER_ENTRY_TYPE.DEBT_RECOVERY,
+            amount: -amount,
+            referenceType: LEDGER_REFERENCE_TYPE.DEBT,
+            referenceId: debt.id,
+            description: `Debt recovery (${debt.source.replace('_', ' ')}), ${outstanding} outstanding`
+        }));
+
+        repayments.push({
+            debtId: debt.id,
+            amount,
+            outstanding
+        });
+        available = roundMoney(available - amount);
+    }
+
+    const recovered = roundMoney(repayments.reduce((sum, item) => sum + item.amount, 0));
+
+    if (recovered > 0) {
+        logger.info(`Recovered ${recovered} of debt for device ${deviceId} from token ${tokenId}`);
+    }
+
+    return {
+        recovered,
+        repayments,
+        outstanding: await getOutstandingDebt(tx, deviceId),
+        balance
+    };
+};
+
+/**
+ * Undo the debt repayments made from a token that is being reversed, so the
+ * debt is owed again. Repayments on debts written off since are left alone.
+ * @param {Object} tx - Prisma transaction client
+ * @param {String} tokenId - Token ID
+ * @returns {Object} Reinstated amount and the repayments that were undone
+ */
+const reinstateRepayments = async (tx, tokenId) => {
+    const repayments = await tx.debtRepayment.findMany({
+        where: {
+            tokenId,
+            reversedAt: null
+        },
+        include: {
+            debt: true
+        }
+    });
+
+    const reinstated = [];
+
+    for (const repayment of repayments) {
+        if (repayment.debt.status === DEBT_STATUS.WRITTEN_OFF) continue;
+
+        const outstanding = roundMoney(repayment.debt.outstanding + repayment.amount);
+
+        await tx.debt.update({
+            where: {
+                id: repayment.debtId
+            },
+            data: {
+                outstanding,
+                status: DEBT_STATUS.OUTSTANDING
+            }
+        });
+
+        await tx.debtRepayment.update({
+            where: {
+                id: repayment.id
+            },
+            data: {
+                reversedAt: new Date()
+            }
+        });
+
+        reinstated.push({
+            debtId: repayment.debtId,
+            amount: repayment.amount,
+            outstanding
+        });
+    }
+
+    return {
+        amount: roundMoney(reinstated.reduce((sum, item) => sum + item.amount, 0)),
+        repayments: reinstated
+    };
+};
+
+module.exports = {
+    createDebt,
+    recordUnpaidUsage,
+    getAllDebts,
+    getDebtById,
+    writeOffDebt,
+    getOutstandingDebt,
+    recoverFromCredit,
+    reinstateRepayments
+};
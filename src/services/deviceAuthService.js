@@ -0,0 +1,332 @@
+// src/services/deviceAuthService.js
+const crypto = require('crypto');
+const prisma = require('../utils/prisma');
+const {
+    ApiError
+} = require('../middleware/error');
+const {
+    STATUS_CODES,
+    DEVICE_AUTH
+} = require('../config/constants');
+const {
+    logger
+} = require('../utils/logger');
+const {
+    parseDeviceTimestamp
+} = require('../utils/dateTime');
+const { enforceOwnership } = require('../utils/authorization');
+
+/**
+ * Hash a device secret. The hash is the key the device signs requests with.
+ * @param {String} secret - Device secret
+ * @returns {String} Hex SHA-256 of the secret
+ */
+const hashDeviceSecret = (secret) => {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Get the AES-256 key signing keys are encrypted with, derived from
+ * DEVICE_SECRET_KEY so the database alone is not enough to sign as a device
+ * @returns {Buffer} 32-byte key
+ */
+const getEncryptionKey = () => {
+    if (!DEVICE_AUTH.SECRET_KEY) {
+        throw new ApiError('Device secrets are not configured on this server: set DEVICE_SECRET_KEY and restart it', STATUS_CODES.SERVICE_UNAVAILABLE);
+    }
+
+    return crypto.createHash('sha256').update(DEVICE_AUTH.SECRET_KEY).digest();
+};
+
+/**
+ * Encrypt a signing key for storage
+ * @param {String} signingKey - Signing key
+ * @returns {String} "iv:authTag:ciphertext" in hex (AES-256-GCM)
+ */
+const encryptSigningKey = (signingKey) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(signingKey, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('hex')).join(':');
+};
+
+/**
+ * Decrypt a stored signing key
+ * @param {String} stored - Encrypted signing key
+ * @returns {String|null} Signing key, null if it was not encrypted with the current DEVICE_SECRET_KEY
+ */
+const decryptSigningKey = (stored) => {
+    const key = getEncryptionKey();
+    const [iv, authTag, ciphertext] = String(stored).split(':').map(part => Buffer.from(part || '', 'hex'));
+
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+        decipher.setAuthTag(authTag);
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Generate a new device secret. Only the encrypted signing key is stored,
+ * the secret itself is shown once.
+ * @returns {Object} Secret and its encrypted signing key
+ */
+const generateDeviceSecret = () => {
+    const secret = crypto.randomBytes(DEVICE_AUTH.SECRET_BYTES).toString('hex');
+
+    return {
+        secret,
+        signingKey: encryptSigningKey(hashDeviceSecret(secret))
+    };
+};
+
+/**
+ * Sign a device request
+ * @param {String} signingKey - Signing key (hash of the device secret)
+ * @param {String} timestamp - Request timestamp as sent
+ * @param {String} nonce - Request nonce
+ * @param {String} body - Raw request body
+ * @returns {String} Hex HMAC-SHA256 of "timestamp.nonce.body"
+ */
+const signDeviceRequest = (signingKey, timestamp, nonce, body) => {
+    return crypto.createHmac('sha256', signingKey)
+        .update(`${timestamp}.${nonce}.${body}`)
+        .digest('hex');
+};
+
+/**
+ * Issue a new secret for a device, replacing the old one. The secret is only
+ * returned here; requests signed with the old one are rejected from now on.
+ * @param {String} deviceId - Device ID
+ * @param {String} userId - ID of user rotating the secret
+ * @param {String} userRole - User role
+ * @returns {Object} Device ID, device key, the new secret and when it was issued
+ */
+const rotateDeviceSecret = async (deviceId, userId, userRole) => {
+    const device = await prisma.device.findUnique({
+        where: {
+            id: deviceId
+        }
+    });
+
+    // Check if device exists and user has permission to manage it
+    enforceOwnership(device, userId, userRole, null, 'Device');
+
+    if (device.decommissionedAt) {
+        throw new ApiError('Device has been decommissioned', STATUS_CODES.CONFLICT);
+    }
+
+    const { secret, signingKey } = generateDeviceSecret();
+    const rotatedAt = new Date();
+
+    await prisma.deviceCredential.upsert({
+        where: {
+            deviceId
+        },
+        create: {
+            deviceId,
+            signingKey,
+            rotatedAt,
+            rotatedById: userId
+        },
+        update: {
+            signingKey,
+            rotatedAt,
+            rotatedById: userId
+        }
+    });
+
+    logger.info(`Secret of device ${device.deviceKey} rotated by user ${userId}`);
+
+    return {
+        deviceId,
+        deviceKey: device.deviceKey,
+        secret,
+        rotatedAt
+    };
+};
+
+/**
+ * Issue a secret to every active device that has none, such as devices
+ * created before signing was required. The secrets are only returned here.
+ * @returns {Array} Device ID, device key and secret of each device
+ */
+const issueMissingSecrets = async () => {
+    const devices = await prisma.device.findMany({
+        where: {
+            decommissionedAt: null,
+            OR: [
+                {
+                    credential: null
+                },
+                {
+                    credential: {
+                        signingKey: null
+                    }
+                }
+            ]
+        },
+        select: {
+            id: true,
+            deviceKey: true
+        },
+        orderBy: {
+            deviceKey: 'asc'
+        }
+    });
+
+    const issued = [];
+
+    for (const device of devices) {
+        const { secret, signingKey } = generateDeviceSecret();
+
+        await prisma.deviceCredential.upsert({
+            where: {
+                deviceId: device.id
+            },
+            create: {
+                deviceId: device.id,
+                signingKey
+            },
+            update: {
+                signingKey,
+                rotatedAt: new Date()
+            }
+        });
+
+        issued.push({
+            deviceId: device.id,
+            deviceKey: device.deviceKey,
+            secret
+        });
+    }
+
+    logger.info(`Secrets issued to ${issued.length} devices without one`);
+
+    return issued;
+};
+
+/**
+ * Verify a signed device request. Every device must sign its requests; only
+ * while DEVICE_REQUIRE_SIGNATURE is turned off to migrate devices are those
+ * without a secret let through unsigned. The timestamp must be within
+ * DEVICE_SIGNATURE_WINDOW seconds of server time and each nonce is accepted
+ * once per device.
+ * @param {String} deviceKey - Device key
+ * @param {Object} request - Signed request (timestamp, nonce, signature, body)
+ * @returns {Boolean} True if the request was signed, false if an unsigned request is allowed
+ */
+const verifyDeviceRequest = async (deviceKey, request) => {
+    const {
+        timestamp,
+        nonce,
+        signature,
+        body = ''
+    } = request;
+
+    const device = await prisma.device.findFirst({
+        where: {
+            deviceKey
+        },
+        select: {
+            id: true,
+            credential: {
+                select: {
+                    signingKey: true
+                }
+            }
+        }
+    });
+
+    // Unknown devices are answered by the handler itself
+    if (!device) {
+        return false;
+    }
+
+    // Credentials from before signing keys were encrypted have none
+    if (!device.credential || !device.credential.signingKey) {
+        if (DEVICE_AUTH.REQUIRE_SIGNATURE) {
+            throw new ApiError('Device has no secret, ask an administrator to issue one', STATUS_CODES.UNAUTHORIZED);
+        }
+        return false;
+    }
+
+    if (!timestamp || !nonce || !signature) {
+        throw new ApiError('Device request signature, timestamp and nonce are required', STATUS_CODES.UNAUTHORIZED);
+    }
+
+    const now = new Date();
+    const sentAt = parseDeviceTimestamp(/^\d+$/.test(String(timestamp)) ? Number(timestamp) : timestamp);
+
+    // The server time lets a device with a drifting clock correct itself
+    if (!sentAt || Math.abs(now.getTime() - sentAt.getTime()) > DEVICE_AUTH.SIGNATURE_WINDOW * 1000) {
+        throw new ApiError(`Request timestamp is outside the allowed window, server time is ${now.toISOString()}`, STATUS_CODES.UNAUTHORIZED);
+    }
+
+    if (String(nonce).length > 64) {
+        throw new ApiError('Nonce must be at most 64 characters', STATUS_CODES.UNAUTHORIZED);
+    }
+
+    const signingKey = decryptSigningKey(device.credential.signingKey);
+    if (!signingKey) {
+        logger.error(`Signing key of device ${deviceKey} cannot be decrypted, check DEVICE_SECRET_KEY`);
+        throw new ApiError('Invalid device signature', STATUS_CODES.UNAUTHORIZED);
+    }
+
+    const expected = Buffer.from(signDeviceRequest(signingKey, timestamp, nonce, body), 'hex');
+    const received = Buffer.from(String(signature), 'hex');
+
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        logger.warn(`Invalid signature on request from device ${deviceKey}`);
+        throw new ApiError('Invalid device signature', STATUS_CODES.UNAUTHORIZED);
+    }
+
+    try {
+        await prisma.deviceNonce.create({
+            data: {
+                deviceId: device.id,
+                nonce: String(nonce)
+            }
+        });
+    } catch (err) {
+        if (err.code === 'P2002') {
+            logger.warn(`Replayed request from device ${deviceKey} rejected`);
+            throw new ApiError('Request has already been processed', STATUS_CODES.UNAUTHORIZED);
+        }
+        throw err;
+    }
+
+    return true;
+};
+
+/**
+ * Delete nonces older than the signature window; requests that old are
+ * rejected on their timestamp anyway. Run periodically.
+ * @returns {Number} Number of nonces deleted
+ */
+const purgeExpiredNonces = async () => {
+    const result = await prisma.deviceNonce.deleteMany({
+        where: {
+            createdAt: {
+                lt: new Date(Date.now() - DEVICE_AUTH.SIGNATURE_WINDOW * 2 * 1000)
+            }
+        }
+    });
+
+    return result.count;
+};
+
+module.exports = {
+    hashDeviceSecret,
+    encryptSigningKey,
+    decryptSigningKey,
+    generateDeviceSecret,
+    signDeviceRequest,
+    rotateDeviceSecret,
+    issueMissingSecrets,
+    verifyDeviceRequest,
+    purgeExpiredNonces
+};
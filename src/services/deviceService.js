@@ -4,7 +4,8 @@ const {
     ApiError
 } = require('../middleware/error');
 const {
-    STATUS_CODES
+    STATUS_CODES,
+    DEVICE_SHADOW
 } = require('../config/constants');
 const {
     ROLES
@@ -12,21 +13,75 @@ const {
 const {
     logger
 } = require('../utils/logger');
+const {
+    parseDeviceTimestamp
+} = require('../utils/dateTime');
 
-const { buildOwnershipFilter, enforceOwnership } = require('../utils/authorization');
+const { buildOwnershipFilter, enforceOwnership, isAdmin } = require('../utils/authorization');
+const tariffService = require('./tariffService');
+const creditPolicyService = require('./creditPolicyService');
+const usageService = require('./usageService');
+const deviceAuthService = require('./deviceAuthService');
 
 /**
- * Get all devices with pagination and filtering
- * @param {Object} options - Query options (pagination, filters)
+ * Tariff fields included with a device
+ */
+const tariffSelect = {
+    id: true,
+    code: true,
+    name: true,
+    customerClass: true
+};
+
+/**
+ * Check that the caller may assign the given tariff to a device
+ * @param {String|null} tariffId - Tariff ID, or null to remove the tariff
+ * @param {String} userRole - Role of the caller
+ */
+const assertCanAssignTariff = async (tariffId, userRole) => {
+    if (!isAdmin(userRole)) {
+        throw new ApiError('Only administrators can assign tariffs', STATUS_CODES.FORBIDDEN);
+    }
+
+    if (tariffId) {
+        await tariffService.assertTariffAssignable(tariffId);
+    }
+};
+
+/**
+ * Relations included when listing or exporting devices
+ */
+const deviceListInclude = {
+    user: {
+        select: {
+            id: true,
+            name: true,
+            email: true
+        }
+    },
+    _count: {
+        select: {
+            tokens: true,
+            UsageLog: true
+        }
+    },
+    Balance: true,
+    tariff: {
+        select: tariffSelect
+    }
+};
+
+/**
+ * Build the device filter shared by the list and the export
+ * @param {Object} options - Filters (search, status)
  * @param {String} userId - User ID
  * @param {String} userRole - User role
- * @returns {Object} Devices and pagination metadata
+ * @returns {Object} Prisma where clause on Device
  */
-const getAllDevices = async (options, userId, userRole) => {
+const buildDeviceFilter = (options, userId, userRole) => {
     const {
-        page = 1, limit = 10, search = '', status
+        search = '', status
     } = options;
-    const skip = (page - 1) * limit;
 
     // Build where clause with ownership filter
     const where = buildOwnershipFilter(userId, userRole);
@@ -44,28 +99,31 @@ const getAllDevices = async (options, userId, userRole) => {
         };
     }
 
+    return where;
+};
+
+/**
+ * Get all devices with pagination and filtering
+ * @param {Object} options - Query options (pagination, filters)
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Devices and pagination metadata
+ */
+const getAllDevices = async (options, userId, userRole) => {
+    const {
+        page = 1, limit = 10
+    } = options;
+    const skip = (page - 1) * limit;
+
+    const where = buildDeviceFilter(options, userId, userRole);
+
     // Count total devices
     const total = await prisma.device.count({ where });
 
     // Get devices with pagination
     const devices = await prisma.device.findMany({
         where,
-        include: {
-            user: {
-                select: {
-                    id: true,
-                    name: true,
-                    email: true
-                }
-            },
-            _count: {
-                select: {
-                    tokens: true,
-                    UsageLog: true
-                }
-            },
-            Balance: true
-        },
+        include: deviceListInclude,
         skip,
         take: limit,
         orderBy: {
@@ -84,6 +142,32 @@ const getAllDevices = async (options, userId, userRole) => {
     };
 };
 
+/**
+ * Get the next batch of devices for an export, newest first
+ * @param {Object} where - Filter from buildDeviceFilter
+ * @param {String} cursor - ID of the last device of the previous batch
+ * @param {Number} take - Batch size
+ * @returns {Array} Devices
+ */
+const getDeviceExportBatch = async (where, cursor, take) => {
+    return prisma.device.findMany({
+        where,
+        include: deviceListInclude,
+        take,
+        ...(cursor ? {
+            cursor: {
+                id: cursor
+            },
+            skip: 1
+        } : {}),
+        orderBy: [{
+            createdAt: 'desc'
+        }, {
+            id: 'desc'
+        }]
+    });
+};
+
 /**
  * Get device by ID
  * @param {String} deviceId - Device ID
@@ -107,6 +191,9 @@ const getDeviceById = async (deviceId, userId, userRole) => {
                 }
             },
             Balance: true,
+            tariff: {
+                select: tariffSelect
+            },
             _count: {
                 select: {
                     tokens: true,
@@ -125,15 +212,16 @@ const getDeviceById = async (deviceId, userId, userRole) => {
 
 /**
  * Create a new device
- * @param {Object} deviceData - Device data (deviceKey, userId)
- * @param {String} creatorId - ID of user creating the device
+ * @param {Object} deviceData - Device data (deviceKey, userId, tariffId)
+ * @param {String} creatorId - ID of user creating the device, null for a self-registered meter, which stays unclaimed
  * @param {String} creatorRole - Role of user creating the device
- * @returns {Object} Created device
+ * @returns {Object} Created device, with the device secret (only returned here)
  */
 const createDevice = async (deviceData, creatorId, creatorRole) => {
     const {
         deviceKey,
-        userId
+        userId,
+        tariffId
     } = deviceData;
 
     // Determine the owner of the device
@@ -150,16 +238,30 @@ const createDevice = async (deviceData, creatorId, creatorRole) => {
         throw new ApiError('Device key already exists', STATUS_CODES.CONFLICT);
     }
 
+    if (tariffId) {
+        await assertCanAssignTariff(tariffId, creatorRole);
+    }
+
+    // The secret is only shown now, the device signs its requests with it
+    const { secret, signingKey } = deviceAuthService.generateDeviceSecret();
+
     // Create device
     const newDevice = await prisma.device.create({
         data: {
             deviceKey,
             userId: ownerId,
+            tariffId: tariffId || null,
             Balance: {
                 create: {
                     balance: 0,
                     lastToken: ''
                 }
+            },
+            credential: {
+                create: {
+                    signingKey,
+                    rotatedById: creatorId
+                }
             }
         },
         include: {
@@ -170,23 +272,29 @@ const createDevice = async (deviceData, creatorId, creatorRole) => {
                     email: true
                 }
             },
-            Balance: true
+            Balance: true,
+            tariff: {
+                select: tariffSelect
+            }
         }
     });
 
-    return newDevice;
+    return {
+        ...newDevice,
+        secret
+    };
 };
 
 /**
  * Update a device
  * @param {String} deviceId - Device ID
- * @param {Object} updateData - Data to update (deviceKey, status)
+ * @param {Object} updateData - Data to update (deviceKey, status, tariffId, registerMax, credit policy overrides)
  * @param {String} userId - User ID
  * @param {String} userRole - User role
  * @returns {Object} Updated device
  */
 const updateDevice = async (deviceId, updateData, userId, userRole) => {
-    const { deviceKey, status } = updateData;
+    const { deviceKey, status, tariffId, registerMax } = updateData;
 
     // Get the device first to check ownership
     const device = await prisma.device.findUnique({
@@ -196,6 +304,16 @@ const updateDevice = async (deviceId, updateData, userId, userRole) => {
     // Check if device exists and user has permission to update it
     enforceOwnership(device, userId, userRole, null, 'Device');
 
+    // A replaced meter stays out of service
+    if (device.decommissionedAt && status) {
+        throw new ApiError('Device has been decommissioned and cannot be reactivated', STATUS_CODES.CONFLICT);
+    }
+
+    // A self-registered meter is activated when it is claimed
+    if (!device.userId && status) {
+        throw new ApiError('Device has not been claimed yet', STATUS_CODES.CONFLICT);
+    }
+
     // Check if deviceKey is already in use
     if (deviceKey && deviceKey !== device.deviceKey) {
         const existingDevice = await prisma.device.findFirst({
@@ -212,10 +330,24 @@ const updateDevice = async (deviceId, updateData, userId, userRole) => {
         }
     }
 
+    // Only administrators can change the tariff
+    if (tariffId !== undefined && tariffId !== device.tariffId) {
+        await assertCanAssignTariff(tariffId, userRole);
+    }
+
+    // Only administrators can change emergency credit and friendly hours
+    const creditPolicy = creditPolicyService.pickCreditPolicy(updateData);
+    if (Object.keys(creditPolicy).length > 0 && !isAdmin(userRole)) {
+        throw new ApiError('Only administrators can change the credit policy of a device', STATUS_CODES.FORBIDDEN);
+    }
+
     // Build update data
     const data = {};
     if (deviceKey !== undefined) data.deviceKey = deviceKey;
     if (status !== undefined) data.status = status;
+    if (tariffId !== undefined) data.tariffId = tariffId || null;
+    if (registerMax !== undefined) data.registerMax = registerMax === null ? null : parseFloat(registerMax);
+    Object.assign(data, creditPolicy);
 
     // Update device
     const updatedDevice = await prisma.device.update({
@@ -231,7 +363,10 @@ const updateDevice = async (deviceId, updateData, userId, userRole) => {
                     email: true
                 }
             },
-            Balance: true
+            Balance: true,
+            tariff: {
+                select: tariffSelect
+            }
         }
     });
 
@@ -446,13 +581,70 @@ const authenticateDevice = async (deviceKey) => {
     };
 };
 
+/**
+ * Record a device heartbeat: the device is marked as seen and its clock is
+ * checked against server time like on a live usage report
+ * @param {String} deviceKey - Device key
+ * @param {String|Number} timestamp - Device time of the heartbeat (optional)
+ * @returns {Object} Device ID, status, server time, whether the device was offline before and clock assessment
+ */
+const recordHeartbeat = async (deviceKey, timestamp) => {
+    const device = await prisma.device.findFirst({
+        where: {
+            deviceKey
+        },
+        select: {
+            id: true,
+            status: true,
+            updatedAt: true
+        }
+    });
+
+    if (!device) {
+        throw new ApiError('Device not found', STATUS_CODES.NOT_FOUND);
+    }
+
+    if (!device.status) {
+        throw new ApiError('Device is inactive', STATUS_CODES.FORBIDDEN);
+    }
+
+    const receivedAt = new Date();
+    const reconnected = receivedAt.getTime() - device.updatedAt.getTime() > DEVICE_SHADOW.OFFLINE_AFTER * 1000;
+    const clock = usageService.assessDeviceClock(parseDeviceTimestamp(timestamp), receivedAt);
+
+    // Update last seen
+    await prisma.device.update({
+        where: {
+            id: device.id
+        },
+        data: {
+            updatedAt: receivedAt
+        }
+    });
+
+    return {
+        deviceId: device.id,
+        status: device.status,
+        serverTime: receivedAt.toISOString(),
+        reconnected,
+        clock: {
+            skew: clock.clockSkew,
+            skewed: clock.clockSkewed,
+            syncRequired: clock.syncRequired
+        }
+    };
+};
+
 module.exports = {
+    buildDeviceFilter,
     getAllDevices,
+    getDeviceExportBatch,
     getDeviceById,
     createDevice,
     updateDevice,
     deleteDevice,
     getDevicesForDropdown,
     getDeviceStats,
-    authenticateDevice
+    authenticateDevice,
+    recordHeartbeat
 };
\ No newline at end of file
@@ -0,0 +1,146 @@
+// src/services/holidayService.js
+const prisma = require('../utils/prisma');
+const {
+    ApiError
+} = require('../middleware/error');
+const {
+    STATUS_CODES
+} = require('../config/constants');
+const {
+    logger
+} = require('../utils/logger');
+
+/**
+ * Convert a YYYY-MM-DD calendar date into the value stored in a DATE column
+ * @param {String} date - Calendar date
+ * @returns {Date} - Midnight UTC of that date
+ */
+const toCalendarDate = (date) => new Date(`${String(date).slice(0, 10)}T00:00:00.000Z`);
+
+/**
+ * Get holidays with pagination, optionally for a single year
+ * @param {Object} options - Query options (pagination, year)
+ * @returns {Object} Holidays and pagination metadata
+ */
+const getAllHolidays = async (options) => {
+    const {
+        page = 1, limit = 10, year
+    } = options;
+    const skip = (page - 1) * limit;
+
+    const where = {};
+
+    if (year) {
+        where.date = {
+            gte: toCalendarDate(`${year}-01-01`),
+            lt: toCalendarDate(`${parseInt(year, 10) + 1}-01-01`)
+        };
+    }
+
+    const total = await prisma.holiday.count({
+        where
+    });
+
+    const holidays = await prisma.holiday.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: {
+            date: 'asc'
+        }
+    });
+
+    return {
+        holidays,
+        meta: {
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+/**
+ * Add a holiday to the calendar
+ * @param {Object} holidayData - Holiday data (date, name)
+ * @param {String} userId - ID of user adding the holiday
+ * @returns {Object} Created holiday
+ */
+const createHoliday = async (holidayData, userId) => {
+    const {
+        date,
+        name
+    } = holidayData;
+
+    const calendarDate = toCalendarDate(date);
+
+    const existing = await prisma.holiday.findUnique({
+        where: {
+            date: calendarDate
+        }
+    });
+
+    if (existing) {
+        throw new ApiError(`${date} is already a holiday (${existing.name})`, STATUS_CODES.CONFLICT);
+    }
+
+    const holiday = await prisma.holiday.create({
+        data: {
+            date: calendarDate,
+            name
+        }
+    });
+
+    logger.info(`Holiday ${name} on ${date} added by user ${userId}`);
+
+    return holiday;
+};
+
+/**
+ * Remove a holiday from the calendar
+ * @param {String} holidayId - Holiday ID
+ * @returns {Boolean} Success status
+ */
+const deleteHoliday = async (holidayId) => {
+    const holiday = await prisma.holiday.findUnique({
+        where: {
+            id: holidayId
+        }
+    });
+
+    if (!holiday) {
+        throw new ApiError('Holiday not found', STATUS_CODES.NOT_FOUND);
+    }
+
+    await prisma.holiday.delete({
+        where: {
+            id: holidayId
+        }
+    });
+
+    return true;
+};
+
+/**
+ * Check whether a calendar date is a holiday
+ * @param {Object} client - Prisma client or transaction client
+ * @param {String} date - Calendar date (YYYY-MM-DD)
+ * @returns {Boolean} True if the date is in the holiday calendar
+ */
+const isHoliday = async (client, date) => {
+    const holiday = await client.holiday.findUnique({
+        where: {
+            date: toCalendarDate(date)
+        }
+    });
+
+    return Boolean(holiday);
+};
+
+module.exports = {
+    getAllHolidays,
+    createHoliday,
+    deleteHoliday,
+    isHoliday
+};
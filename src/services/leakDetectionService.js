@@ -0,0 +1,359 @@
+// src/services/leakDetectionService.js
+const prisma = require('../utils/prisma');
+const {
+    ROLLUP_GRANULARITY,
+    REPORTING,
+    ALERT_TYPE,
+    ALERT_SEVERITY,
+    ALERT_STATUS,
+    LEAK_DETECTION
+} = require('../config/constants');
+const {
+    logger
+} = require('../utils/logger');
+const {
+    getLocalTimeParts,
+    parseTimeOfDay,
+    zonedTimeToUtc,
+    getPeriodStart,
+    addPeriods
+} = require('../utils/dateTime');
+const {
+    roundVolume
+} = require('../utils/tariffCalculator');
+
+const { HOUR, DAY } = ROLLUP_GRANULARITY;
+
+// Severities from lowest to highest
+const SEVERITY_ORDER = [
+    ALERT_SEVERITY.LOW,
+    ALERT_SEVERITY.MEDIUM,
+    ALERT_SEVERITY.HIGH,
+    ALERT_SEVERITY.CRITICAL
+];
+
+/**
+ * Pick the severity of a measurement
+ * @param {Number} value - Measured value
+ * @param {Array} steps - [minimum value, severity] pairs, highest first
+ * @returns {String} Severity of the first step reached, low when none is
+ */
+const rateSeverity = (value, steps) => {
+    const step = steps.find(([minimum]) => value >= minimum);
+    return step ? step[1] : ALERT_SEVERITY.LOW;
+};
+
+/**
+ * Check whether a severity reaches the configured valve-close severity
+ * @param {String} severity - Alert severity
+ * @returns {Boolean} True if the valve should be closed
+ */
+const shouldCloseValve = (severity) => {
+    const threshold = SEVERITY_ORDER.indexOf(LEAK_DETECTION.VALVE_CLOSE_SEVERITY);
+    return threshold !== -1 && SEVERITY_ORDER.indexOf(severity) >= threshold;
+};
+
+/**
+ * Get the last night window that ended at or before an instant
+ * @param {Date} at - Instant
+ * @returns {Object|null} Start and end of the window, null when it is not configured
+ */
+const getLastNightWindow = (at) => {
+    const from = parseTimeOfDay(LEAK_DETECTION.NIGHT_START);
+    const to = parseTimeOfDay(LEAK_DETECTION.NIGHT_END);
+    if (from === null || to === null || from === to) {
+        return null;
+    }
+
+    const [year, month, day] = getLocalTimeParts(at, REPORTING.TIMEZONE).date.split('-').map(Number);
+    const windowFor = (endDay) => ({
+        start: zonedTimeToUtc(year, month, from < to ? endDay : endDay - 1, 0, from, REPORTING.TIMEZONE),
+        end: zonedTimeToUtc(year, month, endDay, 0, to, REPORTING.TIMEZONE)
+    });
+
+    const today = windowFor(day);
+    return today.end <= at ? today : windowFor(day - 1);
+};
+
+/**
+ * Count the hours of uninterrupted flow up to the hour of an instant
+ * @param {Map} hourly - Hourly volume by period start time
+ * @param {Date} at - Instant
+ * @param {Date} since - Hours before this are not counted
+ * @returns {Object} Number of hours and the volume used in them
+ */
+const measureContinuousFlow = (hourly, at, since) => {
+    let hours = 0;
+    let volume = 0;
+    let period = getPeriodStart(at, HOUR, REPORTING.TIMEZONE);
+
+    while (period >= since && hourly.get(period.getTime()) > 0) {
+        hours++;
+        volume += hourly.get(period.getTime());
+        period = addPeriods(period, HOUR, -1, REPORTING.TIMEZONE);
+    }
+
+    return {
+        hours,
+        volume: roundVolume(volume),
+        since: addPeriods(period, HOUR, 1, REPORTING.TIMEZONE)
+    };
+};
+
+/**
+ * Find the lowest hourly flow in a night window
+ * @param {Map} hourly - Hourly volume by period start time
+ * @param {Object} night - Night window (start, end)
+ * @returns {Number} Lowest hourly volume, zero when an hour had no flow
+ */
+const measureNightFlow = (hourly, night) => {
+    let minimum = null;
+    let period = getPeriodStart(night.start, HOUR, REPORTING.TIMEZONE);
+
+    if (period < night.start) {
+        period = addPeriods(period, HOUR, 1, REPORTING.TIMEZONE);
+    }
+
+    while (period < night.end) {
+        const volume = hourly.get(period.getTime()) || 0;
+        minimum = minimum === null ? volume : Math.min(minimum, volume);
+        period = addPeriods(period, HOUR, 1, REPORTING.TIMEZONE);
+    }
+
+    return minimum || 0;
+};
+
+/**
+ * Evaluate the leak rules for a device at an instant. Every rule only looks at
+ * usage after the last alert of its type was resolved, so a resolved leak is
+ * not raised again from the same readings.
+ * @param {String} deviceId - Device ID
+ * @param {Date} at - Time of the latest usage
+ * @param {Object} resolvedSince - Last resolution time by alert type
+ * @returns {Array} Detections (type, severity, message, details)
+ */
+const evaluateRules = async (deviceId, at, resolvedSince) => {
+    const since = (type) => resolvedSince[type] || new Date(0);
+    const currentHour = getPeriodStart(at, HOUR, REPORTING.TIMEZONE);
+    const today = getPeriodStart(at, DAY, REPORTING.TIMEZONE);
+    const night = getLastNightWindow(at);
+
+    // Enough hours to grade a long run of flow and to cover the last night
+    const lookbackHours = Math.max(LEAK_DETECTION.CONTINUOUS_FLOW_HOURS * 4, 48);
+    const hourlyStart = addPeriods(currentHour, HOUR, -lookbackHours, REPORTING.TIMEZONE);
+
+    const [hourlyRollups, dailyRollups] = await Promise.all([
+        prisma.usageRollup.findMany({
+            where: {
+                deviceId,
+                granularity: HOUR,
+                periodStart: {
+                    gte: hourlyStart,
+                    lte: currentHour
+                }
+            },
+            select: {
+                periodStart: true,
+                volume: true
+            }
+        }),
+        prisma.usageRollup.findMany({
+            where: {
+                deviceId,
+                granularity: DAY,
+                periodStart: {
+                    gte: addPeriods(today, DAY, -LEAK_DETECTION.BASELINE_DAYS, REPORTING.TIMEZONE),
+                    lte: today
+                }
+            },
+            select: {
+                periodStart: true,
+                volume: true
+            }
+        })
+    ]);
+
+    const hourly = new Map(hourlyRollups.map(rollup => [rollup.periodStart.getTime(), rollup.volume]));
+    const detections = [];
+
+    // Flow that never stops points at a running tap or a burst pipe
+    const flow = measureContinuousFlow(hourly, at, since(ALERT_TYPE.CONTINUOUS_FLOW));
+    if (flow.hours >= LEAK_DETECTION.CONTINUOUS_FLOW_HOURS) {
+        detections.push({
+            type: ALERT_TYPE.CONTINUOUS_FLOW,
+            severity: rateSeverity(flow.hours / LEAK_DETECTION.CONTINUOUS_FLOW_HOURS, [
+                [4, ALERT_SEVERITY.CRITICAL],
+                [2, ALERT_SEVERITY.HIGH],
+                [1, ALERT_SEVERITY.MEDIUM]
+            ]),
+            message: `Water has been flowing for ${flow.hours} hours without stopping`,
+            details: {
+                hours: flow.hours,
+                volume: flow.volume,
+                since: flow.since.toISOString()
+            }
+        });
+    }
+
+    // Households hardly use water at night, a steady minimum flow is usually a leak
+    if (night && night.start >= since(ALERT_TYPE.NIGHT_FLOW)) {
+        const minimumFlow = roundVolume(measureNightFlow(hourly, night));
+
+        if (minimumFlow >= LEAK_DETECTION.NIGHT_FLOW_THRESHOLD) {
+            detections.push({
+                type: ALERT_TYPE.NIGHT_FLOW,
+                severity: rateSeverity(minimumFlow / LEAK_DETECTION.NIGHT_FLOW_THRESHOLD, [
+                    [50, ALERT_SEVERITY.CRITICAL],
+                    [10, ALERT_SEVERITY.HIGH],
+                    [3, ALERT_SEVERITY.MEDIUM]
+                ]),
+                message: `Night-time flow never dropped below ${minimumFlow} m3 per hour`,
+                details: {
+                    minimumFlow,
+                    threshold: LEAK_DETECTION.NIGHT_FLOW_THRESHOLD,
+                    nightStart: night.start.toISOString(),
+                    nightEnd: night.end.toISOString()
+                }
+            });
+        }
+    }
+
+    // Today against the average day with usage in the baseline
+    const baseline = dailyRollups.filter(rollup => rollup.periodStart < today);
+    const current = dailyRollups.find(rollup => rollup.periodStart.getTime() === today.getTime());
+
+    if (current && today >= since(ALERT_TYPE.USAGE_SPIKE) &&
+        current.volume >= LEAK_DETECTION.SPIKE_MIN_VOLUME &&
+        baseline.length >= Math.ceil(LEAK_DETECTION.BASELINE_DAYS / 2)) {
+        const average = baseline.reduce((sum, rollup) => sum + rollup.volume, 0) / baseline.length;
+        const ratio = average > 0 ? current.volume / average : Infinity;
+
+        if (ratio >= LEAK_DETECTION.SPIKE_FACTOR) {
+            detections.push({
+                type: ALERT_TYPE.USAGE_SPIKE,
+                severity: rateSeverity(ratio / LEAK_DETECTION.SPIKE_FACTOR, [
+                    [4, ALERT_SEVERITY.CRITICAL],
+                    [2, ALERT_SEVERITY.HIGH],
+                    [1, ALERT_SEVERITY.MEDIUM]
+                ]),
+                message: `Usage today is ${Number.isFinite(ratio) ? `${Math.round(ratio * 10) / 10} times` : 'far above'} the daily average`,
+                details: {
+                    volume: roundVolume(current.volume),
+                    average: roundVolume(average),
+                    ratio: Number.isFinite(ratio) ? Math.round(ratio * 100) / 100 : null,
+                    baselineDays: baseline.length
+                }
+            });
+        }
+    }
+
+    return detections;
+};
+
+/**
+ * Analyse the usage of a device after new usage was logged and raise leak
+ * alerts. A detection while an alert of the same type is still open or
+ * acknowledged updates that alert instead of raising another one.
+ * @param {Object} device - Device (id, deviceKey)
+ * @param {Date} at - Time of the latest usage logged
+ * @returns {Array} Alerts raised or escalated (id, type, severity, closeValve)
+ */
+const analyseUsage = async (device, at = new Date()) => {
+    if (!LEAK_DETECTION.ENABLED) {
+        return [];
+    }
+
+    const [activeAlerts, resolved] = await Promise.all([
+        prisma.alert.findMany({
+            where: {
+                deviceId: device.id,
+                status: {
+                    in: [ALERT_STATUS.OPEN, ALERT_STATUS.ACKNOWLEDGED]
+                }
+            }
+        }),
+        prisma.alert.groupBy({
+            by: ['type'],
+            where: {
+                deviceId: device.id,
+                status: ALERT_STATUS.RESOLVED
+            },
+            _max: {
+                resolvedAt: true
+            }
+        })
+    ]);
+
+    const resolvedSince = resolved.reduce((result, item) => {
+        result[item.type] = item._max.resolvedAt;
+        return result;
+    }, {});
+
+    const detections = await evaluateRules(device.id, at, resolvedSince);
+    const raised = [];
+
+    for (const detection of detections) {
+        const active = activeAlerts.find(alert => alert.type === detection.type);
+
+        if (active) {
+            const escalated = SEVERITY_ORDER.indexOf(detection.severity) > SEVERITY_ORDER.indexOf(active.severity);
+            const closeValve = escalated && !active.valveCloseRequested && shouldCloseValve(detection.severity);
+
+            await prisma.alert.update({
+                where: {
+                    id: active.id
+                },
+                data: {
+                    severity: escalated ? detection.severity : active.severity,
+                    message: detection.message,
+                    details: detection.details,
+                    occurrences: {
+                        increment: 1
+                    },
+                    lastDetectedAt: new Date(),
+                    ...(closeValve ? {
+                        valveCloseRequested: true
+                    } : {})
+                }
+            });
+
+            if (escalated) {
+                logger.warn(`Alert ${active.id} of device ${device.deviceKey} escalated to ${detection.severity}: ${detection.message}`);
+                raised.push({
+                    id: active.id,
+                    type: detection.type,
+                    severity: detection.severity,
+                    closeValve
+                });
+            }
+            continue;
+        }
+
+        const closeValve = shouldCloseValve(detection.severity);
+        const alert = await prisma.alert.create({
+            data: {
+                deviceId: device.id,
+                type: detection.type,
+                severity: detection.severity,
+                status: ALERT_STATUS.OPEN,
+                message: detection.message,
+                details: detection.details,
+                valveCloseRequested: closeValve
+            }
+        });
+
+        logger.warn(`Alert ${alert.id} raised for device ${device.deviceKey} (${detection.type}, ${detection.severity}): ${detection.message}`);
+        raised.push({
+            id: alert.id,
+            type: detection.type,
+            severity: detection.severity,
+            closeValve
+        });
+    }
+
+    return raised;
+};
+
+module.exports = {
+    analyseUsage
+};
@@ -0,0 +1,257 @@
+// src/services/ledgerService.js
+const prisma = require('../utils/prisma');
+const {
+    ApiError
+} = require('../middleware/error');
+const {
+    STATUS_CODES,
+    LEDGER_ENTRY_TYPE,
+    LEDGER_REFERENCE_TYPE,
+    REPORTING
+} = require('../config/constants');
+const {
+    logger
+} = require('../utils/logger');
+const { buildOwnershipFilter } = require('../utils/authorization');
+const {
+    parseDateBoundary
+} = require('../utils/dateTime');
+
+/**
+ * Post a ledger entry and update the cached balance projection.
+ * Must be called inside a Prisma transaction so the entry and the
+ * balance change are committed together.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} entry - Ledger entry
+ * @param {String} entry.deviceId - Device ID
+ * @param {String} entry.type - Entry type (from LEDGER_ENTRY_TYPE)
+ * @param {Number} entry.amount - Signed amount (positive credits, negative debits)
+ * @param {String} entry.referenceType - Source row type (from LEDGER_REFERENCE_TYPE)
+ * @param {String} entry.referenceId - Source row ID
+ * @param {String} entry.description - Human readable description
+ * @param {String} entry.userId - User who caused the entry (optional)
+ * @param {String} entry.lastToken - Token value to record on the balance (credits only)
+ * @returns {Object} Created transaction and updated balance
+ */
+const postTransaction = async (tx, entry) => {
+    const {
+        deviceId,
+        type,
+        amount,
+        referenceType = null,
+        referenceId = null,
+        description = null,
+        userId = null,
+        lastToken
+    } = entry;
+
+    if (!Object.values(LEDGER_ENTRY_TYPE).includes(type)) {
+        throw new ApiError(`Unknown ledger entry type: ${type}`, STATUS_CODES.INTERNAL_ERROR);
+    }
+
+    // Increment atomically so concurrent entries cannot overwrite each other
+    const balance = await tx.balance.upsert({
+        where: {
+            deviceId
+        },
+        create: {
+            deviceId,
+            balance: amount,
+            lastToken: lastToken || ''
+        },
+        update: {
+            balance: {
+                increment: amount
+            },
+            ...(lastToken ? { lastToken } : {})
+        }
+    });
+
+    const transaction = await tx.balanceTransaction.create({
+        data: {
+            deviceId,
+            type,
+            amount,
+            balanceBefore: balance.balance - amount,
+            balanceAfter: balance.balance,
+            referenceType,
+            referenceId,
+            description,
+            userId
+        }
+    });
+
+    return {
+        transaction,
+        balance
+    };
+};
+
+/**
+ * Rebuild the cached balance of a device from its ledger
+ * @param {String} deviceId - Device ID
+ * @returns {Object} Rebuilt balance and whether it differed from the cached value
+ */
+const rebuildBalance = async (deviceId) => {
+    return prisma.$transaction(async (tx) => {
+        const sum = await tx.balanceTransaction.aggregate({
+            where: {
+                deviceId
+            },
+            _sum: {
+                amount: true
+            }
+        });
+        const ledgerBalance = sum._sum.amount || 0;
+
+        const cached = await tx.balance.findUnique({
+            where: {
+                deviceId
+            }
+        });
+
+        const balance = await tx.balance.upsert({
+            where: {
+                deviceId
+            },
+            create: {
+                deviceId,
+                balance: ledgerBalance,
+                lastToken: ''
+            },
+            update: {
+                balance: ledgerBalance
+            }
+        });
+
+        const drifted = !cached || Math.abs(cached.balance - ledgerBalance) > 1e-9;
+        if (drifted) {
+            logger.warn(`Balance for device ${deviceId} rebuilt from ledger: ${cached ? cached.balance : 'none'} -> ${ledgerBalance}`);
+        }
+
+        return {
+            balance,
+            previousBalance: cached ? cached.balance : null,
+            drifted
+        };
+    });
+};
+
+/**
+ * Record an opening balance entry for every balance that predates the ledger,
+ * so that rebuilding from the ledger reproduces the current balance
+ * @returns {Number} Number of opening entries created
+ */
+const backfillOpeningBalances = async () => {
+    const balances = await prisma.balance.findMany({
+        where: {
+            device: {
+                balanceTransactions: {
+                    none: {}
+                }
+            },
+            NOT: {
+                balance: 0
+            }
+        }
+    });
+
+    for (const balance of balances) {
+        await prisma.balanceTransaction.create({
+            data: {
+                deviceId: balance.deviceId,
+                type: LEDGER_ENTRY_TYPE.ADJUSTMENT,
+                amount: balance.balance,
+                balanceBefore: 0,
+                balanceAfter: balance.balance,
+                referenceType: LEDGER_REFERENCE_TYPE.OPENING_BALANCE,
+                referenceId: balance.id,
+                description: 'Opening balance carried over from before the ledger'
+            }
+        });
+    }
+
+    return balances.length;
+};
+
+/**
+ * Get the ledger of a device with pagination and filtering
+ * @param {String} deviceId - Device ID
+ * @param {Object} options - Query options (pagination, type, startDate, endDate, timeZone)
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Ledger entries and pagination metadata
+ */
+const getDeviceLedger = async (deviceId, options, userId, userRole) => {
+    const {
+        page = 1, limit = 10, type, startDate, endDate, timeZone = REPORTING.TIMEZONE
+    } = options;
+    const skip = (page - 1) * limit;
+
+    // Check if device exists and user has access
+    const device = await prisma.device.findFirst({
+        where: buildOwnershipFilter(userId, userRole, { id: deviceId })
+    });
+
+    if (!device) {
+        throw new ApiError('Device not found or you do not have permission', STATUS_CODES.NOT_FOUND);
+    }
+
+    const where = {
+        deviceId
+    };
+
+    if (type && Object.values(LEDGER_ENTRY_TYPE).includes(type)) {
+        where.type = type;
+    }
+
+    // Plain dates are whole days in the requested zone
+    if (startDate || endDate) {
+        where.createdAt = {};
+        if (startDate) {
+            where.createdAt.gte = parseDateBoundary(startDate, timeZone);
+        }
+        if (endDate) {
+            where.createdAt.lte = parseDateBoundary(endDate, timeZone, true);
+        }
+    }
+
+    const total = await prisma.balanceTransaction.count({
+        where
+    });
+
+    const transactions = await prisma.balanceTransaction.findMany({
+        where,
+        include: {
+            user: {
+                select: {
+                    id: true,
+                    name: true,
+                    email: true
+                }
+            }
+        },
+        skip,
+        take: limit,
+        orderBy: {
+            createdAt: 'desc'
+        }
+    });
+
+    return {
+        transactions,
+        meta: {
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+module.exports = {
+    postTransaction,
+    rebuildBalance,
+    backfillOpeningBalances,
+    getDeviceLedger
+};
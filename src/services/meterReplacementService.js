@@ -0,0 +1,316 @@
+// src/services/meterReplacementService.js
+const prisma = require('../utils/prisma');
+const {
+    ApiError
+} = require('../middleware/error');
+const {
+    STATUS_CODES,
+    TOKEN_STATUS,
+    DEBT_STATUS,
+    LEDGER_ENTRY_TYPE,
+    LEDGER_REFERENCE_TYPE
+} = require('../config/constants');
+const {
+    logger
+} = require('../utils/logger');
+const { buildOwnershipFilter, enforceOwnership } = require('../utils/authorization');
+const ledgerService = require('./ledgerService');
+const deviceAuthService = require('./deviceAuthService');
+
+/**
+ * Device fields included with a replacement
+ */
+const deviceSelect = {
+    id: true,
+    deviceKey: true,
+    status: true,
+    userId: true,
+    decommissionedAt: true
+};
+
+/**
+ * Get a device and every device it replaced, newest first, so reports
+ * and monthly totals continue across meter swaps
+ * @param {Object} client - Prisma client or transaction client
+ * @param {String} deviceId - Device ID
+ * @returns {Array} Device IDs, starting with the given device
+ */
+const getDeviceLineage = async (client, deviceId) => {
+    const lineage = [deviceId];
+    const findPredecessor = (id) => client.meterReplacement.findUnique({
+        where: {
+            newDeviceId: id
+        },
+        select: {
+            oldDeviceId: true
+        }
+    });
+
+    let replacement = await findPredecessor(deviceId);
+    while (replacement && !lineage.includes(replacement.oldDeviceId)) {
+        lineage.push(replacement.oldDeviceId);
+        replacement = await findPredecessor(replacement.oldDeviceId);
+    }
+
+    return lineage;
+};
+
+/**
+ * Replace a meter: create the new device and move the owner, tariff,
+ * credit policy, balance, unused tokens and outstanding debt over to it,
+ * then decommission the old device. The new meter gets its own secret,
+ * returned only here, as when a device is created.
+ * @param {String} deviceId - ID of the device being replaced
+ * @param {Object} replacementData - Replacement data (deviceKey of the new meter, reason)
+ * @param {String} userId - ID of user performing the replacement
+ * @param {String} userRole - User role
+ * @returns {Object} Replacement record with both devices and the new meter's secret
+ */
+const replaceMeter = async (deviceId, replacementData, userId, userRole) => {
+    const {
+        deviceKey,
+        reason
+    } = replacementData;
+
+    const oldDevice = await prisma.device.findUnique({
+        where: {
+            id: deviceId
+        }
+    });
+
+    // Check if device exists and user has permission to replace it
+    enforceOwnership(oldDevice, userId, userRole, null, 'Device');
+
+    if (oldDevice.decommissionedAt) {
+        throw new ApiError('Device has already been decommissioned', STATUS_CODES.CONFLICT);
+    }
+
+    const existingDevice = await prisma.device.findFirst({
+        where: {
+            deviceKey
+        }
+    });
+
+    if (existingDevice) {
+        throw new ApiError('Device key already exists', STATUS_CODES.CONFLICT);
+    }
+
+    // The new meter signs its requests with its own secret
+    const { secret, signingKey } = deviceAuthService.generateDeviceSecret();
+
+    const replacement = await prisma.$transaction(async (tx) => {
+        // Guard against two replacements of the same meter at once
+        const decommissioned = await tx.device.updateMany({
+            where: {
+                id: deviceId,
+                decommissionedAt: null
+            },
+            data: {
+                status: false,
+                decommissionedAt: new Date()
+            }
+        });
+
+        if (decommissioned.count === 0) {
+            throw new ApiError('Device has already been decommissioned', STATUS_CODES.CONFLICT);
+        }
+
+        const newDevice = await tx.device.create({
+            data: {
+                deviceKey,
+                status: oldDevice.status,
+                userId: oldDevice.userId,
+                tariffId: oldDevice.tariffId,
+                emergencyCreditLimit: oldDevice.emergencyCreditLimit,
+                friendlyHoursStart: oldDevice.friendlyHoursStart,
+                friendlyHoursEnd: oldDevice.friendlyHoursEnd,
+                friendlyOnHolidays: oldDevice.friendlyOnHolidays,
+                debtRecoveryRate: oldDevice.debtRecoveryRate,
+                Balance: {
+                    create: {
+                        balance: 0,
+                        lastToken: ''
+                    }
+                },
+                credential: {
+                    create: {
+                        signingKey,
+                        rotatedById: userId
+                    }
+                }
+            }
+        });
+
+        const tokens = await tx.token.updateMany({
+            where: {
+                deviceId,
+                status: TOKEN_STATUS.UNUSED
+            },
+            data: {
+                deviceId: newDevice.id
+            }
+        });
+
+        const debts = await tx.debt.updateMany({
+            where: {
+                deviceId,
+                status: DEBT_STATUS.OUTSTANDING
+            },
+            data: {
+                deviceId: newDevice.id
+            }
+        });
+
+        const oldBalance = await tx.balance.findUnique({
+            where: {
+                deviceId
+            }
+        });
+        const amount = oldBalance ? oldBalance.balance : 0;
+
+        const record = await tx.meterReplacement.create({
+            data: {
+                oldDeviceId: deviceId,
+                newDeviceId: newDevice.id,
+                reason,
+                balanceTransferred: amount,
+                tokensTransferred: tokens.count,
+                debtsTransferred: debts.count,
+                performedById: userId
+            }
+        });
+
+        // Move the balance through the ledger so both devices keep a complete history
+        if (amount !== 0) {
+            await ledgerService.postTransaction(tx, {
+                deviceId,
+                type: LEDGER_ENTRY_TYPE.TRANSFER,
+                amount: -amount,
+                referenceType: LEDGER_REFERENCE_TYPE.METER_REPLACEMENT,
+                referenceId: record.id,
+                description: `Balance transferred to replacement meter ${deviceKey}`,
+                userId
+            });
+
+            await ledgerService.postTransaction(tx, {
+                deviceId: newDevice.id,
+                type: LEDGER_ENTRY_TYPE.TRANSFER,
+                amount,
+                referenceType: LEDGER_REFERENCE_TYPE.METER_REPLACEMENT,
+                referenceId: record.id,
+                description: `Balance transferred from replaced meter ${oldDevice.deviceKey}`,
+                userId,
+                lastToken: oldBalance.lastToken || undefined
+            });
+        }
+
+        // Emergency credit in use stays in use on the new meter
+        if (oldBalance && oldBalance.emergencyCreditUsedAt) {
+            await tx.balance.update({
+                where: {
+                    deviceId: newDevice.id
+                },
+                data: {
+                    emergencyCreditUsedAt: oldBalance.emergencyCreditUsedAt
+                }
+            });
+            await tx.balance.update({
+                where: {
+                    deviceId
+                },
+                data: {
+                    emergencyCreditUsedAt: null
+                }
+            });
+        }
+
+        return tx.meterReplacement.findUnique({
+            where: {
+                id: record.id
+            },
+            include: {
+                oldDevice: {
+                    select: deviceSelect
+                },
+                newDevice: {
+                    select: {
+                        ...deviceSelect,
+                        Balance: true
+                    }
+                }
+            }
+        });
+    });
+
+    logger.info(`Meter ${oldDevice.deviceKey} replaced by ${deviceKey} (user ${userId}): balance ${replacement.balanceTransferred}, ${replacement.tokensTransferred} tokens, ${replacement.debtsTransferred} debts transferred`);
+
+    return {
+        ...replacement,
+        secret
+    };
+};
+
+/**
+ * Get the replacement history of a device: the meters it replaced and the
+ * meter that replaced it
+ * @param {String} deviceId - Device ID
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Replacement history, oldest first
+ */
+const getReplacementHistory = async (deviceId, userId, userRole) => {
+    const device = await prisma.device.findFirst({
+        where: buildOwnershipFilter(userId, userRole, { id: deviceId })
+    });
+
+    if (!device) {
+        throw new ApiError('Device not found or you do not have permission', STATUS_CODES.NOT_FOUND);
+    }
+
+    const lineage = await getDeviceLineage(prisma, deviceId);
+
+    const replacements = await prisma.meterReplacement.findMany({
+        where: {
+            OR: [
+                {
+                    newDeviceId: {
+                        in: lineage
+                    }
+                },
+                {
+                    oldDeviceId: deviceId
+                }
+            ]
+        },
+        include: {
+            oldDevice: {
+                select: deviceSelect
+            },
+            newDevice: {
+                select: deviceSelect
+            },
+            performedBy: {
+                select: {
+                    id: true,
+                    name: true,
+                    email: true
+                }
+            }
+        },
+        orderBy: {
+            createdAt: 'asc'
+        }
+    });
+
+    return {
+        deviceId,
+        lineage,
+        replacements
+    };
+};
+
+module.exports = {
+    getDeviceLineage,
+    replaceMeter,
+    getReplacementHistory
+};
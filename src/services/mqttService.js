@@ -4,7 +4,16 @@ const fs = require('fs');
 const path = require('path');
 const { logger } = require('../utils/logger');
 const prisma = require('../utils/prisma');
-const { STATUS_CODES } = require('../config/constants');
+const { STATUS_CODES, DEVICE_CLOCK, COMMAND_STATUS } = require('../config/constants');
+const { ApiError } = require('../middleware/error');
+const usageService = require('./usageService');
+const balanceService = require('./balanceService');
+const tokenService = require('./tokenService');
+const deviceService = require('./deviceService');
+const deviceAuthService = require('./deviceAuthService');
+const provisioningService = require('./provisioningService');
+const shadowService = require('./shadowService');
+const commandService = require('./commandService');
 
 class MQTTService {
     constructor() {
@@ -15,6 +24,7 @@ class MQTTService {
         this.retryCount = 0;
         this.maxRetries = 5;
         this.retryInterval = 5000; // 5 seconds
+        this.lastTimeSync = new Map();
     }
 
     /**
@@ -299,18 +309,20 @@ class MQTTService {
         });
     }
 
-    // ... (rest of the methods remain the same as in the original implementation)
-    // Keep all the existing methods like subscribeToDeviceTopics, handleMessage, etc.
-    
     /**
      * Subscribe to device communication topics
      */
     subscribeToDeviceTopics() {
         const topics = [
+            'water-meter/+/provision/request',
             'water-meter/+/auth/request',
             'water-meter/+/balance/check/request',
             'water-meter/+/usage/log/request',
+            'water-meter/+/usage/batch/request',
             'water-meter/+/token/validate/request',
+            'water-meter/+/shadow/get/request',
+            'water-meter/+/shadow/report/request',
+            'water-meter/+/command/response',
             'water-meter/+/heartbeat'
         ];
 
@@ -365,8 +377,8 @@ class MQTTService {
      */
     async handleMessage(topic, message) {
         try {
-            const payload = JSON.parse(message.toString());
-            logger.debug(`MQTT: Received message on ${topic}:`, payload);
+            const content = JSON.parse(message.toString());
+            logger.debug(`MQTT: Received message on ${topic}:`, content);
 
             // Extract device key from topic
             const topicParts = topic.split('/');
@@ -374,6 +386,17 @@ class MQTTService {
             const action = topicParts[2];
             const subAction = topicParts[3];
 
+            // A meter registering itself has no secret yet, its factory code is checked instead
+            if (action === 'provision' && subAction === 'request') {
+                await this.handleProvisioning(deviceKey, content);
+                return;
+            }
+
+            const payload = await this.verifyMessage(topic, deviceKey, content);
+            if (!payload) {
+                return;
+            }
+
             // Route message to appropriate handler
             if (action === 'auth' && subAction === 'request') {
                 await this.handleDeviceAuth(deviceKey, payload);
@@ -381,8 +404,16 @@ class MQTTService {
                 await this.handleBalanceCheck(deviceKey, payload);
             } else if (action === 'usage' && subAction === 'log' && topicParts[4] === 'request') {
                 await this.handleUsageLog(deviceKey, payload);
+            } else if (action === 'usage' && subAction === 'batch' && topicParts[4] === 'request') {
+                await this.handleUsageBatch(deviceKey, payload);
             } else if (action === 'token' && subAction === 'validate' && topicParts[4] === 'request') {
                 await this.handleTokenValidation(deviceKey, payload);
+            } else if (action === 'shadow' && subAction === 'get' && topicParts[4] === 'request') {
+                await this.handleShadowGet(deviceKey, payload);
+            } else if (action === 'shadow' && subAction === 'report' && topicParts[4] === 'request') {
+                await this.handleShadowReport(deviceKey, payload);
+            } else if (action === 'command' && subAction === 'response') {
+                await this.handleCommandResponse(deviceKey, payload);
             } else if (action === 'heartbeat') {
                 await this.handleHeartbeat(deviceKey, payload);
             }
@@ -392,6 +423,59 @@ class MQTTService {
         }
     }
 
+    /**
+     * Check the signature of a device message. Signed messages carry the
+     * payload as a JSON string in body, next to timestamp, nonce and
+     * signature; rejected ones are answered on the response topic.
+     */
+    async verifyMessage(topic, deviceKey, content) {
+        const signed = typeof content.body === 'string' && content.signature !== undefined;
+
+        try {
+            await deviceAuthService.verifyDeviceRequest(deviceKey, {
+                timestamp: signed ? content.timestamp : undefined,
+                nonce: signed ? content.nonce : undefined,
+                signature: signed ? content.signature : undefined,
+                body: signed ? content.body : ''
+            });
+
+            return signed ? JSON.parse(content.body) : content;
+        } catch (error) {
+            logger.warn(`MQTT: Rejected message from ${deviceKey} on ${topic} - ${error.message}`);
+            this.publishError(this.getResponseTopic(topic), error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the topic a device request is answered on
+     */
+    getResponseTopic(topic) {
+        return topic.endsWith('/request') ? `${topic.slice(0, -'/request'.length)}/response` : `${topic}/response`;
+    }
+
+    /**
+     * Handle a meter registering itself on first boot, answered like POST /device/provision.
+     * The serial is the device key in the topic.
+     */
+    async handleProvisioning(serial, payload) {
+        const responseTopic = `water-meter/${serial}/provision/response`;
+
+        try {
+            const result = await provisioningService.provisionDevice(serial, payload.factoryCode);
+
+            this.publish(responseTopic, {
+                success: true,
+                data: result,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            logger.error(`MQTT: Provisioning error for ${serial} - ${error.message}`);
+            this.publishError(responseTopic, error);
+        }
+    }
+
     /**
      * Handle device authentication
      */
@@ -431,6 +515,9 @@ class MQTTService {
                 timestamp: new Date().toISOString()
             });
 
+            // A device authenticates when it connects, catch it up on changes it missed
+            await this.syncShadow(deviceKey);
+
         } catch (error) {
             logger.error(`MQTT: Device auth error for ${deviceKey} - ${error.message}`);
             this.publish(`water-meter/${deviceKey}/auth/response`, {
@@ -441,8 +528,388 @@ class MQTTService {
         }
     }
 
-    // Add all other handler methods from the original implementation...
-    // (handleBalanceCheck, handleUsageLog, handleTokenValidation, handleHeartbeat, etc.)
+    /**
+     * Handle a usage report; retries carrying a known sequence or message ID get the original result
+     */
+    async handleUsageLog(deviceKey, payload) {
+        const responseTopic = `water-meter/${deviceKey}/usage/log/response`;
+
+        try {
+            const result = await usageService.ingestDeviceUsage(deviceKey, {
+                usageAmount: payload.usageAmount,
+                registerValue: payload.registerValue,
+                registerReset: payload.registerReset,
+                sequence: payload.sequence,
+                bootId: payload.bootId,
+                messageId: payload.messageId,
+                timestamp: payload.timestamp
+            });
+
+            this.publish(responseTopic, {
+                success: true,
+                data: result,
+                timestamp: new Date().toISOString()
+            });
+
+            if (result.clock && result.clock.syncRequired) {
+                this.sendTimeSync(deviceKey);
+            }
+
+            this.sendValveClose(deviceKey, result.alerts);
+
+        } catch (error) {
+            logger.error(`MQTT: Usage log error for ${deviceKey} - ${error.message}`);
+            this.publishError(responseTopic, error, {
+                sequence: payload.sequence,
+                messageId: payload.messageId
+            });
+        }
+    }
+
+    /**
+     * Handle readings a device buffered while offline, uploaded in one message
+     */
+    async handleUsageBatch(deviceKey, payload) {
+        const responseTopic = `water-meter/${deviceKey}/usage/batch/response`;
+
+        try {
+            const result = await usageService.ingestUsageBatch(deviceKey, payload.readings);
+
+            this.publish(responseTopic, {
+                success: true,
+                data: result,
+                timestamp: new Date().toISOString()
+            });
+
+            if (result.clock.syncRequired) {
+                this.sendTimeSync(deviceKey);
+            }
+
+            this.sendValveClose(deviceKey, result.alerts);
+
+        } catch (error) {
+            logger.error(`MQTT: Usage batch error for ${deviceKey} - ${error.message}`);
+            this.publishError(responseTopic, error);
+        }
+    }
+
+    /**
+     * Handle a balance check, answered like POST /device/balance
+     */
+    async handleBalanceCheck(deviceKey, payload) {
+        const responseTopic = `water-meter/${deviceKey}/balance/check/response`;
+
+        try {
+            const result = await balanceService.checkDeviceBalance(deviceKey);
+
+            this.publish(responseTopic, {
+                success: true,
+                data: result,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            logger.error(`MQTT: Balance check error for ${deviceKey} - ${error.message}`);
+            this.publishError(responseTopic, error);
+        }
+    }
+
+    /**
+     * Handle a token validation, answered like POST /device/token/validate
+     */
+    async handleTokenValidation(deviceKey, payload) {
+        const responseTopic = `water-meter/${deviceKey}/token/validate/response`;
+
+        try {
+            if (!payload.token) {
+                throw new ApiError('Token is required', STATUS_CODES.BAD_REQUEST);
+            }
+
+            const result = await tokenService.validateToken(payload.token, deviceKey);
+
+            this.publish(responseTopic, {
+                success: true,
+                data: result,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            logger.error(`MQTT: Token validation error for ${deviceKey} - ${error.message}`);
+            this.publishError(responseTopic, error, {
+                token: payload.token
+            });
+        }
+    }
+
+    /**
+     * Handle a heartbeat: mark the device as seen and resync its clock when it is wrong
+     */
+    async handleHeartbeat(deviceKey, payload) {
+        const responseTopic = `water-meter/${deviceKey}/heartbeat/response`;
+
+        try {
+            const result = await deviceService.recordHeartbeat(deviceKey, payload.timestamp);
+
+            this.publish(responseTopic, {
+                success: true,
+                data: result,
+                timestamp: new Date().toISOString()
+            });
+
+            if (result.clock.syncRequired) {
+                this.sendTimeSync(deviceKey);
+            }
+
+            if (result.reconnected) {
+                await this.syncShadow(deviceKey);
+            }
+
+            // The device is online, deliver what it has not acknowledged yet
+            await this.redeliverCommands(deviceKey);
+
+        } catch (error) {
+            logger.error(`MQTT: Heartbeat error for ${deviceKey} - ${error.message}`);
+            this.publishError(responseTopic, error);
+        }
+    }
+
+    /**
+     * Handle a device asking for its shadow
+     */
+    async handleShadowGet(deviceKey, payload) {
+        const responseTopic = `water-meter/${deviceKey}/shadow/get/response`;
+
+        try {
+            const result = await shadowService.getShadowByDeviceKey(deviceKey);
+
+            this.publish(responseTopic, {
+                success: true,
+                data: result,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            logger.error(`MQTT: Shadow get error for ${deviceKey} - ${error.message}`);
+            this.publishError(responseTopic, error);
+        }
+    }
+
+    /**
+     * Handle a device reporting the configuration it runs with; the reply
+     * carries what it still has to apply
+     */
+    async handleShadowReport(deviceKey, payload) {
+        const responseTopic = `water-meter/${deviceKey}/shadow/report/response`;
+
+        try {
+            const result = await shadowService.reportState(deviceKey, payload.reported);
+
+            this.publish(responseTopic, {
+                success: true,
+                data: result,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            logger.error(`MQTT: Shadow report error for ${deviceKey} - ${error.message}`);
+            this.publishError(responseTopic, error);
+        }
+    }
+
+    /**
+     * Publish what a device still has to apply from its desired state on
+     * water-meter/{deviceKey}/shadow/delta. Nothing is sent when it is in sync.
+     */
+    publishShadowDelta(shadow) {
+        if (Object.keys(shadow.delta).length === 0) {
+            return false;
+        }
+
+        const sent = this.publish(`water-meter/${shadow.deviceKey}/shadow/delta`, {
+            version: shadow.version,
+            delta: shadow.delta,
+            timestamp: new Date().toISOString()
+        });
+
+        if (sent) {
+            logger.info(`MQTT: Shadow delta version ${shadow.version} sent to ${shadow.deviceKey}`);
+        }
+
+        return sent;
+    }
+
+    /**
+     * Send a device that came back online the shadow delta it missed
+     */
+    async syncShadow(deviceKey) {
+        try {
+            const shadow = await shadowService.getShadowByDeviceKey(deviceKey);
+            return this.publishShadowDelta(shadow);
+        } catch (error) {
+            logger.error(`MQTT: Shadow sync error for ${deviceKey} - ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Publish a failed reply. Operational errors keep their message and
+     * carry the HTTP status code the REST endpoint would have returned.
+     */
+    publishError(topic, error, extra = {}) {
+        return this.publish(topic, {
+            success: false,
+            error: error.isOperational ? error.message : 'Internal server error',
+            code: error.isOperational ? error.statusCode : STATUS_CODES.INTERNAL_ERROR,
+            ...extra,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Handle a device acknowledging a command with its correlation ID
+     */
+    async handleCommandResponse(deviceKey, payload) {
+        try {
+            await commandService.acknowledgeCommand(deviceKey, payload);
+        } catch (error) {
+            logger.error(`MQTT: Command response error for ${deviceKey} - ${error.message}`);
+        }
+    }
+
+    /**
+     * Queue a command for a device and publish it right away if possible.
+     * Commands that cannot be published now are delivered on the device's
+     * next heartbeat.
+     */
+    async dispatchCommand(device, command, data = {}, userId = null, ttl) {
+        const queued = await commandService.queueCommand(device.id, command, data, userId, ttl);
+        return this.deliverCommand(device.deviceKey, queued);
+    }
+
+    /**
+     * Publish a queued command with its correlation ID, which the device
+     * echoes on water-meter/{deviceKey}/command/response
+     */
+    async deliverCommand(deviceKey, queued) {
+        const sent = this.publish(`water-meter/${deviceKey}/command`, {
+            command: queued.command,
+            data: queued.data || {},
+            correlationId: queued.correlationId,
+            timestamp: new Date().toISOString()
+        });
+
+        if (!sent) {
+            return queued;
+        }
+
+        return commandService.markCommandSent(queued.id);
+    }
+
+    /**
+     * Deliver the pending and unacknowledged commands of a device, oldest first
+     */
+    async redeliverCommands(deviceKey) {
+        try {
+            const commands = await commandService.getCommandsToDeliver(deviceKey);
+
+            for (const queued of commands) {
+                await this.deliverCommand(deviceKey, queued);
+            }
+
+            if (commands.length > 0) {
+                logger.info(`MQTT: Delivered ${commands.length} queued command(s) to ${deviceKey}`);
+            }
+        } catch (error) {
+            logger.error(`MQTT: Command redelivery error for ${deviceKey} - ${error.message}`);
+        }
+    }
+
+    /**
+     * Publish a command to one device on water-meter/{deviceKey}/command
+     * without queueing it, for commands that are only useful right now
+     */
+    sendCommandToDevice(deviceKey, command, data = {}) {
+        return this.publish(`water-meter/${deviceKey}/command`, {
+            command,
+            data,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Publish a command every device receives on water-meter/broadcast/command
+     */
+    broadcastToAllDevices(command, data = {}) {
+        return this.publish('water-meter/broadcast/command', {
+            command,
+            data,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Tell a device with a wrong clock to set it to server time.
+     * Sent at most once per DEVICE_CLOCK_SYNC_INTERVAL per device.
+     */
+    sendTimeSync(deviceKey) {
+        const now = Date.now();
+        const last = this.lastTimeSync.get(deviceKey);
+
+        if (last && now - last < DEVICE_CLOCK.SYNC_INTERVAL * 1000) {
+            return false;
+        }
+
+        const sent = this.sendCommandToDevice(deviceKey, 'sync_time', {
+            serverTime: new Date(now).toISOString(),
+            epoch: Math.floor(now / 1000)
+        });
+
+        if (sent) {
+            this.lastTimeSync.set(deviceKey, now);
+            logger.info(`MQTT: Time sync sent to ${deviceKey}`);
+        }
+
+        return sent;
+    }
+
+    /**
+     * Tell a device to close its valve for leak alerts that reached the
+     * configured valve-close severity. The command is queued, so a device
+     * that is offline gets it when it is back.
+     */
+    async sendValveClose(deviceKey, alerts = []) {
+        const alert = (alerts || []).find(item => item.closeValve);
+
+        if (!alert) {
+            return false;
+        }
+
+        try {
+            const device = await prisma.device.findFirst({
+                where: {
+                    deviceKey
+                },
+                select: {
+                    id: true,
+                    deviceKey: true
+                }
+            });
+
+            const queued = await this.dispatchCommand(device, 'close_valve', {
+                alertId: alert.id,
+                type: alert.type,
+                severity: alert.severity
+            });
+
+            const sent = queued.status !== COMMAND_STATUS.PENDING;
+            logger.warn(`MQTT: Valve close ${sent ? 'sent' : 'queued'} for ${deviceKey} for alert ${alert.id}`);
+
+            return sent;
+        } catch (error) {
+            logger.error(`MQTT: Valve close error for ${deviceKey} - ${error.message}`);
+            return false;
+        }
+    }
 
     /**
      * Handle reconnection logic
@@ -0,0 +1,343 @@
+// src/services/provisioningService.js
+const crypto = require('crypto');
+const prisma = require('../utils/prisma');
+const {
+    ApiError
+} = require('../middleware/error');
+const {
+    STATUS_CODES,
+    DEVICE_PROVISIONING
+} = require('../config/constants');
+const {
+    logger
+} = require('../utils/logger');
+const deviceService = require('./deviceService');
+const deviceAuthService = require('./deviceAuthService');
+
+/**
+ * Hash a claim code. Codes are compared case-insensitively.
+ * @param {String} claimCode - Claim code
+ * @returns {String} Hex SHA-256 of the code
+ */
+const hashClaimCode = (claimCode) => {
+    return crypto.createHash('sha256').update(String(claimCode).trim().toUpperCase()).digest('hex');
+};
+
+/**
+ * Generate a one-time claim code, short enough to be read off the meter
+ * @returns {String} Claim code
+ */
+const generateClaimCode = () => {
+    const alphabet = DEVICE_PROVISIONING.CLAIM_CODE_ALPHABET;
+    let code = '';
+
+    for (let i = 0; i < DEVICE_PROVISIONING.CLAIM_CODE_LENGTH; i++) {
+        code += alphabet[crypto.randomInt(alphabet.length)];
+    }
+
+    return code;
+};
+
+/**
+ * Check the factory code a meter was flashed with: HMAC-SHA256 of its serial
+ * under the factory key
+ * @param {String} serial - Meter serial
+ * @param {String} factoryCode - Factory code sent by the meter
+ */
+const verifyFactoryCode = (serial, factoryCode) => {
+    if (!DEVICE_PROVISIONING.FACTORY_KEY) {
+        throw new ApiError('Device provisioning is not enabled', STATUS_CODES.FORBIDDEN);
+    }
+
+    const expected = crypto.createHmac('sha256', DEVICE_PROVISIONING.FACTORY_KEY).update(serial).digest();
+    const received = Buffer.from(String(factoryCode || ''), 'hex');
+
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        logger.warn(`Provisioning of meter ${serial} rejected: invalid factory code`);
+        throw new ApiError('Invalid factory code', STATUS_CODES.UNAUTHORIZED);
+    }
+};
+
+/**
+ * Register a factory-flashed meter on first boot. The meter is created
+ * without an owner and waits in the unclaimed pool. A meter that is still
+ * unclaimed may provision again, e.g. after a factory reset, and gets new
+ * credentials; the old ones stop working.
+ * @param {String} serial - Meter serial, used as the device key
+ * @param {String} factoryCode - Factory code
+ * @returns {Object} Device ID, device key, device secret and one-time claim code
+ */
+const provisionDevice = async (serial, factoryCode) => {
+    verifyFactoryCode(serial, factoryCode);
+
+    const claimCode = generateClaimCode();
+    const claimCodeExpiresAt = new Date(Date.now() + DEVICE_PROVISIONING.CLAIM_CODE_TTL_HOURS * 60 * 60 * 1000);
+
+    const existing = await prisma.device.findFirst({
+        where: {
+            deviceKey: serial
+        }
+    });
+
+    let deviceId;
+    let secret;
+
+    if (existing) {
+        if (existing.userId || !existing.provisionedAt || existing.decommissionedAt) {
+            throw new ApiError('Device is already registered', STATUS_CODES.CONFLICT);
+        }
+
+        const credentials = deviceAuthService.generateDeviceSecret();
+        secret = credentials.secret;
+        deviceId = existing.id;
+
+        await prisma.deviceCredential.upsert({
+            where: {
+                deviceId
+            },
+            create: {
+                deviceId,
+                signingKey: credentials.signingKey,
+                claimCodeHash: hashClaimCode(claimCode),
+                claimCodeExpiresAt
+            },
+            update: {
+                signingKey: credentials.signingKey,
+                rotatedAt: new Date(),
+                rotatedById: null,
+                claimCodeHash: hashClaimCode(claimCode),
+                claimCodeExpiresAt,
+                claimAttempts: 0
+            }
+        });
+
+        logger.info(`Unclaimed meter ${serial} provisioned again`);
+    } else {
+        // Without a creator the device has no owner until it is claimed
+        const device = await deviceService.createDevice({
+            deviceKey: serial
+        }, null, null);
+        secret = device.secret;
+        deviceId = device.id;
+
+        await prisma.device.update({
+            where: {
+                id: deviceId
+            },
+            data: {
+                provisionedAt: new Date(),
+                credential: {
+                    update: {
+                        claimCodeHash: hashClaimCode(claimCode),
+                        claimCodeExpiresAt
+                    }
+                }
+            }
+        });
+
+        logger.info(`Meter ${serial} provisioned and added to the unclaimed pool`);
+    }
+
+    return {
+        deviceId,
+        deviceKey: serial,
+        secret,
+        claimCode,
+        claimCodeExpiresAt
+    };
+};
+
+/**
+ * Get self-registered meters nobody has claimed yet, newest first
+ * @param {Object} options - Query options (pagination, search)
+ * @returns {Object} Devices and pagination metadata
+ */
+const getUnclaimedDevices = async (options) => {
+    const {
+        page = 1, limit = 10, search
+    } = options;
+    const skip = (page - 1) * limit;
+
+    const where = {
+        userId: null,
+        provisionedAt: {
+            not: null
+        },
+        decommissionedAt: null
+    };
+
+    if (search) {
+        where.deviceKey = {
+            contains: search
+        };
+    }
+
+    const total = await prisma.device.count({
+        where
+    });
+
+    const devices = await prisma.device.findMany({
+        where,
+        select: {
+            id: true,
+            deviceKey: true,
+            provisionedAt: true,
+            updatedAt: true,
+            credential: {
+                select: {
+                    claimCodeExpiresAt: true
+                }
+            }
+        },
+        skip,
+        take: limit,
+        orderBy: {
+            provisionedAt: 'desc'
+        }
+    });
+
+    return {
+        devices: devices.map(({ credential, ...device }) => ({
+            ...device,
+            claimCodeExpiresAt: credential ? credential.claimCodeExpiresAt : null
+        })),
+        meta: {
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+/**
+ * Claim an unclaimed meter into a customer account with the one-time claim
+ * code shown by the meter. The meter is activated and the code is used up.
+ * After DEVICE_CLAIM_MAX_ATTEMPTS wrong codes the code stops working until
+ * the meter provisions again.
+ * @param {Object} claimData - Claim data (deviceKey, claimCode, userId of the customer)
+ * @param {String} claimerId - ID of staff user claiming the meter
+ * @returns {Object} Claimed device
+ */
+const claimDevice = async (claimData, claimerId) => {
+    const {
+        deviceKey,
+        claimCode,
+        userId
+    } = claimData;
+
+    const customer = await prisma.user.findUnique({
+        where: {
+            id: userId
+        },
+        select: {
+            id: true
+        }
+    });
+
+    if (!customer) {
+        throw new ApiError('User not found', STATUS_CODES.NOT_FOUND);
+    }
+
+    const device = await prisma.device.findFirst({
+        where: {
+            deviceKey,
+            userId: null,
+            provisionedAt: {
+                not: null
+            },
+            decommissionedAt: null
+        },
+        include: {
+            credential: true
+        }
+    });
+
+    if (!device) {
+        throw new ApiError('Unclaimed device not found', STATUS_CODES.NOT_FOUND);
+    }
+
+    const { credential } = device;
+    const claimCodeHash = hashClaimCode(claimCode);
+
+    if (!credential || !credential.claimCodeHash || credential.claimCodeExpiresAt < new Date()) {
+        throw new ApiError('Claim code has expired, restart the meter to get a new one', STATUS_CODES.CONFLICT);
+    }
+
+    // Count the attempt before comparing, so parallel guesses cannot get past the limit
+    const attempt = await prisma.deviceCredential.updateMany({
+        where: {
+            deviceId: device.id,
+            claimCodeHash: credential.claimCodeHash,
+            claimAttempts: {
+                lt: DEVICE_PROVISIONING.CLAIM_MAX_ATTEMPTS
+            }
+        },
+        data: {
+            claimAttempts: {
+                increment: 1
+            }
+        }
+    });
+
+    if (attempt.count === 0) {
+        logger.warn(`Claim of meter ${deviceKey} by user ${claimerId} refused: too many failed attempts`);
+        throw new ApiError('Too many failed claim attempts, restart the meter to get a new code', STATUS_CODES.CONFLICT);
+    }
+
+    if (!crypto.timingSafeEqual(Buffer.from(credential.claimCodeHash, 'hex'), Buffer.from(claimCodeHash, 'hex'))) {
+        logger.warn(`Invalid claim code for meter ${deviceKey} from user ${claimerId}`);
+        throw new ApiError('Invalid claim code', STATUS_CODES.BAD_REQUEST);
+    }
+
+    const claimed = await prisma.$transaction(async (tx) => {
+        // The code is used once, whoever gets here first wins
+        const used = await tx.deviceCredential.updateMany({
+            where: {
+                deviceId: device.id,
+                claimCodeHash
+            },
+            data: {
+                claimCodeHash: null,
+                claimCodeExpiresAt: null,
+                claimAttempts: 0
+            }
+        });
+
+        if (used.count === 0) {
+            throw new ApiError('Device was claimed by another request', STATUS_CODES.CONFLICT);
+        }
+
+        return tx.device.update({
+            where: {
+                id: device.id
+            },
+            data: {
+                userId,
+                status: true,
+                claimedAt: new Date(),
+                claimedById: claimerId
+            },
+            include: {
+                user: {
+                    select: {
+                        id: true,
+                        name: true,
+                        email: true
+                    }
+                },
+                Balance: true
+            }
+        });
+    });
+
+    logger.info(`Meter ${deviceKey} claimed into account ${userId} by user ${claimerId}`);
+
+    return claimed;
+};
+
+module.exports = {
+    provisionDevice,
+    getUnclaimedDevices,
+    claimDevice
+};
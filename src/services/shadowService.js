@@ -0,0 +1,286 @@
+// src/services/shadowService.js
+const prisma = require('../utils/prisma');
+const {
+    ApiError
+} = require('../middleware/error');
+const {
+    STATUS_CODES
+} = require('../config/constants');
+const {
+    logger
+} = require('../utils/logger');
+const { buildOwnershipFilter } = require('../utils/authorization');
+
+/**
+ * Check whether a value is a plain object (not null or an array)
+ * @param {*} value - Value to check
+ * @returns {Boolean} True for plain objects
+ */
+const isPlainObject = (value) => {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+/**
+ * Merge changes into a state document. Nested objects are merged, a null
+ * value removes the key.
+ * @param {Object} state - Current state
+ * @param {Object} changes - Changes to apply
+ * @returns {Object} New state
+ */
+const mergeState = (state, changes) => {
+    const merged = {
+        ...state
+    };
+
+    Object.entries(changes).forEach(([key, value]) => {
+        if (value === null) {
+            delete merged[key];
+        } else if (isPlainObject(value)) {
+            merged[key] = mergeState(isPlainObject(merged[key]) ? merged[key] : {}, value);
+        } else {
+            merged[key] = value;
+        }
+    });
+
+    return merged;
+};
+
+/**
+ * Get the part of the desired state the device has not reported yet
+ * @param {Object} desired - Desired state
+ * @param {Object} reported - Reported state
+ * @returns {Object} Desired values that differ from the reported ones
+ */
+const computeDelta = (desired, reported) => {
+    const delta = {};
+
+    Object.entries(desired).forEach(([key, value]) => {
+        const current = isPlainObject(reported) ? reported[key] : undefined;
+
+        if (isPlainObject(value) && isPlainObject(current)) {
+            const nested = computeDelta(value, current);
+            if (Object.keys(nested).length > 0) {
+                delta[key] = nested;
+            }
+        } else if (JSON.stringify(value) !== JSON.stringify(current)) {
+            delta[key] = value;
+        }
+    });
+
+    return delta;
+};
+
+/**
+ * Build the shadow document of a device; devices without a shadow have an empty one
+ * @param {Object} device - Device (id, deviceKey)
+ * @param {Object|null} shadow - Stored shadow
+ * @returns {Object} Shadow with its delta
+ */
+const formatShadow = (device, shadow) => {
+    const desired = shadow ? shadow.desired : {};
+    const reported = shadow ? shadow.reported : {};
+
+    return {
+        deviceId: device.id,
+        deviceKey: device.deviceKey,
+        version: shadow ? shadow.version : 0,
+        desired,
+        reported,
+        delta: computeDelta(desired, reported),
+        desiredUpdatedAt: shadow ? shadow.desiredUpdatedAt : null,
+        reportedAt: shadow ? shadow.reportedAt : null
+    };
+};
+
+/**
+ * Find a device the user may see, with its shadow
+ * @param {String} deviceId - Device ID
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Device with its shadow
+ */
+const findDeviceWithShadow = async (deviceId, userId, userRole) => {
+    const device = await prisma.device.findFirst({
+        where: buildOwnershipFilter(userId, userRole, { id: deviceId }),
+        select: {
+            id: true,
+            deviceKey: true,
+            decommissionedAt: true,
+            shadow: true
+        }
+    });
+
+    if (!device) {
+        throw new ApiError('Device not found or you do not have permission', STATUS_CODES.NOT_FOUND);
+    }
+
+    return device;
+};
+
+/**
+ * Get the shadow of a device
+ * @param {String} deviceId - Device ID
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Shadow with its delta
+ */
+const getDeviceShadow = async (deviceId, userId, userRole) => {
+    const device = await findDeviceWithShadow(deviceId, userId, userRole);
+    return formatShadow(device, device.shadow);
+};
+
+/**
+ * Change the desired state of a device. The changes are merged into the
+ * current desired state; null removes a setting.
+ * @param {String} deviceId - Device ID
+ * @param {Object} changes - Changes (desired, version the changes are based on, optional)
+ * @param {String} userId - ID of user changing the shadow
+ * @param {String} userRole - User role
+ * @returns {Object} Updated shadow with its delta
+ */
+const updateDesiredState = async (deviceId, changes, userId, userRole) => {
+    const {
+        desired,
+        version
+    } = changes;
+
+    const device = await findDeviceWithShadow(deviceId, userId, userRole);
+    const { shadow } = device;
+    const currentVersion = shadow ? shadow.version : 0;
+
+    if (device.decommissionedAt) {
+        throw new ApiError('Device has been decommissioned', STATUS_CODES.CONFLICT);
+    }
+
+    if (version !== undefined && version !== null && parseInt(version, 10) !== currentVersion) {
+        throw new ApiError(`Shadow has changed since version ${version}, it is now at version ${currentVersion}`, STATUS_CODES.CONFLICT);
+    }
+
+    const now = new Date();
+    const nextDesired = mergeState(shadow ? shadow.desired : {}, desired);
+
+    if (!shadow) {
+        try {
+            await prisma.deviceShadow.create({
+                data: {
+                    deviceId,
+                    desired: nextDesired,
+                    reported: {},
+                    version: 1,
+                    desiredUpdatedAt: now,
+                    desiredUpdatedById: userId
+                }
+            });
+        } catch (err) {
+            if (err.code === 'P2002') {
+                throw new ApiError('Shadow changed while updating it, please try again', STATUS_CODES.CONFLICT);
+            }
+            throw err;
+        }
+    } else {
+        // Guard against two changes based on the same version
+        const updated = await prisma.deviceShadow.updateMany({
+            where: {
+                deviceId,
+                version: currentVersion
+            },
+            data: {
+                desired: nextDesired,
+                version: {
+                    increment: 1
+                },
+                desiredUpdatedAt: now,
+                desiredUpdatedById: userId
+            }
+        });
+
+        if (updated.count === 0) {
+            throw new ApiError('Shadow changed while updating it, please try again', STATUS_CODES.CONFLICT);
+        }
+    }
+
+    logger.info(`Desired state of device ${device.deviceKey} changed by user ${userId}`);
+
+    return getDeviceShadow(deviceId, userId, userRole);
+};
+
+/**
+ * Find an active device by key, with its shadow
+ * @param {String} deviceKey - Device key
+ * @returns {Object} Device with its shadow
+ */
+const findActiveDevice = async (deviceKey) => {
+    const device = await prisma.device.findFirst({
+        where: {
+            deviceKey
+        },
+        select: {
+            id: true,
+            deviceKey: true,
+            status: true,
+            shadow: true
+        }
+    });
+
+    if (!device) {
+        throw new ApiError('Device not found', STATUS_CODES.NOT_FOUND);
+    }
+
+    if (!device.status) {
+        throw new ApiError('Device is inactive', STATUS_CODES.FORBIDDEN);
+    }
+
+    return device;
+};
+
+/**
+ * Get the shadow of a device by its key, as the device sees it
+ * @param {String} deviceKey - Device key
+ * @returns {Object} Shadow with its delta
+ */
+const getShadowByDeviceKey = async (deviceKey) => {
+    const device = await findActiveDevice(deviceKey);
+    return formatShadow(device, device.shadow);
+};
+
+/**
+ * Record the configuration a device reports. The report is merged into the
+ * last reported state, so a device may send only what changed.
+ * @param {String} deviceKey - Device key
+ * @param {Object} reported - Reported configuration
+ * @returns {Object} Shadow with what is still left to apply in delta
+ */
+const reportState = async (deviceKey, reported) => {
+    if (!isPlainObject(reported)) {
+        throw new ApiError('Reported state must be an object', STATUS_CODES.BAD_REQUEST);
+    }
+
+    const device = await findActiveDevice(deviceKey);
+    const now = new Date();
+    const nextReported = mergeState(device.shadow ? device.shadow.reported : {}, reported);
+
+    const shadow = await prisma.deviceShadow.upsert({
+        where: {
+            deviceId: device.id
+        },
+        create: {
+            deviceId: device.id,
+            desired: {},
+            reported: nextReported,
+            reportedAt: now
+        },
+        update: {
+            reported: nextReported,
+            reportedAt: now
+        }
+    });
+
+    return formatShadow(device, shadow);
+};
+
+module.exports = {
+    getDeviceShadow,
+    updateDesiredState,
+    getShadowByDeviceKey,
+    reportState
+};
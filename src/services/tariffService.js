@@ -0,0 +1,571 @@
+// src/services/tariffService.js
+const prisma = require('../utils/prisma');
+const {
+    ApiError
+} = require('../middleware/error');
+const {
+    STATUS_CODES,
+    CUSTOMER_CLASS,
+    TOKEN_STATUS,
+    CHARGE_TYPE,
+    ROLLUP_GRANULARITY,
+    REPORTING
+} = require('../config/constants');
+const {
+    logger
+} = require('../utils/logger');
+const {
+    validateTiers,
+    priceVolume,
+    volumeForAmount,
+    itemiseTokenCharges,
+    roundMoney,
+    roundVolume
+} = require('../utils/tariffCalculator');
+const {
+    getPeriodStart
+} = require('../utils/dateTime');
+const creditPolicyService = require('./creditPolicyService');
+const meterReplacementService = require('./meterReplacementService');
+
+/**
+ * Relations included when returning a tariff
+ */
+const tariffInclude = {
+    versions: {
+        include: {
+            tiers: {
+                orderBy: {
+                    minVolume: 'asc'
+                }
+            }
+        },
+        orderBy: {
+            version: 'desc'
+        }
+    },
+    _count: {
+        select: {
+            devices: true
+        }
+    }
+};
+
+/**
+ * Normalise tiers from a request body and check they form a valid table
+ * @param {Array} tiers - Tiers from the request
+ * @returns {Array} - Tiers ready to be stored
+ */
+const parseTiers = (tiers) => {
+    const parsed = (tiers || []).map(tier => ({
+        minVolume: parseFloat(tier.minVolume),
+        maxVolume: tier.maxVolume === null || tier.maxVolume === undefined || tier.maxVolume === '' ?
+            null : parseFloat(tier.maxVolume),
+        pricePerUnit: parseFloat(tier.pricePerUnit)
+    }));
+
+    const problem = validateTiers(parsed);
+    if (problem) {
+        throw new ApiError(problem, STATUS_CODES.BAD_REQUEST);
+    }
+
+    return parsed;
+};
+
+/**
+ * Pick the fixed charges, admin fee and tax rate of a version from a request body
+ * @param {Object} data - Version data from the request
+ * @returns {Object} - Charge fields ready to be stored
+ */
+const parseCharges = (data) => {
+    const charges = {};
+    ['fixedMonthlyCharge', 'meterRentalCharge', 'adminFee', 'taxRate'].forEach(field => {
+        if (data[field] !== undefined && data[field] !== null) {
+            charges[field] = parseFloat(data[field]);
+        }
+    });
+    return charges;
+};
+
+/**
+ * Get all tariffs with pagination and filtering
+ * @param {Object} options - Query options (pagination, customerClass, isActive, search)
+ * @returns {Object} Tariffs and pagination metadata
+ */
+const getAllTariffs = async (options) => {
+    const {
+        page = 1, limit = 10, customerClass, isActive, search = ''
+    } = options;
+    const skip = (page - 1) * limit;
+
+    const where = {};
+
+    if (customerClass && Object.values(CUSTOMER_CLASS).includes(customerClass)) {
+        where.customerClass = customerClass;
+    }
+
+    if (isActive !== undefined) {
+        where.isActive = isActive === 'true' || isActive === true;
+    }
+
+    if (search) {
+        where.OR = [{
+            code: {
+                contains: search
+            }
+        }, {
+            name: {
+                contains: search
+            }
+        }];
+    }
+
+    const total = await prisma.tariff.count({
+        where
+    });
+
+    const tariffs = await prisma.tariff.findMany({
+        where,
+        include: tariffInclude,
+        skip,
+        take: limit,
+        orderBy: {
+            code: 'asc'
+        }
+    });
+
+    return {
+        tariffs,
+        meta: {
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+/**
+ * Get tariff by ID including all of its versions
+ * @param {String} tariffId - Tariff ID
+ * @returns {Object} Tariff
+ */
+const getTariffById = async (tariffId) => {
+    const tariff = await prisma.tariff.findUnique({
+        where: {
+            id: tariffId
+        },
+        include: tariffInclude
+    });
+
+    if (!tariff) {
+        throw new ApiError('Tariff not found', STATUS_CODES.NOT_FOUND);
+    }
+
+    return tariff;
+};
+
+/**
+ * Create a tariff together with its first version
+ * @param {Object} tariffData - Tariff data (code, name, customerClass, description, effectiveFrom, tiers, charges, credit policy)
+ * @param {String} userId - ID of user creating the tariff
+ * @returns {Object} Created tariff
+ */
+const createTariff = async (tariffData, userId) => {
+    const {
+        code,
+        name,
+        customerClass,
+        description,
+        effectiveFrom,
+        tiers
+    } = tariffData;
+
+    const existing = await prisma.tariff.findUnique({
+        where: {
+            code
+        }
+    });
+
+    if (existing) {
+        throw new ApiError('Tariff code already exists', STATUS_CODES.CONFLICT);
+    }
+
+    const parsedTiers = parseTiers(tiers);
+
+    const tariff = await prisma.tariff.create({
+        data: {
+            code,
+            name,
+            customerClass,
+            description,
+            ...creditPolicyService.pickCreditPolicy(tariffData),
+            versions: {
+                create: {
+                    version: 1,
+                    effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : new Date(),
+                    ...parseCharges(tariffData),
+                    createdById: userId,
+                    tiers: {
+                        create: parsedTiers
+                    }
+                }
+            }
+        },
+        include: tariffInclude
+    });
+
+    logger.info(`Tariff ${tariff.code} created by user ${userId}`);
+
+    return tariff;
+};
+
+/**
+ * Update tariff details. Prices are changed by adding a new version instead.
+ * @param {String} tariffId - Tariff ID
+ * @param {Object} updateData - Data to update (name, customerClass, description, isActive, credit policy)
+ * @returns {Object} Updated tariff
+ */
+const updateTariff = async (tariffId, updateData) => {
+    const {
+        name,
+        customerClass,
+        description,
+        isActive
+    } = updateData;
+
+    await getTariffById(tariffId);
+
+    const data = {};
+    if (name !== undefined) data.name = name;
+    if (customerClass !== undefined) data.customerClass = customerClass;
+    if (description !== undefined) data.description = description;
+    if (isActive !== undefined) data.isActive = isActive;
+    Object.assign(data, creditPolicyService.pickCreditPolicy(updateData));
+
+    return prisma.tariff.update({
+        where: {
+            id: tariffId
+        },
+        data,
+        include: tariffInclude
+    });
+};
+
+/**
+ * Add a new version of a tariff table. Existing versions are never modified,
+ * so usage and tokens keep pointing at the prices that applied at the time.
+ * @param {String} tariffId - Tariff ID
+ * @param {Object} versionData - Version data (effectiveFrom, tiers, charges, note)
+ * @param {String} userId - ID of user creating the version
+ * @returns {Object} Created version
+ */
+const createTariffVersion = async (tariffId, versionData, userId) => {
+    const {
+        effectiveFrom,
+        tiers,
+        note
+    } = versionData;
+
+    const parsedTiers = parseTiers(tiers);
+    const effectiveDate = new Date(effectiveFrom);
+
+    return prisma.$transaction(async (tx) => {
+        const tariff = await tx.tariff.findUnique({
+            where: {
+                id: tariffId
+            },
+            include: {
+                versions: {
+                    orderBy: {
+                        version: 'desc'
+                    },
+                    take: 1
+                }
+            }
+        });
+
+        if (!tariff) {
+            throw new ApiError('Tariff not found', STATUS_CODES.NOT_FOUND);
+        }
+
+        const clash = await tx.tariffVersion.findFirst({
+            where: {
+                tariffId,
+                effectiveFrom: effectiveDate
+            }
+        });
+
+        if (clash) {
+            throw new ApiError(`Version ${clash.version} already takes effect at that date`, STATUS_CODES.CONFLICT);
+        }
+
+        const latest = tariff.versions[0];
+
+        const version = await tx.tariffVersion.create({
+            data: {
+                tariffId,
+                version: latest ? latest.version + 1 : 1,
+                effectiveFrom: effectiveDate,
+                ...parseCharges(versionData),
+                note,
+                createdById: userId,
+                tiers: {
+                    create: parsedTiers
+                }
+            },
+            include: {
+                tiers: {
+                    orderBy: {
+                        minVolume: 'asc'
+                    }
+                }
+            }
+        });
+
+        logger.info(`Tariff ${tariff.code} version ${version.version} effective ${effectiveDate.toISOString()} created by user ${userId}`);
+
+        return version;
+    });
+};
+
+/**
+ * Check that a tariff can be assigned to a device
+ * @param {String} tariffId - Tariff ID
+ */
+const assertTariffAssignable = async (tariffId) => {
+    const tariff = await prisma.tariff.findUnique({
+        where: {
+            id: tariffId
+        }
+    });
+
+    if (!tariff) {
+        throw new ApiError('Tariff not found', STATUS_CODES.NOT_FOUND);
+    }
+
+    if (!tariff.isActive) {
+        throw new ApiError('Tariff is inactive', STATUS_CODES.BAD_REQUEST);
+    }
+};
+
+/**
+ * Get the version of a tariff in effect at a given time
+ * @param {Object} client - Prisma client or transaction client
+ * @param {String} tariffId - Tariff ID
+ * @param {Date} at - Point in time
+ * @returns {Object|null} Tariff version with tiers
+ */
+const getEffectiveVersion = async (client, tariffId, at = new Date()) => {
+    return client.tariffVersion.findFirst({
+        where: {
+            tariffId,
+            effectiveFrom: {
+                lte: at
+            }
+        },
+        include: {
+            tiers: true
+        },
+        orderBy: {
+            effectiveFrom: 'desc'
+        }
+    });
+};
+
+/**
+ * Get the start of the billing month containing a point in time: midnight on
+ * the 1st in the organisation time zone, like the monthly usage rollups
+ * @param {Date} at - Point in time
+ * @returns {Date} Start of the billing month
+ */
+const getBillingPeriodStart = (at = new Date()) => {
+    return getPeriodStart(at, ROLLUP_GRANULARITY.MONTH, REPORTING.TIMEZONE);
+};
+
+/**
+ * Get the volume a device consumed so far in the billing month, including
+ * meters it replaced
+ * @param {Object} client - Prisma client or transaction client
+ * @param {String} deviceId - Device ID
+ * @param {Date} at - Point in time
+ * @returns {Number} Consumed volume (m3)
+ */
+const getBillingPeriodVolume = async (client, deviceId, at = new Date()) => {
+    const periodStart = getBillingPeriodStart(at);
+    const lineage = await meterReplacementService.getDeviceLineage(client, deviceId);
+
+    const result = await client.usageLog.aggregate({
+        where: {
+            deviceId: {
+                in: lineage
+            },
+            timeStamp: {
+                gte: periodStart,
+                lt: at
+            }
+        },
+        _sum: {
+            usageAmount: true
+        }
+    });
+
+    return result._sum.usageAmount || 0;
+};
+
+/**
+ * Load the pricing context of a device: the effective tariff version and
+ * the volume already consumed this billing month
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} device - Device (needs id and tariffId)
+ * @param {Date} at - Point in time
+ * @returns {Object} Version (null when the device has no tariff) and consumed volume
+ */
+const getPricingContext = async (client, device, at = new Date()) => {
+    if (!device.tariffId) {
+        return {
+            version: null,
+            consumedBefore: 0
+        };
+    }
+
+    const version = await getEffectiveVersion(client, device.tariffId, at);
+    if (!version) {
+        throw new ApiError('Device tariff has no version in effect yet', STATUS_CODES.BAD_REQUEST);
+    }
+
+    return {
+        version,
+        consumedBefore: await getBillingPeriodVolume(client, device.id, at)
+    };
+};
+
+/**
+ * Price water consumed by a device under its tariff.
+ * Devices without a tariff are charged one money unit per m3.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} device - Device (needs id and tariffId)
+ * @param {Number} volume - Consumed volume (m3)
+ * @param {Date} at - Time of consumption
+ * @returns {Object} Amount, volume, tariff version ID and per-tier breakdown
+ */
+const priceUsage = async (client, device, volume, at = new Date()) => {
+    const { version, consumedBefore } = await getPricingContext(client, device, at);
+
+    if (!version) {
+        return {
+            amount: roundMoney(volume),
+            volume: roundVolume(volume),
+            tariffVersionId: null,
+            lines: []
+        };
+    }
+
+    return {
+        ...priceVolume(version.tiers, consumedBefore, volume),
+        tariffVersionId: version.id
+    };
+};
+
+/**
+ * Convert money into the water it buys for a device under its tariff.
+ * The result is an estimate: tier boundaries are taken from the current billing month.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} device - Device (needs id and tariffId)
+ * @param {Number} amount - Money to convert
+ * @param {Date} at - Point in time
+ * @returns {Object} Amount, volume, tariff version ID and per-tier breakdown
+ */
+const quoteVolume = async (client, device, amount, at = new Date()) => {
+    const { version, consumedBefore } = await getPricingContext(client, device, at);
+
+    if (!version) {
+        return {
+            amount: roundMoney(amount),
+            volume: roundVolume(Math.max(0, amount)),
+            tariffVersionId: null,
+            lines: []
+        };
+    }
+
+    return {
+        ...volumeForAmount(version.tiers, consumedBefore, Math.max(0, amount)),
+        tariffVersionId: version.id
+    };
+};
+
+/**
+ * Compute the itemised charges deducted from a token: admin fee, tax and the
+ * part of this month's fixed charges not yet collected from earlier tokens.
+ * Devices without a tariff pay no charges.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} device - Device (needs id and tariffId)
+ * @param {Number} grossAmount - Token amount
+ * @param {Date} at - Time of purchase or redemption
+ * @returns {Object} Breakdown (grossAmount, adminFee, taxRate, taxAmount, fixedCharges, netAmount, items)
+ */
+const computeTokenCharges = async (client, device, grossAmount, at = new Date()) => {
+    const version = device.tariffId ? await getEffectiveVersion(client, device.tariffId, at) : null;
+
+    if (!version) {
+        return itemiseTokenCharges({
+            grossAmount
+        });
+    }
+
+    // Fixed charges already collected this month (also on replaced meters), applied to the service charge first
+    const lineage = await meterReplacementService.getDeviceLineage(client, device.id);
+    const collected = await client.token.aggregate({
+        where: {
+            deviceId: {
+                in: lineage
+            },
+            status: TOKEN_STATUS.USED,
+            used_at: {
+                gte: getBillingPeriodStart(at)
+            }
+        },
+        _sum: {
+            fixedCharges: true
+        }
+    });
+    let alreadyPaid = collected._sum.fixedCharges || 0;
+
+    const fixedCharges = [{
+        type: CHARGE_TYPE.FIXED_MONTHLY,
+        label: 'Monthly service charge (abonemen)',
+        amount: version.fixedMonthlyCharge
+    }, {
+        type: CHARGE_TYPE.METER_RENTAL,
+        label: 'Meter rental',
+        amount: version.meterRentalCharge
+    }].map(charge => {
+        const paid = Math.min(charge.amount, alreadyPaid);
+        alreadyPaid -= paid;
+        return {
+            ...charge,
+            amount: roundMoney(charge.amount - paid)
+        };
+    });
+
+    return itemiseTokenCharges({
+        grossAmount,
+        adminFee: version.adminFee,
+        taxRate: version.taxRate,
+        fixedCharges
+    });
+};
+
+module.exports = {
+    getAllTariffs,
+    getTariffById,
+    createTariff,
+    updateTariff,
+    createTariffVersion,
+    assertTariffAssignable,
+    getEffectiveVersion,
+    getBillingPeriodVolume,
+    priceUsage,
+    quoteVolume,
+    computeTokenCharges
+};
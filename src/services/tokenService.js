@@ -8,30 +8,59 @@ const {
 } = require('../config/constants');
 const {
     ROLES,
-    TOKEN_STATUS
+    TOKEN_STATUS,
+    TOKEN_BATCH,
+    LEDGER_ENTRY_TYPE,
+    LEDGER_REFERENCE_TYPE,
+    TARIFF,
+    TOKEN_REVERSAL_TYPE
 } = require('../config/constants');
 const {
     generateDeviceToken
 } = require('../utils/helpers');
+const {
+    defaultTokenGenerator,
+    normalizeToken
+} = require('../utils/tokenGenerator');
 const {
     logger
 } = require('../utils/logger');
 const { buildOwnershipFilter, enforceOwnership, isAdmin } = require('../utils/authorization');
+const { roundMoney } = require('../utils/tariffCalculator');
+const ledgerService = require('./ledgerService');
+const tariffService = require('./tariffService');
+const creditPolicyService = require('./creditPolicyService');
+const debtService = require('./debtService');
 
 /**
- * Get all tokens with pagination and filtering
- * @param {Object} options - Query options (pagination, filters)
+ * Relations included when listing or exporting tokens
+ */
+const tokenListInclude = {
+    device: {
+        select: {
+            deviceKey: true,
+            user: {
+                select: {
+                    id: true,
+                    name: true,
+                    email: true
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Build the token filter shared by the list and the export
+ * @param {Object} options - Filters (deviceId, status)
  * @param {String} userId - User ID
  * @param {String} userRole - User role
- * @returns {Object} Tokens and pagination metadata
+ * @returns {Object} Prisma where clause on Token
  */
-// In tokenService.js, update the getAllTokens function:
-
-const getAllTokens = async (options, userId, userRole) => {
+const buildTokenFilter = (options, userId, userRole) => {
     const {
-        page = 1, limit = 10, deviceId, status
+        deviceId, status
     } = options;
-    const skip = (page - 1) * limit;
 
     // Start with an empty where clause
     let where = {};
@@ -47,7 +76,6 @@ const getAllTokens = async (options, userId, userRole) => {
     if (deviceId && deviceId.trim()) {
         // Make sure we're using a clean string
         where.deviceId = deviceId.trim();
-        console.log('Applying deviceId filter:', where.deviceId);
     }
 
     // Filter by status if specified
@@ -55,8 +83,23 @@ const getAllTokens = async (options, userId, userRole) => {
         where.status = status;
     }
 
-    // Log the where clause for debugging
-    console.log('Final where clause for tokens query:', JSON.stringify(where));
+    return where;
+};
+
+/**
+ * Get all tokens with pagination and filtering
+ * @param {Object} options - Query options (pagination, filters)
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Tokens and pagination metadata
+ */
+const getAllTokens = async (options, userId, userRole) => {
+    const {
+        page = 1, limit = 10
+    } = options;
+    const skip = (page - 1) * limit;
+
+    const where = buildTokenFilter(options, userId, userRole);
 
     // Count total tokens
     const total = await prisma.token.count({
@@ -66,20 +109,7 @@ const getAllTokens = async (options, userId, userRole) => {
     // Get tokens with pagination
     const tokens = await prisma.token.findMany({
         where,
-        include: {
-            device: {
-                select: {
-                    deviceKey: true,
-                    user: {
-                        select: {
-                            id: true,
-                            name: true,
-                            email: true
-                        }
-                    }
-                }
-            }
-        },
+        include: tokenListInclude,
         skip,
         take: limit,
         orderBy: {
@@ -87,8 +117,6 @@ const getAllTokens = async (options, userId, userRole) => {
         }
     });
 
-    console.log(`Found ${tokens.length} tokens`);
-
     return {
         tokens,
         meta: {
@@ -100,6 +128,32 @@ const getAllTokens = async (options, userId, userRole) => {
     };
 };
 
+/**
+ * Get the next batch of tokens for an export, newest first
+ * @param {Object} where - Filter from buildTokenFilter
+ * @param {String} cursor - ID of the last token of the previous batch
+ * @param {Number} take - Batch size
+ * @returns {Array} Tokens
+ */
+const getTokenExportBatch = async (where, cursor, take) => {
+    return prisma.token.findMany({
+        where,
+        include: tokenListInclude,
+        take,
+        ...(cursor ? {
+            cursor: {
+                id: cursor
+            },
+            skip: 1
+        } : {}),
+        orderBy: [{
+            createdAt: 'desc'
+        }, {
+            id: 'desc'
+        }]
+    });
+};
+
 /**
  * Get token by ID
  * @param {String} tokenId - Token ID
@@ -126,7 +180,8 @@ const getTokenById = async (tokenId, userId, userRole) => {
                             }
                         }
                     }
-                }
+                },
+                reversal: true
             }
         });
         
@@ -159,7 +214,8 @@ const getTokenById = async (tokenId, userId, userRole) => {
                         }
                     }
                 }
-            }
+            },
+            reversal: true
         }
     });
 
@@ -241,6 +297,38 @@ const getTokensByDevice = async (deviceId, options, userId, userRole) => {
     };
 };
 
+/**
+ * Quote the charge breakdown of a token at purchase time. The breakdown is
+ * computed again when the token is redeemed, since fixed charges depend on
+ * what was already collected that month.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} device - Device the token is for
+ * @param {Number} amount - Token amount
+ * @returns {Object} Token charge fields
+ */
+const quoteTokenCharges = async (client, device, amount) => {
+    const breakdown = await tariffService.computeTokenCharges(client, device, amount);
+
+    if (breakdown.netAmount <= 0) {
+        throw new ApiError('Token amount does not cover the admin fee and tax', STATUS_CODES.BAD_REQUEST);
+    }
+
+    return toTokenChargeFields(breakdown);
+};
+
+/**
+ * Map a charge breakdown onto the token columns that store it
+ * @param {Object} breakdown - Breakdown from tariffService.computeTokenCharges
+ * @returns {Object} Token charge fields
+ */
+const toTokenChargeFields = (breakdown) => ({
+    adminFee: breakdown.adminFee,
+    taxAmount: breakdown.taxAmount,
+    fixedCharges: breakdown.fixedCharges,
+    netAmount: breakdown.netAmount,
+    chargeItems: breakdown.items
+});
+
 /**
  * Create a new token
  * @param {Object} tokenData - Token data (deviceId, amount)
@@ -251,7 +339,8 @@ const getTokensByDevice = async (deviceId, options, userId, userRole) => {
 const createToken = async (tokenData, userId, userRole) => {
     const {
         deviceId,
-        amount
+        amount,
+        expiresAt
     } = tokenData;
 
     // Verify device exists and user has access
@@ -266,6 +355,13 @@ const createToken = async (tokenData, userId, userRole) => {
     // Check ownership
     enforceOwnership(device, userId, userRole, null, 'Device');
 
+    if (device.decommissionedAt) {
+        throw new ApiError('Device has been decommissioned, issue tokens for its replacement meter', STATUS_CODES.CONFLICT);
+    }
+
+    // Itemise fees, tax and fixed charges for the receipt
+    const charges = await quoteTokenCharges(prisma, device, parseFloat(amount));
+
     // Generate unique token
     const tokenValue = generateDeviceToken();
 
@@ -274,8 +370,11 @@ const createToken = async (tokenData, userId, userRole) => {
         data: {
             deviceId,
             token: tokenValue,
+            format: defaultTokenGenerator.version,
             amount: parseFloat(amount),
-            status: TOKEN_STATUS.UNUSED
+            ...charges,
+            status: TOKEN_STATUS.UNUSED,
+            expiresAt: expiresAt ? new Date(expiresAt) : null
         },
         include: {
             device: {
@@ -289,6 +388,253 @@ const createToken = async (tokenData, userId, userRole) => {
     return newToken;
 };
 
+/**
+ * Generate a set of token values that are unique within the set and not yet stored
+ * @param {Number} count - Number of token values to generate
+ * @param {Object} tx - Prisma transaction client
+ * @returns {Array} Unique token values
+ */
+const generateUniqueTokenValues = async (count, tx) => {
+    const values = new Set();
+
+    while (values.size < count) {
+        const candidates = [];
+        while (values.size + candidates.length < count) {
+            const candidate = generateDeviceToken();
+            if (!values.has(candidate) && !candidates.includes(candidate)) {
+                candidates.push(candidate);
+            }
+        }
+
+        // Drop candidates that collide with tokens already in the database
+        const existing = await tx.token.findMany({
+            where: {
+                token: {
+                    in: candidates
+                }
+            },
+            select: {
+                token: true
+            }
+        });
+        const taken = new Set(existing.map(item => item.token));
+
+        candidates
+            .filter(candidate => !taken.has(candidate))
+            .forEach(candidate => values.add(candidate));
+    }
+
+    return Array.from(values);
+};
+
+/**
+ * Create a batch of tokens across one or more devices and denominations
+ * @param {Object} batchData - Batch data (name, items: [{ deviceId, amount, quantity }])
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Created batch with its tokens
+ */
+const createTokenBatch = async (batchData, userId, userRole) => {
+    const {
+        name,
+        items,
+        expiresAt
+    } = batchData;
+
+    const totalTokens = items.reduce((sum, item) => sum + parseInt(item.quantity, 10), 0);
+
+    if (totalTokens > TOKEN_BATCH.MAX_TOKENS) {
+        throw new ApiError(`A batch cannot contain more than ${TOKEN_BATCH.MAX_TOKENS} tokens`, STATUS_CODES.BAD_REQUEST);
+    }
+
+    // Verify every device exists and user has access
+    const deviceIds = [...new Set(items.map(item => item.deviceId))];
+    const devices = await prisma.device.findMany({
+        where: {
+            id: {
+                in: deviceIds
+            }
+        }
+    });
+
+    deviceIds.forEach(deviceId => {
+        const device = devices.find(item => item.id === deviceId);
+        enforceOwnership(device, userId, userRole, null, `Device ${deviceId}`);
+
+        if (device.decommissionedAt) {
+            throw new ApiError(`Device ${deviceId} has been decommissioned`, STATUS_CODES.CONFLICT);
+        }
+    });
+
+    const batch = await prisma.$transaction(async (tx) => {
+        const tokenValues = await generateUniqueTokenValues(totalTokens, tx);
+
+        const data = [];
+        for (const item of items) {
+            const device = devices.find(candidate => candidate.id === item.deviceId);
+            const charges = await quoteTokenCharges(tx, device, parseFloat(item.amount));
+
+            for (let i = 0; i < parseInt(item.quantity, 10); i++) {
+                data.push({
+                    deviceId: item.deviceId,
+                    token: tokenValues[data.length],
+                    format: defaultTokenGenerator.version,
+                    amount: parseFloat(item.amount),
+                    ...charges,
+                    status: TOKEN_STATUS.UNUSED,
+                    expiresAt: expiresAt ? new Date(expiresAt) : null
+                });
+            }
+        }
+
+        const newBatch = await tx.tokenBatch.create({
+            data: {
+                name,
+                userId,
+                totalTokens,
+                totalAmount: data.reduce((sum, item) => sum + item.amount, 0)
+            }
+        });
+
+        await tx.token.createMany({
+            data: data.map(item => ({
+                ...item,
+                batchId: newBatch.id
+            }))
+        });
+
+        return newBatch;
+    }, {
+        timeout: 30000
+    });
+
+    logger.info(`Token batch ${batch.id} created with ${totalTokens} tokens by user ${userId}`);
+
+    return getTokenBatchById(batch.id, userId, userRole);
+};
+
+/**
+ * Get all token batches with pagination
+ * @param {Object} options - Query options (pagination)
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Batches and pagination metadata
+ */
+const getAllTokenBatches = async (options, userId, userRole) => {
+    const {
+        page = 1, limit = 10
+    } = options;
+    const skip = (page - 1) * limit;
+
+    // Non-admin users can only see the batches they generated
+    const where = buildOwnershipFilter(userId, userRole);
+
+    const total = await prisma.tokenBatch.count({
+        where
+    });
+
+    const batches = await prisma.tokenBatch.findMany({
+        where,
+        include: {
+            user: {
+                select: {
+                    id: true,
+                    name: true,
+                    email: true
+                }
+            }
+        },
+        skip,
+        take: limit,
+        orderBy: {
+            createdAt: 'desc'
+        }
+    });
+
+    return {
+        batches,
+        meta: {
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+/**
+ * Get token batch by ID including its tokens
+ * @param {String} batchId - Batch ID
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Batch object
+ */
+const getTokenBatchById = async (batchId, userId, userRole) => {
+    const batch = await prisma.tokenBatch.findFirst({
+        where: buildOwnershipFilter(userId, userRole, { id: batchId }),
+        include: {
+            user: {
+                select: {
+                    id: true,
+                    name: true,
+                    email: true
+                }
+            },
+            tokens: {
+                include: {
+                    device: {
+                        select: {
+                            deviceKey: true
+                        }
+                    }
+                },
+                orderBy: [{
+                    deviceId: 'asc'
+                }, {
+                    amount: 'asc'
+                }, {
+                    token: 'asc'
+                }]
+            }
+        }
+    });
+
+    if (!batch) {
+        throw new ApiError('Token batch not found or you do not have permission', STATUS_CODES.NOT_FOUND);
+    }
+
+    return batch;
+};
+
+/**
+ * Throw if a token is not in a redeemable state, explaining why
+ * @param {Object} token - Token record
+ * @throws {ApiError} If the token is used, expired, revoked or cancelled
+ */
+const assertTokenRedeemable = (token) => {
+    const withReason = (message) => token.statusReason ? `${message}: ${token.statusReason}` : message;
+
+    switch (token.status) {
+        case TOKEN_STATUS.USED:
+            throw new ApiError('Token has already been used', STATUS_CODES.BAD_REQUEST);
+        case TOKEN_STATUS.EXPIRED:
+            throw new ApiError('Token has expired', STATUS_CODES.BAD_REQUEST);
+        case TOKEN_STATUS.REVOKED:
+            throw new ApiError(withReason('Token has been revoked'), STATUS_CODES.BAD_REQUEST);
+        case TOKEN_STATUS.CANCELLED:
+            throw new ApiError(withReason('Token has been cancelled'), STATUS_CODES.BAD_REQUEST);
+        case TOKEN_STATUS.VOIDED:
+            throw new ApiError(withReason('Token has been voided'), STATUS_CODES.BAD_REQUEST);
+        default:
+            break;
+    }
+
+    // The expiry sweep may not have caught up yet
+    if (token.expiresAt && token.expiresAt <= new Date()) {
+        throw new ApiError('Token has expired', STATUS_CODES.BAD_REQUEST);
+    }
+};
+
 /**
  * Validate token (use token and update balance)
  * @param {String} tokenValue - Token value
@@ -296,6 +642,14 @@ const createToken = async (tokenData, userId, userRole) => {
  * @returns {Object} Validation result
  */
 const validateToken = async (tokenValue, deviceKey) => {
+    tokenValue = normalizeToken(tokenValue);
+
+    // Typos in tokens of the current format are caught without a query; tokens
+    // of another shape were issued before check digits and are only looked up
+    if (defaultTokenGenerator.hasFormat(tokenValue) && !defaultTokenGenerator.isValid(tokenValue)) {
+        throw new ApiError('Token checksum failed. Please check the token digits and try again', STATUS_CODES.BAD_REQUEST);
+    }
+
     // Start transaction
     const result = await prisma.$transaction(async (tx) => {
         // Find token
@@ -312,71 +666,405 @@ const validateToken = async (tokenValue, deviceKey) => {
             throw new ApiError('Invalid token', STATUS_CODES.BAD_REQUEST);
         }
 
-        // Check if token is already used
-        if (token.status === TOKEN_STATUS.USED) {
-            throw new ApiError('Token has already been used', STATUS_CODES.BAD_REQUEST);
-        }
-
-        // Verify device key matches
+        // Verify device key matches before telling anything about the token's state
         if (token.device.deviceKey !== deviceKey) {
             throw new ApiError('Token does not belong to this device', STATUS_CODES.BAD_REQUEST);
         }
 
+        // Refuse tokens that can no longer be redeemed
+        assertTokenRedeemable(token);
+
         // Check if device is active
         if (!token.device.status) {
             throw new ApiError('Device is inactive', STATUS_CODES.FORBIDDEN);
         }
 
-        // Update token status
+        // Final breakdown: fixed charges depend on what earlier tokens already paid this month
+        const breakdown = await tariffService.computeTokenCharges(tx, token.device, token.amount);
+
+        // Update token status, guarding against a concurrent redemption
+        const claimed = await tx.token.updateMany({
+            where: {
+                id: token.id,
+                status: TOKEN_STATUS.UNUSED
+            },
+            data: {
+                status: TOKEN_STATUS.USED,
+                used_at: new Date(),
+                ...toTokenChargeFields(breakdown)
+            }
+        });
+
+        if (claimed.count === 0) {
+            throw new ApiError('Token has already been used', STATUS_CODES.BAD_REQUEST);
+        }
+
+        // Credit the net amount through the ledger
+        let { balance } = await ledgerService.postTransaction(tx, {
+            deviceId: token.deviceId,
+            type: LEDGER_ENTRY_TYPE.CREDIT,
+            amount: breakdown.netAmount,
+            referenceType: LEDGER_REFERENCE_TYPE.TOKEN,
+            referenceId: token.id,
+            description: 'Token redeemed',
+            lastToken: tokenValue
+        });
+
+        // Part of the credit goes towards outstanding debt
+        const policy = await creditPolicyService.getCreditPolicy(tx, token.device);
+        const debt = await debtService.recoverFromCredit(tx, {
+            deviceId: token.deviceId,
+            tokenId: token.id,
+            creditAmount: breakdown.netAmount,
+            recoveryRate: policy.debtRecoveryRate
+        });
+
+        if (debt.balance) {
+            balance = debt.balance;
+        }
+
+        const credited = roundMoney(breakdown.netAmount - debt.recovered);
+
+        // Work out how much water the remaining credit buys under the device tariff
+        const quote = await tariffService.quoteVolume(tx, token.device, credited);
+
         await tx.token.update({
             where: {
                 id: token.id
             },
             data: {
-                status: TOKEN_STATUS.USED,
-                used_at: new Date()
+                volume: quote.volume,
+                tariffVersionId: quote.tariffVersionId,
+                debtRecovered: debt.recovered
             }
         });
 
-        // Update balance
-        let balance = await tx.balance.findUnique({
+        // Emergency credit is repaid automatically once the balance is back above zero
+        const emergencyCreditRepaid = await creditPolicyService.settleEmergencyCredit(tx, balance);
+
+        const balanceQuote = await tariffService.quoteVolume(tx, token.device, balance.balance);
+
+        return {
+            valid: true,
+            amount: token.amount,
+            netAmount: breakdown.netAmount,
+            breakdown,
+            debtRecovered: debt.recovered,
+            credited,
+            debt: {
+                recovered: debt.recovered,
+                outstanding: debt.outstanding,
+                repayments: debt.repayments
+            },
+            volume: quote.volume,
+            balance: balance.balance,
+            balanceVolume: balanceQuote.volume,
+            unit: TARIFF.VOLUME_UNIT,
+            emergencyCreditRepaid
+        };
+    });
+
+    return result;
+};
+
+/**
+ * Revoke a single unused token
+ * @param {String} tokenId - Token ID
+ * @param {String} reason - Reason for revocation
+ * @param {String} userId - ID of user revoking the token
+ * @returns {Object} Revoked token
+ */
+const revokeToken = async (tokenId, reason, userId) => {
+    const token = await prisma.token.findUnique({
+        where: {
+            id: tokenId
+        }
+    });
+
+    if (!token) {
+        throw new ApiError('Token not found', STATUS_CODES.NOT_FOUND);
+    }
+
+    if (token.status !== TOKEN_STATUS.UNUSED) {
+        throw new ApiError(`Only unused tokens can be revoked (token is ${token.status})`, STATUS_CODES.CONFLICT);
+    }
+
+    const revokedToken = await prisma.token.update({
+        where: {
+            id: tokenId
+        },
+        data: {
+            status: TOKEN_STATUS.REVOKED,
+            statusReason: reason,
+            statusChangedAt: new Date()
+        }
+    });
+
+    logger.info(`Token ${tokenId} revoked by user ${userId}: ${reason}`);
+
+    return revokedToken;
+};
+
+/**
+ * Void an unused token that was issued by mistake (wrong device or amount)
+ * @param {String} tokenId - Token ID
+ * @param {String} reason - Reason for voiding
+ * @param {String} userId - ID of user voiding the token
+ * @returns {Object} Voided token with its reversal record
+ */
+const voidToken = async (tokenId, reason, userId) => {
+    const token = await prisma.token.findUnique({
+        where: {
+            id: tokenId
+        }
+    });
+
+    if (!token) {
+        throw new ApiError('Token not found', STATUS_CODES.NOT_FOUND);
+    }
+
+    if (token.status !== TOKEN_STATUS.UNUSED) {
+        throw new ApiError(`Only unused tokens can be voided (token is ${token.status})`, STATUS_CODES.CONFLICT);
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+        // Guard against the token being redeemed at the same time
+        const claimed = await tx.token.updateMany({
+            where: {
+                id: tokenId,
+                status: TOKEN_STATUS.UNUSED
+            },
+            data: {
+                status: TOKEN_STATUS.VOIDED,
+                statusReason: reason,
+                statusChangedAt: new Date()
+            }
+        });
+
+        if (claimed.count === 0) {
+            throw new ApiError('Token changed while voiding it, please try again', STATUS_CODES.CONFLICT);
+        }
+
+        await tx.tokenReversal.create({
+            data: {
+                tokenId,
+                type: TOKEN_REVERSAL_TYPE.VOID,
+                reason,
+                userId
+            }
+        });
+
+        return tx.token.findUnique({
+            where: {
+                id: tokenId
+            },
+            include: {
+                reversal: true
+            }
+        });
+    });
+
+    logger.info(`Token ${tokenId} voided by user ${userId}: ${reason}`);
+
+    return result;
+};
+
+/**
+ * Reverse a redeemed token, taking its credit back from the device balance.
+ * Debt repaid from the token is owed again. The balance may only go
+ * negative as far as the device's emergency credit limit allows.
+ * @param {String} tokenId - Token ID
+ * @param {String} reason - Reason for the reversal
+ * @param {String} userId - ID of user reversing the token
+ * @returns {Object} Reversed token, its reversal record and the new balance
+ */
+const reverseToken = async (tokenId, reason, userId) => {
+    const result = await prisma.$transaction(async (tx) => {
+        const token = await tx.token.findUnique({
+            where: {
+                id: tokenId
+            },
+            include: {
+                device: true
+            }
+        });
+
+        if (!token) {
+            throw new ApiError('Token not found', STATUS_CODES.NOT_FOUND);
+        }
+
+        if (token.status !== TOKEN_STATUS.USED) {
+            throw new ApiError(`Only redeemed tokens can be reversed (token is ${token.status})`, STATUS_CODES.CONFLICT);
+        }
+
+        const claimed = await tx.token.updateMany({
+            where: {
+                id: tokenId,
+                status: TOKEN_STATUS.USED
+            },
+            data: {
+                status: TOKEN_STATUS.REVERSED,
+                statusReason: reason,
+                statusChangedAt: new Date()
+            }
+        });
+
+        if (claimed.count === 0) {
+            throw new ApiError('Token changed while reversing it, please try again', STATUS_CODES.CONFLICT);
+        }
+
+        // Debt paid from this token is owed again instead of being taken from the balance
+        const debt = await debtService.reinstateRepayments(tx, tokenId);
+        const netAmount = token.netAmount !== null ? token.netAmount : token.amount;
+        const amount = roundMoney(netAmount - debt.amount);
+
+        const current = await tx.balance.findUnique({
             where: {
                 deviceId: token.deviceId
             }
         });
+        const balanceBefore = current ? current.balance : 0;
+        const balanceAfter = roundMoney(balanceBefore - amount);
 
-        if (!balance) {
-            // Create balance if not exists
-            balance = await tx.balance.create({
-                data: {
-                    deviceId: token.deviceId,
-                    balance: token.amount,
-                    lastToken: tokenValue
-                }
-            });
-        } else {
-            // Update existing balance
-            balance = await tx.balance.update({
-                where: {
-                    deviceId: token.deviceId
-                },
-                data: {
-                    balance: balance.balance + token.amount,
-                    lastToken: tokenValue
-                }
-            });
+        const policy = await creditPolicyService.getCreditPolicy(tx, token.device);
+        if (balanceAfter < -policy.emergencyCreditLimit) {
+            throw new ApiError(
+                `Reversal would leave the balance at ${balanceAfter}, below the ${-policy.emergencyCreditLimit} allowed for this device`,
+                STATUS_CODES.CONFLICT
+            );
+        }
+
+        const reversal = await tx.tokenReversal.create({
+            data: {
+                tokenId,
+                type: TOKEN_REVERSAL_TYPE.REVERSAL,
+                reason,
+                amount,
+                debtReinstated: debt.amount,
+                balanceBefore,
+                balanceAfter,
+                userId
+            }
+        });
+
+        const { balance } = await ledgerService.postTransaction(tx, {
+            deviceId: token.deviceId,
+            type: LEDGER_ENTRY_TYPE.REVERSAL,
+            amount: -amount,
+            referenceType: LEDGER_REFERENCE_TYPE.TOKEN_REVERSAL,
+            referenceId: reversal.id,
+            description: `Token ${token.token} reversed: ${reason}`,
+            userId
+        });
+
+        if (balance.balance < 0) {
+            await creditPolicyService.markEmergencyCreditUsed(tx, token.deviceId);
         }
 
+        const reversedToken = await tx.token.findUnique({
+            where: {
+                id: tokenId
+            },
+            include: {
+                reversal: true
+            }
+        });
+
         return {
-            valid: true,
-            amount: token.amount,
+            token: reversedToken,
+            reversedAmount: amount,
+            debtReinstated: debt.amount,
             balance: balance.balance
         };
     });
 
+    logger.info(`Token ${tokenId} reversed by user ${userId} (${result.reversedAmount}): ${reason}`);
+
     return result;
 };
 
+/**
+ * Cancel a token batch, cancelling all of its unused tokens
+ * @param {String} batchId - Batch ID
+ * @param {String} reason - Reason for cancellation
+ * @param {String} userId - ID of user cancelling the batch
+ * @returns {Object} Cancelled batch and number of tokens cancelled
+ */
+const cancelTokenBatch = async (batchId, reason, userId) => {
+    const batch = await prisma.tokenBatch.findUnique({
+        where: {
+            id: batchId
+        }
+    });
+
+    if (!batch) {
+        throw new ApiError('Token batch not found', STATUS_CODES.NOT_FOUND);
+    }
+
+    if (batch.cancelledAt) {
+        throw new ApiError('Token batch has already been cancelled', STATUS_CODES.CONFLICT);
+    }
+
+    const now = new Date();
+
+    const [cancelled, updatedBatch] = await prisma.$transaction([
+        prisma.token.updateMany({
+            where: {
+                batchId,
+                status: TOKEN_STATUS.UNUSED
+            },
+            data: {
+                status: TOKEN_STATUS.CANCELLED,
+                statusReason: reason,
+                statusChangedAt: now
+            }
+        }),
+        prisma.tokenBatch.update({
+            where: {
+                id: batchId
+            },
+            data: {
+                cancelledAt: now,
+                cancelReason: reason
+            }
+        })
+    ]);
+
+    logger.info(`Token batch ${batchId} cancelled by user ${userId} (${cancelled.count} tokens): ${reason}`);
+
+    return {
+        batch: updatedBatch,
+        cancelledTokens: cancelled.count
+    };
+};
+
+/**
+ * Mark unused tokens past their expiry date as expired
+ * @returns {Number} Number of tokens expired
+ */
+const expireStaleTokens = async () => {
+    const now = new Date();
+
+    const result = await prisma.token.updateMany({
+        where: {
+            status: TOKEN_STATUS.UNUSED,
+            expiresAt: {
+                lte: now
+            }
+        },
+        data: {
+            status: TOKEN_STATUS.EXPIRED,
+            statusChangedAt: now
+        }
+    });
+
+    if (result.count > 0) {
+        logger.info(`Token expiry sweep marked ${result.count} tokens as expired`);
+    }
+
+    return result.count;
+};
+
 /**
  * Get token statistics
  * @param {String} userId - User ID
@@ -395,22 +1083,24 @@ const getTokenStats = async (userId, userRole) => {
     }
 
     // Get token counts
-    const [total, used, unused] = await Promise.all([
+    const [total, used, unused, expired, revoked, cancelled, voided, reversed] = await Promise.all([
         prisma.token.count({
             where
         }),
-        prisma.token.count({
-            where: {
-                ...where,
-                status: TOKEN_STATUS.USED
-            }
-        }),
-        prisma.token.count({
+        ...[
+            TOKEN_STATUS.USED,
+            TOKEN_STATUS.UNUSED,
+            TOKEN_STATUS.EXPIRED,
+            TOKEN_STATUS.REVOKED,
+            TOKEN_STATUS.CANCELLED,
+            TOKEN_STATUS.VOIDED,
+            TOKEN_STATUS.REVERSED
+        ].map(status => prisma.token.count({
             where: {
                 ...where,
-                status: TOKEN_STATUS.UNUSED
+                status
             }
-        })
+        }))
     ]);
 
     // Calculate total amount
@@ -423,6 +1113,29 @@ const getTokenStats = async (userId, userRole) => {
 
     const totalAmount = totalAmountResult._sum.amount || 0;
 
+    // Revenue breakdown of redeemed tokens
+    const revenueResult = await prisma.token.aggregate({
+        where: {
+            ...where,
+            status: TOKEN_STATUS.USED
+        },
+        _sum: {
+            amount: true,
+            adminFee: true,
+            taxAmount: true,
+            fixedCharges: true,
+            netAmount: true
+        }
+    });
+
+    const revenue = {
+        grossAmount: revenueResult._sum.amount || 0,
+        adminFees: revenueResult._sum.adminFee || 0,
+        taxAmount: revenueResult._sum.taxAmount || 0,
+        fixedCharges: revenueResult._sum.fixedCharges || 0,
+        netAmount: revenueResult._sum.netAmount || 0
+    };
+
     // Recent tokens
     const recentTokens = await prisma.token.findMany({
         where,
@@ -449,16 +1162,98 @@ const getTokenStats = async (userId, userRole) => {
         total,
         used,
         unused,
+        expired,
+        revoked,
+        cancelled,
+        voided,
+        reversed,
         totalAmount,
+        revenue,
         recentTokens
     };
 };
 
+/**
+ * Get statistics for a single token batch
+ * @param {String} batchId - Batch ID
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Batch statistics (issued/used/remaining)
+ */
+const getTokenBatchStats = async (batchId, userId, userRole) => {
+    const batch = await prisma.tokenBatch.findFirst({
+        where: buildOwnershipFilter(userId, userRole, { id: batchId })
+    });
+
+    if (!batch) {
+        throw new ApiError('Token batch not found or you do not have permission', STATUS_CODES.NOT_FOUND);
+    }
+
+    const byStatus = await prisma.token.groupBy({
+        by: ['status'],
+        where: {
+            batchId
+        },
+        _count: {
+            _all: true
+        },
+        _sum: {
+            amount: true
+        }
+    });
+
+    const countFor = (status) => {
+        const row = byStatus.find(item => item.status === status);
+        return {
+            count: row ? row._count._all : 0,
+            amount: row ? row._sum.amount || 0 : 0
+        };
+    };
+
+    const used = countFor(TOKEN_STATUS.USED);
+    const remaining = countFor(TOKEN_STATUS.UNUSED);
+    const expired = countFor(TOKEN_STATUS.EXPIRED);
+    const revoked = countFor(TOKEN_STATUS.REVOKED);
+    const cancelled = countFor(TOKEN_STATUS.CANCELLED);
+    const voided = countFor(TOKEN_STATUS.VOIDED);
+    const reversed = countFor(TOKEN_STATUS.REVERSED);
+
+    return {
+        batchId,
+        name: batch.name,
+        issued: batch.totalTokens,
+        used: used.count,
+        remaining: remaining.count,
+        expired: expired.count,
+        revoked: revoked.count,
+        cancelled: cancelled.count,
+        voided: voided.count,
+        reversed: reversed.count,
+        issuedAmount: batch.totalAmount,
+        usedAmount: used.amount,
+        remainingAmount: remaining.amount,
+        cancelledAt: batch.cancelledAt,
+        cancelReason: batch.cancelReason,
+        createdAt: batch.createdAt
+    };
+};
+
 module.exports = {
+    buildTokenFilter,
     getAllTokens,
+    getTokenExportBatch,
     getTokenById,
     getTokensByDevice,
     createToken,
+    createTokenBatch,
+    getAllTokenBatches,
+    getTokenBatchById,
     validateToken,
-    getTokenStats
+    revokeToken,
+    voidToken,
+    reverseToken,
+    cancelTokenBatch,
+    expireStaleTokens,
+    getTokenStats,
+    getTokenBatchStats
 };
\ No newline at end of file
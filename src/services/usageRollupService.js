@@ -0,0 +1,480 @@
+// src/services/usageRollupService.js
+const prisma = require('../utils/prisma');
+const {
+    ApiError
+} = require('../middleware/error');
+const {
+    STATUS_CODES,
+    ROLES,
+    ROLLUP_GRANULARITY,
+    REPORTING
+} = require('../config/constants');
+const {
+    logger
+} = require('../utils/logger');
+const {
+    getTimeZoneOffset,
+    getPeriodStart,
+    addPeriods,
+    formatPeriod,
+    parseDateBoundary
+} = require('../utils/dateTime');
+const {
+    roundMoney,
+    roundVolume
+} = require('../utils/tariffCalculator');
+const meterReplacementService = require('./meterReplacementService');
+
+const GRANULARITIES = Object.values(ROLLUP_GRANULARITY);
+
+// Usage logs read per query while rebuilding or summing them directly
+const REBUILD_CHUNK_SIZE = 5000;
+
+/**
+ * Check a requested granularity
+ * @param {String} granularity - hour, day or month
+ * @returns {String} Granularity, day when not given
+ */
+const resolveGranularity = (granularity) => {
+    if (!granularity) {
+        return ROLLUP_GRANULARITY.DAY;
+    }
+
+    if (!GRANULARITIES.includes(granularity)) {
+        throw new ApiError(`Granularity must be one of ${GRANULARITIES.join(', ')}`, STATUS_CODES.BAD_REQUEST);
+    }
+
+    return granularity;
+};
+
+/**
+ * Pick the stored rollups a report is built from. Rollups follow the
+ * organisation zone; reports in another zone regroup the hourly rollups.
+ * @param {String} granularity - Requested granularity
+ * @param {String} timeZone - Time zone of the report
+ * @returns {String} Granularity of the rollups to read
+ */
+const getRollupSource = (granularity, timeZone) => {
+    return granularity === ROLLUP_GRANULARITY.HOUR || timeZone === REPORTING.TIMEZONE ?
+        granularity :
+        ROLLUP_GRANULARITY.HOUR;
+};
+
+/**
+ * Add logged usage to the hourly, daily, weekly and monthly rollups of its device
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} usage - Usage (deviceId, timeStamp, volume, cost)
+ */
+const addUsage = async (tx, usage) => {
+    for (const granularity of GRANULARITIES) {
+        const periodStart = getPeriodStart(usage.timeStamp, granularity, REPORTING.TIMEZONE);
+
+        await tx.usageRollup.upsert({
+            where: {
+                deviceId_granularity_periodStart: {
+                    deviceId: usage.deviceId,
+                    granularity,
+                    periodStart
+                }
+            },
+            create: {
+                deviceId: usage.deviceId,
+                granularity,
+                periodStart,
+                volume: usage.volume,
+                cost: usage.cost || 0,
+                count: 1
+            },
+            update: {
+                volume: {
+                    increment: usage.volume
+                },
+                cost: {
+                    increment: usage.cost || 0
+                },
+                count: {
+                    increment: 1
+                }
+            }
+        });
+    }
+};
+
+/**
+ * Rebuild the rollups from the usage logs. The range is widened to whole
+ * months and weeks so every rebuilt period is complete. Run it after
+ * changing the organisation time zone.
+ * @param {Object} options - Rebuild options (deviceId, startDate, endDate), everything when empty
+ * @param {String} userId - ID of user requesting the rebuild
+ * @returns {Object} Rebuilt range and number of usage logs and rollups
+ */
+const rebuildRollups = async (options = {}, userId) => {
+    const {
+        deviceId,
+        startDate,
+        endDate
+    } = options;
+
+    const logWhere = {};
+    if (deviceId) {
+        logWhere.deviceId = deviceId;
+    }
+
+    // Without a start, begin at the oldest usage in scope
+    let from = startDate ? new Date(startDate) : null;
+    if (!from) {
+        const oldest = await prisma.usageLog.aggregate({
+            where: logWhere,
+            _min: {
+                timeStamp: true
+            }
+        });
+        from = oldest._min.timeStamp || new Date();
+    }
+
+    // Weeks straddle months, so the logs read cover whole weeks around the months
+    const { MONTH, WEEK } = ROLLUP_GRANULARITY;
+    const monthStart = getPeriodStart(from, MONTH, REPORTING.TIMEZONE);
+    const monthEnd = addPeriods(getPeriodStart(endDate ? new Date(endDate) : new Date(), MONTH, REPORTING.TIMEZONE), MONTH, 1, REPORTING.TIMEZONE);
+    const rangeStart = getPeriodStart(monthStart, WEEK, REPORTING.TIMEZONE);
+    const lastWeek = getPeriodStart(monthEnd, WEEK, REPORTING.TIMEZONE);
+    const rangeEnd = lastWeek < monthEnd ? addPeriods(lastWeek, WEEK, 1, REPORTING.TIMEZONE) : monthEnd;
+
+    if (monthStart >= monthEnd) {
+        throw new ApiError('Start date must be before end date', STATUS_CODES.BAD_REQUEST);
+    }
+
+    logWhere.timeStamp = {
+        gte: rangeStart,
+        lt: rangeEnd
+    };
+
+    // Aggregate in memory, reading the logs in chunks
+    const rollups = new Map();
+    let usageLogs = 0;
+    let cursor = null;
+    let logs;
+
+    do {
+        logs = await prisma.usageLog.findMany({
+            where: logWhere,
+            select: {
+                id: true,
+                deviceId: true,
+                timeStamp: true,
+                usageAmount: true,
+                cost: true
+            },
+            orderBy: {
+                id: 'asc'
+            },
+            take: REBUILD_CHUNK_SIZE,
+            ...(cursor ? {
+                cursor: {
+                    id: cursor
+                },
+                skip: 1
+            } : {})
+        });
+
+        logs.forEach((log) => {
+            GRANULARITIES.forEach((granularity) => {
+                const periodStart = getPeriodStart(log.timeStamp, granularity, REPORTING.TIMEZONE);
+                const key = `${log.deviceId}|${granularity}|${periodStart.getTime()}`;
+                const rollup = rollups.get(key) || {
+                    deviceId: log.deviceId,
+                    granularity,
+                    periodStart,
+                    volume: 0,
+                    cost: 0,
+                    count: 0
+                };
+
+                rollup.volume += log.usageAmount;
+                rollup.cost += log.cost || 0;
+                rollup.count++;
+                rollups.set(key, rollup);
+            });
+        });
+
+        usageLogs += logs.length;
+        cursor = logs.length > 0 ? logs[logs.length - 1].id : cursor;
+    } while (logs.length === REBUILD_CHUNK_SIZE);
+
+    // Only periods that lie completely inside the logs read are replaced
+    const bounds = GRANULARITIES.reduce((result, granularity) => {
+        const first = getPeriodStart(rangeStart, granularity, REPORTING.TIMEZONE);
+
+        result[granularity] = {
+            gte: first < rangeStart ? addPeriods(first, granularity, 1, REPORTING.TIMEZONE) : first,
+            lt: getPeriodStart(rangeEnd, granularity, REPORTING.TIMEZONE)
+        };
+        return result;
+    }, {});
+
+    const data = Array.from(rollups.values())
+        .filter(rollup => rollup.periodStart >= bounds[rollup.granularity].gte && rollup.periodStart < bounds[rollup.granularity].lt)
+        .map(rollup => ({
+            ...rollup,
+            volume: roundVolume(rollup.volume),
+            cost: roundMoney(rollup.cost)
+        }));
+
+    const writes = GRANULARITIES.map(granularity => prisma.usageRollup.deleteMany({
+        where: {
+            granularity,
+            periodStart: bounds[granularity],
+            ...(deviceId ? {
+                deviceId
+            } : {})
+        }
+    }));
+    for (let i = 0; i < data.length; i += REBUILD_CHUNK_SIZE) {
+        writes.push(prisma.usageRollup.createMany({
+            data: data.slice(i, i + REBUILD_CHUNK_SIZE)
+        }));
+    }
+
+    await prisma.$transaction(writes);
+
+    logger.info(`Usage rollups rebuilt by user ${userId}${deviceId ? ` for device ${deviceId}` : ''} from ${monthStart.toISOString()} to ${monthEnd.toISOString()}: ${usageLogs} usage logs, ${data.length} rollups`);
+
+    return {
+        deviceId: deviceId || null,
+        timeZone: REPORTING.TIMEZONE,
+        startDate: monthStart,
+        endDate: monthEnd,
+        usageLogs,
+        rollups: data.length
+    };
+};
+
+/**
+ * Build the rollup filter for a user: their own devices unless admin,
+ * optionally one device including the meters it replaced
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @param {String} deviceId - Device ID (optional)
+ * @returns {Object} Prisma where clause on UsageRollup
+ */
+const buildRollupScope = async (userId, userRole, deviceId) => {
+    const where = {};
+
+    if (deviceId) {
+        where.deviceId = {
+            in: await meterReplacementService.getDeviceLineage(prisma, deviceId)
+        };
+    }
+
+    // Non-admin users can only see their own usage
+    if (userRole === ROLES.STAFF || userRole === ROLES.USER) {
+        where.device = {
+            userId
+        };
+    }
+
+    return where;
+};
+
+/**
+ * Check that the hourly rollups regroup cleanly into the periods of a zone:
+ * its offset must differ from the organisation zone by whole hours. Zones
+ * such as Asia/Kolkata (+05:30) would split every hourly rollup across two
+ * periods.
+ * @param {String} timeZone - Time zone of the report
+ * @param {Date} startDate - Start of the range
+ * @param {Date} endDate - End of the range
+ * @returns {Boolean} True if the rollups can be regrouped
+ */
+const alignsWithRollups = (timeZone, startDate, endDate) => {
+    return [startDate, endDate].every(date => (getTimeZoneOffset(date, timeZone) - getTimeZoneOffset(date, REPORTING.TIMEZONE)) % 60 === 0);
+};
+
+/**
+ * Add usage to the sum of the period it falls in
+ * @param {Map} byPeriod - Sums by period start time
+ * @param {Date} periodStart - Start of the period
+ * @param {Object} usage - Usage (volume, cost, count)
+ */
+const addToPeriod = (byPeriod, periodStart, usage) => {
+    const key = periodStart.getTime();
+    const sum = byPeriod.get(key) || {
+        volume: 0,
+        cost: 0,
+        count: 0
+    };
+
+    sum.volume += usage.volume || 0;
+    sum.cost += usage.cost || 0;
+    sum.count += usage.count || 0;
+    byPeriod.set(key, sum);
+};
+
+/**
+ * Sum the stored rollups per period, regrouping the hourly rollups for
+ * reports in another zone
+ * @param {Object} scope - Rollup filter from buildRollupScope
+ * @param {String} granularity - hour, day, week or month
+ * @param {Date} firstPeriod - Start of the first period
+ * @param {Date} endDate - End of the range
+ * @param {String} timeZone - Time zone the periods follow
+ * @returns {Map} Sums by period start time
+ */
+const sumRollups = async (scope, granularity, firstPeriod, endDate, timeZone) => {
+    const grouped = await prisma.usageRollup.groupBy({
+        by: ['periodStart'],
+        where: {
+            ...scope,
+            granularity: getRollupSource(granularity, timeZone),
+            periodStart: {
+                gte: firstPeriod,
+                lte: endDate
+            }
+        },
+        _sum: {
+            volume: true,
+            cost: true,
+            count: true
+        },
+        orderBy: {
+            periodStart: 'asc'
+        }
+    });
+
+    // Regroup into the periods of the requested zone (a no-op when read directly)
+    const byPeriod = new Map();
+    grouped.forEach((item) => {
+        addToPeriod(byPeriod, getPeriodStart(item.periodStart, granularity, timeZone), item._sum);
+    });
+
+    return byPeriod;
+};
+
+/**
+ * Sum the usage logs per period, for zones the rollups do not align with
+ * @param {Object} scope - Rollup filter from buildRollupScope, which applies to usage logs as well
+ * @param {String} granularity - hour, day, week or month
+ * @param {Date} firstPeriod - Start of the first period
+ * @param {Date} endDate - End of the range
+ * @param {String} timeZone - Time zone the periods follow
+ * @returns {Map} Sums by period start time
+ */
+const sumUsageLogs = async (scope, granularity, firstPeriod, endDate, timeZone) => {
+    const byPeriod = new Map();
+    let cursor = null;
+    let logs;
+
+    do {
+        logs = await prisma.usageLog.findMany({
+            where: {
+                ...scope,
+                timeStamp: {
+                    gte: firstPeriod,
+                    lte: endDate
+                }
+            },
+            select: {
+                id: true,
+                timeStamp: true,
+                usageAmount: true,
+                cost: true
+            },
+            orderBy: {
+                id: 'asc'
+            },
+            take: REBUILD_CHUNK_SIZE,
+            ...(cursor ? {
+                cursor: {
+                    id: cursor
+                },
+                skip: 1
+            } : {})
+        });
+
+        logs.forEach((log) => {
+            addToPeriod(byPeriod, getPeriodStart(log.timeStamp, granularity, timeZone), {
+                volume: log.usageAmount,
+                cost: log.cost,
+                count: 1
+            });
+        });
+
+        cursor = logs.length > 0 ? logs[logs.length - 1].id : cursor;
+    } while (logs.length === REBUILD_CHUNK_SIZE);
+
+    return byPeriod;
+};
+
+/**
+ * Get usage per period from the rollups, with empty periods filled in.
+ * Zones whose periods the hourly rollups cannot be regrouped into are
+ * summed from the usage logs instead.
+ * @param {Object} scope - Rollup filter from buildRollupScope
+ * @param {String} granularity - hour, day, week or month
+ * @param {Date} startDate - Start of the range
+ * @param {Date} endDate - End of the range
+ * @param {String} timeZone - Time zone the periods follow (default organisation zone)
+ * @returns {Array} Periods with usage, cost and number of reports, oldest first
+ */
+const getUsageSeries = async (scope, granularity, startDate, endDate, timeZone = REPORTING.TIMEZONE) => {
+    const firstPeriod = getPeriodStart(startDate, granularity, timeZone);
+    const byPeriod = alignsWithRollups(timeZone, firstPeriod, endDate) ?
+        await sumRollups(scope, granularity, firstPeriod, endDate, timeZone) :
+        await sumUsageLogs(scope, granularity, firstPeriod, endDate, timeZone);
+
+    const series = [];
+
+    for (let period = firstPeriod; period <= endDate; period = addPeriods(period, granularity, 1, timeZone)) {
+        const sum = byPeriod.get(period.getTime());
+
+        series.push({
+            period: formatPeriod(period, granularity, timeZone),
+            periodStart: period,
+            usage: sum ? roundVolume(sum.volume) : 0,
+            cost: sum ? roundMoney(sum.cost) : 0,
+            count: sum ? sum.count : 0
+        });
+    }
+
+    return series;
+};
+
+/**
+ * Get usage over time for charts
+ * @param {Object} options - Query options (granularity, deviceId, startDate, endDate, timeZone)
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Granularity, time zone, range and usage per period
+ */
+const getUsageRollups = async (options, userId, userRole) => {
+    const granularity = resolveGranularity(options.granularity);
+    const timeZone = options.timeZone || REPORTING.TIMEZONE;
+    const endDate = options.endDate ? parseDateBoundary(options.endDate, timeZone, true) : new Date();
+    const startDate = options.startDate ?
+        parseDateBoundary(options.startDate, timeZone) :
+        addPeriods(endDate, ROLLUP_GRANULARITY.DAY, -30, timeZone);
+
+    if (startDate > endDate) {
+        throw new ApiError('Start date must be before end date', STATUS_CODES.BAD_REQUEST);
+    }
+
+    const scope = await buildRollupScope(userId, userRole, options.deviceId);
+
+    return {
+        granularity,
+        timeZone,
+        startDate,
+        endDate,
+        series: await getUsageSeries(scope, granularity, startDate, endDate, timeZone)
+    };
+};
+
+module.exports = {
+    resolveGranularity,
+    getRollupSource,
+    addUsage,
+    rebuildRollups,
+    buildRollupScope,
+    getUsageSeries,
+    getUsageRollups
+};
@@ -7,44 +7,111 @@ const {
     STATUS_CODES
 } = require('../config/constants');
 const {
-    ROLES
+    ROLES,
+    ROLLUP_GRANULARITY,
+    REPORTING,
+    LEDGER_ENTRY_TYPE,
+    LEDGER_REFERENCE_TYPE,
+    TARIFF,
+    SUPPLY_MODE,
+    TOTALIZER,
+    READING_KIND,
+    USAGE_BATCH,
+    USAGE_ENTRY_STATUS,
+    DEVICE_CLOCK
 } = require('../config/constants');
 const {
     logger
 } = require('../utils/logger');
+const {
+    computeRegisterDelta
+} = require('../utils/totalizer');
+const {
+    roundMoney,
+    roundVolume
+} = require('../utils/tariffCalculator');
+const {
+    parseDeviceTimestamp,
+    getPeriodStart,
+    addPeriods,
+    parseDateBoundary
+} = require('../utils/dateTime');
+const ledgerService = require('./ledgerService');
+const tariffService = require('./tariffService');
+const creditPolicyService = require('./creditPolicyService');
+const debtService = require('./debtService');
+const meterReplacementService = require('./meterReplacementService');
+const usageRollupService = require('./usageRollupService');
+const leakDetectionService = require('./leakDetectionService');
 
 /**
- * Get all usage logs with pagination and filtering
- * @param {Object} options - Query options (pagination, filters)
+ * Relations included when listing or exporting usage logs
+ */
+const usageLogInclude = {
+    device: {
+        select: {
+            deviceKey: true,
+            user: {
+                select: {
+                    id: true,
+                    name: true,
+                    email: true
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Build the usage log filter shared by the list and the export
+ * @param {Object} options - Filters (deviceId, startDate, endDate, sequenceGap, sequenceReset, clockSkewed, timeZone)
  * @param {String} userId - User ID
  * @param {String} userRole - User role
- * @returns {Object} Usage logs and pagination metadata
+ * @returns {Object} Prisma where clause on UsageLog
  */
-const getAllUsageLogs = async (options, userId, userRole) => {
+const buildUsageLogFilter = async (options, userId, userRole) => {
     const {
-        page = 1, limit = 10, deviceId, startDate, endDate
+        deviceId, startDate, endDate, sequenceGap, sequenceReset, clockSkewed, timeZone = REPORTING.TIMEZONE
     } = options;
-    const skip = (page - 1) * limit;
 
     // Build where clause
     const where = {};
 
-    // Filter by device if specified
+    // Filter by device if specified, continuing across replaced meters
     if (deviceId) {
-        where.deviceId = deviceId;
+        where.deviceId = {
+            in: await meterReplacementService.getDeviceLineage(prisma, deviceId)
+        };
     }
 
-    // Filter by date range if specified
+    // Filter by date range if specified, plain dates are days in the requested zone
     if (startDate || endDate) {
         where.timeStamp = {};
         if (startDate) {
-            where.timeStamp.gte = new Date(startDate);
+            where.timeStamp.gte = parseDateBoundary(startDate, timeZone);
         }
         if (endDate) {
-            where.timeStamp.lte = new Date(endDate);
+            where.timeStamp.lte = parseDateBoundary(endDate, timeZone, true);
         }
     }
 
+    // Only reports that followed lost reports
+    if (sequenceGap === 'true' || sequenceGap === true) {
+        where.sequenceGap = {
+            gt: 0
+        };
+    }
+
+    // Only reports logged after the device's sequence counter restarted
+    if (sequenceReset === 'true' || sequenceReset === true) {
+        where.sequenceReset = true;
+    }
+
+    // Only reports whose device clock was off beyond the threshold
+    if (clockSkewed === 'true' || clockSkewed === true) {
+        where.clockSkewed = true;
+    }
+
     // Non-admin users can only see their own usage logs
     if (userRole === ROLES.STAFF || userRole === ROLES.USER) {
         where.device = {
@@ -52,6 +119,24 @@ const getAllUsageLogs = async (options, userId, userRole) => {
         };
     }
 
+    return where;
+};
+
+/**
+ * Get all usage logs with pagination and filtering
+ * @param {Object} options - Query options (pagination, filters)
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Usage logs and pagination metadata
+ */
+const getAllUsageLogs = async (options, userId, userRole) => {
+    const {
+        page = 1, limit = 10
+    } = options;
+    const skip = (page - 1) * limit;
+
+    const where = await buildUsageLogFilter(options, userId, userRole);
+
     // Count total usage logs
     const total = await prisma.usageLog.count({
         where
@@ -60,20 +145,7 @@ const getAllUsageLogs = async (options, userId, userRole) => {
     // Get usage logs with pagination
     const usageLogs = await prisma.usageLog.findMany({
         where,
-        include: {
-            device: {
-                select: {
-                    deviceKey: true,
-                    user: {
-                        select: {
-                            id: true,
-                            name: true,
-                            email: true
-                        }
-                    }
-                }
-            }
-        },
+        include: usageLogInclude,
         skip,
         take: limit,
         orderBy: {
@@ -92,6 +164,32 @@ const getAllUsageLogs = async (options, userId, userRole) => {
     };
 };
 
+/**
+ * Get the next batch of usage logs for an export, newest first
+ * @param {Object} where - Filter from buildUsageLogFilter
+ * @param {String} cursor - ID of the last usage log of the previous batch
+ * @param {Number} take - Batch size
+ * @returns {Array} Usage logs
+ */
+const getUsageLogExportBatch = async (where, cursor, take) => {
+    return prisma.usageLog.findMany({
+        where,
+        include: usageLogInclude,
+        take,
+        ...(cursor ? {
+            cursor: {
+                id: cursor
+            },
+            skip: 1
+        } : {}),
+        orderBy: [{
+            timeStamp: 'desc'
+        }, {
+            id: 'desc'
+        }]
+    });
+};
+
 /**
  * Get usage logs for a specific device
  * @param {String} deviceId - Device ID
@@ -102,7 +200,7 @@ const getAllUsageLogs = async (options, userId, userRole) => {
  */
 const getUsageLogsByDevice = async (deviceId, options, userId, userRole) => {
     const {
-        page = 1, limit = 10, startDate, endDate
+        page = 1, limit = 10, startDate, endDate, timeZone = REPORTING.TIMEZONE
     } = options;
     const skip = (page - 1) * limit;
 
@@ -120,19 +218,21 @@ const getUsageLogsByDevice = async (deviceId, options, userId, userRole) => {
         throw new ApiError('Device not found or you do not have permission', STATUS_CODES.NOT_FOUND);
     }
 
-    // Build where clause
+    // Build where clause, continuing across replaced meters
     const where = {
-        deviceId
+        deviceId: {
+            in: await meterReplacementService.getDeviceLineage(prisma, deviceId)
+        }
     };
 
-    // Filter by date range if specified
+    // Filter by date range if specified, plain dates are days in the requested zone
     if (startDate || endDate) {
         where.timeStamp = {};
         if (startDate) {
-            where.timeStamp.gte = new Date(startDate);
+            where.timeStamp.gte = parseDateBoundary(startDate, timeZone);
         }
         if (endDate) {
-            where.timeStamp.lte = new Date(endDate);
+            where.timeStamp.lte = parseDateBoundary(endDate, timeZone, true);
         }
     }
 
@@ -144,6 +244,13 @@ const getUsageLogsByDevice = async (deviceId, options, userId, userRole) => {
     // Get usage logs with pagination
     const usageLogs = await prisma.usageLog.findMany({
         where,
+        include: {
+            device: {
+                select: {
+                    deviceKey: true
+                }
+            }
+        },
         skip,
         take: limit,
         orderBy: {
@@ -162,6 +269,67 @@ const getUsageLogsByDevice = async (deviceId, options, userId, userRole) => {
     };
 };
 
+/**
+ * Get cumulative register readings with pagination and filtering
+ * @param {Object} options - Query options (pagination, deviceId, kind)
+ * @param {String} userId - User ID
+ * @param {String} userRole - User role
+ * @returns {Object} Meter readings and pagination metadata
+ */
+const getMeterReadings = async (options, userId, userRole) => {
+    const {
+        page = 1, limit = 10, deviceId, kind
+    } = options;
+    const skip = (page - 1) * limit;
+
+    const where = {};
+
+    if (deviceId) {
+        where.deviceId = deviceId;
+    }
+
+    if (kind && Object.values(READING_KIND).includes(kind)) {
+        where.kind = kind;
+    }
+
+    // Non-admin users can only see readings of their own devices
+    if (userRole === ROLES.STAFF || userRole === ROLES.USER) {
+        where.device = {
+            userId
+        };
+    }
+
+    const total = await prisma.meterReading.count({
+        where
+    });
+
+    const readings = await prisma.meterReading.findMany({
+        where,
+        include: {
+            device: {
+                select: {
+                    deviceKey: true
+                }
+            }
+        },
+        skip,
+        take: limit,
+        orderBy: {
+            position: 'desc'
+        }
+    });
+
+    return {
+        readings,
+        meta: {
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
 /**
  * Log device usage and update balance
  * @param {String} deviceKey - Device key
@@ -202,39 +370,75 @@ const logDeviceUsage = async (deviceKey, usageAmount) => {
             });
         }
 
-        // Check if balance is sufficient
-        if (balance.balance < usageAmount) {
+        const timeStamp = new Date();
+
+        // Price the usage under the device tariff
+        const charge = await tariffService.priceUsage(tx, device, usageAmount, timeStamp);
+
+        // Check the balance covers the usage, or that emergency credit or friendly hours allow it
+        const decision = await creditPolicyService.authoriseUsage(tx, device, balance.balance, charge.amount, timeStamp);
+
+        if (!decision.allowed) {
+            const balanceQuote = await tariffService.quoteVolume(tx, device, balance.balance, timeStamp);
+
             return {
                 valid: false,
                 canUse: false,
                 error: 'Insufficient balance',
-                remainingBalance: balance.balance
+                cost: charge.amount,
+                remainingBalance: balance.balance,
+                remainingVolume: balanceQuote.volume,
+                unit: TARIFF.VOLUME_UNIT,
+                emergencyCredit: creditPolicyService.describeEmergencyCredit(decision.policy, balance.balance)
             };
         }
 
-        // Update balance
-        const updatedBalance = await tx.balance.update({
-            where: {
-                deviceId: device.id
-            },
-            data: {
-                balance: balance.balance - usageAmount
-            }
-        });
-
         // Create usage log
         const usageLog = await tx.usageLog.create({
             data: {
                 deviceId: device.id,
                 usageAmount,
-                timeStamp: new Date()
+                cost: charge.amount,
+                tariffVersionId: charge.tariffVersionId,
+                timeStamp
             }
         });
 
+        await usageRollupService.addUsage(tx, {
+            deviceId: device.id,
+            timeStamp,
+            volume: usageAmount,
+            cost: charge.amount
+        });
+
+        // Debit the balance through the ledger
+        const { balance: updatedBalance } = await ledgerService.postTransaction(tx, {
+            deviceId: device.id,
+            type: LEDGER_ENTRY_TYPE.DEBIT,
+            amount: -charge.amount,
+            referenceType: LEDGER_REFERENCE_TYPE.USAGE_LOG,
+            referenceId: usageLog.id,
+            description: decision.mode === SUPPLY_MODE.BALANCE ?
+                `Device usage (${charge.volume} ${TARIFF.VOLUME_UNIT})` :
+                `Device usage (${charge.volume} ${TARIFF.VOLUME_UNIT}, ${decision.mode.replace('_', ' ')})`
+        });
+
+        if (decision.mode === SUPPLY_MODE.EMERGENCY_CREDIT) {
+            await creditPolicyService.markEmergencyCreditUsed(tx, device.id);
+        }
+
+        const balanceQuote = await tariffService.quoteVolume(tx, device, updatedBalance.balance, new Date());
+
         return {
             valid: true,
-            canUse: true,
+            canUse: await creditPolicyService.canContinueSupply(tx, decision.policy, updatedBalance.balance, timeStamp),
+            supplyMode: decision.mode,
+            usageAmount: charge.volume,
+            cost: charge.amount,
             remainingBalance: updatedBalance.balance,
+            remainingVolume: balanceQuote.volume,
+            unit: TARIFF.VOLUME_UNIT,
+            emergencyCredit: creditPolicyService.describeEmergencyCredit(decision.policy, updatedBalance.balance),
             usageLog
         };
     });
@@ -243,59 +447,819 @@ const logDeviceUsage = async (deviceKey, usageAmount) => {
 };
 
 /**
- * Get usage statistics
+ * Read the deduplication keys of a usage report. Sequence numbers count
+ * within a boot epoch: the boot ID the device sends, or for devices that send
+ * none the epoch the server keeps for them.
+ * @param {Object} report - Usage report
+ * @param {Object} device - Reporting device
+ * @returns {Object} Sequence number and message ID (null when not sent), boot epoch and whether the device sent it
+ */
+const getUsageKeys = (report, device) => {
+    const bootReported = report.bootId !== undefined && report.bootId !== null && report.bootId !== '';
+
+    return {
+        sequence: report.sequence !== undefined && report.sequence !== null ? parseInt(report.sequence, 10) : null,
+        messageId: report.messageId ? String(report.messageId) : null,
+        bootId: bootReported ? String(report.bootId) : device.sequenceEpoch || '',
+        bootReported
+    };
+};
+
+/**
+ * Check the measurement of a usage report
+ * @param {Object} report - Usage report (usageAmount, or registerValue for totalizer meters)
+ * @returns {String|null} Problem description, or null when the report is valid
+ */
+const validateUsageReport = (report) => {
+    if (report.registerValue !== undefined && report.registerValue !== null) {
+        return typeof report.registerValue !== 'number' || report.registerValue < 0 ? 'Invalid register value' : null;
+    }
+
+    return typeof report.usageAmount !== 'number' || report.usageAmount <= 0 ? 'Invalid usage amount' : null;
+};
+
+/**
+ * Work out when a usage report happened from the device timestamp and the
+ * receive time. A device clock ahead of the server, or far behind it for a
+ * live report, is clearly wrong: its time is not trusted and the device
+ * should be resynced. Buffered readings are expected to lie in the past.
+ * @param {Date|null} deviceTime - Timestamp sent by the device
+ * @param {Date} receivedAt - Server receive time
+ * @param {Boolean} buffered - Reading was buffered on the device while offline
+ * @returns {Object} Usage time, device time, receive time, skew in seconds and whether it is flagged or needs a time sync
+ */
+const assessDeviceClock = (deviceTime, receivedAt, buffered = false) => {
+    if (!deviceTime) {
+        return {
+            timeStamp: receivedAt,
+            deviceTime: null,
+            receivedAt,
+            clockSkew: null,
+            clockSkewed: false,
+            syncRequired: false
+        };
+    }
+
+    const skew = Math.round((deviceTime.getTime() - receivedAt.getTime()) / 1000);
+    const ahead = skew > DEVICE_CLOCK.SKEW_THRESHOLD;
+    const behind = !buffered && -skew > DEVICE_CLOCK.SKEW_THRESHOLD;
+    const syncRequired = ahead || (!buffered && -skew > DEVICE_CLOCK.SYNC_THRESHOLD);
+
+    return {
+        timeStamp: syncRequired ? receivedAt : deviceTime,
+        deviceTime,
+        receivedAt,
+        clockSkew: buffered && !ahead ? null : skew,
+        clockSkewed: ahead || behind,
+        syncRequired
+    };
+};
+
+/**
+ * Find a usage report a device already sent, matched on its sequence number or message ID
+ * @param {Object} client - Prisma client or transaction client
+ * @param {String} deviceId - Device ID
+ * @param {Object} keys - Deduplication keys (sequence, messageId)
+ * @returns {Object|null} Usage log of the original report
+ */
+const findDuplicateUsage = async (client, deviceId, keys) => {
+    const match = [];
+
+    if (keys.sequence !== null) {
+        match.push({
+            bootId: keys.bootId,
+            sequence: keys.sequence
+        });
+    }
+
+    if (keys.messageId) {
+        match.push({
+            messageId: keys.messageId
+        });
+    }
+
+    if (match.length === 0) {
+        return null;
+    }
+
+    return client.usageLog.findFirst({
+        where: {
+            deviceId,
+            OR: match
+        },
+        include: {
+            reading: {
+                select: {
+                    registerValue: true
+                }
+            }
+        }
+    });
+};
+
+/**
+ * Tell a retry from a different report that reuses a sequence number because
+ * the counter of a device without a boot ID restarted (reboot, firmware
+ * update). A retry has the same message ID, or the same device time, or
+ * failing that the same measurement.
+ * @param {Object} log - Usage log found for the report's keys
+ * @param {Object} keys - Deduplication keys of the report
+ * @param {Object} report - Usage report
+ * @param {Date|null} deviceTime - Parsed device timestamp of the report
+ * @returns {Boolean} True if the report is a retry of the logged one
+ */
+const isRetryOf = (log, keys, report, deviceTime) => {
+    if (keys.bootReported || (keys.messageId && log.messageId === keys.messageId)) {
+        return true;
+    }
+
+    if (deviceTime && log.deviceTime) {
+        return deviceTime.getTime() === log.deviceTime.getTime();
+    }
+
+    if (report.registerValue !== undefined && report.registerValue !== null) {
+        return Boolean(log.reading) && log.reading.registerValue === report.registerValue;
+    }
+
+    return log.usageAmount === report.usageAmount;
+};
+
+/**
+ * Start a new boot epoch for a device whose sequence counter restarted
+ * without a boot ID. The report is logged in the new epoch and flagged for
+ * review instead of being dropped as a retry.
+ * @param {Object} device - Reporting device
+ * @param {Object} keys - Deduplication keys of the report
+ * @returns {Object} Keys in the new epoch
+ */
+const restartSequenceEpoch = (device, keys) => {
+    logger.warn(`Device ${device.deviceKey} reused sequence ${keys.sequence} for a different report, its counter restarted; starting a new sequence epoch`);
+
+    return {
+        ...keys,
+        bootId: `restart-${Date.now().toString(36)}`,
+        sequenceReset: true
+    };
+};
+
+/**
+ * Interpret a cumulative register reading against the last accepted one
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} device - Device
+ * @param {Number} registerValue - Register value reported by the meter
+ * @param {Boolean} reset - Device reports that its register was reset
+ * @returns {Object} Previous value, kind of reading, consumption and anomaly
+ */
+const resolveRegisterReading = async (tx, device, registerValue, reset) => {
+    // Processing order, not createdAt: readings of one batch are written in the same instant
+    const last = await tx.meterReading.findFirst({
+        where: {
+            deviceId: device.id,
+            kind: {
+                not: READING_KIND.REJECTED
+            }
+        },
+        orderBy: {
+            position: 'desc'
+        }
+    });
+    const previousValue = last ? last.registerValue : null;
+
+    return {
+        previousValue,
+        ...computeRegisterDelta({
+            previousValue,
+            registerValue,
+            registerMax: device.registerMax || TOTALIZER.DEFAULT_REGISTER_MAX,
+            reset
+        })
+    };
+};
+
+/**
+ * Log one usage report without touching the balance: detect sequence gaps,
+ * derive consumption from register readings, price it and create the usage log
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} device - Device
+ * @param {Object} report - Usage report (usageAmount or registerValue and registerReset)
+ * @param {Object} keys - Deduplication keys (sequence, messageId)
+ * @param {Object} clock - Usage time, device time, receive time and skew from assessDeviceClock
+ * @param {String} batchId - Offline batch the report belongs to (optional)
+ * @returns {Object} Usage log, charge, reading and sequence gap, or the rejected reading
+ */
+const recordUsage = async (tx, device, report, keys, clock, batchId = null) => {
+    // Later reports without a boot ID count in the new epoch
+    if (keys.sequenceReset) {
+        await tx.device.update({
+            where: {
+                id: device.id
+            },
+            data: {
+                sequenceEpoch: keys.bootId
+            }
+        });
+    }
+
+    // A jump in the sequence means reports were lost on the way
+    let sequenceGap = null;
+    if (keys.sequence !== null && !keys.sequenceReset) {
+        const last = await tx.usageLog.aggregate({
+            where: {
+                deviceId: device.id,
+                bootId: keys.bootId
+            },
+            _max: {
+                sequence: true
+            }
+        });
+        const lastSequence = last._max.sequence;
+
+        if (lastSequence !== null && keys.sequence > lastSequence + 1) {
+            sequenceGap = keys.sequence - lastSequence - 1;
+            logger.warn(`Device ${device.deviceKey} skipped ${sequenceGap} usage report(s) between sequence ${lastSequence} and ${keys.sequence}, possible data loss`);
+        }
+    }
+
+    // Totalizer meters report their register; consumption is the delta from the last accepted reading
+    const registerValue = report.registerValue;
+    let reading = null;
+    let volume = report.usageAmount;
+    if (registerValue !== undefined && registerValue !== null) {
+        reading = await resolveRegisterReading(tx, device, registerValue, Boolean(report.registerReset));
+
+        if (reading.kind === READING_KIND.REJECTED) {
+            await tx.meterReading.create({
+                data: {
+                    deviceId: device.id,
+                    registerValue,
+                    previousValue: reading.previousValue,
+                    kind: reading.kind,
+                    anomaly: reading.anomaly
+                }
+            });
+
+            return {
+                rejected: reading
+            };
+        }
+
+        volume = reading.consumption;
+    }
+
+    // Price the usage under the device tariff
+    const charge = await tariffService.priceUsage(tx, device, volume, clock.timeStamp);
+
+    const usageLog = await tx.usageLog.create({
+        data: {
+            deviceId: device.id,
+            usageAmount: volume,
+            cost: charge.amount,
+            tariffVersionId: charge.tariffVersionId,
+            timeStamp: clock.timeStamp,
+            deviceTime: clock.deviceTime,
+            receivedAt: clock.receivedAt,
+            clockSkew: clock.clockSkew,
+            clockSkewed: clock.clockSkewed,
+            sequence: keys.sequence,
+            bootId: keys.bootId,
+            messageId: keys.messageId,
+            sequenceGap,
+            sequenceReset: Boolean(keys.sequenceReset),
+            batchId
+        }
+    });
+
+    await usageRollupService.addUsage(tx, {
+        deviceId: device.id,
+        timeStamp: clock.timeStamp,
+        volume,
+        cost: charge.amount
+    });
+
+    if (reading) {
+        await tx.meterReading.create({
+            data: {
+                deviceId: device.id,
+                registerValue,
+                previousValue: reading.previousValue,
+                consumption: reading.consumption,
+                kind: reading.kind,
+                usageLogId: usageLog.id
+            }
+        });
+    }
+
+    return {
+        usageLog,
+        charge,
+        volume,
+        sequenceGap,
+        reading: reading ? {
+            registerValue,
+            previousValue: reading.previousValue,
+            consumption: reading.consumption,
+            kind: reading.kind
+        } : null
+    };
+};
+
+/**
+ * Debit logged usage from the balance as far as the credit policy allows.
+ * Water already consumed is always logged, so the debit is clamped at the
+ * emergency credit limit rather than refused, and the cost beyond it is
+ * recorded as debt to be recovered from the next tokens.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} device - Device
+ * @param {Number} cost - Cost of the usage
+ * @param {Object} reference - Ledger reference (referenceType, referenceId, description)
+ * @param {Date} at - Point in time the credit policy is evaluated at
+ * @returns {Object} Debited amount, unpaid amount recorded as debt, remaining balance and volume, supply mode, emergency credit and whether supply may continue
+ */
+const debitUsage = async (tx, device, cost, reference, at = new Date()) => {
+    const current = await tx.balance.findUnique({
+        where: {
+            deviceId: device.id
+        }
+    });
+    const currentBalance = current ? current.balance : 0;
+
+    const decision = await creditPolicyService.authoriseUsage(tx, device, currentBalance, cost, at);
+    const floor = decision.allowed ? -Infinity : -decision.policy.emergencyCreditLimit;
+    const debit = roundMoney(Math.min(cost, Math.max(0, currentBalance - floor)));
+    const unpaid = roundMoney(cost - debit);
+    let remainingBalance = currentBalance;
+
+    if (debit > 0) {
+        const { balance } = await ledgerService.postTransaction(tx, {
+            deviceId: device.id,
+            type: LEDGER_ENTRY_TYPE.DEBIT,
+            amount: -debit,
+            ...reference
+        });
+        remainingBalance = balance.balance;
+    }
+
+    // Usage beyond the limit is still owed, so it is recovered from the next tokens
+    if (unpaid > 0) {
+        await debtService.recordUnpaidUsage(tx, device.id, unpaid, `${reference.description}, not covered by the balance`);
+    }
+
+    if (remainingBalance < 0 && decision.policy.emergencyCreditLimit > 0 &&
+        (decision.mode === SUPPLY_MODE.EMERGENCY_CREDIT || !decision.allowed)) {
+        await creditPolicyService.markEmergencyCreditUsed(tx, device.id);
+    }
+
+    const balanceQuote = await tariffService.quoteVolume(tx, device, remainingBalance, new Date());
+
+    return {
+        debited: debit,
+        unpaid,
+        remainingBalance,
+        remainingVolume: balanceQuote.volume,
+        unit: TARIFF.VOLUME_UNIT,
+        supplyMode: decision.mode,
+        emergencyCredit: creditPolicyService.describeEmergencyCredit(decision.policy, remainingBalance),
+        canUse: await creditPolicyService.canContinueSupply(tx, decision.policy, remainingBalance, at)
+    };
+};
+
+/**
+ * Find an active device by key for usage ingestion
+ * @param {String} deviceKey - Device key
+ * @returns {Object} Device
+ */
+const findReportingDevice = async (deviceKey) => {
+    const device = await prisma.device.findFirst({
+        where: {
+            deviceKey
+        }
+    });
+
+    if (!device) {
+        throw new ApiError('Device not found', STATUS_CODES.NOT_FOUND);
+    }
+
+    return device;
+};
+
+/**
+ * Run leak detection on a device after its usage was committed. Detection
+ * problems are logged and never fail the ingestion.
+ * @param {Object} device - Device
+ * @param {Date} at - Time of the latest usage logged
+ * @returns {Array} Alerts raised or escalated (id, type, severity, closeValve)
+ */
+const detectLeaks = async (device, at) => {
+    try {
+        return await leakDetectionService.analyseUsage(device, at);
+    } catch (err) {
+        logger.error(`Leak detection failed for device ${device.deviceKey}: ${err.message}`);
+        return [];
+    }
+};
+
+/**
+ * Ingest a usage report from a meter: price it, log it and debit the balance.
+ * Meters either report the consumed volume (usageAmount) or their cumulative
+ * register (registerValue), in which case the consumption is derived.
+ * A report whose sequence number (within its boot epoch) or message ID was
+ * seen before is not applied again, the original result is returned instead.
+ * Alerts raised by leak detection are added to the result, replays do not
+ * repeat them.
+ * @param {String} deviceKey - Device key
+ * @param {Object} report - Usage report (usageAmount or registerValue and registerReset, sequence, bootId, messageId)
+ * @returns {Object} Usage result
+ */
+const ingestDeviceUsage = async (deviceKey, report) => {
+    const device = await findReportingDevice(deviceKey);
+    const deviceTime = parseDeviceTimestamp(report.timestamp);
+    let keys = getUsageKeys(report, device);
+
+    // Retries get the original answer, even if the device was switched off since
+    const duplicate = await findDuplicateUsage(prisma, device.id, keys);
+    if (duplicate && !isRetryOf(duplicate, keys, report, deviceTime)) {
+        keys = restartSequenceEpoch(device, keys);
+    } else if (duplicate && duplicate.result) {
+        logger.info(`Replaying usage report ${keys.messageId || keys.sequence} of device ${deviceKey}`);
+        return {
+            ...duplicate.result,
+            duplicate: true
+        };
+    }
+
+    if (!device.status) {
+        throw new ApiError('Device is inactive', STATUS_CODES.FORBIDDEN);
+    }
+
+    const problem = validateUsageReport(report);
+    if (problem) {
+        throw new ApiError(problem, STATUS_CODES.BAD_REQUEST);
+    }
+
+    if (report.timestamp !== undefined && report.timestamp !== null && !deviceTime) {
+        throw new ApiError('Invalid timestamp', STATUS_CODES.BAD_REQUEST);
+    }
+
+    const clock = assessDeviceClock(deviceTime, new Date());
+    if (clock.clockSkewed) {
+        logger.warn(`Device ${deviceKey} clock is ${clock.clockSkew}s off server time${clock.syncRequired ? ', time sync required' : ''}`);
+    }
+
+    let result;
+    try {
+        result = await prisma.$transaction(async (tx) => {
+            const recorded = await recordUsage(tx, device, report, keys, clock);
+
+            if (recorded.rejected) {
+                return recorded;
+            }
+
+            const settlement = await debitUsage(tx, device, recorded.charge.amount, {
+                referenceType: LEDGER_REFERENCE_TYPE.USAGE_LOG,
+                referenceId: recorded.usageLog.id,
+                description: `Device usage (${recorded.charge.volume} ${TARIFF.VOLUME_UNIT})`
+            }, clock.receivedAt);
+
+            const response = {
+                valid: true,
+                duplicate: false,
+                usageAmount: recorded.volume,
+                cost: recorded.charge.amount,
+                unpaid: settlement.unpaid,
+                remainingBalance: settlement.remainingBalance,
+                remainingVolume: settlement.remainingVolume,
+                unit: settlement.unit,
+                supplyMode: settlement.supplyMode,
+                emergencyCredit: settlement.emergencyCredit,
+                canUse: settlement.canUse,
+                sequence: keys.sequence,
+                messageId: keys.messageId,
+                sequenceGap: recorded.sequenceGap,
+                sequenceReset: Boolean(keys.sequenceReset)
+            };
+
+            if (recorded.reading) {
+                response.reading = recorded.reading;
+            }
+
+            if (clock.deviceTime) {
+                response.clock = {
+                    deviceTime: clock.deviceTime.toISOString(),
+                    receivedAt: clock.receivedAt.toISOString(),
+                    skew: clock.clockSkew,
+                    skewed: clock.clockSkewed,
+                    syncRequired: clock.syncRequired
+                };
+            }
+
+            // Keep the answer so a retry gets exactly the same one
+            await tx.usageLog.update({
+                where: {
+                    id: recorded.usageLog.id
+                },
+                data: {
+                    result: response
+                }
+            });
+
+            return response;
+        });
+    } catch (err) {
+        // A retry raced the original report and lost on the unique index
+        if (err.code === 'P2002') {
+            const original = await findDuplicateUsage(prisma, device.id, keys);
+            if (original && original.result) {
+                return {
+                    ...original.result,
+                    duplicate: true
+                };
+            }
+        }
+        throw err;
+    }
+
+    // Backwards readings are kept as anomalies but never billed
+    if (result.rejected) {
+        logger.warn(`Rejected register reading of device ${deviceKey}: ${result.rejected.anomaly}`);
+        throw new ApiError(`Register reading rejected: ${result.rejected.anomaly}`, STATUS_CODES.UNPROCESSABLE_ENTITY);
+    }
+
+    const alerts = await detectLeaks(device, clock.timeStamp);
+    if (alerts.length > 0) {
+        result.alerts = alerts;
+    }
+
+    return result;
+};
+
+/**
+ * Ingest readings a meter buffered while offline. Entries are logged in
+ * timestamp order in one transaction and the balance is debited once for the
+ * whole batch. Every entry gets its own result; duplicates, rejected register
+ * readings and invalid entries do not stop the rest of the batch.
+ * @param {String} deviceKey - Device key
+ * @param {Array} readings - Timestamped usage reports (timestamp, usageAmount or registerValue, sequence, bootId, messageId)
+ * @returns {Object} Batch totals, balance after the debit and per entry results
+ */
+const ingestUsageBatch = async (deviceKey, readings) => {
+    if (!Array.isArray(readings) || readings.length === 0) {
+        throw new ApiError('Readings must be a non-empty array', STATUS_CODES.BAD_REQUEST);
+    }
+
+    if (readings.length > USAGE_BATCH.MAX_ENTRIES) {
+        throw new ApiError(`A batch may contain at most ${USAGE_BATCH.MAX_ENTRIES} readings`, STATUS_CODES.BAD_REQUEST);
+    }
+
+    const device = await findReportingDevice(deviceKey);
+
+    if (!device.status) {
+        throw new ApiError('Device is inactive', STATUS_CODES.FORBIDDEN);
+    }
+
+    // Oldest first, so tiers, register deltas and sequence gaps follow the order water was used
+    const receivedAt = new Date();
+    const entries = readings.map((report, index) => ({
+        index,
+        report,
+        keys: getUsageKeys(report, device),
+        deviceTime: parseDeviceTimestamp(report.timestamp)
+    }));
+    const ordered = entries
+        .filter(entry => entry.deviceTime)
+        .sort((a, b) => a.deviceTime - b.deviceTime || a.index - b.index);
+
+    const results = new Array(readings.length);
+    entries.filter(entry => !entry.deviceTime).forEach(entry => {
+        results[entry.index] = {
+            index: entry.index,
+            status: USAGE_ENTRY_STATUS.INVALID,
+            error: 'Invalid or missing timestamp'
+        };
+    });
+
+    let lastUsageAt = null;
+    let sequenceEpoch = device.sequenceEpoch || '';
+    let result;
+
+    try {
+        result = await prisma.$transaction(async (tx) => {
+            const batch = await tx.usageBatch.create({
+                data: {
+                    deviceId: device.id,
+                    entries: readings.length,
+                    accepted: 0
+                }
+            });
+
+            let totalVolume = 0;
+            let totalCost = 0;
+            let accepted = 0;
+            let syncRequired = false;
+
+            for (const entry of ordered) {
+                const base = {
+                    index: entry.index,
+                    timestamp: entry.deviceTime.toISOString(),
+                    sequence: entry.keys.sequence,
+                    messageId: entry.keys.messageId
+                };
+
+                // An epoch restarted by an earlier entry applies to the rest of the batch
+                let keys = entry.keys.bootReported ? entry.keys : {
+                    ...entry.keys,
+                    bootId: sequenceEpoch
+                };
+
+                const duplicate = await findDuplicateUsage(tx, device.id, keys);
+                if (duplicate && isRetryOf(duplicate, keys, entry.report, entry.deviceTime)) {
+                    results[entry.index] = {
+                        ...base,
+                        status: USAGE_ENTRY_STATUS.DUPLICATE,
+                        result: duplicate.result
+                    };
+                    continue;
+                }
+
+                const problem = validateUsageReport(entry.report);
+                if (problem) {
+                    results[entry.index] = {
+                        ...base,
+                        status: USAGE_ENTRY_STATUS.INVALID,
+                        error: problem
+                    };
+                    continue;
+                }
+
+                if (duplicate) {
+                    keys = restartSequenceEpoch(device, keys);
+                    sequenceEpoch = keys.bootId;
+                }
+
+                // Readings from the future mean the device clock is wrong; they are logged at receive time
+                const clock = assessDeviceClock(entry.deviceTime, receivedAt, true);
+                syncRequired = syncRequired || clock.syncRequired;
+
+                const recorded = await recordUsage(tx, device, entry.report, keys, clock, batch.id);
+
+                if (recorded.rejected) {
+                    results[entry.index] = {
+                        ...base,
+                        status: USAGE_ENTRY_STATUS.REJECTED,
+                        error: recorded.rejected.anomaly
+                    };
+                    continue;
+                }
+
+                const result = {
+                    ...base,
+                    status: USAGE_ENTRY_STATUS.ACCEPTED,
+                    usageAmount: recorded.volume,
+                    cost: recorded.charge.amount,
+                    unit: TARIFF.VOLUME_UNIT,
+                    sequenceGap: recorded.sequenceGap,
+                    sequenceReset: Boolean(keys.sequenceReset),
+                    clockSkewed: clock.clockSkewed,
+                    batchId: batch.id
+                };
+
+                if (recorded.reading) {
+                    result.reading = recorded.reading;
+                }
+
+                // Retries of a single entry get the entry result back
+                await tx.usageLog.update({
+                    where: {
+                        id: recorded.usageLog.id
+                    },
+                    data: {
+                        result: {
+                            valid: true,
+                            duplicate: false,
+                            ...result
+                        }
+                    }
+                });
+
+                results[entry.index] = result;
+                lastUsageAt = lastUsageAt && lastUsageAt > clock.timeStamp ? lastUsageAt : clock.timeStamp;
+                totalVolume += recorded.volume;
+                totalCost += recorded.charge.amount;
+                accepted++;
+            }
+
+            totalVolume = roundVolume(totalVolume);
+            totalCost = roundMoney(totalCost);
+
+            const settlement = await debitUsage(tx, device, totalCost, {
+                referenceType: LEDGER_REFERENCE_TYPE.USAGE_BATCH,
+                referenceId: batch.id,
+                description: `Buffered usage (${accepted} readings, ${totalVolume} ${TARIFF.VOLUME_UNIT})`
+            });
+
+            await tx.usageBatch.update({
+                where: {
+                    id: batch.id
+                },
+                data: {
+                    accepted,
+                    totalVolume,
+                    totalCost,
+                    debited: settlement.debited
+                }
+            });
+
+            const countStatus = (status) => results.filter(item => item.status === status).length;
+
+            logger.info(`Usage batch ${batch.id} of device ${deviceKey}: ${accepted}/${readings.length} readings accepted, ${settlement.debited} of ${totalCost} debited`);
+
+            return {
+                valid: true,
+                batchId: batch.id,
+                entries: readings.length,
+                accepted,
+                duplicates: countStatus(USAGE_ENTRY_STATUS.DUPLICATE),
+                rejected: countStatus(USAGE_ENTRY_STATUS.REJECTED),
+                invalid: countStatus(USAGE_ENTRY_STATUS.INVALID),
+                totalVolume,
+                totalCost,
+                ...settlement,
+                clock: {
+                    receivedAt: receivedAt.toISOString(),
+                    syncRequired
+                },
+                results
+            };
+        });
+    } catch (err) {
+        // Another upload of the same readings is being processed
+        if (err.code === 'P2002') {
+            throw new ApiError('Batch overlaps readings that are being processed, please retry', STATUS_CODES.CONFLICT);
+        }
+        throw err;
+    }
+
+    if (lastUsageAt) {
+        const alerts = await detectLeaks(device, lastUsageAt);
+        if (alerts.length > 0) {
+            result.alerts = alerts;
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Get usage statistics from the usage rollups
  * @param {String} userId - User ID
  * @param {String} userRole - User role
- * @param {Object} options - Options (timeRange)
+ * @param {Object} options - Options (timeRange in days, granularity of the chart, timeZone)
  * @returns {Object} Usage statistics
  */
 const getUsageStats = async (userId, userRole, options = {}) => {
     const {
         timeRange = 30
     } = options; // Default to 30 days
+    const granularity = usageRollupService.resolveGranularity(options.granularity);
+    const timeZone = options.timeZone || REPORTING.TIMEZONE;
 
-    // Calculate date range
+    // Calculate date range, starting at a whole period in the requested zone
     const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(endDate.getDate() - timeRange);
+    const startDate = getPeriodStart(addPeriods(endDate, ROLLUP_GRANULARITY.DAY, -timeRange, timeZone), granularity, timeZone);
 
-    // Build where clause
+    const scope = await usageRollupService.buildRollupScope(userId, userRole);
     const where = {
-        timeStamp: {
+        ...scope,
+        granularity: usageRollupService.getRollupSource(granularity, timeZone),
+        periodStart: {
             gte: startDate,
             lte: endDate
         }
     };
 
-    // Non-admin users can only see their own usage logs
-    if (userRole === ROLES.STAFF || userRole === ROLES.USER) {
-        where.device = {
-            userId
-        };
-    }
-
     // Get total usage amount
-    const totalUsageResult = await prisma.usageLog.aggregate({
+    const totalUsageResult = await prisma.usageRollup.aggregate({
         where,
         _sum: {
-            usageAmount: true
-        },
-        _count: true
+            volume: true,
+            cost: true,
+            count: true
+        }
     });
 
-    const totalUsage = totalUsageResult._sum.usageAmount || 0;
-    const usageCount = totalUsageResult._count || 0;
+    const totalUsage = roundVolume(totalUsageResult._sum.volume || 0);
+    const totalCost = roundMoney(totalUsageResult._sum.cost || 0);
+    const usageCount = totalUsageResult._sum.count || 0;
 
     // Get usage by device
-    const usageByDevice = await prisma.usageLog.groupBy({
+    const usageByDevice = await prisma.usageRollup.groupBy({
         by: ['deviceId'],
         where,
         _sum: {
-            usageAmount: true
+            volume: true
         },
         orderBy: {
             _sum: {
-                usageAmount: 'desc'
+                volume: 'desc'
             }
         },
         take: 5
@@ -322,67 +1286,47 @@ const getUsageStats = async (userId, userRole, options = {}) => {
             return {
                 deviceId: item.deviceId,
                 deviceKey: device.deviceKey,
-                userName: device.user.name || device.user.email,
-                usageAmount: item._sum.usageAmount
+                // Provisioned meters have no owner until they are claimed
+                userName: device.user ? device.user.name || device.user.email : null,
+                usageAmount: roundVolume(item._sum.volume)
             };
         })
     );
 
-    // Get usage by day for chart
-    const usageByDay = await prisma.usageLog.groupBy({
-        by: ['timeStamp'],
-        where,
-        _sum: {
-            usageAmount: true
-        },
-        orderBy: {
-            timeStamp: 'asc'
-        }
-    });
+    // Usage per period for the chart
+    const series = await usageRollupService.getUsageSeries(scope, granularity, startDate, endDate, timeZone);
 
-    // Format usage by day for chart
-    const dailyUsage = [];
-    const dayMap = new Map();
-
-    // Create a map of days
-    for (let i = 0; i < timeRange; i++) {
-        const date = new Date(startDate);
-        date.setDate(startDate.getDate() + i);
-        const dateString = date.toISOString().split('T')[0];
-        dayMap.set(dateString, {
-            date: dateString,
-            usage: 0
-        });
-    }
-
-    // Fill in actual usage data
-    usageByDay.forEach((item) => {
-        const dateString = item.timeStamp.toISOString().split('T')[0];
-        if (dayMap.has(dateString)) {
-            dayMap.set(dateString, {
-                date: dateString,
-                usage: item._sum.usageAmount
-            });
-        }
-    });
-
-    // Convert map to array
-    dayMap.forEach((value) => {
-        dailyUsage.push(value);
-    });
-
-    return {
+    const stats = {
         totalUsage,
+        totalCost,
         usageCount,
         topDevices,
-        dailyUsage,
+        granularity,
+        timeZone,
+        series,
         timeRange
     };
+
+    // Daily charts keep reading dailyUsage
+    if (granularity === ROLLUP_GRANULARITY.DAY) {
+        stats.dailyUsage = series.map(item => ({
+            date: item.period,
+            usage: item.usage
+        }));
+    }
+
+    return stats;
 };
 
 module.exports = {
+    buildUsageLogFilter,
     getAllUsageLogs,
+    getUsageLogExportBatch,
     getUsageLogsByDevice,
+    getMeterReadings,
     logDeviceUsage,
+    ingestDeviceUsage,
+    ingestUsageBatch,
+    assessDeviceClock,
     getUsageStats
 };
\ No newline at end of file
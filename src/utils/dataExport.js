@@ -0,0 +1,195 @@
+// src/utils/dataExport.js
+const ExcelJS = require('exceljs');
+const {
+    EXPORT_FORMAT,
+    EXPORT
+} = require('../config/constants');
+const {
+    logger
+} = require('./logger');
+const {
+    formatDateTime
+} = require('./dateTime');
+
+/**
+ * Columns of each export. Headers are given per locale; date columns are
+ * written as wall-clock time in the requested time zone.
+ */
+const EXPORT_COLUMNS = {
+    usageLogs: [
+        { header: { en: 'Time', id: 'Waktu' }, type: 'date', value: (log) => log.timeStamp },
+        { header: { en: 'Device Key', id: 'Kunci Perangkat' }, value: (log) => log.device?.deviceKey },
+        { header: { en: 'Customer', id: 'Pelanggan' }, value: (log) => log.device?.user?.name },
+        { header: { en: 'Usage (m3)', id: 'Pemakaian (m3)' }, value: (log) => log.usageAmount },
+        { header: { en: 'Cost', id: 'Biaya' }, value: (log) => log.cost },
+        { header: { en: 'Sequence', id: 'Urutan' }, value: (log) => log.sequence },
+        { header: { en: 'Missed Reports', id: 'Laporan Hilang' }, value: (log) => log.sequenceGap },
+        { header: { en: 'Device Time', id: 'Waktu Perangkat' }, type: 'date', value: (log) => log.deviceTime },
+        { header: { en: 'Received At', id: 'Diterima Pada' }, type: 'date', value: (log) => log.receivedAt },
+        { header: { en: 'Clock Skewed', id: 'Jam Menyimpang' }, value: (log) => log.clockSkewed }
+    ],
+    tokens: [
+        { header: { en: 'Token', id: 'Token' }, value: (token) => token.token },
+        { header: { en: 'Device Key', id: 'Kunci Perangkat' }, value: (token) => token.device?.deviceKey },
+        { header: { en: 'Customer', id: 'Pelanggan' }, value: (token) => token.device?.user?.name },
+        { header: { en: 'Amount', id: 'Nominal' }, value: (token) => token.amount },
+        { header: { en: 'Admin Fee', id: 'Biaya Admin' }, value: (token) => token.adminFee },
+        { header: { en: 'Tax', id: 'Pajak' }, value: (token) => token.taxAmount },
+        { header: { en: 'Fixed Charges', id: 'Biaya Tetap' }, value: (token) => token.fixedCharges },
+        { header: { en: 'Net Credit', id: 'Kredit Bersih' }, value: (token) => token.netAmount },
+        { header: { en: 'Volume (m3)', id: 'Volume (m3)' }, value: (token) => token.volume },
+        { header: { en: 'Status', id: 'Status' }, value: (token) => token.status },
+        { header: { en: 'Created At', id: 'Dibuat Pada' }, type: 'date', value: (token) => token.createdAt },
+        { header: { en: 'Used At', id: 'Digunakan Pada' }, type: 'date', value: (token) => token.used_at },
+        { header: { en: 'Expires At', id: 'Kedaluwarsa Pada' }, type: 'date', value: (token) => token.expiresAt }
+    ],
+    balances: [
+        { header: { en: 'Device Key', id: 'Kunci Perangkat' }, value: (balance) => balance.device?.deviceKey },
+        { header: { en: 'Customer', id: 'Pelanggan' }, value: (balance) => balance.device?.user?.name },
+        { header: { en: 'Email', id: 'Email' }, value: (balance) => balance.device?.user?.email },
+        { header: { en: 'Device Active', id: 'Perangkat Aktif' }, value: (balance) => balance.device?.status },
+        { header: { en: 'Balance', id: 'Saldo' }, value: (balance) => balance.balance },
+        { header: { en: 'Last Token', id: 'Token Terakhir' }, value: (balance) => balance.lastToken },
+        { header: { en: 'Updated At', id: 'Diperbarui Pada' }, type: 'date', value: (balance) => balance.updatedAt }
+    ],
+    devices: [
+        { header: { en: 'Device Key', id: 'Kunci Perangkat' }, value: (device) => device.deviceKey },
+        { header: { en: 'Customer', id: 'Pelanggan' }, value: (device) => device.user?.name },
+        { header: { en: 'Email', id: 'Email' }, value: (device) => device.user?.email },
+        { header: { en: 'Active', id: 'Aktif' }, value: (device) => device.status },
+        { header: { en: 'Tariff', id: 'Tarif' }, value: (device) => device.tariff?.code },
+        { header: { en: 'Balance', id: 'Saldo' }, value: (device) => device.Balance?.balance },
+        { header: { en: 'Tokens', id: 'Jumlah Token' }, value: (device) => device._count?.tokens },
+        { header: { en: 'Usage Reports', id: 'Jumlah Laporan Pemakaian' }, value: (device) => device._count?.UsageLog },
+        { header: { en: 'Decommissioned At', id: 'Dinonaktifkan Pada' }, type: 'date', value: (device) => device.decommissionedAt },
+        { header: { en: 'Created At', id: 'Dibuat Pada' }, type: 'date', value: (device) => device.createdAt }
+    ]
+};
+
+const CONTENT_TYPES = {
+    [EXPORT_FORMAT.CSV]: 'text/csv; charset=utf-8',
+    [EXPORT_FORMAT.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Escape a value for use in a CSV cell
+ * @param {*} value - Cell value
+ * @returns {String} - Escaped cell
+ */
+const escapeCsvValue = (value) => {
+    let str = value === null || value === undefined ? '' : String(value);
+
+    // Text that starts like a formula is kept as text by spreadsheet apps
+    if (typeof value === 'string' && /^[=+\-@]/.test(value)) {
+        str = `'${str}`;
+    }
+
+    if (/[",\r\n]/.test(str)) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+};
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ * @param {Stream} stream - Writable stream
+ * @param {String} chunk - Data to write
+ * @returns {Promise} - Resolves when more data may be written
+ */
+const writeChunk = (stream, chunk) => new Promise((resolve) => {
+    if (stream.write(chunk)) {
+        resolve();
+    } else {
+        stream.once('drain', resolve);
+    }
+});
+
+/**
+ * Stream records into a CSV or Excel download. Records are read in batches
+ * with a cursor, so large exports are never held in memory. Problems before
+ * the first row are thrown; later ones end the download early.
+ * @param {Object} res - Express response object
+ * @param {Object} options - Export options
+ * @param {String} options.format - csv or xlsx
+ * @param {String} options.name - Export name, a key of EXPORT_COLUMNS, also used for the file name
+ * @param {String} options.locale - Language of the column headers
+ * @param {String} options.timeZone - IANA time zone of the date columns
+ * @param {Function} options.fetchBatch - (cursor, take) => next records after the record with ID cursor
+ */
+const streamExport = async (res, options) => {
+    const {
+        format,
+        name,
+        locale = EXPORT.DEFAULT_LOCALE,
+        timeZone,
+        fetchBatch
+    } = options;
+
+    const columns = EXPORT_COLUMNS[name];
+    const headers = columns.map(column => {
+        const header = column.header[locale] || column.header.en;
+        return column.type === 'date' ? `${header} (${timeZone})` : header;
+    });
+    const toRow = (record) => columns.map(column => {
+        const value = column.value(record);
+        if (value === null || value === undefined) return null;
+        return column.type === 'date' ? formatDateTime(value, timeZone) : value;
+    });
+
+    // Read the first batch before sending headers, so query errors still get a JSON response
+    let records = await fetchBatch(null, EXPORT.BATCH_SIZE);
+    let rows = 0;
+
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${name}-${new Date().toISOString().slice(0, 10)}.${format}"`);
+
+    try {
+        const workbook = format === EXPORT_FORMAT.XLSX ?
+            new ExcelJS.stream.xlsx.WorkbookWriter({
+                stream: res,
+                useStyles: false,
+                useSharedStrings: false
+            }) :
+            null;
+        const worksheet = workbook ? workbook.addWorksheet(name) : null;
+
+        if (worksheet) {
+            worksheet.addRow(headers).commit();
+        } else {
+            // The byte order mark makes Excel open the CSV as UTF-8
+            await writeChunk(res, `\uFEFF${headers.map(escapeCsvValue).join(',')}\r\n`);
+        }
+
+        while (records.length > 0 && !res.destroyed) {
+            if (worksheet) {
+                records.forEach(record => worksheet.addRow(toRow(record)).commit());
+            } else {
+                await writeChunk(res, records.map(record => `${toRow(record).map(escapeCsvValue).join(',')}\r\n`).join(''));
+            }
+
+            rows += records.length;
+            records = records.length === EXPORT.BATCH_SIZE ?
+                await fetchBatch(records[records.length - 1].id, EXPORT.BATCH_SIZE) :
+                [];
+        }
+
+        if (workbook) {
+            worksheet.commit();
+            await workbook.commit();
+        } else {
+            res.end();
+        }
+
+        logger.info(`Exported ${rows} ${name} rows as ${format}`);
+    } catch (err) {
+        // Headers are gone, the client only sees a truncated download
+        logger.error(`Export of ${name} failed after ${rows} rows: ${err.message}`);
+        res.destroy(err);
+    }
+};
+
+module.exports = {
+    EXPORT_COLUMNS,
+    escapeCsvValue,
+    streamExport
+};
@@ -0,0 +1,274 @@
+// src/utils/dateTime.js
+const {
+    ROLLUP_GRANULARITY
+} = require('../config/constants');
+
+/**
+ * Get the calendar date and time of day of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA time zone, e.g. Asia/Jakarta
+ * @returns {Object} - Local date (YYYY-MM-DD), hour, minute and minutes since midnight
+ */
+const getLocalTimeParts = (date, timeZone) => {
+    const parts = getZonedParts(date, timeZone);
+    const pad = (value) => String(value).padStart(2, '0');
+
+    return {
+        date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+        hour: parts.hour,
+        minute: parts.minute,
+        minutesOfDay: parts.hour * 60 + parts.minute
+    };
+};
+
+/**
+ * Parse a HH:mm time of day
+ * @param {String} value - Time of day, e.g. 18:30
+ * @returns {Number|null} - Minutes since midnight, or null when the value is not a valid time
+ */
+const parseTimeOfDay = (value) => {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+    if (!match) return null;
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+};
+
+/**
+ * Check whether a time of day falls inside a window. Windows whose end is
+ * before their start span midnight, e.g. 18:00-07:00.
+ * @param {Number} minutesOfDay - Minutes since midnight
+ * @param {String} start - Window start (HH:mm)
+ * @param {String} end - Window end (HH:mm), exclusive
+ * @returns {Boolean} - True if inside the window
+ */
+const isWithinTimeWindow = (minutesOfDay, start, end) => {
+    const from = parseTimeOfDay(start);
+    const to = parseTimeOfDay(end);
+    if (from === null || to === null || from === to) return false;
+
+    return from < to ?
+        minutesOfDay >= from && minutesOfDay < to :
+        minutesOfDay >= from || minutesOfDay < to;
+};
+
+/**
+ * Parse a timestamp sent by a device: an ISO 8601 string, or epoch seconds or milliseconds
+ * @param {String|Number} value - Timestamp
+ * @returns {Date|null} - Parsed date, or null when the value is not a valid timestamp
+ */
+const parseDeviceTimestamp = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+
+    let date;
+    if (typeof value === 'number') {
+        // Ten-digit values are seconds, thirteen-digit values milliseconds
+        date = new Date(value < 1e12 ? value * 1000 : value);
+    } else {
+        date = new Date(value);
+    }
+
+    return isNaN(date.getTime()) ? null : date;
+};
+
+// Formatters are expensive to create, keep one per time zone
+const zonedFormatters = new Map();
+
+/**
+ * Check whether a string is a known IANA time zone
+ * @param {String} timeZone - Time zone, e.g. Asia/Jakarta
+ * @returns {Boolean} - True if the zone is known
+ */
+const isValidTimeZone = (timeZone) => {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+
+    try {
+        new Intl.DateTimeFormat('en-US', {
+            timeZone
+        });
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+/**
+ * Get the wall-clock fields of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA time zone
+ * @returns {Object} - Year, month (1-12), day, hour, minute, second and weekday (0 is Sunday)
+ */
+const getZonedParts = (date, timeZone) => {
+    if (!zonedFormatters.has(timeZone)) {
+        zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            hourCycle: 'h23'
+        }));
+    }
+
+    const parts = zonedFormatters.get(timeZone).formatToParts(date).reduce((result, part) => {
+        result[part.type] = parseInt(part.value, 10);
+        return result;
+    }, {});
+
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second,
+        weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+    };
+};
+
+/**
+ * Get the offset of a time zone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA time zone
+ * @returns {Number} - Offset in minutes, positive east of UTC
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+    const parts = getZonedParts(date, timeZone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+    return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Get the instant of a wall-clock time in a time zone. Fields may overflow,
+ * e.g. day 32 is the first of the next month.
+ * @param {Number} year - Year
+ * @param {Number} month - Month (1-12)
+ * @param {Number} day - Day of the month
+ * @param {Number} hour - Hour (default 0)
+ * @param {Number} minute - Minute (default 0)
+ * @param {String} timeZone - IANA time zone
+ * @returns {Date} - Instant
+ */
+const zonedTimeToUtc = (year, month, day, hour = 0, minute = 0, timeZone = 'UTC') => {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = getTimeZoneOffset(new Date(wallClock), timeZone);
+    const instant = wallClock - offset * 60000;
+
+    // Around a DST change the offset at the result can differ from the first guess
+    const corrected = getTimeZoneOffset(new Date(instant), timeZone);
+
+    return new Date(corrected === offset ? instant : wallClock - corrected * 60000);
+};
+
+/**
+ * Get the start of the hour, day, week (Monday) or month an instant falls in
+ * @param {Date} date - Instant
+ * @param {String} granularity - hour, day, week or month
+ * @param {String} timeZone - IANA time zone the periods follow (default UTC)
+ * @returns {Date} - Start of the period
+ */
+const getPeriodStart = (date, granularity, timeZone = 'UTC') => {
+    const parts = getZonedParts(new Date(date), timeZone);
+
+    switch (granularity) {
+        case ROLLUP_GRANULARITY.MONTH:
+            return zonedTimeToUtc(parts.year, parts.month, 1, 0, 0, timeZone);
+        case ROLLUP_GRANULARITY.WEEK:
+            return zonedTimeToUtc(parts.year, parts.month, parts.day - (parts.weekday + 6) % 7, 0, 0, timeZone);
+        case ROLLUP_GRANULARITY.DAY:
+            return zonedTimeToUtc(parts.year, parts.month, parts.day, 0, 0, timeZone);
+        default:
+            return zonedTimeToUtc(parts.year, parts.month, parts.day, parts.hour, 0, timeZone);
+    }
+};
+
+/**
+ * Move an instant by a number of periods, keeping the wall-clock time in the zone
+ * @param {Date} date - Instant, usually a period start
+ * @param {String} granularity - hour, day, week or month
+ * @param {Number} count - Number of periods, negative to go back (default 1)
+ * @param {String} timeZone - IANA time zone (default UTC)
+ * @returns {Date} - Moved instant
+ */
+const addPeriods = (date, granularity, count = 1, timeZone = 'UTC') => {
+    if (granularity === ROLLUP_GRANULARITY.HOUR) {
+        return new Date(new Date(date).getTime() + count * 3600000);
+    }
+
+    const parts = getZonedParts(new Date(date), timeZone);
+
+    switch (granularity) {
+        case ROLLUP_GRANULARITY.MONTH:
+            return zonedTimeToUtc(parts.year, parts.month + count, parts.day, parts.hour, parts.minute, timeZone);
+        case ROLLUP_GRANULARITY.WEEK:
+            return zonedTimeToUtc(parts.year, parts.month, parts.day + 7 * count, parts.hour, parts.minute, timeZone);
+        default:
+            return zonedTimeToUtc(parts.year, parts.month, parts.day + count, parts.hour, parts.minute, timeZone);
+    }
+};
+
+/**
+ * Label a period for charts and reports
+ * @param {Date} date - Period start
+ * @param {String} granularity - hour, day, week or month
+ * @param {String} timeZone - IANA time zone (default UTC)
+ * @returns {String} - YYYY-MM-DDTHH:00, YYYY-MM-DD (weeks by their Monday) or YYYY-MM
+ */
+const formatPeriod = (date, granularity, timeZone = 'UTC') => {
+    const parts = getZonedParts(new Date(date), timeZone);
+    const pad = (value) => String(value).padStart(2, '0');
+    const month = `${parts.year}-${pad(parts.month)}`;
+
+    if (granularity === ROLLUP_GRANULARITY.MONTH) return month;
+    if (granularity === ROLLUP_GRANULARITY.HOUR) return `${month}-${pad(parts.day)}T${pad(parts.hour)}:00`;
+    return `${month}-${pad(parts.day)}`;
+};
+
+/**
+ * Format an instant as wall-clock time in a time zone for exports
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA time zone (default UTC)
+ * @returns {String} - YYYY-MM-DD HH:mm:ss
+ */
+const formatDateTime = (date, timeZone = 'UTC') => {
+    const parts = getZonedParts(new Date(date), timeZone);
+    const pad = (value) => String(value).padStart(2, '0');
+
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+};
+
+/**
+ * Parse a date-range filter. A plain date (YYYY-MM-DD) means the start of
+ * that day in the time zone, or its last millisecond for the end of a range;
+ * full timestamps are taken as they are.
+ * @param {String} value - Date or timestamp
+ * @param {String} timeZone - IANA time zone (default UTC)
+ * @param {Boolean} endOfDay - Value is the end of a range
+ * @returns {Date} - Instant
+ */
+const parseDateBoundary = (value, timeZone = 'UTC', endOfDay = false) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return new Date(value);
+
+    const [year, month, day] = match.slice(1).map(part => parseInt(part, 10));
+
+    return endOfDay ?
+        new Date(zonedTimeToUtc(year, month, day + 1, 0, 0, timeZone).getTime() - 1) :
+        zonedTimeToUtc(year, month, day, 0, 0, timeZone);
+};
+
+module.exports = {
+    getLocalTimeParts,
+    parseTimeOfDay,
+    isWithinTimeWindow,
+    parseDeviceTimestamp,
+    isValidTimeZone,
+    getTimeZoneOffset,
+    zonedTimeToUtc,
+    getPeriodStart,
+    addPeriods,
+    formatPeriod,
+    formatDateTime,
+    parseDateBoundary
+};
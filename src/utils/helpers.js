@@ -1,8 +1,21 @@
 // src/utils/helpers.js
 const crypto = require('crypto');
 const {
-    PAGINATION
+    PAGINATION,
+    STATUS_CODES,
+    REPORTING,
+    EXPORT
 } = require('../config/constants');
+const {
+    ApiError
+} = require('../middleware/error');
+const {
+    isValidTimeZone
+} = require('./dateTime');
+const {
+    createTokenGenerator,
+    defaultTokenGenerator
+} = require('./tokenGenerator');
 
 /**
  * Generate a random token
@@ -15,23 +28,12 @@ const generateRandomToken = (length = 32) => {
 
 /**
  * Generate unique device token
- * @returns {String} - Device token
+ * @param {Object} options - Generator options (length, checkDigit, groupSize)
+ * @returns {String} - Device token with trailing check digit
  */
-const generateDeviceToken = (length = 16) => {
-    const characters = '1234567890';
-    let result = '';
-    const charactersLength = characters.length;
-
-    // Ensure at least one number
-    result += characters.charAt(52 + Math.floor(Math.random() * 10)); // 0-9
-
-    // Fill the rest randomly
-    for (let i = 3; i < length; i++) {
-        result += characters.charAt(Math.floor(Math.random() * charactersLength));
-    }
-
-    // Shuffle the result
-    return result.split('').sort(() => Math.random() - 0.5).join('');
+const generateDeviceToken = (options) => {
+    const generator = options ? createTokenGenerator(options) : defaultTokenGenerator;
+    return generator.generate();
 };
 
 /**
@@ -59,6 +61,36 @@ const getPaginationParams = (req) => {
     };
 };
 
+/**
+ * Get the time zone reports are built in: the tz query parameter, else the
+ * user's own zone, else the organisation zone
+ * @param {Object} req - Express request object
+ * @returns {String} - IANA time zone
+ */
+const getTimeZone = (req) => {
+    const timeZone = req.query.tz || (req.user && req.user.timezone) || REPORTING.TIMEZONE;
+
+    if (!isValidTimeZone(timeZone)) {
+        throw new ApiError(`Unknown time zone ${timeZone}`, STATUS_CODES.BAD_REQUEST);
+    }
+
+    return timeZone;
+};
+
+/**
+ * Get the language of export column headers: the lang query parameter, else
+ * the Accept-Language header, else EXPORT_LOCALE
+ * @param {Object} req - Express request object
+ * @returns {String} - Supported locale, e.g. en or id
+ */
+const getLocale = (req) => {
+    if (EXPORT.LOCALES.includes(req.query.lang)) {
+        return req.query.lang;
+    }
+
+    return (req.headers['accept-language'] && req.acceptsLanguages(...EXPORT.LOCALES)) || EXPORT.DEFAULT_LOCALE;
+};
+
 /**
  * Sanitize object by removing specified fields
  * @param {Object} obj - Object to sanitize
@@ -102,6 +134,8 @@ module.exports = {
     generateDeviceToken,
     generateApiKey,
     getPaginationParams,
+    getTimeZone,
+    getLocale,
     sanitizeObject,
     isValidJson,
     getCurrentTimestamp
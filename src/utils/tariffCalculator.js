@@ -0,0 +1,213 @@
+// src/utils/tariffCalculator.js
+const {
+    TARIFF,
+    CHARGE_TYPE
+} = require('../config/constants');
+
+/**
+ * Round a number to a fixed number of decimals
+ * @param {Number} value - Value to round
+ * @param {Number} decimals - Number of decimals
+ * @returns {Number} - Rounded value
+ */
+const round = (value, decimals) => {
+    const factor = Math.pow(10, decimals);
+    return Math.round((value + Number.EPSILON) * factor) / factor;
+};
+
+const roundMoney = (value) => round(value, TARIFF.MONEY_DECIMALS);
+const roundVolume = (value) => round(value, TARIFF.VOLUME_DECIMALS);
+
+/**
+ * Sort tiers by their lower bound
+ * @param {Array} tiers - Tariff tiers
+ * @returns {Array} - Sorted copy of the tiers
+ */
+const sortTiers = (tiers) => [...tiers].sort((a, b) => a.minVolume - b.minVolume);
+
+/**
+ * Check that tiers start at zero, are contiguous and only the last one is open ended
+ * @param {Array} tiers - Tariff tiers ({ minVolume, maxVolume, pricePerUnit })
+ * @returns {String|null} - Problem description, or null when the tiers are valid
+ */
+const validateTiers = (tiers) => {
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+        return 'At least one tier is required';
+    }
+
+    const sorted = sortTiers(tiers);
+
+    if (sorted[0].minVolume !== 0) {
+        return 'The first tier must start at 0 m3';
+    }
+
+    for (let i = 0; i < sorted.length; i++) {
+        const tier = sorted[i];
+        const isLast = i === sorted.length - 1;
+
+        if (tier.pricePerUnit < 0) {
+            return 'Tier prices cannot be negative';
+        }
+
+        if (isLast) {
+            if (tier.maxVolume !== null && tier.maxVolume !== undefined) {
+                return 'The last tier must not have a maximum volume';
+            }
+            continue;
+        }
+
+        if (tier.maxVolume === null || tier.maxVolume === undefined || tier.maxVolume <= tier.minVolume) {
+            return `Tier starting at ${tier.minVolume} m3 must end above its start`;
+        }
+
+        if (sorted[i + 1].minVolume !== tier.maxVolume) {
+            return `Tier starting at ${sorted[i + 1].minVolume} m3 must start where the previous tier ends (${tier.maxVolume} m3)`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Price a volume of water on top of what was already consumed this billing period
+ * @param {Array} tiers - Tariff tiers
+ * @param {Number} consumedBefore - Volume already consumed in the billing period (m3)
+ * @param {Number} volume - Volume to price (m3)
+ * @returns {Object} - Total amount and per-tier breakdown
+ */
+const priceVolume = (tiers, consumedBefore, volume) => {
+    const lines = [];
+    let remaining = volume;
+    let position = consumedBefore;
+    let amount = 0;
+
+    for (const tier of sortTiers(tiers)) {
+        if (remaining <= 0) break;
+
+        const tierEnd = tier.maxVolume === null || tier.maxVolume === undefined ? Infinity : tier.maxVolume;
+        if (position >= tierEnd) continue;
+
+        const start = Math.max(position, tier.minVolume);
+        const tierVolume = Math.min(remaining, tierEnd - start);
+        const tierAmount = tierVolume * tier.pricePerUnit;
+
+        lines.push({
+            minVolume: tier.minVolume,
+            maxVolume: tier.maxVolume,
+            pricePerUnit: tier.pricePerUnit,
+            volume: roundVolume(tierVolume),
+            amount: roundMoney(tierAmount)
+        });
+
+        amount += tierAmount;
+        remaining -= tierVolume;
+        position = start + tierVolume;
+    }
+
+    return {
+        amount: roundMoney(amount),
+        volume: roundVolume(volume),
+        lines
+    };
+};
+
+/**
+ * Work out how much water an amount of money buys on top of what was already consumed
+ * @param {Array} tiers - Tariff tiers
+ * @param {Number} consumedBefore - Volume already consumed in the billing period (m3)
+ * @param {Number} amount - Money to convert
+ * @returns {Object} - Total volume and per-tier breakdown
+ */
+const volumeForAmount = (tiers, consumedBefore, amount) => {
+    const lines = [];
+    let remaining = amount;
+    let position = consumedBefore;
+    let volume = 0;
+
+    for (const tier of sortTiers(tiers)) {
+        if (remaining <= 0) break;
+
+        const tierEnd = tier.maxVolume === null || tier.maxVolume === undefined ? Infinity : tier.maxVolume;
+        if (position >= tierEnd) continue;
+
+        const start = Math.max(position, tier.minVolume);
+
+        // A free tier gives away its whole range without spending anything
+        const affordable = tier.pricePerUnit > 0 ? remaining / tier.pricePerUnit : Infinity;
+        const tierVolume = Math.min(affordable, tierEnd - start);
+        if (!Number.isFinite(tierVolume)) break;
+
+        const tierAmount = tierVolume * tier.pricePerUnit;
+
+        lines.push({
+            minVolume: tier.minVolume,
+            maxVolume: tier.maxVolume,
+            pricePerUnit: tier.pricePerUnit,
+            volume: roundVolume(tierVolume),
+            amount: roundMoney(tierAmount)
+        });
+
+        volume += tierVolume;
+        remaining -= tierAmount;
+        position = start + tierVolume;
+    }
+
+    return {
+        amount: roundMoney(amount),
+        volume: roundVolume(volume),
+        lines
+    };
+};
+
+/**
+ * Split a tax-inclusive token amount into fees, tax, fixed charges and the net credit.
+ * Fixed charges only take what is left after the admin fee and tax.
+ * @param {Object} options - Charge options
+ * @param {Number} options.grossAmount - Amount paid for the token
+ * @param {Number} options.adminFee - Admin fee per token
+ * @param {Number} options.taxRate - Tax percentage included in the amount
+ * @param {Array} options.fixedCharges - Fixed charges still due ({ type, label, amount })
+ * @returns {Object} - Breakdown with itemised charges
+ */
+const itemiseTokenCharges = ({ grossAmount, adminFee = 0, taxRate = 0, fixedCharges = [] }) => {
+    const items = [];
+    const fee = roundMoney(Math.min(adminFee, grossAmount));
+    if (fee > 0) {
+        items.push({ type: CHARGE_TYPE.ADMIN_FEE, label: 'Admin fee', amount: fee });
+    }
+
+    const taxAmount = roundMoney((grossAmount - fee) * taxRate / (100 + taxRate));
+    if (taxAmount > 0) {
+        items.push({ type: CHARGE_TYPE.TAX, label: `PPN ${taxRate}%`, amount: taxAmount });
+    }
+
+    let available = roundMoney(grossAmount - fee - taxAmount);
+    let fixedTotal = 0;
+    fixedCharges.forEach(charge => {
+        const amount = roundMoney(Math.min(charge.amount, available));
+        if (amount > 0) {
+            items.push({ type: charge.type, label: charge.label, amount });
+            fixedTotal += amount;
+            available = roundMoney(available - amount);
+        }
+    });
+
+    return {
+        grossAmount: roundMoney(grossAmount),
+        adminFee: fee,
+        taxRate,
+        taxAmount,
+        fixedCharges: roundMoney(fixedTotal),
+        netAmount: available,
+        items
+    };
+};
+
+module.exports = {
+    validateTiers,
+    priceVolume,
+    volumeForAmount,
+    itemiseTokenCharges,
+    roundMoney,
+    roundVolume
+};
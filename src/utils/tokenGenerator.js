@@ -0,0 +1,218 @@
+// src/utils/tokenGenerator.js
+const crypto = require('crypto');
+const {
+    TOKEN_FORMAT
+} = require('../config/constants');
+
+/**
+ * Verhoeff multiplication table
+ */
+const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+    [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+    [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+    [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+    [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+    [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+    [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+    [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+
+/**
+ * Verhoeff permutation table
+ */
+const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+    [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+    [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+    [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+    [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+    [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+/**
+ * Verhoeff inverse table
+ */
+const VERHOEFF_INV = [0, 4, 3, 2, 1, 5, 6, 7, 8, 9];
+
+/**
+ * Compute the Luhn check digit for a numeric payload
+ * @param {String} payload - Digits without check digit
+ * @returns {String} - Check digit
+ */
+const luhnCheckDigit = (payload) => {
+    let sum = 0;
+    const digits = payload.split('').reverse();
+
+    digits.forEach((char, index) => {
+        let digit = parseInt(char, 10);
+        if (index % 2 === 0) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    });
+
+    return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Compute the Verhoeff check digit for a numeric payload
+ * @param {String} payload - Digits without check digit
+ * @returns {String} - Check digit
+ */
+const verhoeffCheckDigit = (payload) => {
+    let checksum = 0;
+    const digits = payload.split('').reverse();
+
+    digits.forEach((char, index) => {
+        checksum = VERHOEFF_D[checksum][VERHOEFF_P[(index + 1) % 8][parseInt(char, 10)]];
+    });
+
+    return String(VERHOEFF_INV[checksum]);
+};
+
+/**
+ * Registered check digit algorithms
+ */
+const checkDigitAlgorithms = new Map([
+    ['luhn', luhnCheckDigit],
+    ['verhoeff', verhoeffCheckDigit]
+]);
+
+/**
+ * Register a custom check digit algorithm
+ * @param {String} name - Algorithm name
+ * @param {Function} computeCheckDigit - Function returning the check digit for a payload
+ */
+const registerCheckDigitAlgorithm = (name, computeCheckDigit) => {
+    checkDigitAlgorithms.set(name, computeCheckDigit);
+};
+
+/**
+ * Generate a string of cryptographically secure random digits
+ * @param {Number} length - Number of digits
+ * @returns {String} - Random digits
+ */
+const randomDigits = (length) => {
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += crypto.randomInt(0, 10);
+    }
+    return result;
+};
+
+/**
+ * Remove grouping separators and whitespace from a token
+ * @param {String} token - Token as typed or printed
+ * @returns {String} - Bare token digits
+ */
+const normalizeToken = (token) => {
+    return String(token || '').replace(/[\s-]/g, '');
+};
+
+/**
+ * Split a token into groups of digits
+ * @param {String} token - Bare token
+ * @param {Number} groupSize - Digits per group
+ * @param {String} separator - Group separator
+ * @returns {String} - Grouped token
+ */
+const groupToken = (token, groupSize = TOKEN_FORMAT.GROUP_SIZE, separator = TOKEN_FORMAT.GROUP_SEPARATOR) => {
+    const bare = normalizeToken(token);
+    if (!groupSize || !bare) return bare;
+    return bare.match(new RegExp(`.{1,${groupSize}}`, 'g')).join(separator);
+};
+
+/**
+ * Create a token generator
+ * @param {Object} options - Generator options
+ * @param {Number} options.length - Total token length including check digit
+ * @param {String} options.checkDigit - Check digit algorithm (luhn, verhoeff)
+ * @param {Number} options.groupSize - Digits per group when formatting (0 disables grouping)
+ * @returns {Object} - Generator with version, generate, hasFormat, isValid and format
+ */
+const createTokenGenerator = (options = {}) => {
+    const {
+        length = TOKEN_FORMAT.LENGTH,
+        checkDigit = TOKEN_FORMAT.CHECK_DIGIT,
+        groupSize = TOKEN_FORMAT.GROUP_SIZE
+    } = options;
+
+    const computeCheckDigit = checkDigitAlgorithms.get(checkDigit);
+    if (!computeCheckDigit) {
+        throw new Error(`Unknown check digit algorithm: ${checkDigit}`);
+    }
+
+    if (length < 2) {
+        throw new Error('Token length must be at least 2 digits');
+    }
+
+    return {
+        /**
+         * Format version stored with each token, e.g. luhn-20
+         */
+        version: `${checkDigit}-${length}`,
+
+        /**
+         * Generate a new token
+         * @param {Boolean} grouped - Return the token split into groups
+         * @returns {String} - Token
+         */
+        generate: (grouped = false) => {
+            // Avoid leading zeros so tokens survive numeric handling on devices
+            const payload = String(crypto.randomInt(1, 10)) + randomDigits(length - 2);
+            const token = payload + computeCheckDigit(payload);
+            return grouped ? groupToken(token, groupSize) : token;
+        },
+
+        /**
+         * Check whether a token has the shape of this format (its length, digits only),
+         * i.e. whether it should carry this format's check digit
+         * @param {String} token - Token, grouped or bare
+         * @returns {Boolean} - True if the token has this format's shape
+         */
+        hasFormat: (token) => {
+            const bare = normalizeToken(token);
+            return bare.length === length && /^\d+$/.test(bare);
+        },
+
+        /**
+         * Check the length and check digit of a token without touching the database
+         * @param {String} token - Token, grouped or bare
+         * @returns {Boolean} - True if the token is well-formed
+         */
+        isValid: (token) => {
+            const bare = normalizeToken(token);
+            if (bare.length !== length || !/^\d+$/.test(bare)) {
+                return false;
+            }
+            const payload = bare.slice(0, -1);
+            return computeCheckDigit(payload) === bare.slice(-1);
+        },
+
+        /**
+         * Format a token for display
+         * @param {String} token - Bare token
+         * @returns {String} - Grouped token
+         */
+        format: (token) => groupToken(token, groupSize)
+    };
+};
+
+// Default generator configured from environment
+const defaultTokenGenerator = createTokenGenerator();
+
+module.exports = {
+    createTokenGenerator,
+    registerCheckDigitAlgorithm,
+    defaultTokenGenerator,
+    normalizeToken,
+    groupToken,
+    luhnCheckDigit,
+    verhoeffCheckDigit
+};
@@ -0,0 +1,80 @@
+// src/utils/totalizer.js
+const {
+    TOTALIZER,
+    READING_KIND
+} = require('../config/constants');
+const {
+    roundVolume
+} = require('./tariffCalculator');
+
+/**
+ * Work out the consumption since the last accepted register reading.
+ * A drop from near the top of the register to near zero is a rollover;
+ * any other drop is rejected unless the device reports a register reset.
+ * @param {Object} options - Reading details
+ * @param {Number|null} options.previousValue - Last accepted register value, null if none
+ * @param {Number} options.registerValue - Register value just reported
+ * @param {Number} options.registerMax - Register value at which it rolls over to zero
+ * @param {Boolean} options.reset - Device reports that its register was reset to zero
+ * @param {Number} options.rolloverWindow - Fraction of the register near both ends where a drop counts as rollover
+ * @returns {Object} - Kind of reading, consumption (m3) and anomaly description for rejected readings
+ */
+const computeRegisterDelta = ({
+    previousValue,
+    registerValue,
+    registerMax = TOTALIZER.DEFAULT_REGISTER_MAX,
+    reset = false,
+    rolloverWindow = TOTALIZER.ROLLOVER_WINDOW
+}) => {
+    if (registerValue > registerMax) {
+        return {
+            kind: READING_KIND.REJECTED,
+            consumption: null,
+            anomaly: `Register value ${registerValue} is above the register capacity of ${registerMax}`
+        };
+    }
+
+    // Consumption since the reset is what the register counted from zero
+    if (reset) {
+        return {
+            kind: READING_KIND.RESET,
+            consumption: roundVolume(registerValue),
+            anomaly: null
+        };
+    }
+
+    if (previousValue === null || previousValue === undefined) {
+        return {
+            kind: READING_KIND.BASELINE,
+            consumption: 0,
+            anomaly: null
+        };
+    }
+
+    if (registerValue >= previousValue) {
+        return {
+            kind: READING_KIND.NORMAL,
+            consumption: roundVolume(registerValue - previousValue),
+            anomaly: null
+        };
+    }
+
+    const window = registerMax * rolloverWindow;
+    if (previousValue >= registerMax - window && registerValue <= window) {
+        return {
+            kind: READING_KIND.ROLLOVER,
+            consumption: roundVolume(registerMax - previousValue + registerValue),
+            anomaly: null
+        };
+    }
+
+    return {
+        kind: READING_KIND.REJECTED,
+        consumption: null,
+        anomaly: `Register went backwards from ${previousValue} to ${registerValue}`
+    };
+};
+
+module.exports = {
+    computeRegisterDelta
+};
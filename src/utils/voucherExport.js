@@ -0,0 +1,107 @@
+// src/utils/voucherExport.js
+const PDFDocument = require('pdfkit');
+const {
+    groupToken
+} = require('./tokenGenerator');
+const {
+    escapeCsvValue
+} = require('./dataExport');
+
+/**
+ * CSV columns for a token batch export
+ */
+const CSV_COLUMNS = [
+    { header: 'No', value: (token, index) => index + 1 },
+    { header: 'Device Key', value: (token) => token.device?.deviceKey || '' },
+    { header: 'Token', value: (token) => groupToken(token.token) },
+    { header: 'Amount', value: (token) => token.amount },
+    { header: 'Admin Fee', value: (token) => token.adminFee ?? '' },
+    { header: 'Tax', value: (token) => token.taxAmount ?? '' },
+    { header: 'Fixed Charges', value: (token) => token.fixedCharges ?? '' },
+    { header: 'Net Credit', value: (token) => token.netAmount ?? '' },
+    { header: 'Status', value: (token) => token.status },
+    { header: 'Created At', value: (token) => token.createdAt.toISOString() },
+    { header: 'Used At', value: (token) => token.used_at ? token.used_at.toISOString() : '' }
+];
+
+/**
+ * Build a CSV document for a token batch
+ * @param {Object} batch - Token batch including its tokens
+ * @returns {String} - CSV content
+ */
+const buildBatchCsv = (batch) => {
+    const lines = [CSV_COLUMNS.map(column => escapeCsvValue(column.header)).join(',')];
+
+    batch.tokens.forEach((token, index) => {
+        lines.push(CSV_COLUMNS.map(column => escapeCsvValue(column.value(token, index))).join(','));
+    });
+
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Write printable voucher sheets for a token batch into a writable stream
+ * @param {Object} batch - Token batch including its tokens
+ * @param {Stream} stream - Writable stream (e.g. Express response)
+ */
+const writeBatchPdf = (batch, stream) => {
+    const columns = 2;
+    const rows = 5;
+    const margin = 36;
+
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin,
+        info: {
+            Title: `Token vouchers ${batch.name || batch.id}`
+        }
+    });
+    doc.pipe(stream);
+
+    const cardWidth = (doc.page.width - margin * 2) / columns;
+    const cardHeight = (doc.page.height - margin * 2) / rows;
+
+    batch.tokens.forEach((token, index) => {
+        const position = index % (columns * rows);
+        if (index > 0 && position === 0) {
+            doc.addPage();
+        }
+
+        const x = margin + (position % columns) * cardWidth;
+        const y = margin + Math.floor(position / columns) * cardHeight;
+
+        // Dashed cut line around each voucher
+        doc.save()
+            .dash(4, { space: 4 })
+            .rect(x + 4, y + 4, cardWidth - 8, cardHeight - 8)
+            .stroke('#999999')
+            .restore();
+
+        doc.fillColor('#002850')
+            .font('Helvetica-Bold')
+            .fontSize(12)
+            .text('Water Token Voucher', x + 16, y + 16, { width: cardWidth - 32 });
+
+        doc.fillColor('#000000')
+            .font('Helvetica')
+            .fontSize(9)
+            .text(`Device: ${token.device?.deviceKey || token.deviceId}`, x + 16, y + 36, { width: cardWidth - 32 })
+            .text(`Amount: ${token.amount}`, { width: cardWidth - 32 });
+
+        doc.font('Courier-Bold')
+            .fontSize(16)
+            .text(groupToken(token.token), x + 16, y + cardHeight / 2 - 8, { width: cardWidth - 32, align: 'center' });
+
+        doc.font('Helvetica')
+            .fontSize(7)
+            .fillColor('#555555')
+            .text(`Batch ${batch.name || batch.id} - #${index + 1}`, x + 16, y + cardHeight - 28, { width: cardWidth - 32 });
+    });
+
+    doc.end();
+};
+
+module.exports = {
+    buildBatchCsv,
+    writeBatchPdf
+};
@@ -0,0 +1,12 @@
+// tests/config/constants.test.js
+process.env.DEBT_RECOVERY_RATE = '0';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEBT
+} = require('../../src/config/constants');
+
+test('a debt recovery rate of 0 can be configured', () => {
+    assert.equal(DEBT.DEFAULT_RECOVERY_RATE, 0);
+});
@@ -0,0 +1,85 @@
+// tests/helpers/app.js
+// Serves the Express app on a free port so route tests go through the real
+// middleware chain (auth, validation, error handling).
+const { prisma, stubPrisma } = require('./prisma');
+const app = require('../../src/app');
+const { generateToken } = require('../../src/utils/jwt');
+
+/**
+ * Start the app on a free port
+ * @returns {Object} Server and its base URL
+ */
+const startApp = () => new Promise((resolve) => {
+    const server = app.listen(0, () => {
+        resolve({
+            server,
+            baseUrl: `http://127.0.0.1:${server.address().port}`
+        });
+    });
+});
+
+/**
+ * Stop a server started with startApp
+ * @param {Object} server - HTTP server
+ * @returns {Promise} Resolves once the server is closed
+ */
+const stopApp = (server) => new Promise((resolve) => server.close(resolve));
+
+/**
+ * Let a user through the protect middleware
+ * @param {Object} user - User (id, role)
+ * @returns {Object} Authorization header and a function restoring the client
+ */
+const signIn = (user) => {
+    const restore = stubPrisma({
+        user: {
+            findUnique: async ({ where }) => where.id === user.id ? {
+                name: 'Test user',
+                email: 'test@example.com',
+                isActive: true,
+                timezone: null,
+                ...user
+            } : null
+        }
+    });
+
+    return {
+        headers: {
+            Authorization: `Bearer ${generateToken({ userId: user.id })}`
+        },
+        restore
+    };
+};
+
+/**
+ * Send a JSON request
+ * @param {String} baseUrl - Base URL of the app
+ * @param {String} method - HTTP method
+ * @param {String} path - Path, including the query string
+ * @param {Object} options - Headers and body
+ * @returns {Object} Status and parsed body
+ */
+const request = async (baseUrl, method, path, { headers = {}, body } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...headers
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    return {
+        status: response.status,
+        body: await response.json()
+    };
+};
+
+module.exports = {
+    prisma,
+    stubPrisma,
+    startApp,
+    stopApp,
+    signIn,
+    request
+};
@@ -0,0 +1,62 @@
+// tests/helpers/ledger.js
+
+/**
+ * In-memory balances and ledger entries behind the Prisma models the ledger
+ * service uses (balance, balanceTransaction)
+ * @param {Object} balances - Opening cached balances by device ID
+ * @returns {Object} Transaction client with the stored balances and entries
+ */
+const createLedgerClient = (balances = {}) => {
+    const client = {
+        balances: {
+            ...balances
+        },
+        entries: []
+    };
+
+    const toBalance = (deviceId) => ({
+        deviceId,
+        balance: client.balances[deviceId]
+    });
+
+    client.balance = {
+        findUnique: async ({ where }) => client.balances[where.deviceId] === undefined ? null : toBalance(where.deviceId),
+        upsert: async ({ where, create, update }) => {
+            const { deviceId } = where;
+
+            if (client.balances[deviceId] === undefined) {
+                client.balances[deviceId] = create.balance;
+            } else if (typeof update.balance === 'object') {
+                client.balances[deviceId] += update.balance.increment;
+            } else {
+                client.balances[deviceId] = update.balance;
+            }
+
+            return toBalance(deviceId);
+        }
+    };
+
+    client.balanceTransaction = {
+        create: async ({ data }) => {
+            const entry = {
+                id: `entry-${client.entries.length + 1}`,
+                ...data
+            };
+            client.entries.push(entry);
+            return entry;
+        },
+        aggregate: async ({ where }) => ({
+            _sum: {
+                amount: client.entries
+                    .filter(entry => entry.deviceId === where.deviceId)
+                    .reduce((sum, entry) => sum + entry.amount, 0) || null
+            }
+        })
+    };
+
+    return client;
+};
+
+module.exports = {
+    createLedgerClient
+};
@@ -0,0 +1,169 @@
+// tests/helpers/memoryModel.js
+
+/**
+ * Check a value against a Prisma field condition (equality, in, not, lt, lte,
+ * gt, gte)
+ * @param {*} value - Stored value
+ * @param {*} condition - Condition from a where clause
+ * @returns {Boolean} True if the value matches
+ */
+const matchesCondition = (value, condition) => {
+    const isOperator = condition !== null && typeof condition === 'object' && !(condition instanceof Date) && !Array.isArray(condition);
+    if (!isOperator) {
+        return value instanceof Date && condition instanceof Date ? value.getTime() === condition.getTime() : value === condition;
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case 'in':
+                return operand.includes(value);
+            case 'not':
+                return !matchesCondition(value, operand);
+            case 'lt':
+                return value !== null && value !== undefined && value < operand;
+            case 'lte':
+                return value !== null && value !== undefined && value <= operand;
+            case 'gt':
+                return value !== null && value !== undefined && value > operand;
+            case 'gte':
+                return value !== null && value !== undefined && value >= operand;
+            default:
+                throw new Error(`Unsupported operator in test model: ${operator}`);
+        }
+    });
+};
+
+/**
+ * Check a row against a Prisma where clause (fields, AND, OR). Relation
+ * filters match against a related row stored as a plain object on the row.
+ * @param {Object} row - Stored row
+ * @param {Object} where - Where clause
+ * @returns {Boolean} True if the row matches
+ */
+const matchesWhere = (row, where = {}) => {
+    return Object.entries(where).every(([field, condition]) => {
+        if (condition === undefined) return true;
+        if (field === 'OR') return condition.some(item => matchesWhere(row, item));
+        if (field === 'AND') return condition.every(item => matchesWhere(row, item));
+        if (row[field] !== null && typeof row[field] === 'object' && !(row[field] instanceof Date)) {
+            return matchesWhere(row[field], condition);
+        }
+        return matchesCondition(row[field], condition);
+    });
+};
+
+/**
+ * Sort rows by a Prisma orderBy (object or array of objects)
+ * @param {Array} rows - Rows
+ * @param {Object|Array} orderBy - Sort order
+ * @returns {Array} Sorted copy
+ */
+const sortRows = (rows, orderBy) => {
+    const orders = (Array.isArray(orderBy) ? orderBy : [orderBy]).filter(Boolean);
+
+    return [...rows].sort((a, b) => {
+        for (const order of orders) {
+            const [field, direction] = Object.entries(order)[0];
+            if (a[field] < b[field]) return direction === 'desc' ? 1 : -1;
+            if (a[field] > b[field]) return direction === 'desc' ? -1 : 1;
+        }
+        return 0;
+    });
+};
+
+/**
+ * Apply Prisma update data (plain values and increment) to a row
+ * @param {Object} row - Stored row
+ * @param {Object} data - Update data
+ */
+const applyUpdate = (row, data) => {
+    Object.entries(data).forEach(([field, value]) => {
+        if (value === undefined) return;
+        if (value !== null && typeof value === 'object' && 'increment' in value) {
+            row[field] = (row[field] || 0) + value.increment;
+        } else {
+            row[field] = value;
+        }
+    });
+};
+
+/**
+ * In-memory stand-in for a Prisma model, enough for the queries the services run
+ * @param {Object} options - Model options
+ * @param {String} options.name - Prefix of generated IDs
+ * @param {Object} options.defaults - Column defaults of created rows
+ * @param {Object} options.relations - Resolvers for included relations, by name
+ * @param {Number} options.tick - Milliseconds between the createdAt of consecutive rows (0 for rows written in the same instant)
+ * @param {String} options.autoIncrement - Column numbered 1, 2, ... in insertion order
+ * @returns {Object} Model with its rows
+ */
+const createMemoryModel = ({ name = 'row', defaults = {}, relations = {}, tick = 1000, autoIncrement } = {}) => {
+    const rows = [];
+    let clock = Date.UTC(2024, 0, 1);
+
+    const withRelations = (row, include) => {
+        if (!row || !include) return row;
+
+        const result = { ...row };
+        Object.keys(include).forEach(relation => {
+            result[relation] = relations[relation] ? relations[relation](row) : null;
+        });
+        return result;
+    };
+
+    return {
+        rows,
+        findFirst: async ({ where, orderBy, include } = {}) => {
+            const found = sortRows(rows.filter(row => matchesWhere(row, where)), orderBy);
+            return withRelations(found[0] || null, include);
+        },
+        findUnique: async ({ where, include }) => withRelations(rows.find(row => matchesWhere(row, where)) || null, include),
+        findMany: async ({ where, orderBy, include, skip = 0, take } = {}) => {
+            const found = sortRows(rows.filter(row => matchesWhere(row, where)), orderBy);
+            return found.slice(skip, take === undefined ? undefined : skip + take).map(row => withRelations(row, include));
+        },
+        count: async ({ where } = {}) => rows.filter(row => matchesWhere(row, where)).length,
+        create: async ({ data, include }) => {
+            clock += tick;
+            const row = {
+                id: `${name}-${rows.length + 1}`,
+                createdAt: new Date(clock),
+                ...(autoIncrement ? { [autoIncrement]: rows.length + 1 } : {}),
+                ...defaults,
+                ...data
+            };
+            rows.push(row);
+            return withRelations(row, include);
+        },
+        update: async ({ where, data, include }) => {
+            const row = rows.find(item => matchesWhere(item, where));
+            if (!row) throw new Error(`${name} not found`);
+            applyUpdate(row, data);
+            return withRelations(row, include);
+        },
+        updateMany: async ({ where, data }) => {
+            const matched = rows.filter(row => matchesWhere(row, where));
+            matched.forEach(row => applyUpdate(row, data));
+            return { count: matched.length };
+        },
+        aggregate: async ({ where, _max = {}, _sum = {} }) => {
+            const matched = rows.filter(row => matchesWhere(row, where));
+            const result = { _max: {}, _sum: {} };
+
+            Object.keys(_max).forEach(field => {
+                const values = matched.map(row => row[field]).filter(value => value !== null && value !== undefined);
+                result._max[field] = values.length > 0 ? values.reduce((max, value) => value > max ? value : max) : null;
+            });
+            Object.keys(_sum).forEach(field => {
+                const values = matched.map(row => row[field]).filter(value => value !== null && value !== undefined);
+                result._sum[field] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+            });
+
+            return result;
+        }
+    };
+};
+
+module.exports = {
+    createMemoryModel
+};
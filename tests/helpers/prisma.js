@@ -0,0 +1,48 @@
+// tests/helpers/prisma.js
+// Require this before any module under src/ so services get the stub client
+// instead of a real one; tests never need a database or the query engine.
+const path = require('path');
+
+const prismaPath = path.resolve(__dirname, '../../src/utils/prisma.js');
+
+/**
+ * Stand-in for the Prisma client singleton. Models and methods are assigned
+ * per test with stubPrisma.
+ */
+const prisma = {};
+
+require.cache[prismaPath] = {
+    id: prismaPath,
+    filename: prismaPath,
+    loaded: true,
+    exports: prisma
+};
+
+/**
+ * Replace Prisma client models and methods for a test
+ * @param {Object} stubs - Models and methods by name (e.g. { token: {...}, $transaction })
+ * @returns {Function} Restore the previous client
+ */
+const stubPrisma = (stubs) => {
+    const originals = {};
+
+    Object.entries(stubs).forEach(([name, stub]) => {
+        originals[name] = prisma[name];
+        prisma[name] = stub;
+    });
+
+    return () => {
+        Object.entries(originals).forEach(([name, original]) => {
+            if (original === undefined) {
+                delete prisma[name];
+            } else {
+                prisma[name] = original;
+            }
+        });
+    };
+};
+
+module.exports = {
+    prisma,
+    stubPrisma
+};
@@ -0,0 +1,55 @@
+// tests/middleware/validator.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    validationResult
+} = require('express-validator');
+const {
+    validate,
+    rules
+} = require('../../src/middleware/validator');
+
+/**
+ * Run a rule set against a request
+ * @param {Array} validations - Validation rules
+ * @param {Object} request - Request fields (body, query, params)
+ * @returns {Object} Messages of the failed fields by field path
+ */
+const runRules = async (validations, request) => {
+    const req = { body: {}, query: {}, params: {}, ...request };
+    let passed = false;
+
+    await validate(validations)(req, {}, (err) => {
+        passed = !err;
+    });
+
+    const errors = Object.fromEntries(validationResult(req).array().map(err => [err.path, err.msg]));
+    assert.equal(passed, Object.keys(errors).length === 0);
+    return errors;
+};
+
+const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+test('createToken rejects an expiry date in the past', async () => {
+    const errors = await runRules(rules.createToken, {
+        body: { deviceId: 'device-1', amount: 50000, expiresAt: inDays(-1) }
+    });
+
+    assert.deepEqual(errors, { expiresAt: 'Expiration date must be in the future' });
+});
+
+test('createToken accepts an expiry date in the future', async () => {
+    const errors = await runRules(rules.createToken, {
+        body: { deviceId: 'device-1', amount: 50000, expiresAt: inDays(30) }
+    });
+
+    assert.deepEqual(errors, {});
+});
+
+test('createTokenBatch rejects an expiry date in the past', async () => {
+    const errors = await runRules(rules.createTokenBatch, {
+        body: { expiresAt: inDays(-1), items: [{ deviceId: 'device-1', amount: 50000, quantity: 2 }] }
+    });
+
+    assert.deepEqual(errors, { expiresAt: 'Expiration date must be in the future' });
+});
@@ -0,0 +1,116 @@
+// tests/routes/mqtt.test.js
+const { test, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    stubPrisma,
+    startApp,
+    stopApp,
+    signIn,
+    request
+} = require('../helpers/app');
+const { createMemoryModel } = require('../helpers/memoryModel');
+const mqttService = require('../../src/services/mqttService');
+const {
+    COMMAND_STATUS
+} = require('../../src/config/constants');
+
+let app;
+const restorers = [];
+
+before(async () => {
+    app = await startApp();
+});
+
+after(async () => {
+    await stopApp(app.server);
+});
+
+afterEach(() => {
+    restorers.splice(0).forEach(restore => restore());
+    mock.restoreAll();
+});
+
+const signInAs = (role) => {
+    const session = signIn({ id: 'user-1', role });
+    restorers.push(session.restore);
+    return session.headers;
+};
+
+test('send-command validates the request before the controller runs', async () => {
+    const headers = signInAs('ADMIN');
+
+    const response = await request(app.baseUrl, 'POST', '/api/v1/mqtt/send-command', {
+        headers,
+        body: { deviceKey: 'METER-1', command: 'self_destruct', ttl: 0 }
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Validation failed');
+});
+
+test('send-command queues the command with its TTL in seconds', async () => {
+    const headers = signInAs('ADMIN');
+    restorers.push(stubPrisma({
+        device: {
+            findFirst: async ({ where }) => where.deviceKey === 'METER-1' ? { id: 'device-1', deviceKey: 'METER-1' } : null
+        }
+    }));
+    const dispatch = mock.method(mqttService, 'dispatchCommand', async () => ({
+        correlationId: 'cmd-1',
+        status: COMMAND_STATUS.PENDING,
+        expiresAt: null
+    }));
+
+    const response = await request(app.baseUrl, 'POST', '/api/v1/mqtt/send-command', {
+        headers,
+        body: { deviceKey: 'METER-1', command: 'close_valve', ttl: '120' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.correlationId, 'cmd-1');
+    assert.equal(dispatch.mock.calls[0].arguments[4], 120);
+});
+
+test('broadcast rejects commands that cannot be broadcast', async () => {
+    const headers = signInAs('ADMIN');
+
+    const response = await request(app.baseUrl, 'POST', '/api/v1/mqtt/broadcast', {
+        headers,
+        body: { command: 'reset_balance' }
+    });
+
+    assert.equal(response.status, 400);
+});
+
+test('command history rejects an unknown status', async () => {
+    const headers = signInAs('ADMIN');
+
+    const response = await request(app.baseUrl, 'GET', '/api/v1/mqtt/commands?status=lost', {
+        headers
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Validation failed');
+});
+
+test('command history only lists the commands of the user\'s devices', async () => {
+    const headers = signInAs('USER');
+    const deviceCommand = createMemoryModel({
+        name: 'command',
+        relations: {
+            device: (row) => row.device
+        }
+    });
+    deviceCommand.rows.push(
+        { id: 'command-1', command: 'close_valve', status: COMMAND_STATUS.SENT, device: { id: 'device-1', deviceKey: 'METER-1', userId: 'user-1' } },
+        { id: 'command-2', command: 'close_valve', status: COMMAND_STATUS.SENT, device: { id: 'device-2', deviceKey: 'METER-2', userId: 'user-2' } }
+    );
+    restorers.push(stubPrisma({ deviceCommand }));
+
+    const response = await request(app.baseUrl, 'GET', `/api/v1/mqtt/commands?status=${COMMAND_STATUS.SENT}`, {
+        headers
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data.map(command => command.id), ['command-1']);
+});
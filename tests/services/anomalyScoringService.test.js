@@ -0,0 +1,148 @@
+// tests/services/anomalyScoringService.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPrisma } = require('../helpers/prisma');
+const { createMemoryModel } = require('../helpers/memoryModel');
+const anomalyScoringService = require('../../src/services/anomalyScoringService');
+const {
+    ANOMALY_KIND,
+    ROLLUP_GRANULARITY
+} = require('../../src/config/constants');
+
+const DAY = 24 * 3600000;
+
+// Wednesday 6 March 2024 in Asia/Jakarta, the organisation zone
+const date = '2024-03-06';
+const day = new Date('2024-03-05T17:00:00Z');
+
+let usageRollup;
+let usageBaseline;
+let usageAnomalyScore;
+let restorePrisma;
+
+/**
+ * Memory model that can also be cleared and bulk-written, as the scoring does
+ * @param {String} name - Row ID prefix
+ * @param {Object} relations - Resolvers for included relations
+ * @returns {Object} Model with its rows
+ */
+const createBulkModel = (name, relations) => {
+    const model = createMemoryModel({ name, relations });
+    model.deleteMany = async () => ({ count: model.rows.splice(0).length });
+    model.createMany = async ({ data }) => {
+        data.forEach((row, index) => model.rows.push({ id: `${name}-${model.rows.length + index + 1}`, ...row }));
+        return { count: data.length };
+    };
+    return model;
+};
+
+/**
+ * Store a device's daily usage for the weeks before the scored day and on it
+ * @param {String} deviceId - Device ID
+ * @param {Function} volumeOn - Volume of the day that many days before the scored day
+ * @param {Number} volume - Volume of the scored day
+ * @param {Number} days - Days of history
+ */
+const history = (deviceId, volumeOn, volume, days = 56) => {
+    for (let daysBefore = days; daysBefore >= 1; daysBefore--) {
+        usageRollup.rows.push({
+            deviceId,
+            granularity: ROLLUP_GRANULARITY.DAY,
+            periodStart: new Date(day.getTime() - daysBefore * DAY),
+            volume: volumeOn(daysBefore)
+        });
+    }
+    usageRollup.rows.push({ deviceId, granularity: ROLLUP_GRANULARITY.DAY, periodStart: day, volume });
+};
+
+beforeEach(() => {
+    const device = createMemoryModel({ name: 'device' });
+    ['device-1', 'device-2', 'device-3', 'device-4'].forEach(id => device.rows.push({
+        id,
+        deviceKey: id.toUpperCase(),
+        status: true,
+        decommissionedAt: null
+    }));
+
+    usageRollup = createMemoryModel({ name: 'rollup' });
+    usageRollup.groupBy = async ({ where }) => {
+        const first = new Map();
+        usageRollup.rows
+            .filter(row => row.granularity === where.granularity && row.periodStart < where.periodStart.lt)
+            .forEach((row) => {
+                if (!first.has(row.deviceId) || row.periodStart < first.get(row.deviceId)) {
+                    first.set(row.deviceId, row.periodStart);
+                }
+            });
+        return Array.from(first, ([deviceId, periodStart]) => ({ deviceId, _min: { periodStart } }));
+    };
+
+    usageBaseline = createBulkModel('baseline');
+    usageAnomalyScore = createBulkModel('score', {
+        device: row => device.rows.find(item => item.id === row.deviceId)
+    });
+
+    restorePrisma = stubPrisma({
+        device,
+        usageRollup,
+        usageBaseline,
+        usageAnomalyScore,
+        $transaction: async (writes) => Promise.all(writes)
+    });
+
+    // A steady user, one that stopped using water, one far above its usual Wednesday, and a new meter
+    history('device-1', () => 0.5, 0.5);
+    history('device-2', () => 0.4, 0);
+    history('device-3', daysBefore => daysBefore % 14 === 0 ? 0.6 : 0.4, 2);
+    history('device-4', () => 3, 0, 14);
+});
+
+afterEach(() => {
+    restorePrisma();
+});
+
+const scoreOf = deviceId => usageAnomalyScore.rows.find(row => row.deviceId === deviceId);
+
+test('scoreDay builds day-of-week baselines from the weeks before the day', async () => {
+    await anomalyScoringService.scoreDay({ date });
+
+    const wednesday = usageBaseline.rows.find(row => row.deviceId === 'device-3' && row.weekday === 3);
+    assert.equal(wednesday.samples, 8);
+    assert.equal(wednesday.mean, 0.5);
+    assert.equal(wednesday.stdDev, 0.1);
+    assert.equal(usageBaseline.rows.filter(row => row.deviceId === 'device-1').length, 7);
+});
+
+test('scoreDay flags near-zero use and spikes against the device\'s own baseline', async () => {
+    const result = await anomalyScoringService.scoreDay({ date });
+
+    assert.equal(scoreOf('device-1').kind, ANOMALY_KIND.NORMAL);
+    assert.equal(scoreOf('device-2').kind, ANOMALY_KIND.NEAR_ZERO);
+    assert.equal(scoreOf('device-3').kind, ANOMALY_KIND.SPIKE);
+    assert.equal(scoreOf('device-3').zScore, 15);
+    assert.equal(result.devices, 3);
+    assert.equal(result.anomalies[ANOMALY_KIND.NEAR_ZERO], 1);
+    assert.equal(result.anomalies[ANOMALY_KIND.SPIKE], 1);
+});
+
+test('scoreDay leaves devices with too little history for the weekday unscored', async () => {
+    await anomalyScoringService.scoreDay({ date });
+
+    assert.equal(scoreOf('device-4'), undefined);
+});
+
+test('scoreDay refuses a day that has not ended', async () => {
+    await assert.rejects(anomalyScoringService.scoreDay({ date: '2999-01-01' }), {
+        statusCode: 400,
+        message: 'Only completed days can be scored'
+    });
+});
+
+test('getAnomalousDevices lists the anomalies of a day, highest score first', async () => {
+    await anomalyScoringService.scoreDay({ date });
+
+    const { scores, meta } = await anomalyScoringService.getAnomalousDevices({ date });
+
+    assert.deepEqual(scores.map(score => score.device.deviceKey), ['DEVICE-3', 'DEVICE-2']);
+    assert.equal(meta.total, 2);
+});
@@ -0,0 +1,98 @@
+// tests/services/balanceAdjustmentService.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, stubPrisma } = require('../helpers/prisma');
+const { createLedgerClient } = require('../helpers/ledger');
+const { createMemoryModel } = require('../helpers/memoryModel');
+const balanceAdjustmentService = require('../../src/services/balanceAdjustmentService');
+const {
+    ADJUSTMENT_REASON,
+    ADJUSTMENT_STATUS,
+    LEDGER_ENTRY_TYPE
+} = require('../../src/config/constants');
+
+let ledger;
+let balanceAdjustment;
+let restorePrisma;
+
+beforeEach(() => {
+    ledger = createLedgerClient({ 'device-1': 10000 });
+    balanceAdjustment = createMemoryModel({ name: 'adjustment' });
+    const device = createMemoryModel({ name: 'device' });
+    device.rows.push({ id: 'device-1', deviceKey: 'METER-1', userId: 'customer-1' });
+
+    restorePrisma = stubPrisma({
+        device,
+        balanceAdjustment,
+        balance: ledger.balance,
+        balanceTransaction: ledger.balanceTransaction,
+        $transaction: async (fn) => fn(prisma)
+    });
+});
+
+afterEach(() => {
+    restorePrisma();
+});
+
+const submit = () => balanceAdjustmentService.submitAdjustment({
+    deviceId: 'device-1',
+    amount: '5000',
+    reasonCode: ADJUSTMENT_REASON.METER_FAULT,
+    note: 'Meter over-read in March'
+}, 'admin-1', 'ADMIN');
+
+test('a submitted adjustment waits for approval without touching the balance', async () => {
+    const adjustment = await submit();
+
+    assert.equal(adjustment.status, ADJUSTMENT_STATUS.PENDING);
+    assert.equal(adjustment.amount, 5000);
+    assert.equal(ledger.balances['device-1'], 10000);
+    assert.equal(ledger.entries.length, 0);
+});
+
+test('staff cannot submit adjustments for devices they cannot see', async () => {
+    await assert.rejects(balanceAdjustmentService.submitAdjustment({
+        deviceId: 'device-1',
+        amount: 5000,
+        reasonCode: ADJUSTMENT_REASON.GOODWILL,
+        note: 'Goodwill credit'
+    }, 'staff-1', 'STAFF'), { statusCode: 404 });
+});
+
+test('the requester cannot approve their own adjustment', async () => {
+    const adjustment = await submit();
+
+    await assert.rejects(balanceAdjustmentService.approveAdjustment(adjustment.id, null, 'admin-1', 'ADMIN'), {
+        message: 'You cannot review a balance adjustment you submitted'
+    });
+    assert.equal(ledger.balances['device-1'], 10000);
+});
+
+test('only administrators review adjustments', async () => {
+    const adjustment = await submit();
+
+    await assert.rejects(balanceAdjustmentService.approveAdjustment(adjustment.id, null, 'staff-1', 'STAFF'), { statusCode: 403 });
+});
+
+test('a second administrator\'s approval posts the adjustment to the ledger', async () => {
+    const adjustment = await submit();
+
+    const approved = await balanceAdjustmentService.approveAdjustment(adjustment.id, 'Checked the meter photo', 'admin-2', 'ADMIN');
+
+    assert.equal(approved.status, ADJUSTMENT_STATUS.APPROVED);
+    assert.equal(approved.reviewedById, 'admin-2');
+    assert.equal(approved.transactionId, ledger.entries[0].id);
+    assert.equal(ledger.entries[0].type, LEDGER_ENTRY_TYPE.ADJUSTMENT);
+    assert.equal(ledger.entries[0].userId, 'admin-2');
+    assert.equal(ledger.balances['device-1'], 15000);
+});
+
+test('a reviewed adjustment cannot be reviewed again', async () => {
+    const adjustment = await submit();
+    await balanceAdjustmentService.rejectAdjustment(adjustment.id, 'No evidence', 'admin-2', 'ADMIN');
+
+    await assert.rejects(balanceAdjustmentService.approveAdjustment(adjustment.id, null, 'admin-3', 'ADMIN'), {
+        message: 'Balance adjustment has already been rejected'
+    });
+    assert.equal(ledger.balances['device-1'], 10000);
+});
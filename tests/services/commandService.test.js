@@ -0,0 +1,117 @@
+// tests/services/commandService.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPrisma } = require('../helpers/prisma');
+const { createMemoryModel } = require('../helpers/memoryModel');
+const commandService = require('../../src/services/commandService');
+const mqttService = require('../../src/services/mqttService');
+const {
+    COMMAND_STATUS,
+    DEVICE_COMMAND
+} = require('../../src/config/constants');
+
+const device = { id: 'device-1', deviceKey: 'METER-1', userId: 'user-1' };
+
+let deviceCommand;
+let published;
+let restorePrisma;
+
+beforeEach(() => {
+    deviceCommand = createMemoryModel({
+        name: 'command',
+        defaults: { attempts: 0, lastSentAt: null, acknowledgedAt: null },
+        relations: {
+            device: (row) => row.device
+        }
+    });
+    // Commands are looked up by device key, keep the related device on each row
+    const create = deviceCommand.create;
+    deviceCommand.create = (args) => create({ ...args, data: { ...args.data, device } });
+
+    restorePrisma = stubPrisma({ deviceCommand });
+
+    published = [];
+    mock.method(mqttService, 'publish', (topic, payload) => {
+        published.push({ topic, payload });
+        return true;
+    });
+});
+
+afterEach(() => {
+    restorePrisma();
+    mock.restoreAll();
+});
+
+// Move the last delivery of a command back past the acknowledgement timeout
+const timeOut = (command) => {
+    const row = deviceCommand.rows.find(item => item.id === command.id);
+    row.lastSentAt = new Date(row.lastSentAt.getTime() - (DEVICE_COMMAND.ACK_TIMEOUT + 1) * 1000);
+};
+
+test('a dispatched command is published with its correlation ID and marked sent', async () => {
+    const sent = await mqttService.dispatchCommand(device, 'close_valve', { reason: 'leak' }, 'user-1');
+
+    assert.equal(sent.status, COMMAND_STATUS.SENT);
+    assert.equal(sent.attempts, 1);
+    assert.equal(published[0].topic, 'water-meter/METER-1/command');
+    assert.equal(published[0].payload.correlationId, sent.correlationId);
+});
+
+test('a command queued while offline is delivered on the next heartbeat', async () => {
+    mqttService.publish.mock.mockImplementationOnce(() => false);
+
+    const queued = await mqttService.dispatchCommand(device, 'open_valve');
+    assert.equal(queued.status, COMMAND_STATUS.PENDING);
+
+    await mqttService.redeliverCommands('METER-1');
+
+    assert.equal(published.length, 1);
+    assert.equal(published[0].payload.correlationId, queued.correlationId);
+    assert.equal(deviceCommand.rows[0].status, COMMAND_STATUS.SENT);
+});
+
+test('an unacknowledged command is sent again only after the timeout', async () => {
+    const sent = await mqttService.dispatchCommand(device, 'close_valve');
+
+    await mqttService.redeliverCommands('METER-1');
+    assert.equal(published.length, 1);
+
+    timeOut(sent);
+    await mqttService.redeliverCommands('METER-1');
+
+    assert.equal(published.length, 2);
+    assert.equal(published[1].payload.correlationId, sent.correlationId);
+    assert.equal(deviceCommand.rows[0].attempts, 2);
+});
+
+test('an acknowledged command is not sent again', async () => {
+    const sent = await mqttService.dispatchCommand(device, 'close_valve');
+
+    await mqttService.handleCommandResponse('METER-1', { correlationId: sent.correlationId, success: true });
+    timeOut(sent);
+    await mqttService.redeliverCommands('METER-1');
+
+    assert.equal(published.length, 1);
+    assert.equal(deviceCommand.rows[0].status, COMMAND_STATUS.ACKNOWLEDGED);
+});
+
+test('a late acknowledgement does not revive a failed command', async () => {
+    const sent = await mqttService.dispatchCommand(device, 'close_valve');
+    deviceCommand.rows[0].attempts = DEVICE_COMMAND.MAX_ATTEMPTS;
+    timeOut(sent);
+
+    const swept = await commandService.sweepCommands();
+    await commandService.acknowledgeCommand('METER-1', { correlationId: sent.correlationId, success: true });
+
+    assert.equal(swept.failed, 1);
+    assert.equal(deviceCommand.rows[0].status, COMMAND_STATUS.FAILED);
+});
+
+test('acknowledgements only match commands of the reporting device', async () => {
+    const sent = await mqttService.dispatchCommand(device, 'close_valve');
+
+    const result = await commandService.acknowledgeCommand('METER-2', { correlationId: sent.correlationId, success: true });
+
+    assert.equal(result, null);
+    assert.equal(deviceCommand.rows[0].status, COMMAND_STATUS.SENT);
+});
@@ -0,0 +1,91 @@
+// tests/services/creditPolicyService.test.js
+process.env.FRIENDLY_HOURS_TIMEZONE = 'Asia/Jakarta';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('../helpers/prisma');
+const creditPolicyService = require('../../src/services/creditPolicyService');
+const {
+    SUPPLY_MODE
+} = require('../../src/config/constants');
+
+/**
+ * Client with a holiday calendar
+ * @param {Boolean} holiday - Whether every day is a holiday
+ * @returns {Object} Client
+ */
+const createClient = (holiday = false) => ({
+    holiday: {
+        findUnique: async () => holiday ? { id: 'holiday-1', name: 'Idul Fitri' } : null
+    }
+});
+
+// 10:00 and 22:00 in Jakarta (UTC+7) on a Wednesday
+const MORNING = new Date('2024-03-13T03:00:00Z');
+const NIGHT = new Date('2024-03-13T15:00:00Z');
+
+const device = (overrides = {}) => ({
+    id: 'device-1',
+    tariff: {
+        emergencyCreditLimit: 10000,
+        friendlyHoursStart: '18:00',
+        friendlyHoursEnd: '07:00',
+        friendlyOnHolidays: true,
+        debtRecoveryRate: 25
+    },
+    ...overrides
+});
+
+test('getCreditPolicy takes device overrides over the tariff', async () => {
+    const policy = await creditPolicyService.getCreditPolicy(createClient(), device({ emergencyCreditLimit: 0, friendlyHoursStart: null }));
+
+    assert.equal(policy.emergencyCreditLimit, 0);
+    assert.equal(policy.friendlyHoursStart, '18:00');
+    assert.equal(policy.debtRecoveryRate, 25);
+});
+
+test('authoriseUsage debits the balance while it covers the usage', async () => {
+    const decision = await creditPolicyService.authoriseUsage(createClient(), device(), 5000, 5000, MORNING);
+
+    assert.equal(decision.allowed, true);
+    assert.equal(decision.mode, SUPPLY_MODE.BALANCE);
+});
+
+test('authoriseUsage draws on emergency credit up to the limit', async () => {
+    const within = await creditPolicyService.authoriseUsage(createClient(), device(), 1000, 11000, MORNING);
+    const beyond = await creditPolicyService.authoriseUsage(createClient(), device(), 1000, 11001, MORNING);
+
+    assert.equal(within.mode, SUPPLY_MODE.EMERGENCY_CREDIT);
+    assert.equal(beyond.allowed, false);
+});
+
+test('authoriseUsage keeps supply on during friendly hours spanning midnight', async () => {
+    const decision = await creditPolicyService.authoriseUsage(createClient(), device({ emergencyCreditLimit: 0 }), 0, 50000, NIGHT);
+
+    assert.equal(decision.allowed, true);
+    assert.equal(decision.mode, SUPPLY_MODE.FRIENDLY_HOURS);
+});
+
+test('authoriseUsage keeps supply on during holidays when the policy says so', async () => {
+    const onHoliday = await creditPolicyService.authoriseUsage(createClient(true), device({ emergencyCreditLimit: 0 }), 0, 50000, MORNING);
+    const notOnHolidays = await creditPolicyService.authoriseUsage(createClient(true), device({ emergencyCreditLimit: 0, friendlyOnHolidays: false }), 0, 50000, MORNING);
+
+    assert.equal(onHoliday.mode, SUPPLY_MODE.HOLIDAY);
+    assert.equal(notOnHolidays.allowed, false);
+});
+
+test('canContinueSupply closes the meter once emergency credit is used up', async () => {
+    const policy = await creditPolicyService.getCreditPolicy(createClient(), device());
+
+    assert.equal(await creditPolicyService.canContinueSupply(createClient(), policy, -9999, MORNING), true);
+    assert.equal(await creditPolicyService.canContinueSupply(createClient(), policy, -10000, MORNING), false);
+    assert.equal(await creditPolicyService.canContinueSupply(createClient(), policy, -10000, NIGHT), true);
+});
+
+test('describeEmergencyCredit reports what is left of the limit', () => {
+    assert.deepEqual(creditPolicyService.describeEmergencyCredit({ emergencyCreditLimit: 10000 }, -2500), {
+        limit: 10000,
+        used: 2500,
+        remaining: 7500
+    });
+});
@@ -0,0 +1,101 @@
+// tests/services/debtService.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('../helpers/prisma');
+const { createLedgerClient } = require('../helpers/ledger');
+const debtService = require('../../src/services/debtService');
+const {
+    DEBT_STATUS,
+    LEDGER_ENTRY_TYPE
+} = require('../../src/config/constants');
+
+/**
+ * Ledger client with in-memory debts and repayments
+ * @param {Array} debts - Debts of device-1, oldest first
+ * @param {Number} balance - Cached balance of device-1 after the credit was posted
+ * @returns {Object} Transaction client
+ */
+const createDebtClient = (debts, balance) => {
+    const tx = createLedgerClient({ 'device-1': balance });
+    tx.debts = debts.map(debt => ({ deviceId: 'device-1', source: 'postpaid_bill', status: DEBT_STATUS.OUTSTANDING, ...debt }));
+    tx.repayments = [];
+
+    const outstandingDebts = () => tx.debts.filter(debt => debt.status === DEBT_STATUS.OUTSTANDING);
+
+    tx.debt = {
+        findMany: async () => outstandingDebts(),
+        update: async ({ where, data }) => Object.assign(tx.debts.find(debt => debt.id === where.id), data),
+        aggregate: async () => ({
+            _sum: {
+                outstanding: outstandingDebts().reduce((sum, debt) => sum + debt.outstanding, 0) || null
+            }
+        })
+    };
+    tx.debtRepayment = {
+        create: async ({ data }) => {
+            tx.repayments.push(data);
+            return data;
+        }
+    };
+
+    return tx;
+};
+
+test('recoverFromCredit pays the oldest debt first with the recovery rate of the credit', async () => {
+    const tx = createDebtClient([
+        { id: 'debt-1', outstanding: 10000 },
+        { id: 'debt-2', outstanding: 30000 }
+    ], 100000);
+
+    const result = await debtService.recoverFromCredit(tx, {
+        deviceId: 'device-1',
+        tokenId: 'token-1',
+        creditAmount: 100000,
+        recoveryRate: 25
+    });
+
+    assert.equal(result.recovered, 25000);
+    assert.deepEqual(result.repayments, [
+        { debtId: 'debt-1', amount: 10000, outstanding: 0 },
+        { debtId: 'debt-2', amount: 15000, outstanding: 15000 }
+    ]);
+    assert.equal(result.outstanding, 15000);
+    assert.equal(tx.debts[0].status, DEBT_STATUS.PAID);
+    assert.equal(tx.debts[1].status, DEBT_STATUS.OUTSTANDING);
+    assert.equal(result.balance.balance, 75000);
+});
+
+test('recoverFromCredit posts each repayment to the ledger against the token', async () => {
+    const tx = createDebtClient([{ id: 'debt-1', outstanding: 5000 }], 20000);
+
+    await debtService.recoverFromCredit(tx, {
+        deviceId: 'device-1',
+        tokenId: 'token-1',
+        creditAmount: 20000,
+        recoveryRate: 50
+    });
+
+    assert.deepEqual(tx.entries.map(entry => [entry.type, entry.amount, entry.referenceId]), [
+        [LEDGER_ENTRY_TYPE.DEBT_RECOVERY, -5000, 'debt-1']
+    ]);
+    assert.deepEqual(tx.repayments, [{ debtId: 'debt-1', tokenId: 'token-1', amount: 5000 }]);
+});
+
+test('recoverFromCredit recovers nothing at a zero rate or without debt', async () => {
+    const noRate = await debtService.recoverFromCredit(createDebtClient([{ id: 'debt-1', outstanding: 5000 }], 20000), {
+        deviceId: 'device-1',
+        tokenId: 'token-1',
+        creditAmount: 20000,
+        recoveryRate: 0
+    });
+    const noDebt = await debtService.recoverFromCredit(createDebtClient([], 20000), {
+        deviceId: 'device-1',
+        tokenId: 'token-1',
+        creditAmount: 20000,
+        recoveryRate: 25
+    });
+
+    assert.equal(noRate.recovered, 0);
+    assert.equal(noRate.balance, null);
+    assert.equal(noDebt.recovered, 0);
+});
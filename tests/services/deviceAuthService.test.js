@@ -0,0 +1,143 @@
+// tests/services/deviceAuthService.test.js
+process.env.DEVICE_SECRET_KEY = 'test-server-key';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPrisma } = require('../helpers/prisma');
+const deviceAuthService = require('../../src/services/deviceAuthService');
+const {
+    DEVICE_AUTH
+} = require('../../src/config/constants');
+
+let credential;
+let secret;
+let nonces;
+let restorePrisma;
+
+beforeEach(() => {
+    const issued = deviceAuthService.generateDeviceSecret();
+    secret = issued.secret;
+    credential = { signingKey: issued.signingKey };
+    nonces = new Set();
+
+    restorePrisma = stubPrisma({
+        device: {
+            findFirst: async ({ where }) => where.deviceKey === 'METER-1' ? { id: 'device-1', credential } : null
+        },
+        deviceNonce: {
+            create: async ({ data }) => {
+                const key = `${data.deviceId}:${data.nonce}`;
+                if (nonces.has(key)) {
+                    throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+                }
+                nonces.add(key);
+                return data;
+            }
+        }
+    });
+});
+
+afterEach(() => {
+    restorePrisma();
+});
+
+// Sign a request the way a device does
+const signed = (body, { nonce = 'nonce-1', timestamp = String(Date.now()), key = deviceAuthService.hashDeviceSecret(secret) } = {}) => ({
+    timestamp,
+    nonce,
+    body,
+    signature: deviceAuthService.signDeviceRequest(key, timestamp, nonce, body)
+});
+
+test('the stored signing key is encrypted', () => {
+    const signingKey = deviceAuthService.hashDeviceSecret(secret);
+
+    assert.ok(!credential.signingKey.includes(signingKey));
+    assert.ok(!credential.signingKey.includes(secret));
+    assert.equal(deviceAuthService.decryptSigningKey(credential.signingKey), signingKey);
+});
+
+test('a request signed with the device secret is accepted', async () => {
+    assert.equal(await deviceAuthService.verifyDeviceRequest('METER-1', signed('{"usageAmount":1}')), true);
+});
+
+test('a replayed request is rejected', async () => {
+    const request = signed('{"usageAmount":1}');
+    await deviceAuthService.verifyDeviceRequest('METER-1', request);
+
+    await assert.rejects(deviceAuthService.verifyDeviceRequest('METER-1', request), { message: 'Request has already been processed' });
+});
+
+test('a tampered body is rejected', async () => {
+    const request = signed('{"usageAmount":1}');
+
+    await assert.rejects(deviceAuthService.verifyDeviceRequest('METER-1', {
+        ...request,
+        body: '{"usageAmount":0.01}'
+    }), { message: 'Invalid device signature' });
+});
+
+test('a request outside the signature window is rejected', async () => {
+    const stale = String(Date.now() - (DEVICE_AUTH.SIGNATURE_WINDOW + 60) * 1000);
+
+    await assert.rejects(deviceAuthService.verifyDeviceRequest('METER-1', signed('{}', { timestamp: stale })), /outside the allowed window/);
+});
+
+test('the stored value alone cannot sign requests', async () => {
+    await assert.rejects(deviceAuthService.verifyDeviceRequest('METER-1', signed('{}', { key: credential.signingKey })), { message: 'Invalid device signature' });
+});
+
+test('devices without a secret must sign unless signatures are turned off for migration', async () => {
+    credential = null;
+
+    await assert.rejects(deviceAuthService.verifyDeviceRequest('METER-1', {}), { statusCode: 401 });
+
+    DEVICE_AUTH.REQUIRE_SIGNATURE = false;
+    try {
+        assert.equal(await deviceAuthService.verifyDeviceRequest('METER-1', {}), false);
+    } finally {
+        DEVICE_AUTH.REQUIRE_SIGNATURE = true;
+    }
+});
+
+test('a credential stored before signing keys were encrypted cannot sign', async () => {
+    credential = { signingKey: null };
+
+    await assert.rejects(deviceAuthService.verifyDeviceRequest('METER-1', signed('{}')), /no secret/);
+});
+
+test('secrets cannot be issued without DEVICE_SECRET_KEY', () => {
+    const key = DEVICE_AUTH.SECRET_KEY;
+
+    DEVICE_AUTH.SECRET_KEY = '';
+    try {
+        assert.throws(() => deviceAuthService.generateDeviceSecret(), {
+            statusCode: 503,
+            message: 'Device secrets are not configured on this server: set DEVICE_SECRET_KEY and restart it'
+        });
+    } finally {
+        DEVICE_AUTH.SECRET_KEY = key;
+    }
+});
+
+test('issueMissingSecrets gives every device without a secret one it can sign with', async () => {
+    const stored = new Map();
+    const restore = stubPrisma({
+        device: {
+            findMany: async () => [{ id: 'device-2', deviceKey: 'METER-2' }]
+        },
+        deviceCredential: {
+            upsert: async ({ where, create }) => stored.set(where.deviceId, create.signingKey)
+        }
+    });
+
+    let issued;
+    try {
+        issued = await deviceAuthService.issueMissingSecrets();
+    } finally {
+        restore();
+    }
+
+    assert.deepEqual(issued.map(item => item.deviceKey), ['METER-2']);
+    assert.equal(deviceAuthService.decryptSigningKey(stored.get('device-2')), deviceAuthService.hashDeviceSecret(issued[0].secret));
+});
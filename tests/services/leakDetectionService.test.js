@@ -0,0 +1,145 @@
+// tests/services/leakDetectionService.test.js
+// Close the valve on critical leaks, read when the constants load
+process.env.LEAK_VALVE_CLOSE_SEVERITY = 'critical';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPrisma } = require('../helpers/prisma');
+const { createMemoryModel } = require('../helpers/memoryModel');
+const leakDetectionService = require('../../src/services/leakDetectionService');
+const {
+    ALERT_SEVERITY,
+    ALERT_STATUS,
+    ALERT_TYPE,
+    ROLLUP_GRANULARITY
+} = require('../../src/config/constants');
+
+const HOUR = 3600000;
+const device = { id: 'device-1', deviceKey: 'METER-1' };
+
+// 12:30 in Asia/Jakarta, the organisation zone
+const at = new Date('2024-03-10T05:30:00Z');
+const currentHour = new Date('2024-03-10T05:00:00Z');
+const today = new Date('2024-03-09T17:00:00Z');
+
+let usageRollup;
+let alert;
+let resolved;
+let restorePrisma;
+
+beforeEach(() => {
+    resolved = [];
+    usageRollup = createMemoryModel({ name: 'rollup' });
+    alert = createMemoryModel({ name: 'alert', defaults: { occurrences: 1 } });
+    alert.groupBy = async () => resolved;
+
+    restorePrisma = stubPrisma({
+        usageRollup,
+        alert
+    });
+});
+
+afterEach(() => {
+    restorePrisma();
+});
+
+/**
+ * Store hourly rollups with the same volume for consecutive hours
+ * @param {Number} hours - Number of hours
+ * @param {Number} volume - Volume of each hour
+ * @param {Date} last - Start of the last hour
+ */
+const flowFor = (hours, volume, last = currentHour) => {
+    for (let i = 0; i < hours; i++) {
+        usageRollup.rows.push({
+            deviceId: device.id,
+            granularity: ROLLUP_GRANULARITY.HOUR,
+            periodStart: new Date(last.getTime() - i * HOUR),
+            volume
+        });
+    }
+};
+
+const alertTypes = () => alert.rows.map(row => [row.type, row.severity]);
+
+test('a day of uninterrupted flow raises continuous and night flow alerts', async () => {
+    flowFor(24, 0.05);
+
+    const raised = await leakDetectionService.analyseUsage(device, at);
+
+    assert.deepEqual(alertTypes(), [
+        [ALERT_TYPE.CONTINUOUS_FLOW, ALERT_SEVERITY.MEDIUM],
+        [ALERT_TYPE.NIGHT_FLOW, ALERT_SEVERITY.MEDIUM]
+    ]);
+    assert.equal(alert.rows[0].details.hours, 24);
+    assert.equal(raised.every(item => !item.closeValve), true);
+});
+
+test('flow that stops during the day is not a leak, a steady night flow is', async () => {
+    // 00:00 to 05:59 Jakarta, then nothing until the report
+    flowFor(6, 0.02, new Date('2024-03-09T22:00:00Z'));
+
+    await leakDetectionService.analyseUsage(device, at);
+
+    assert.deepEqual(alertTypes(), [[ALERT_TYPE.NIGHT_FLOW, ALERT_SEVERITY.LOW]]);
+    assert.equal(alert.rows[0].details.minimumFlow, 0.02);
+});
+
+test('a day far above the rolling baseline raises a usage spike', async () => {
+    for (let day = 1; day <= 14; day++) {
+        usageRollup.rows.push({
+            deviceId: device.id,
+            granularity: ROLLUP_GRANULARITY.DAY,
+            periodStart: new Date(today.getTime() - day * 24 * HOUR),
+            volume: 0.2
+        });
+    }
+    usageRollup.rows.push({ deviceId: device.id, granularity: ROLLUP_GRANULARITY.DAY, periodStart: today, volume: 1 });
+
+    await leakDetectionService.analyseUsage(device, at);
+
+    assert.deepEqual(alertTypes(), [[ALERT_TYPE.USAGE_SPIKE, ALERT_SEVERITY.MEDIUM]]);
+    assert.equal(alert.rows[0].details.ratio, 5);
+});
+
+test('a leak still open is updated, and raised again only when it escalates', async () => {
+    flowFor(24, 0.05);
+    await leakDetectionService.analyseUsage(device, at);
+
+    const unchanged = await leakDetectionService.analyseUsage(device, at);
+    assert.deepEqual(unchanged, []);
+    assert.equal(alert.rows.length, 2);
+    assert.equal(alert.rows[0].occurrences, 2);
+
+    flowFor(24, 0.05, new Date(currentHour.getTime() - 24 * HOUR));
+    const escalated = await leakDetectionService.analyseUsage(device, at);
+
+    assert.deepEqual(escalated.map(item => [item.type, item.severity]), [[ALERT_TYPE.CONTINUOUS_FLOW, ALERT_SEVERITY.HIGH]]);
+    assert.equal(alert.rows.length, 2);
+    assert.equal(alert.rows[0].severity, ALERT_SEVERITY.HIGH);
+});
+
+test('a resolved leak is not raised again from the readings before it was resolved', async () => {
+    flowFor(24, 0.05);
+    resolved = [
+        { type: ALERT_TYPE.CONTINUOUS_FLOW, _max: { resolvedAt: new Date(currentHour.getTime() - 2 * HOUR) } },
+        { type: ALERT_TYPE.NIGHT_FLOW, _max: { resolvedAt: new Date(currentHour.getTime() - 2 * HOUR) } }
+    ];
+
+    const raised = await leakDetectionService.analyseUsage(device, at);
+
+    assert.deepEqual(raised, []);
+    assert.equal(alert.rows.length, 0);
+});
+
+test('a critical leak asks for the valve to be closed', async () => {
+    flowFor(100, 0.05);
+
+    const raised = await leakDetectionService.analyseUsage(device, at);
+    const continuous = raised.find(item => item.type === ALERT_TYPE.CONTINUOUS_FLOW);
+
+    assert.equal(continuous.severity, ALERT_SEVERITY.CRITICAL);
+    assert.equal(continuous.closeValve, true);
+    assert.equal(alert.rows.find(row => row.type === ALERT_TYPE.CONTINUOUS_FLOW).valveCloseRequested, true);
+    assert.equal(alert.rows.every(row => row.status === ALERT_STATUS.OPEN), true);
+});
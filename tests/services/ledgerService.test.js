@@ -0,0 +1,85 @@
+// tests/services/ledgerService.test.js
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPrisma } = require('../helpers/prisma');
+const { createLedgerClient } = require('../helpers/ledger');
+const ledgerService = require('../../src/services/ledgerService');
+const {
+    LEDGER_ENTRY_TYPE,
+    LEDGER_REFERENCE_TYPE
+} = require('../../src/config/constants');
+
+let restorePrisma = () => {};
+
+afterEach(() => {
+    restorePrisma();
+});
+
+test('postTransaction opens a balance with the first entry', async () => {
+    const tx = createLedgerClient();
+
+    const { transaction, balance } = await ledgerService.postTransaction(tx, {
+        deviceId: 'device-1',
+        type: LEDGER_ENTRY_TYPE.CREDIT,
+        amount: 50000,
+        referenceType: LEDGER_REFERENCE_TYPE.TOKEN,
+        referenceId: 'token-1',
+        lastToken: '12345678901234567890'
+    });
+
+    assert.equal(balance.balance, 50000);
+    assert.equal(transaction.balanceBefore, 0);
+    assert.equal(transaction.balanceAfter, 50000);
+    assert.equal(transaction.referenceId, 'token-1');
+});
+
+test('postTransaction records the balance before and after each entry', async () => {
+    const tx = createLedgerClient({ 'device-1': 10000 });
+
+    await ledgerService.postTransaction(tx, {
+        deviceId: 'device-1',
+        type: LEDGER_ENTRY_TYPE.DEBIT,
+        amount: -2500
+    });
+    const { transaction } = await ledgerService.postTransaction(tx, {
+        deviceId: 'device-1',
+        type: LEDGER_ENTRY_TYPE.DEBIT,
+        amount: -2500
+    });
+
+    assert.equal(tx.balances['device-1'], 5000);
+    assert.equal(transaction.balanceBefore, 7500);
+    assert.equal(transaction.balanceAfter, 5000);
+    assert.equal(tx.entries.length, 2);
+});
+
+test('postTransaction refuses unknown entry types without touching the balance', async () => {
+    const tx = createLedgerClient({ 'device-1': 10000 });
+
+    await assert.rejects(ledgerService.postTransaction(tx, {
+        deviceId: 'device-1',
+        type: 'gift',
+        amount: 1000
+    }), {
+        message: 'Unknown ledger entry type: gift'
+    });
+    assert.equal(tx.balances['device-1'], 10000);
+    assert.equal(tx.entries.length, 0);
+});
+
+test('rebuildBalance restores a drifted cached balance from the ledger', async () => {
+    const tx = createLedgerClient();
+    restorePrisma = stubPrisma({
+        $transaction: async (fn) => fn(tx)
+    });
+
+    await ledgerService.postTransaction(tx, { deviceId: 'device-1', type: LEDGER_ENTRY_TYPE.CREDIT, amount: 50000 });
+    await ledgerService.postTransaction(tx, { deviceId: 'device-1', type: LEDGER_ENTRY_TYPE.DEBIT, amount: -12000 });
+    tx.balances['device-1'] = 99999;
+
+    const result = await ledgerService.rebuildBalance('device-1');
+
+    assert.equal(result.drifted, true);
+    assert.equal(result.previousBalance, 99999);
+    assert.equal(result.balance.balance, 38000);
+});
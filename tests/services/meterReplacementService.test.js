@@ -0,0 +1,142 @@
+// tests/services/meterReplacementService.test.js
+process.env.DEVICE_SECRET_KEY = 'test-server-key';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, stubPrisma } = require('../helpers/prisma');
+const { createLedgerClient } = require('../helpers/ledger');
+const { createMemoryModel } = require('../helpers/memoryModel');
+const meterReplacementService = require('../../src/services/meterReplacementService');
+const deviceAuthService = require('../../src/services/deviceAuthService');
+const {
+    DEBT_STATUS,
+    LEDGER_ENTRY_TYPE,
+    ROLES,
+    TOKEN_STATUS
+} = require('../../src/config/constants');
+
+let ledger;
+let device;
+let token;
+let debt;
+let meterReplacement;
+let restorePrisma;
+
+beforeEach(() => {
+    ledger = createLedgerClient({ 'device-1': 25000 });
+    device = createMemoryModel({ name: 'device', defaults: { decommissionedAt: null } });
+    device.rows.push({
+        id: 'device-1',
+        deviceKey: 'METER-1',
+        status: true,
+        userId: 'customer-1',
+        tariffId: 'tariff-1',
+        emergencyCreditLimit: 10000,
+        decommissionedAt: null
+    });
+
+    token = createMemoryModel({ name: 'token' });
+    token.rows.push(
+        { id: 'token-1', deviceId: 'device-1', status: TOKEN_STATUS.UNUSED },
+        { id: 'token-2', deviceId: 'device-1', status: TOKEN_STATUS.USED }
+    );
+
+    debt = createMemoryModel({ name: 'debt' });
+    debt.rows.push(
+        { id: 'debt-1', deviceId: 'device-1', status: DEBT_STATUS.OUTSTANDING },
+        { id: 'debt-2', deviceId: 'device-1', status: DEBT_STATUS.PAID }
+    );
+
+    const findDevice = id => device.rows.find(row => row.id === id);
+    meterReplacement = createMemoryModel({
+        name: 'replacement',
+        relations: {
+            oldDevice: row => findDevice(row.oldDeviceId),
+            newDevice: row => findDevice(row.newDeviceId)
+        }
+    });
+
+    restorePrisma = stubPrisma({
+        device,
+        token,
+        debt,
+        meterReplacement,
+        balance: ledger.balance,
+        balanceTransaction: ledger.balanceTransaction,
+        $transaction: async (fn) => fn(prisma)
+    });
+});
+
+afterEach(() => {
+    restorePrisma();
+});
+
+const replace = (deviceKey = 'METER-2') => meterReplacementService.replaceMeter('device-1', {
+    deviceKey,
+    reason: 'Display failed'
+}, 'admin-1', ROLES.ADMIN);
+
+test('replaceMeter moves the balance, unused tokens and outstanding debt to the new meter', async () => {
+    const replacement = await replace();
+    const newDeviceId = replacement.newDevice.id;
+
+    assert.equal(replacement.newDevice.deviceKey, 'METER-2');
+    assert.equal(replacement.newDevice.userId, 'customer-1');
+    assert.equal(replacement.newDevice.emergencyCreditLimit, 10000);
+    assert.notEqual(replacement.oldDevice.decommissionedAt, null);
+    assert.equal(replacement.oldDevice.status, false);
+
+    assert.equal(replacement.balanceTransferred, 25000);
+    assert.equal(replacement.tokensTransferred, 1);
+    assert.equal(replacement.debtsTransferred, 1);
+    assert.deepEqual(token.rows.map(row => row.deviceId), [newDeviceId, 'device-1']);
+    assert.deepEqual(debt.rows.map(row => row.deviceId), [newDeviceId, 'device-1']);
+});
+
+test('replaceMeter moves the balance through the ledger of both meters', async () => {
+    const replacement = await replace();
+
+    assert.equal(ledger.balances['device-1'], 0);
+    assert.equal(ledger.balances[replacement.newDevice.id], 25000);
+    assert.deepEqual(ledger.entries.map(entry => [entry.deviceId, entry.type, entry.amount]), [
+        ['device-1', LEDGER_ENTRY_TYPE.TRANSFER, -25000],
+        [replacement.newDevice.id, LEDGER_ENTRY_TYPE.TRANSFER, 25000]
+    ]);
+});
+
+test('replaceMeter issues the new meter its own secret', async () => {
+    const replacement = await replace();
+    const { credential } = device.rows.find(row => row.id === replacement.newDevice.id);
+
+    assert.match(replacement.secret, /^[0-9a-f]{64}$/);
+    assert.equal(deviceAuthService.decryptSigningKey(credential.create.signingKey), deviceAuthService.hashDeviceSecret(replacement.secret));
+});
+
+test('replaceMeter refuses a meter that was already replaced', async () => {
+    await replace();
+
+    await assert.rejects(replace('METER-3'), {
+        statusCode: 409,
+        message: 'Device has already been decommissioned'
+    });
+});
+
+test('replaceMeter refuses a device key that is already in use', async () => {
+    await assert.rejects(replace('METER-1'), {
+        statusCode: 409,
+        message: 'Device key already exists'
+    });
+    assert.equal(device.rows[0].decommissionedAt, null);
+});
+
+test('getDeviceLineage follows a meter back through every meter it replaced', async () => {
+    const first = await replace();
+    const second = await meterReplacementService.replaceMeter(first.newDevice.id, {
+        deviceKey: 'METER-3',
+        reason: 'Water damage'
+    }, 'admin-1', ROLES.ADMIN);
+
+    const lineage = await meterReplacementService.getDeviceLineage(prisma, second.newDevice.id);
+
+    assert.deepEqual(lineage, [second.newDevice.id, first.newDevice.id, 'device-1']);
+});
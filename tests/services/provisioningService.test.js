@@ -0,0 +1,79 @@
+// tests/services/provisioningService.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { prisma, stubPrisma } = require('../helpers/prisma');
+const { createMemoryModel } = require('../helpers/memoryModel');
+const provisioningService = require('../../src/services/provisioningService');
+const {
+    DEVICE_PROVISIONING
+} = require('../../src/config/constants');
+
+const CLAIM_CODE = 'ABCD2345';
+
+let device;
+let deviceCredential;
+let restorePrisma;
+
+beforeEach(() => {
+    deviceCredential = createMemoryModel({ name: 'credential' });
+    deviceCredential.rows.push({
+        id: 'credential-1',
+        deviceId: 'device-1',
+        claimCodeHash: crypto.createHash('sha256').update(CLAIM_CODE).digest('hex'),
+        claimCodeExpiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        claimAttempts: 0
+    });
+    device = { id: 'device-1', deviceKey: 'METER-1', userId: null, status: false };
+
+    restorePrisma = stubPrisma({
+        user: {
+            findUnique: async ({ where }) => where.id === 'customer-1' ? { id: 'customer-1' } : null
+        },
+        device: {
+            findFirst: async ({ where }) => where.deviceKey === device.deviceKey && device.userId === null ? {
+                ...device,
+                credential: { ...deviceCredential.rows[0] }
+            } : null,
+            update: async ({ data }) => Object.assign(device, data)
+        },
+        deviceCredential,
+        $transaction: async (fn) => fn(prisma)
+    });
+});
+
+afterEach(() => {
+    restorePrisma();
+});
+
+const claim = (claimCode) => provisioningService.claimDevice({
+    deviceKey: 'METER-1',
+    claimCode,
+    userId: 'customer-1'
+}, 'staff-1');
+
+test('a meter is claimed with its claim code', async () => {
+    const claimed = await claim(CLAIM_CODE.toLowerCase());
+
+    assert.equal(claimed.userId, 'customer-1');
+    assert.equal(claimed.status, true);
+    assert.equal(deviceCredential.rows[0].claimCodeHash, null);
+});
+
+test('the claim code stops working after too many wrong codes', async () => {
+    for (let i = 0; i < DEVICE_PROVISIONING.CLAIM_MAX_ATTEMPTS; i++) {
+        await assert.rejects(claim('WRONG234'), { message: 'Invalid claim code' });
+    }
+
+    await assert.rejects(claim(CLAIM_CODE), /Too many failed claim attempts/);
+    assert.equal(device.userId, null);
+});
+
+test('parallel guesses cannot get past the attempt limit', async () => {
+    const guesses = Array.from({ length: DEVICE_PROVISIONING.CLAIM_MAX_ATTEMPTS * 2 }, () => claim('WRONG234'));
+    const results = await Promise.allSettled(guesses);
+
+    const compared = results.filter(result => result.reason.message === 'Invalid claim code').length;
+    assert.equal(compared, DEVICE_PROVISIONING.CLAIM_MAX_ATTEMPTS);
+    assert.equal(deviceCredential.rows[0].claimAttempts, DEVICE_PROVISIONING.CLAIM_MAX_ATTEMPTS);
+});
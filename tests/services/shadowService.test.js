@@ -0,0 +1,139 @@
+// tests/services/shadowService.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPrisma } = require('../helpers/prisma');
+const shadowService = require('../../src/services/shadowService');
+
+let device;
+let shadow;
+let restorePrisma;
+
+beforeEach(() => {
+    device = {
+        id: 'device-1',
+        deviceKey: 'METER-1',
+        userId: 'customer-1',
+        status: true,
+        decommissionedAt: null
+    };
+    shadow = null;
+
+    restorePrisma = stubPrisma({
+        device: {
+            findFirst: async ({ where }) => {
+                const matches = Object.entries(where).every(([field, value]) => device[field] === value);
+                return matches ? { ...device, shadow } : null;
+            }
+        },
+        deviceShadow: {
+            create: async ({ data }) => {
+                if (shadow) {
+                    throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+                }
+                shadow = { ...data };
+                return shadow;
+            },
+            updateMany: async ({ where, data }) => {
+                if (!shadow || shadow.version !== where.version) {
+                    return { count: 0 };
+                }
+                shadow = { ...shadow, ...data, version: shadow.version + data.version.increment };
+                return { count: 1 };
+            },
+            upsert: async ({ create, update }) => {
+                shadow = shadow ? { ...shadow, ...update } : { version: 0, ...create };
+                return shadow;
+            }
+        }
+    });
+});
+
+afterEach(() => {
+    restorePrisma();
+});
+
+const setDesired = (desired, version) => shadowService.updateDesiredState('device-1', { desired, version }, 'admin-1', 'ADMIN');
+
+test('the first desired change creates the shadow with everything in the delta', async () => {
+    const result = await setDesired({ reportingInterval: 300, valve: 'open' });
+
+    assert.equal(result.version, 1);
+    assert.deepEqual(result.desired, { reportingInterval: 300, valve: 'open' });
+    assert.deepEqual(result.delta, { reportingInterval: 300, valve: 'open' });
+});
+
+test('desired changes are merged, nested objects key by key and null removes a setting', async () => {
+    await setDesired({ valve: 'open', thresholds: { lowBalance: 10000, leakHours: 24 } });
+
+    const result = await setDesired({ valve: null, thresholds: { leakHours: 12 } }, 1);
+
+    assert.equal(result.version, 2);
+    assert.deepEqual(result.desired, { thresholds: { lowBalance: 10000, leakHours: 12 } });
+});
+
+test('a change based on an old version is refused', async () => {
+    await setDesired({ valve: 'open' });
+    await setDesired({ valve: 'closed' }, 1);
+
+    await assert.rejects(setDesired({ reportingInterval: 60 }, 1), {
+        statusCode: 409,
+        message: 'Shadow has changed since version 1, it is now at version 2'
+    });
+    assert.deepEqual(shadow.desired, { valve: 'closed' });
+});
+
+test('a change that loses a race with another one is refused', async () => {
+    await setDesired({ valve: 'open' });
+    const stale = shadow;
+
+    // Another change lands between reading the shadow and writing it
+    shadow = { ...stale, version: 2 };
+    const restore = stubPrisma({
+        device: {
+            findFirst: async () => ({ ...device, shadow: stale })
+        }
+    });
+
+    try {
+        await assert.rejects(setDesired({ valve: 'closed' }), {
+            statusCode: 409,
+            message: 'Shadow changed while updating it, please try again'
+        });
+    } finally {
+        restore();
+    }
+});
+
+test('the delta shrinks to what the device has not reported yet', async () => {
+    await setDesired({ reportingInterval: 300, valve: 'closed', display: { tariff: true, language: 'id' } });
+
+    const result = await shadowService.reportState('METER-1', { reportingInterval: 300, display: { tariff: true, language: 'en' } });
+
+    assert.deepEqual(result.delta, { valve: 'closed', display: { language: 'id' } });
+
+    const applied = await shadowService.reportState('METER-1', { valve: 'closed', display: { language: 'id' } });
+
+    assert.deepEqual(applied.delta, {});
+    assert.deepEqual(applied.reported, { reportingInterval: 300, valve: 'closed', display: { tariff: true, language: 'id' } });
+});
+
+test('a device may report before any desired state is set', async () => {
+    const result = await shadowService.reportState('METER-1', { firmware: '1.2.0' });
+
+    assert.deepEqual(result.desired, {});
+    assert.deepEqual(result.reported, { firmware: '1.2.0' });
+    assert.deepEqual(result.delta, {});
+});
+
+test('the desired state of a decommissioned meter cannot change', async () => {
+    device.decommissionedAt = new Date();
+
+    await assert.rejects(setDesired({ valve: 'open' }), { statusCode: 409 });
+});
+
+test('customers cannot see or change the shadow of another customer\'s meter', async () => {
+    await assert.rejects(shadowService.getDeviceShadow('device-1', 'customer-2', 'USER'), { statusCode: 404 });
+    await assert.rejects(shadowService.updateDesiredState('device-1', { desired: { valve: 'open' } }, 'customer-2', 'USER'), {
+        statusCode: 404
+    });
+});
@@ -0,0 +1,122 @@
+// tests/services/tariffService.test.js
+process.env.REPORTING_TIMEZONE = 'Asia/Jakarta';
+
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('../helpers/prisma');
+const tariffService = require('../../src/services/tariffService');
+const meterReplacementService = require('../../src/services/meterReplacementService');
+const {
+    CHARGE_TYPE
+} = require('../../src/config/constants');
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+/**
+ * Client that records the usage query of getBillingPeriodVolume
+ * @returns {Object} Client and the recorded where clauses
+ */
+const createUsageClient = () => {
+    const queries = [];
+
+    return {
+        queries,
+        usageLog: {
+            aggregate: async ({ where }) => {
+                queries.push(where);
+                return { _sum: { usageAmount: 12.5 } };
+            }
+        }
+    };
+};
+
+test('getBillingPeriodVolume counts from midnight on the 1st in the organisation time zone', async () => {
+    mock.method(meterReplacementService, 'getDeviceLineage', async (client, deviceId) => [deviceId]);
+    const client = createUsageClient();
+
+    // 09:00 on 1 March in Jakarta, still 29 February in UTC
+    const volume = await tariffService.getBillingPeriodVolume(client, 'device-1', new Date('2024-03-01T02:00:00Z'));
+
+    assert.equal(volume, 12.5);
+    assert.equal(client.queries[0].timeStamp.gte.toISOString(), '2024-02-29T17:00:00.000Z');
+});
+
+test('getBillingPeriodVolume includes meters the device replaced', async () => {
+    mock.method(meterReplacementService, 'getDeviceLineage', async () => ['device-2', 'device-1']);
+    const client = createUsageClient();
+
+    await tariffService.getBillingPeriodVolume(client, 'device-2', new Date('2024-03-15T00:00:00Z'));
+
+    assert.deepEqual(client.queries[0].deviceId, { in: ['device-2', 'device-1'] });
+    assert.equal(client.queries[0].timeStamp.gte.toISOString(), '2024-02-29T17:00:00.000Z');
+});
+
+/**
+ * Client with one tariff version and the fixed charges tokens already paid this month
+ * @param {Number} alreadyPaid - Fixed charges collected by earlier tokens of the month
+ * @returns {Object} Client
+ */
+const createChargesClient = (alreadyPaid) => ({
+    tariffVersion: {
+        findFirst: async () => ({
+            id: 'version-1',
+            adminFee: 2500,
+            taxRate: 11,
+            fixedMonthlyCharge: 15000,
+            meterRentalCharge: 5000,
+            tiers: []
+        })
+    },
+    token: {
+        aggregate: async () => ({ _sum: { fixedCharges: alreadyPaid || null } })
+    }
+});
+
+const device = { id: 'device-1', tariffId: 'tariff-1' };
+
+test('computeTokenCharges takes no charges for devices without a tariff', async () => {
+    const charges = await tariffService.computeTokenCharges(createChargesClient(0), { id: 'device-1', tariffId: null }, 50000);
+
+    assert.equal(charges.netAmount, 50000);
+    assert.deepEqual(charges.items, []);
+});
+
+test('computeTokenCharges itemises the admin fee, included PPN and fixed charges on the first token of the month', async () => {
+    mock.method(meterReplacementService, 'getDeviceLineage', async () => ['device-1']);
+
+    const charges = await tariffService.computeTokenCharges(createChargesClient(0), device, 113500);
+
+    // 2500 fee, then 11% PPN included in the remaining 111000
+    assert.equal(charges.adminFee, 2500);
+    assert.equal(charges.taxAmount, 11000);
+    assert.equal(charges.fixedCharges, 20000);
+    assert.equal(charges.netAmount, 80000);
+    assert.deepEqual(charges.items.map(item => item.type), [
+        CHARGE_TYPE.ADMIN_FEE,
+        CHARGE_TYPE.TAX,
+        CHARGE_TYPE.FIXED_MONTHLY,
+        CHARGE_TYPE.METER_RENTAL
+    ]);
+});
+
+test('computeTokenCharges only collects the fixed charges still due this month', async () => {
+    mock.method(meterReplacementService, 'getDeviceLineage', async () => ['device-1']);
+
+    // An earlier token paid the service charge and part of the meter rental
+    const charges = await tariffService.computeTokenCharges(createChargesClient(17000), device, 113500);
+
+    assert.equal(charges.fixedCharges, 3000);
+    assert.deepEqual(charges.items.filter(item => item.type === CHARGE_TYPE.METER_RENTAL).map(item => item.amount), [3000]);
+    assert.equal(charges.netAmount, 97000);
+});
+
+test('computeTokenCharges takes no fixed charges once the month is paid', async () => {
+    mock.method(meterReplacementService, 'getDeviceLineage', async () => ['device-1']);
+
+    const charges = await tariffService.computeTokenCharges(createChargesClient(20000), device, 113500);
+
+    assert.equal(charges.fixedCharges, 0);
+    assert.equal(charges.netAmount, 100000);
+});
@@ -0,0 +1,243 @@
+// tests/services/tokenService.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPrisma } = require('../helpers/prisma');
+const { createLedgerClient } = require('../helpers/ledger');
+const { createMemoryModel } = require('../helpers/memoryModel');
+const tokenService = require('../../src/services/tokenService');
+const ledgerService = require('../../src/services/ledgerService');
+const tariffService = require('../../src/services/tariffService');
+const creditPolicyService = require('../../src/services/creditPolicyService');
+const debtService = require('../../src/services/debtService');
+const {
+    defaultTokenGenerator
+} = require('../../src/utils/tokenGenerator');
+const {
+    LEDGER_ENTRY_TYPE,
+    TOKEN_REVERSAL_TYPE,
+    TOKEN_STATUS
+} = require('../../src/config/constants');
+
+const { postTransaction } = ledgerService;
+
+let stored;
+let tx;
+let restorePrisma;
+
+beforeEach(() => {
+    stored = [];
+    tx = {
+        token: {
+            findUnique: async ({ where }) => stored.find(token => token.token === where.token) || null,
+            updateMany: async () => ({ count: 1 }),
+            update: async () => ({})
+        }
+    };
+
+    restorePrisma = stubPrisma({
+        token: {
+            findUnique: async (args) => tx.token.findUnique(args)
+        },
+        $transaction: async (fn) => fn(tx)
+    });
+    mock.method(tariffService, 'computeTokenCharges', async (client, device, amount) => ({
+        amount,
+        adminFee: 0,
+        taxAmount: 0,
+        fixedCharges: 0,
+        netAmount: amount,
+        items: []
+    }));
+    mock.method(tariffService, 'quoteVolume', async () => ({ volume: 10, tariffVersionId: null }));
+    mock.method(ledgerService, 'postTransaction', async (client, entry) => ({ balance: { balance: entry.amount } }));
+    mock.method(creditPolicyService, 'getCreditPolicy', async () => ({ debtRecoveryRate: 0 }));
+    mock.method(creditPolicyService, 'settleEmergencyCredit', async () => null);
+    mock.method(debtService, 'recoverFromCredit', async () => ({ recovered: 0, outstanding: 0, repayments: [] }));
+});
+
+afterEach(() => {
+    restorePrisma();
+    mock.restoreAll();
+});
+
+const storeToken = (overrides) => {
+    const token = {
+        id: `token-${stored.length + 1}`,
+        deviceId: 'device-1',
+        amount: 50000,
+        status: 'unused',
+        expiresAt: null,
+        statusReason: null,
+        device: {
+            id: 'device-1',
+            deviceKey: 'METER-1',
+            status: true
+        },
+        ...overrides
+    };
+    stored.push(token);
+    return token;
+};
+
+test('validateToken redeems a token in the current format', async () => {
+    const token = storeToken({ token: defaultTokenGenerator.generate(), format: defaultTokenGenerator.version });
+
+    const result = await tokenService.validateToken(defaultTokenGenerator.format(token.token), 'METER-1');
+
+    assert.equal(result.valid, true);
+    assert.equal(result.credited, 50000);
+});
+
+test('validateToken still redeems tokens issued before check digits', async () => {
+    // 16 digits without a check digit, as issued by the old generator
+    storeToken({ token: '4817392051836274', format: null });
+
+    const result = await tokenService.validateToken('4817392051836274', 'METER-1');
+
+    assert.equal(result.valid, true);
+});
+
+test('validateToken still redeems tokens issued under another length or algorithm', async () => {
+    storeToken({ token: '48173920518362741', format: 'verhoeff-17' });
+
+    const result = await tokenService.validateToken('48173920518362741', 'METER-1');
+
+    assert.equal(result.valid, true);
+});
+
+test('validateToken rejects a mistyped token before querying the database', async () => {
+    const token = defaultTokenGenerator.generate();
+    const mistyped = token.slice(0, -1) + ((Number(token.slice(-1)) + 1) % 10);
+    const lookup = mock.method(tx.token, 'findUnique');
+
+    await assert.rejects(tokenService.validateToken(mistyped, 'METER-1'), /Token checksum failed/);
+    assert.equal(lookup.mock.callCount(), 0);
+});
+
+test('validateToken reports a well-formed unknown token as invalid', async () => {
+    await assert.rejects(tokenService.validateToken(defaultTokenGenerator.generate(), 'METER-1'), {
+        message: 'Invalid token'
+    });
+});
+
+test('validateToken does not reveal the state of another device\'s token', async () => {
+    const token = storeToken({
+        token: defaultTokenGenerator.generate(),
+        format: defaultTokenGenerator.version,
+        status: 'revoked',
+        statusReason: 'Customer moved out'
+    });
+
+    await assert.rejects(tokenService.validateToken(token.token, 'METER-2'), {
+        message: 'Token does not belong to this device'
+    });
+    await assert.rejects(tokenService.validateToken(token.token, 'METER-1'), {
+        message: 'Token has been revoked: Customer moved out'
+    });
+});
+
+/**
+ * Keep tokens, their reversals and the device balance in memory and post
+ * reversals through the real ledger service
+ * @param {Object} token - Stored token
+ * @param {Number} balance - Opening balance of the token's device
+ * @returns {Object} Memory models and ledger client
+ */
+const useReversalStore = (token, balance) => {
+    const ledger = createLedgerClient({ 'device-1': balance });
+    const tokenReversal = createMemoryModel({ name: 'reversal' });
+    const tokens = createMemoryModel({
+        name: 'token',
+        relations: {
+            device: () => ({ id: 'device-1', deviceKey: 'METER-1' }),
+            reversal: row => tokenReversal.rows.find(reversal => reversal.tokenId === row.id) || null
+        }
+    });
+    tokens.rows.push({
+        id: 'token-1',
+        token: '48173920518362741',
+        deviceId: 'device-1',
+        amount: 50000,
+        netAmount: 40000,
+        status: TOKEN_STATUS.UNUSED,
+        ...token
+    });
+
+    Object.assign(tx, {
+        token: tokens,
+        tokenReversal,
+        balance: ledger.balance,
+        balanceTransaction: ledger.balanceTransaction
+    });
+    ledgerService.postTransaction.mock.mockImplementation(postTransaction);
+    mock.method(creditPolicyService, 'markEmergencyCreditUsed', async () => null);
+    mock.method(debtService, 'reinstateRepayments', async () => ({ amount: 0 }));
+
+    return { ledger, tokenReversal };
+};
+
+test('voidToken voids an unused token and records why', async () => {
+    const { ledger, tokenReversal } = useReversalStore({}, 10000);
+
+    const result = await tokenService.voidToken('token-1', 'Sold in error', 'admin-1');
+
+    assert.equal(result.status, TOKEN_STATUS.VOIDED);
+    assert.equal(result.reversal.type, TOKEN_REVERSAL_TYPE.VOID);
+    assert.equal(tokenReversal.rows[0].userId, 'admin-1');
+    assert.equal(ledger.entries.length, 0);
+});
+
+test('voidToken refuses a token that was already redeemed', async () => {
+    useReversalStore({ status: TOKEN_STATUS.USED }, 10000);
+
+    await assert.rejects(tokenService.voidToken('token-1', 'Sold in error', 'admin-1'), {
+        statusCode: 409,
+        message: 'Only unused tokens can be voided (token is used)'
+    });
+});
+
+test('reverseToken takes the token\'s net credit back through the ledger', async () => {
+    const { ledger } = useReversalStore({ status: TOKEN_STATUS.USED }, 60000);
+
+    const result = await tokenService.reverseToken('token-1', 'Payment charged back', 'admin-1');
+
+    assert.equal(result.token.status, TOKEN_STATUS.REVERSED);
+    assert.equal(result.reversedAmount, 40000);
+    assert.equal(result.balance, 20000);
+    assert.equal(ledger.entries[0].type, LEDGER_ENTRY_TYPE.REVERSAL);
+    assert.equal(ledger.entries[0].amount, -40000);
+    assert.equal(creditPolicyService.markEmergencyCreditUsed.mock.callCount(), 0);
+});
+
+test('reverseToken leaves debt repaid from the token owed instead of taking it from the balance', async () => {
+    useReversalStore({ status: TOKEN_STATUS.USED }, 60000);
+    debtService.reinstateRepayments.mock.mockImplementation(async () => ({ amount: 10000 }));
+
+    const result = await tokenService.reverseToken('token-1', 'Payment charged back', 'admin-1');
+
+    assert.equal(result.reversedAmount, 30000);
+    assert.equal(result.debtReinstated, 10000);
+    assert.equal(result.balance, 30000);
+});
+
+test('reverseToken may use the device\'s emergency credit', async () => {
+    useReversalStore({ status: TOKEN_STATUS.USED }, 10000);
+    creditPolicyService.getCreditPolicy.mock.mockImplementation(async () => ({ emergencyCreditLimit: 30000 }));
+
+    const result = await tokenService.reverseToken('token-1', 'Payment charged back', 'admin-1');
+
+    assert.equal(result.balance, -30000);
+    assert.equal(creditPolicyService.markEmergencyCreditUsed.mock.callCount(), 1);
+});
+
+test('reverseToken refuses to take the balance below the emergency credit limit', async () => {
+    const { ledger } = useReversalStore({ status: TOKEN_STATUS.USED }, 10000);
+    creditPolicyService.getCreditPolicy.mock.mockImplementation(async () => ({ emergencyCreditLimit: 20000 }));
+
+    await assert.rejects(tokenService.reverseToken('token-1', 'Payment charged back', 'admin-1'), {
+        statusCode: 409,
+        message: 'Reversal would leave the balance at -30000, below the -20000 allowed for this device'
+    });
+    assert.equal(ledger.entries.length, 0);
+    assert.equal(ledger.balances['device-1'], 10000);
+});
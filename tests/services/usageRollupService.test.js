@@ -0,0 +1,70 @@
+// tests/services/usageRollupService.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubPrisma } = require('../helpers/prisma');
+const { createMemoryModel } = require('../helpers/memoryModel');
+const usageRollupService = require('../../src/services/usageRollupService');
+const {
+    ROLLUP_GRANULARITY
+} = require('../../src/config/constants');
+
+let usageLog;
+let rollupQueries;
+let restorePrisma;
+
+// Hourly rollups of the organisation zone (Asia/Jakarta, +07:00)
+const hourlyRollups = [
+    { periodStart: new Date('2024-01-01T15:00:00Z'), _sum: { volume: 2, cost: 2000, count: 1 } },
+    { periodStart: new Date('2024-01-01T16:00:00Z'), _sum: { volume: 3, cost: 3000, count: 1 } }
+];
+
+beforeEach(() => {
+    rollupQueries = [];
+    usageLog = createMemoryModel({ name: 'usage' });
+    usageLog.rows.push(
+        { deviceId: 'device-1', timeStamp: new Date('2024-01-01T18:00:00Z'), usageAmount: 2, cost: 2000 },
+        { deviceId: 'device-1', timeStamp: new Date('2024-01-01T18:45:00Z'), usageAmount: 3, cost: 3000 }
+    );
+
+    restorePrisma = stubPrisma({
+        usageLog,
+        usageRollup: {
+            groupBy: async (query) => {
+                rollupQueries.push(query);
+                return hourlyRollups;
+            }
+        }
+    });
+});
+
+afterEach(() => {
+    restorePrisma();
+});
+
+const dailyUsage = (timeZone) => usageRollupService.getUsageSeries(
+    { deviceId: 'device-1' },
+    ROLLUP_GRANULARITY.DAY,
+    new Date('2024-01-01T00:00:00Z'),
+    new Date('2024-01-02T12:00:00Z'),
+    timeZone
+);
+
+test('getUsageSeries regroups the hourly rollups for a zone whole hours away', async () => {
+    // 15:00Z is 23:00 on the 1st in Asia/Makassar (+08:00), 16:00Z midnight on the 2nd
+    const series = await dailyUsage('Asia/Makassar');
+
+    assert.equal(rollupQueries[0].where.granularity, ROLLUP_GRANULARITY.HOUR);
+    assert.deepEqual(series.map(period => period.usage), [2, 3]);
+});
+
+test('getUsageSeries sums the usage logs for a zone the hourly rollups do not align with', async () => {
+    // 18:00Z is 23:30 on the 1st in Asia/Kolkata (+05:30), 18:45Z is 00:15 on the 2nd
+    const series = await dailyUsage('Asia/Kolkata');
+
+    assert.equal(rollupQueries.length, 0);
+    assert.deepEqual(series.map(period => [period.usage, period.cost, period.count]), [[2, 2000, 1], [3, 3000, 1]]);
+    assert.deepEqual(series.map(period => period.periodStart.toISOString()), [
+        '2023-12-31T18:30:00.000Z',
+        '2024-01-01T18:30:00.000Z'
+    ]);
+});
@@ -0,0 +1,251 @@
+// tests/services/usageService.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma, stubPrisma } = require('../helpers/prisma');
+const { createLedgerClient } = require('../helpers/ledger');
+const { createMemoryModel } = require('../helpers/memoryModel');
+const usageService = require('../../src/services/usageService');
+const tariffService = require('../../src/services/tariffService');
+const creditPolicyService = require('../../src/services/creditPolicyService');
+const usageRollupService = require('../../src/services/usageRollupService');
+const leakDetectionService = require('../../src/services/leakDetectionService');
+const {
+    DEBT_SOURCE,
+    SUPPLY_MODE
+} = require('../../src/config/constants');
+
+// Every m3 costs 1000
+const PRICE = 1000;
+
+let store;
+let restorePrisma;
+
+beforeEach(() => {
+    const ledger = createLedgerClient({ 'device-1': 100000 });
+    // Readings of a batch are written in the same instant
+    const meterReading = createMemoryModel({ name: 'reading', tick: 0, autoIncrement: 'position' });
+    const usageLog = createMemoryModel({
+        name: 'usage',
+        defaults: { bootId: '', messageId: null, sequence: null, deviceTime: null, result: null },
+        relations: {
+            reading: (log) => meterReading.rows.find(reading => reading.usageLogId === log.id) || null
+        }
+    });
+    const usageBatch = createMemoryModel({ name: 'batch' });
+    const debt = createMemoryModel({ name: 'debt' });
+    const device = createMemoryModel({
+        name: 'device',
+        relations: {
+            Balance: (row) => ({ deviceId: row.id, balance: ledger.balances[row.id] })
+        }
+    });
+    device.rows.push({
+        id: 'device-1',
+        deviceKey: 'METER-1',
+        status: true,
+        sequenceEpoch: '',
+        registerMax: null
+    });
+
+    store = {
+        ledger,
+        device,
+        usageLog,
+        usageBatch,
+        meterReading,
+        debt
+    };
+    restorePrisma = stubPrisma({
+        device,
+        usageLog,
+        usageBatch,
+        meterReading,
+        debt,
+        balance: ledger.balance,
+        balanceTransaction: ledger.balanceTransaction,
+        $transaction: async (fn) => fn(prisma)
+    });
+
+    mock.method(tariffService, 'priceUsage', async (client, device, volume) => ({
+        amount: volume * PRICE,
+        volume,
+        tariffVersionId: null,
+        lines: []
+    }));
+    mock.method(tariffService, 'quoteVolume', async (client, device, amount) => ({ volume: amount / PRICE }));
+    mock.method(usageRollupService, 'addUsage', async () => {});
+    mock.method(leakDetectionService, 'analyseUsage', async () => []);
+    mock.method(creditPolicyService, 'authoriseUsage', async (client, device, balance, cost) => ({
+        allowed: balance >= cost,
+        mode: balance >= cost ? SUPPLY_MODE.BALANCE : null,
+        policy: { emergencyCreditLimit: 0 }
+    }));
+    mock.method(creditPolicyService, 'markEmergencyCreditUsed', async () => {});
+    mock.method(creditPolicyService, 'canContinueSupply', async (client, policy, balance) => balance > 0);
+});
+
+afterEach(() => {
+    restorePrisma();
+    mock.restoreAll();
+});
+
+const billed = () => 100000 - store.ledger.balances['device-1'];
+
+test('a retried report is replayed, not billed again', async () => {
+    const report = { usageAmount: 2, sequence: 1, timestamp: new Date().toISOString() };
+
+    const first = await usageService.ingestDeviceUsage('METER-1', report);
+    const retry = await usageService.ingestDeviceUsage('METER-1', report);
+
+    assert.equal(first.duplicate, false);
+    assert.equal(retry.duplicate, true);
+    assert.equal(retry.cost, first.cost);
+    assert.equal(store.usageLog.rows.length, 1);
+    assert.equal(billed(), 2000);
+});
+
+test('sequences restart with a new boot ID without being dropped', async () => {
+    await usageService.ingestDeviceUsage('METER-1', { usageAmount: 2, sequence: 1, bootId: 'boot-1' });
+    await usageService.ingestDeviceUsage('METER-1', { usageAmount: 2, sequence: 2, bootId: 'boot-1' });
+    const afterReboot = await usageService.ingestDeviceUsage('METER-1', { usageAmount: 2, sequence: 1, bootId: 'boot-2' });
+
+    assert.equal(afterReboot.duplicate, false);
+    assert.equal(afterReboot.sequenceGap, null);
+    assert.equal(afterReboot.sequenceReset, false);
+    assert.equal(billed(), 6000);
+});
+
+test('a restarted counter without a boot ID is billed and flagged for review', async () => {
+    const before = Date.now() - 60 * 60 * 1000;
+    await usageService.ingestDeviceUsage('METER-1', { usageAmount: 2, sequence: 1, timestamp: new Date(before).toISOString() });
+    await usageService.ingestDeviceUsage('METER-1', { usageAmount: 2, sequence: 2, timestamp: new Date(before + 60000).toISOString() });
+
+    // The meter rebooted and counts from 1 again
+    const reused = await usageService.ingestDeviceUsage('METER-1', { usageAmount: 3, sequence: 1, timestamp: new Date().toISOString() });
+    const next = await usageService.ingestDeviceUsage('METER-1', { usageAmount: 1, sequence: 2, timestamp: new Date().toISOString() });
+
+    assert.equal(reused.duplicate, false);
+    assert.equal(reused.sequenceReset, true);
+    assert.equal(next.duplicate, false);
+    assert.equal(next.sequenceReset, false);
+    assert.equal(billed(), 8000);
+    assert.notEqual(store.device.rows[0].sequenceEpoch, '');
+    assert.deepEqual(store.usageLog.rows.map(log => log.sequenceReset), [false, false, true, false]);
+});
+
+test('a retry after the counter restarted is still replayed', async () => {
+    await usageService.ingestDeviceUsage('METER-1', { usageAmount: 2, sequence: 1, timestamp: new Date(Date.now() - 60000).toISOString() });
+    const report = { usageAmount: 3, sequence: 1, timestamp: new Date().toISOString() };
+
+    await usageService.ingestDeviceUsage('METER-1', report);
+    const retry = await usageService.ingestDeviceUsage('METER-1', report);
+
+    assert.equal(retry.duplicate, true);
+    assert.equal(billed(), 5000);
+});
+
+test('a batch with a restarted counter bills every reading once', async () => {
+    const start = Date.now() - 60 * 60000;
+    const at = (minutes) => new Date(start + minutes * 60000).toISOString();
+    await usageService.ingestDeviceUsage('METER-1', { usageAmount: 1, sequence: 1, timestamp: at(0) });
+    await usageService.ingestDeviceUsage('METER-1', { usageAmount: 1, sequence: 2, timestamp: at(1) });
+
+    const result = await usageService.ingestUsageBatch('METER-1', [
+        { usageAmount: 1, sequence: 2, timestamp: at(1) },
+        { usageAmount: 2, sequence: 1, timestamp: at(10) },
+        { usageAmount: 2, sequence: 2, timestamp: at(11) },
+        { usageAmount: 2, sequence: 3, timestamp: at(12) }
+    ]);
+
+    assert.deepEqual(result.results.map(entry => entry.status), ['duplicate', 'accepted', 'accepted', 'accepted']);
+    assert.deepEqual(result.results.map(entry => entry.sequenceReset), [undefined, true, false, false]);
+    assert.equal(billed(), 8000);
+});
+
+test('register readings of one batch are derived from the reading before them', async () => {
+    const start = Date.now() - 60 * 60000;
+    const at = (minutes) => new Date(start + minutes * 60000).toISOString();
+
+    const result = await usageService.ingestUsageBatch('METER-1', [
+        { registerValue: 110, timestamp: at(20) },
+        { registerValue: 100, timestamp: at(0) },
+        { registerValue: 105, timestamp: at(10) },
+        { registerValue: 112, timestamp: at(30) }
+    ]);
+
+    assert.deepEqual(result.results.map(entry => entry.reading.previousValue), [105, null, 100, 110]);
+    assert.equal(result.totalVolume, 12);
+    assert.equal(billed(), 12000);
+});
+
+test('a live register reading follows the last reading of a batch', async () => {
+    const start = Date.now() - 60 * 60000;
+    await usageService.ingestUsageBatch('METER-1', [
+        { registerValue: 100, timestamp: new Date(start).toISOString() },
+        { registerValue: 104, timestamp: new Date(start + 60000).toISOString() }
+    ]);
+
+    const result = await usageService.ingestDeviceUsage('METER-1', { registerValue: 107 });
+
+    assert.equal(result.reading.previousValue, 104);
+    assert.equal(result.usageAmount, 3);
+});
+
+test('usage beyond the balance is debited to zero and the rest recorded as debt', async () => {
+    const result = await usageService.ingestDeviceUsage('METER-1', { usageAmount: 150 });
+
+    assert.equal(result.cost, 150000);
+    assert.equal(result.unpaid, 50000);
+    assert.equal(result.remainingBalance, 0);
+    assert.equal(result.canUse, false);
+    assert.equal(billed(), 100000);
+    assert.deepEqual(store.debt.rows.map(debt => [debt.source, debt.outstanding]), [[DEBT_SOURCE.UNPAID_USAGE, 50000]]);
+    assert.equal(creditPolicyService.markEmergencyCreditUsed.mock.callCount(), 0);
+});
+
+test('usage beyond the emergency credit limit is debited to the limit and the rest recorded as debt', async () => {
+    creditPolicyService.authoriseUsage.mock.mockImplementation(async () => ({
+        allowed: false,
+        mode: null,
+        policy: { emergencyCreditLimit: 20000 }
+    }));
+
+    const result = await usageService.ingestDeviceUsage('METER-1', { usageAmount: 150 });
+
+    assert.equal(result.remainingBalance, -20000);
+    assert.equal(result.unpaid, 30000);
+    assert.equal(store.debt.rows[0].outstanding, 30000);
+    assert.equal(creditPolicyService.markEmergencyCreditUsed.mock.callCount(), 1);
+});
+
+test('legacy usage logs the balance does not cover are refused', async () => {
+    const result = await usageService.logDeviceUsage('METER-1', 150);
+
+    assert.equal(result.valid, false);
+    assert.equal(result.error, 'Insufficient balance');
+    assert.equal(result.canUse, false);
+    assert.equal(store.usageLog.rows.length, 0);
+    assert.equal(store.debt.rows.length, 0);
+    assert.equal(billed(), 0);
+});
+
+test('usage stats list unclaimed meters without an owner name', async () => {
+    store.device.rows.push({ id: 'device-2', deviceKey: 'METER-2', status: false, user: null });
+    const restoreRollups = stubPrisma({
+        usageRollup: {
+            aggregate: async () => ({ _sum: { volume: 5, cost: 5000, count: 2 } }),
+            groupBy: async () => [{ deviceId: 'device-2', _sum: { volume: 5 } }]
+        }
+    });
+    mock.method(usageRollupService, 'buildRollupScope', async () => ({}));
+    mock.method(usageRollupService, 'getUsageSeries', async () => []);
+
+    let stats;
+    try {
+        stats = await usageService.getUsageStats('admin-1', 'ADMIN', { granularity: 'month' });
+    } finally {
+        restoreRollups();
+    }
+
+    assert.deepEqual(stats.topDevices, [{ deviceId: 'device-2', deviceKey: 'METER-2', userName: null, usageAmount: 5 }]);
+});
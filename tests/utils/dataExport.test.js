@@ -0,0 +1,132 @@
+// tests/utils/dataExport.test.js
+// Small batches, so a few records span several reads; read when the constants load
+process.env.EXPORT_BATCH_SIZE = '2';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('node:stream');
+const {
+    escapeCsvValue,
+    streamExport
+} = require('../../src/utils/dataExport');
+
+/**
+ * Response stand-in that collects what is streamed to it
+ * @returns {Object} Writable response with its headers and a promise of the body
+ */
+const createResponse = () => {
+    const res = new PassThrough();
+    const chunks = [];
+
+    res.headers = {};
+    res.setHeader = (name, value) => {
+        res.headers[name] = value;
+    };
+    res.on('data', chunk => chunks.push(chunk));
+    res.body = new Promise((resolve, reject) => {
+        res.on('end', () => resolve(Buffer.concat(chunks)));
+        res.on('error', reject);
+    });
+
+    return res;
+};
+
+/**
+ * Serve balances in batches after a cursor, recording every read
+ * @param {Array} records - Records to export
+ * @returns {Function} fetchBatch with the reads made on it
+ */
+const batchesOf = (records) => {
+    const fetchBatch = async (cursor, take) => {
+        fetchBatch.reads.push(cursor);
+        const start = cursor ? records.findIndex(record => record.id === cursor) + 1 : 0;
+        return records.slice(start, start + take);
+    };
+    fetchBatch.reads = [];
+    return fetchBatch;
+};
+
+const balances = [
+    { id: 'b1', balance: 15000, lastToken: '1234', updatedAt: new Date('2024-01-01T17:30:00Z'), device: { deviceKey: 'METER-1', status: true, user: { name: 'Sari, Budi', email: 'sari@example.com' } } },
+    { id: 'b2', balance: -500, lastToken: '', updatedAt: new Date('2024-01-02T01:00:00Z'), device: { deviceKey: 'METER-2', status: false, user: null } },
+    { id: 'b3', balance: 0, lastToken: null, updatedAt: new Date('2024-01-03T01:00:00Z'), device: { deviceKey: '=HYPERLINK("x")', status: true, user: null } }
+];
+
+test('streamExport writes every batch as CSV with localised headers and zoned dates', async () => {
+    const res = createResponse();
+    const fetchBatch = batchesOf(balances);
+
+    await streamExport(res, {
+        format: 'csv',
+        name: 'balances',
+        locale: 'id',
+        timeZone: 'Asia/Jakarta',
+        fetchBatch
+    });
+
+    const lines = (await res.body).toString('utf8').split('\r\n');
+
+    assert.deepEqual(fetchBatch.reads, [null, 'b2']);
+    assert.equal(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+    assert.match(res.headers['Content-Disposition'], /^attachment; filename="balances-\d{4}-\d{2}-\d{2}\.csv"$/);
+    assert.equal(lines[0], '\uFEFFKunci Perangkat,Pelanggan,Email,Perangkat Aktif,Saldo,Token Terakhir,Diperbarui Pada (Asia/Jakarta)');
+    assert.equal(lines[1], 'METER-1,"Sari, Budi",sari@example.com,true,15000,1234,2024-01-02 00:30:00');
+    assert.equal(lines[2], 'METER-2,,,false,-500,,2024-01-02 08:00:00');
+    assert.equal(lines[3].split(',')[0], '"\'=HYPERLINK(""x"")"');
+    assert.equal(lines.length, 5);
+});
+
+test('streamExport writes an Excel workbook', async () => {
+    const res = createResponse();
+
+    await streamExport(res, {
+        format: 'xlsx',
+        name: 'balances',
+        timeZone: 'UTC',
+        fetchBatch: batchesOf(balances)
+    });
+
+    const body = await res.body;
+
+    assert.equal(res.headers['Content-Type'], 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    assert.equal(body.subarray(0, 2).toString(), 'PK');
+});
+
+test('streamExport throws a failing first read before sending anything', async () => {
+    const res = createResponse();
+
+    await assert.rejects(streamExport(res, {
+        format: 'csv',
+        name: 'balances',
+        timeZone: 'UTC',
+        fetchBatch: async () => {
+            throw new Error('Database unavailable');
+        }
+    }), /Database unavailable/);
+    assert.deepEqual(res.headers, {});
+});
+
+test('streamExport ends the download early when a later read fails', async () => {
+    const res = createResponse();
+    let reads = 0;
+
+    await streamExport(res, {
+        format: 'csv',
+        name: 'balances',
+        timeZone: 'UTC',
+        fetchBatch: async (cursor, take) => {
+            if (reads++ > 0) throw new Error('Connection lost');
+            return balances.slice(0, take);
+        }
+    });
+
+    await assert.rejects(res.body, /Connection lost/);
+    assert.equal(res.destroyed, true);
+});
+
+test('escapeCsvValue quotes separators and keeps formulas as text', () => {
+    assert.equal(escapeCsvValue('a "b", c'), '"a ""b"", c"');
+    assert.equal(escapeCsvValue('+62 812'), '\'+62 812');
+    assert.equal(escapeCsvValue(-500), '-500');
+    assert.equal(escapeCsvValue(null), '');
+});
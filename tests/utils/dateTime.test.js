@@ -0,0 +1,20 @@
+// tests/utils/dateTime.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    getLocalTimeParts
+} = require('../../src/utils/dateTime');
+
+test('getLocalTimeParts reads the wall clock of the zone', () => {
+    // 00:05 on 1 March in Jakarta (UTC+7)
+    assert.deepEqual(getLocalTimeParts(new Date('2024-02-29T17:05:00Z'), 'Asia/Jakarta'), {
+        date: '2024-03-01',
+        hour: 0,
+        minute: 5,
+        minutesOfDay: 5
+    });
+});
+
+test('getLocalTimeParts pads single-digit months and days', () => {
+    assert.equal(getLocalTimeParts(new Date('2024-01-05T12:00:00Z'), 'UTC').date, '2024-01-05');
+});
@@ -0,0 +1,74 @@
+// tests/utils/tariffCalculator.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    validateTiers,
+    priceVolume,
+    volumeForAmount,
+    itemiseTokenCharges
+} = require('../../src/utils/tariffCalculator');
+
+// 0-10 m3 at 5000, 10-20 m3 at 7500, above 20 m3 at 10000
+const tiers = [
+    { minVolume: 10, maxVolume: 20, pricePerUnit: 7500 },
+    { minVolume: 0, maxVolume: 10, pricePerUnit: 5000 },
+    { minVolume: 20, maxVolume: null, pricePerUnit: 10000 }
+];
+
+test('validateTiers accepts contiguous tiers in any order', () => {
+    assert.equal(validateTiers(tiers), null);
+});
+
+test('validateTiers rejects gaps, a closed last tier and a first tier above zero', () => {
+    assert.match(validateTiers([
+        { minVolume: 0, maxVolume: 10, pricePerUnit: 5000 },
+        { minVolume: 12, maxVolume: null, pricePerUnit: 7500 }
+    ]), /must start where the previous tier ends/);
+    assert.match(validateTiers([{ minVolume: 0, maxVolume: 10, pricePerUnit: 5000 }]), /last tier must not have a maximum/);
+    assert.match(validateTiers([{ minVolume: 1, maxVolume: null, pricePerUnit: 5000 }]), /must start at 0/);
+});
+
+test('priceVolume prices each part of the volume in its own tier', () => {
+    const result = priceVolume(tiers, 8, 15);
+
+    // 2 m3 at 5000, 10 m3 at 7500, 3 m3 at 10000
+    assert.equal(result.amount, 2 * 5000 + 10 * 7500 + 3 * 10000);
+    assert.deepEqual(result.lines.map(line => line.volume), [2, 10, 3]);
+});
+
+test('priceVolume starts where the billing period consumption left off', () => {
+    assert.equal(priceVolume(tiers, 0, 1).amount, 5000);
+    assert.equal(priceVolume(tiers, 25, 1).amount, 10000);
+});
+
+test('volumeForAmount is the inverse of priceVolume', () => {
+    const amount = priceVolume(tiers, 8, 15).amount;
+
+    assert.equal(volumeForAmount(tiers, 8, amount).volume, 15);
+});
+
+test('itemiseTokenCharges takes the admin fee, included PPN and fixed charges from the amount', () => {
+    const result = itemiseTokenCharges({
+        grossAmount: 113000,
+        adminFee: 2000,
+        taxRate: 11,
+        fixedCharges: [{ type: 'fixed_monthly', label: 'Monthly service charge', amount: 15000 }]
+    });
+
+    assert.equal(result.adminFee, 2000);
+    assert.equal(result.taxAmount, 11000);
+    assert.equal(result.fixedCharges, 15000);
+    assert.equal(result.netAmount, 85000);
+    assert.equal(result.items.length, 3);
+});
+
+test('itemiseTokenCharges never charges more than the token is worth', () => {
+    const result = itemiseTokenCharges({
+        grossAmount: 10000,
+        adminFee: 2000,
+        fixedCharges: [{ type: 'fixed_monthly', label: 'Monthly service charge', amount: 15000 }]
+    });
+
+    assert.equal(result.fixedCharges, 8000);
+    assert.equal(result.netAmount, 0);
+});
@@ -0,0 +1,49 @@
+// tests/utils/tokenGenerator.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    createTokenGenerator,
+    groupToken,
+    luhnCheckDigit,
+    verhoeffCheckDigit
+} = require('../../src/utils/tokenGenerator');
+
+test('check digits match the published algorithms', () => {
+    assert.equal(luhnCheckDigit('7992739871'), '3');
+    assert.equal(verhoeffCheckDigit('236'), '3');
+});
+
+test('generated tokens have the configured length and a valid check digit', () => {
+    for (const checkDigit of ['luhn', 'verhoeff']) {
+        const generator = createTokenGenerator({ length: 12, checkDigit });
+
+        for (let i = 0; i < 50; i++) {
+            const token = generator.generate();
+            assert.equal(token.length, 12);
+            assert.notEqual(token[0], '0');
+            assert.ok(generator.isValid(token));
+        }
+    }
+});
+
+test('isValid rejects a mistyped digit and tokens of another length', () => {
+    const generator = createTokenGenerator({ length: 20, checkDigit: 'luhn' });
+    const token = generator.generate();
+    const mistyped = token.slice(0, 5) + ((Number(token[5]) + 1) % 10) + token.slice(6);
+
+    assert.equal(generator.isValid(mistyped), false);
+    assert.equal(generator.isValid(token.slice(0, 16)), false);
+    assert.ok(generator.isValid(groupToken(token)));
+});
+
+test('version names the check digit algorithm and length', () => {
+    assert.equal(createTokenGenerator({ length: 16, checkDigit: 'verhoeff' }).version, 'verhoeff-16');
+});
+
+test('hasFormat only matches tokens of the configured length', () => {
+    const generator = createTokenGenerator({ length: 20, checkDigit: 'luhn' });
+
+    assert.equal(generator.hasFormat('1234-5678-9012-3456-7890'), true);
+    assert.equal(generator.hasFormat('1234567890123'), false);
+    assert.equal(generator.hasFormat('1234567890123456789a'), false);
+});
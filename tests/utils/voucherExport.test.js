@@ -0,0 +1,48 @@
+// tests/utils/voucherExport.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    buildBatchCsv
+} = require('../../src/utils/voucherExport');
+const {
+    TOKEN_STATUS
+} = require('../../src/config/constants');
+
+const token = (overrides = {}) => ({
+    token: '12345678901234567890',
+    amount: 50000,
+    status: TOKEN_STATUS.UNUSED,
+    createdAt: new Date('2024-01-01T00:00:00Z'),
+    used_at: null,
+    device: {
+        deviceKey: 'METER-1'
+    },
+    ...overrides
+});
+
+test('buildBatchCsv writes a header and one line per token', () => {
+    const csv = buildBatchCsv({
+        tokens: [token(), token({ status: TOKEN_STATUS.USED, used_at: new Date('2024-01-02T00:00:00Z') })]
+    });
+    const lines = csv.trimEnd().split('\r\n');
+
+    assert.equal(lines.length, 3);
+    assert.match(lines[0], /^No,Device Key,Token,Amount/);
+    assert.match(lines[2], /,used,2024-01-01T00:00:00.000Z,2024-01-02T00:00:00.000Z$/);
+});
+
+test('buildBatchCsv keeps cells that look like formulas as text', () => {
+    const csv = buildBatchCsv({
+        tokens: [token({ device: { deviceKey: '=HYPERLINK("http://x")' } })]
+    });
+
+    assert.ok(csv.includes(`"'=HYPERLINK(""http://x"")"`));
+});
+
+test('buildBatchCsv quotes cells with separators', () => {
+    const csv = buildBatchCsv({
+        tokens: [token({ device: { deviceKey: 'METER,1' } })]
+    });
+
+    assert.ok(csv.includes('"METER,1"'));
+});